@@ -4,6 +4,13 @@ import { logger } from '../shared/logger.js';
 import { createStructuredPromptString } from '../shared/utils/prompt-formatting-utils.js';
 
 import { extractApiErrorMessage } from './utils/error-utils.js';
+import {
+  isRetryableStatus,
+  normalizeRetrySettings,
+  parseRetryAfter,
+  computeRetryDelay,
+  waitForRetry,
+} from './utils/retry-utils.js';
 import ApiInterface from './api-interface.js';
 
 /**
@@ -25,8 +32,19 @@ class BaseApiService extends ApiInterface {
   }
 
   async processRequest(requestConfig) {
-    const { prompt, resolvedParams, formattedContent, onChunk, abortSignal } =
-      requestConfig;
+    const {
+      prompt,
+      resolvedParams,
+      formattedContent,
+      images,
+      tools,
+      toolExchanges,
+      outputSchema,
+      webSearch,
+      onChunk,
+      abortSignal,
+      retrySettings,
+    } = requestConfig;
     const { apiKey } = this.credentials;
     const model = resolvedParams?.model;
 
@@ -34,22 +52,40 @@ class BaseApiService extends ApiInterface {
       if (!requestConfig || !resolvedParams || !prompt || !onChunk) {
         throw new Error(`Invalid requestConfig provided`);
       }
-      if (!apiKey) {
+      if (!apiKey && this._requiresApiKey()) {
         throw new Error(`API key not available for ${this.platformId}`);
       }
 
       const structuredPrompt = this._createStructuredPrompt(
         prompt,
-        formattedContent
+        formattedContent,
+        resolvedParams.promptCaching === true
       );
       this.logger.info(
         `[${this.platformId}] Processing request for model ${model} with${formattedContent ? ' included' : 'out'} content.`
       );
-      const fetchOptions = await this._buildApiRequest(
+      const requestOptions = await this._buildApiRequest(
         structuredPrompt,
-        resolvedParams,
+        {
+          ...this._withTools(
+            this._withImages(resolvedParams, images),
+            tools,
+            toolExchanges
+          ),
+          // JSON Schema the answer must follow, or null for a free-form answer
+          outputSchema: outputSchema || null,
+          // Whether to ground the answer in the provider's own web search
+          webSearch:
+            webSearch === true &&
+            this._modelSupportsWebSearch(resolvedParams.model),
+          // Page content included in structuredPrompt, for providers that cache it separately
+          formattedContent: formattedContent || null,
+        },
         apiKey
       );
+      const fetchOptions = this._withCustomHeaders(
+        this._withExtraBody(requestOptions, resolvedParams.extraBody)
+      );
       this.logger.info(
         `[${this.platformId}] Resolved params before executing for model ${model}:`,
         resolvedParams
@@ -58,7 +94,8 @@ class BaseApiService extends ApiInterface {
         fetchOptions,
         onChunk,
         abortSignal,
-        model
+        model,
+        retrySettings
       );
 
       if (streamSuccess) {
@@ -102,15 +139,170 @@ class BaseApiService extends ApiInterface {
     }
   }
 
-  _createStructuredPrompt(prompt, formattedContent) {
+  /**
+   * Whether requests to this platform need an API key.
+   * Subclasses for keyless platforms (e.g., local servers) override this.
+   * @protected
+   * @returns {boolean}
+   */
+  _requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * Whether the given model accepts image input (`capabilities.supportsVision`).
+   * @protected
+   * @param {string} model - Model ID
+   * @returns {boolean}
+   */
+  _modelSupportsVision(model) {
+    const modelConfig = this.config?.models?.find((m) => m.id === model);
+    return modelConfig?.capabilities?.supportsVision === true;
+  }
+
+  /**
+   * Attach the images of the current message to the params passed to
+   * _buildApiRequest as `params.images`. For models without vision support,
+   * images are dropped from the current message and from the history (e.g.,
+   * after switching models mid-chat) so the request does not get rejected.
+   * @private
+   * @param {Object} resolvedParams - Resolved model parameters
+   * @param {Array<Object>} [images] - Image attachments of the current message
+   * @returns {Object} - Params for _buildApiRequest
+   */
+  _withImages(resolvedParams, images) {
+    if (this._modelSupportsVision(resolvedParams.model)) {
+      return { ...resolvedParams, images: images || [] };
+    }
+    if (images?.length > 0) {
+      this.logger.warn(
+        `[${this.platformId}] Model ${resolvedParams.model} does not accept images; ${images.length} image(s) not sent.`
+      );
+    }
+    return {
+      ...resolvedParams,
+      images: [],
+      conversationHistory: (resolvedParams.conversationHistory || []).map(
+        ({ images: _images, ...msg }) => msg
+      ),
+    };
+  }
+
+  /**
+   * Whether the given model accepts tool definitions (`capabilities.supportsTools`).
+   * @protected
+   * @param {string} model - Model ID
+   * @returns {boolean}
+   */
+  _modelSupportsTools(model) {
+    const modelConfig = this.config?.models?.find((m) => m.id === model);
+    return modelConfig?.capabilities?.supportsTools === true;
+  }
+
+  /**
+   * Attach tool definitions and the tool exchanges of earlier rounds to the
+   * params passed to _buildApiRequest as `params.tools` and
+   * `params.toolExchanges`. Tools are only sent to models that support them.
+   * @private
+   * @param {Object} params - Params for _buildApiRequest
+   * @param {Array<Object>} [tools] - Tool definitions
+   * @param {Array<Object>} [toolExchanges] - Completed tool-calling rounds
+   * @returns {Object} - Params for _buildApiRequest
+   */
+  _withTools(params, tools, toolExchanges) {
+    if (!tools?.length || !this._modelSupportsTools(params.model)) {
+      return { ...params, tools: [], toolExchanges: [] };
+    }
+    return { ...params, tools, toolExchanges: toolExchanges || [] };
+  }
+
+  /**
+   * Add the custom headers of the platform's connection override
+   * (`config.customHeaders`) to a request.
+   * @protected
+   * @param {Object} fetchOptions - Fetch options { url, method, headers, body }
+   * @returns {Object} - Fetch options with the custom headers
+   */
+  _withCustomHeaders(fetchOptions) {
+    const customHeaders = this.config?.customHeaders;
+    if (!customHeaders || Object.keys(customHeaders).length === 0) {
+      return fetchOptions;
+    }
+    return {
+      ...fetchOptions,
+      headers: { ...fetchOptions.headers, ...customHeaders },
+    };
+  }
+
+  /**
+   * Deep-merge the user's extra body JSON into the JSON body of the request,
+   * so fields this extension does not expose can still be sent.
+   * @private
+   * @param {Object} fetchOptions - Options returned by _buildApiRequest
+   * @param {Object|null} [extraBody] - Parsed extra body object
+   * @returns {Object} - Fetch options with the merged body
+   */
+  _withExtraBody(fetchOptions, extraBody) {
+    if (!extraBody || typeof fetchOptions?.body !== 'string') {
+      return fetchOptions;
+    }
+    const isPlainObject = (value) =>
+      value !== null && typeof value === 'object' && !Array.isArray(value);
+    const merge = (target, source) => {
+      const result = { ...target };
+      for (const [key, value] of Object.entries(source)) {
+        result[key] =
+          isPlainObject(value) && isPlainObject(target[key])
+            ? merge(target[key], value)
+            : value;
+      }
+      return result;
+    };
+    try {
+      const body = JSON.parse(fetchOptions.body);
+      return {
+        ...fetchOptions,
+        body: JSON.stringify(merge(body, extraBody)),
+      };
+    } catch (error) {
+      this.logger.warn(
+        `[${this.platformId}] Could not merge extra body into request:`,
+        error
+      );
+      return fetchOptions;
+    }
+  }
+
+  /**
+   * Whether the given model can search the web itself (`capabilities.supportsWebSearch`).
+   * @protected
+   * @param {string} model - Model ID
+   * @returns {boolean}
+   */
+  _modelSupportsWebSearch(model) {
+    const modelConfig = this.config?.models?.find((m) => m.id === model);
+    return modelConfig?.capabilities?.supportsWebSearch === true;
+  }
+
+  /**
+   * Combine the prompt with the page content.
+   * @protected
+   * @param {string} prompt - User prompt
+   * @param {string|null} formattedContent - Extracted page content
+   * @param {boolean} [contentFirst=false] - Put the content first so it can be served from the prompt cache
+   * @returns {string} - The structured prompt
+   */
+  _createStructuredPrompt(prompt, formattedContent, contentFirst = false) {
     // Use the shared utility to create the structured prompt.
-    return createStructuredPromptString(prompt, formattedContent);
+    return createStructuredPromptString(prompt, formattedContent, {
+      contentFirst,
+    });
   }
 
   async validateCredentials() {
     try {
       const { apiKey } = this.credentials;
-      if (!apiKey) {
+      if (!apiKey && this._requiresApiKey()) {
         this.logger.warn(
           `[${this.platformId}] No API key provided for validation`
         );
@@ -151,7 +343,9 @@ class BaseApiService extends ApiInterface {
       this.logger.info(
         `[${this.platformId}] Attempting API key validation for model ${_model}...`
       );
-      const fetchOptions = await this._buildValidationRequest(_apiKey, _model);
+      const fetchOptions = this._withCustomHeaders(
+        await this._buildValidationRequest(_apiKey, _model)
+      );
       const response = await fetch(fetchOptions.url, {
         method: fetchOptions.method,
         headers: fetchOptions.headers,
@@ -179,6 +373,48 @@ class BaseApiService extends ApiInterface {
     }
   }
 
+  /**
+   * Lists the models currently served by the platform, from its models
+   * endpoint. Used to keep local servers' model lists in sync and to discover
+   * models newer than the bundled configuration.
+   * @returns {Promise<Array<{id: string, displayName: string, contextWindow?: number, maxOutput?: number, supportsVision?: boolean, supportsTools?: boolean}>|null>} The models, or null if not supported.
+   */
+  async fetchAvailableModels() {
+    return null;
+  }
+
+  /**
+   * Fetch a models endpoint and map its entries with `mapModel`. Entries
+   * mapped to null (e.g., embedding or image models) are dropped.
+   * @protected
+   * @param {string} url - Models endpoint URL
+   * @param {Object} headers - Request headers
+   * @param {Function} mapModel - Maps a listed entry to { id, displayName, ... } or null
+   * @returns {Promise<Array<Object>>} The mapped models
+   */
+  async _fetchModelList(url, headers, mapModel) {
+    if (!url) {
+      throw new Error(`No models endpoint configured for ${this.platformId}`);
+    }
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { ...headers, ...this.config?.customHeaders },
+    });
+    if (!response.ok) {
+      const errorMessage = await extractApiErrorMessage(response);
+      throw new Error(
+        `Failed to list ${this.platformId} models: ${errorMessage}`
+      );
+    }
+    const data = await response.json();
+    const seenIds = new Set();
+    return (data.data || data.models || []).map(mapModel).filter((model) => {
+      if (!model || seenIds.has(model.id)) return false;
+      seenIds.add(model.id);
+      return true;
+    });
+  }
+
   async _buildValidationRequest(_apiKey, _model) {
     throw new Error(
       '_buildValidationRequest must be implemented by subclasses'
@@ -197,7 +433,14 @@ class BaseApiService extends ApiInterface {
     // Base implementation does nothing. Subclasses can override.
   }
 
-  _transformConversationHistory(rawHistory) {
+  /**
+   * Rebuild the full prompt of history messages that carried page content.
+   * @protected
+   * @param {Array<Object>} rawHistory - Conversation history
+   * @param {boolean} [contentFirst=false] - Put the content first so it can be served from the prompt cache
+   * @returns {Array<Object>} - History with page content merged into the message content
+   */
+  _transformConversationHistory(rawHistory, contentFirst = false) {
     if (!rawHistory || !Array.isArray(rawHistory)) {
       return [];
     }
@@ -212,7 +455,8 @@ class BaseApiService extends ApiInterface {
           ...msg,
           content: this._createStructuredPrompt(
             msg.content,
-            msg.pageContextUsed
+            msg.pageContextUsed,
+            contentFirst
           ),
         };
       }
@@ -255,9 +499,221 @@ class BaseApiService extends ApiInterface {
     return accumulatedContent;
   }
 
-  async _executeStreamingRequest(fetchOptions, onChunk, abortSignal, model) {
+  /**
+   * Merges token counts reported by the provider into the usage collected so far.
+   * Any parsed result may carry a `usage` object (e.g., Gemini sends it alongside
+   * content); later counts replace earlier ones since providers report running totals.
+   * @param {Object} parsedResult - The result from _parseStreamChunk.
+   * @param {Object|null} usage - The usage collected so far.
+   * @returns {Object|null} The updated usage.
+   * @private
+   */
+  _mergeUsage(parsedResult, usage) {
+    if (!parsedResult?.usage) {
+      return usage;
+    }
+    const merged = { ...(usage || {}) };
+    for (const [key, value] of Object.entries(parsedResult.usage)) {
+      if (typeof value === 'number' && value >= 0) {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Merges tool call data from a parsed result into the calls collected so far.
+   * Parsed results may carry `toolCalls`: either complete calls (Gemini, Ollama)
+   * or fragments keyed by `index` whose `argumentsDelta` strings are
+   * concatenated (OpenAI-style providers, Claude).
+   * @param {Object} parsedResult - The result from _parseStreamChunk.
+   * @param {Map<number, Object>} toolCalls - The calls collected so far, by index.
+   * @returns {Map<number, Object>} The updated calls.
+   * @private
+   */
+  _mergeToolCalls(parsedResult, toolCalls) {
+    if (!Array.isArray(parsedResult?.toolCalls)) {
+      return toolCalls;
+    }
+    for (const delta of parsedResult.toolCalls) {
+      const index =
+        typeof delta.index === 'number' ? delta.index : toolCalls.size;
+      const existing = toolCalls.get(index) || { argumentsText: '' };
+      toolCalls.set(index, {
+        ...existing,
+        id: delta.id || existing.id,
+        name: delta.name || existing.name,
+        argumentsText: existing.argumentsText + (delta.argumentsDelta || ''),
+        arguments: delta.arguments ?? existing.arguments,
+        thoughtSignature: delta.thoughtSignature || existing.thoughtSignature,
+      });
+    }
+    return toolCalls;
+  }
+
+  /**
+   * Turns the collected tool call data into the calls sent with the final chunk.
+   * Providers that do not assign call IDs get generated ones.
+   * @param {Map<number, Object>} toolCalls - The calls collected during the stream.
+   * @returns {Array<Object>} Calls: [{ id, name, arguments, thoughtSignature? }].
+   * @private
+   */
+  _finalizeToolCalls(toolCalls) {
+    return [...toolCalls.entries()]
+      .sort(([a], [b]) => a - b)
+      .filter(([, toolCall]) => toolCall.name)
+      .map(([index, toolCall]) => {
+        let args = toolCall.arguments;
+        if (!args) {
+          try {
+            args = toolCall.argumentsText
+              ? JSON.parse(toolCall.argumentsText)
+              : {};
+          } catch (error) {
+            this.logger.warn(
+              `[${this.platformId}] Invalid JSON arguments for tool ${toolCall.name}:`,
+              toolCall.argumentsText
+            );
+            args = {};
+          }
+        }
+        return {
+          id: toolCall.id || `call_${index}_${Date.now()}`,
+          name: toolCall.name,
+          arguments: args,
+          ...(toolCall.thoughtSignature && {
+            thoughtSignature: toolCall.thoughtSignature,
+          }),
+        };
+      });
+  }
+
+  /**
+   * Merges the web sources a parsed result cites into the sources collected so
+   * far. Parsed results may carry `citations`: [{ url, title? }]; a source
+   * cited several times is kept once, at its first position.
+   * @param {Object} parsedResult - The result from _parseStreamChunk.
+   * @param {Map<string, Object>} citations - The sources collected so far, by URL.
+   * @returns {Map<string, Object>} The updated sources.
+   * @private
+   */
+  _mergeCitations(parsedResult, citations) {
+    if (!Array.isArray(parsedResult?.citations)) {
+      return citations;
+    }
+    for (const citation of parsedResult.citations) {
+      if (!citation?.url) continue;
+      const existing = citations.get(citation.url);
+      citations.set(citation.url, {
+        url: citation.url,
+        title: existing?.title || citation.title || null,
+      });
+    }
+    return citations;
+  }
+
+  /**
+   * Collects the reasoning of the current response and its signature, which
+   * some providers (Claude) require back alongside tool results.
+   * @param {Object} parsedResult - The result from _parseStreamChunk.
+   * @param {Object} thinking - The reasoning collected so far: { text, signature }.
+   * @returns {Object} The updated reasoning.
+   * @private
+   */
+  _mergeThinking(parsedResult, thinking) {
+    if (parsedResult?.type === 'thinking' && parsedResult.chunk) {
+      thinking = { ...thinking, text: thinking.text + parsedResult.chunk };
+    }
+    if (parsedResult?.thinkingSignature) {
+      thinking = {
+        ...thinking,
+        signature: (thinking.signature || '') + parsedResult.thinkingSignature,
+      };
+    }
+    return thinking;
+  }
+
+  /**
+   * Sends the request, retrying rate limits and transient server errors before
+   * any content has streamed. Each retry is announced through onChunk with a
+   * `retry` payload so the UI can show the countdown.
+   * @param {Object} fetchOptions - Fetch options { url, method, headers, body }.
+   * @param {Function} onChunk - The callback to send data to.
+   * @param {AbortSignal} abortSignal - Signal that cancels the request and any pending wait.
+   * @param {string} model - The model being used.
+   * @param {Object} [retrySettings] - Stored retry settings; defaults apply when absent.
+   * @returns {Promise<Response>} The last response received.
+   * @private
+   */
+  async _fetchWithRetry(
+    fetchOptions,
+    onChunk,
+    abortSignal,
+    model,
+    retrySettings
+  ) {
+    const policy = normalizeRetrySettings(retrySettings);
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await fetch(fetchOptions.url, {
+        method: fetchOptions.method,
+        headers: fetchOptions.headers,
+        body: fetchOptions.body,
+        signal: abortSignal,
+      });
+
+      if (
+        response.ok ||
+        !isRetryableStatus(response.status) ||
+        attempt >= policy.maxAttempts
+      ) {
+        return response;
+      }
+
+      const delayMs = computeRetryDelay(
+        attempt,
+        policy,
+        parseRetryAfter(response.headers.get('retry-after'))
+      );
+      this.logger.warn(
+        `[${this.platformId}] Retryable API error (${response.status}) for model ${model}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${policy.maxAttempts})`
+      );
+      // Release the connection of the failed response before waiting
+      response.body?.cancel().catch(() => {});
+      onChunk({
+        done: false,
+        model,
+        retry: {
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+          delayMs,
+          status: response.status,
+        },
+      });
+      await waitForRetry(delayMs, abortSignal);
+    }
+  }
+
+  /**
+   * Reads a streaming response line by line. Each non-empty line is passed to
+   * _parseStreamChunk, which covers both SSE (`data: ...`) and NDJSON framing,
+   * and may return several results for a line that carries several kinds of data.
+   * Token counts reported through 'usage' results, the web sources cited,
+   * and any tool calls the model made, are sent with the final chunk.
+   */
+  async _executeStreamingRequest(
+    fetchOptions,
+    onChunk,
+    abortSignal,
+    model,
+    retrySettings
+  ) {
     let reader;
     let accumulatedContent = '';
+    let usage = null;
+    let toolCalls = new Map();
+    let citations = new Map();
+    let thinking = { text: '', signature: null };
     const decoder = new TextDecoder('utf-8');
     let buffer = ''; // Buffer for non-Gemini platforms
 
@@ -270,12 +726,13 @@ class BaseApiService extends ApiInterface {
       this.logger.info(
         `[${this.platformId}] Executing streaming request to ${fetchOptions.url} for model ${model}`
       );
-      const response = await fetch(fetchOptions.url, {
-        method: fetchOptions.method,
-        headers: fetchOptions.headers,
-        body: fetchOptions.body,
-        signal: abortSignal,
-      });
+      const response = await this._fetchWithRetry(
+        fetchOptions,
+        onChunk,
+        abortSignal,
+        model,
+        retrySettings
+      );
 
       if (!response.ok) {
         const errorMessage = await extractApiErrorMessage(response);
@@ -307,16 +764,23 @@ class BaseApiService extends ApiInterface {
               `[${this.platformId}] Processing remaining buffer content after stream end for model ${model}: "${buffer}"`
             );
             try {
-              const parsedResult = this._parseStreamChunk(buffer.trim());
-              accumulatedContent = this._handleParsedChunk(
-                parsedResult,
-                onChunk,
-                model,
-                accumulatedContent
-              );
-              if (parsedResult.type === 'error') {
-                onChunk({ done: true, error: parsedResult.error, model });
-                return false;
+              for (const parsedResult of [].concat(
+                this._parseStreamChunk(buffer.trim())
+              )) {
+                accumulatedContent = this._handleParsedChunk(
+                  parsedResult,
+                  onChunk,
+                  model,
+                  accumulatedContent
+                );
+                usage = this._mergeUsage(parsedResult, usage);
+                toolCalls = this._mergeToolCalls(parsedResult, toolCalls);
+                citations = this._mergeCitations(parsedResult, citations);
+                thinking = this._mergeThinking(parsedResult, thinking);
+                if (parsedResult.type === 'error') {
+                  onChunk({ done: true, error: parsedResult.error, model });
+                  return false;
+                }
               }
             } catch (parseError) {
               this.logger.error(
@@ -333,18 +797,26 @@ class BaseApiService extends ApiInterface {
               return false;
             }
           }
+          const finalToolCalls = this._finalizeToolCalls(toolCalls);
           onChunk({
             chunk: '',
             done: true,
             model,
             fullContent: accumulatedContent,
+            usage,
+            ...(citations.size > 0 && { citations: [...citations.values()] }),
+            // The caller runs the tools and sends their results in a new request
+            ...(finalToolCalls.length > 0 && {
+              toolCalls: finalToolCalls,
+              thinking,
+            }),
           });
           break; // Exit the loop
         }
 
         const decodedChunk = decoder.decode(value, { stream: true });
 
-        // Standard SSE handling for all platforms
+        // Line-based handling for all platforms (SSE and NDJSON)
         buffer += decodedChunk;
         let lineEnd;
         while ((lineEnd = buffer.indexOf('\n')) !== -1) {
@@ -353,22 +825,29 @@ class BaseApiService extends ApiInterface {
           if (!line) continue;
 
           try {
-            const parsedResult = this._parseStreamChunk(line);
-            accumulatedContent = this._handleParsedChunk(
-              parsedResult,
-              onChunk,
-              model,
-              accumulatedContent
-            );
-
-            if (parsedResult.type === 'error') {
-              this.logger.error(
-                `[${this.platformId}] Parsed stream error for model ${model}: ${parsedResult.error}`
+            for (const parsedResult of [].concat(
+              this._parseStreamChunk(line)
+            )) {
+              accumulatedContent = this._handleParsedChunk(
+                parsedResult,
+                onChunk,
+                model,
+                accumulatedContent
               );
-              onChunk({ done: true, error: parsedResult.error, model });
-              return false; // Stop processing loop
+              usage = this._mergeUsage(parsedResult, usage);
+              toolCalls = this._mergeToolCalls(parsedResult, toolCalls);
+              citations = this._mergeCitations(parsedResult, citations);
+              thinking = this._mergeThinking(parsedResult, thinking);
+
+              if (parsedResult.type === 'error') {
+                this.logger.error(
+                  `[${this.platformId}] Parsed stream error for model ${model}: ${parsedResult.error}`
+                );
+                onChunk({ done: true, error: parsedResult.error, model });
+                return false; // Stop processing loop
+              }
+              // Ignore 'done' and 'ignore' types here
             }
-            // Ignore 'done' and 'ignore' types here
           } catch (parseError) {
             this.logger.error(
               `[${this.platformId}] Error parsing stream chunk for model ${model}:`,
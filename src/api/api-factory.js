@@ -1,4 +1,9 @@
 // src/api/api-factory.js
+import {
+  isCustomProviderId,
+  getCustomProviderType,
+} from '../shared/utils/custom-provider-utils.js';
+import { CUSTOM_PROVIDER_TYPES } from '../shared/constants.js';
 
 import ChatGptApiService from './implementations/chatgpt-api.js';
 import ClaudeApiService from './implementations/claude-api.js';
@@ -6,6 +11,8 @@ import GeminiApiService from './implementations/gemini-api.js';
 import MistralApiService from './implementations/mistral-api.js';
 import DeepSeekApiService from './implementations/deepseek-api.js';
 import GrokApiService from './implementations/grok-api.js';
+import OpenAICompatibleApiService from './implementations/openai-compatible-api.js';
+import OllamaApiService from './implementations/ollama-api.js';
 
 /**
  * Factory class for creating API service instances
@@ -18,6 +25,11 @@ class ApiFactory {
    * @throws {Error} If platform is not supported
    */
   static createApiService(platformId) {
+    if (isCustomProviderId(platformId)) {
+      return getCustomProviderType(platformId) === CUSTOM_PROVIDER_TYPES.OLLAMA
+        ? new OllamaApiService(platformId)
+        : new OpenAICompatibleApiService(platformId);
+    }
     switch (platformId.toLowerCase()) {
       case 'chatgpt':
         return new ChatGptApiService();
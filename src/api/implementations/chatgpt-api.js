@@ -1,4 +1,12 @@
 import BaseApiService from '../api-base.js';
+import { normalizeOpenAIUsage } from '../utils/usage-utils.js';
+import {
+  toOpenAITools,
+  parseOpenAIToolCallDeltas,
+  buildOpenAIToolMessages,
+} from '../utils/tool-utils.js';
+import { toOpenAIResponseFormat } from '../utils/response-format-utils.js';
+import { getImageDataUrl } from '../../shared/utils/image-utils.js';
 
 /**
  * ChatGPT API implementation
@@ -27,6 +35,7 @@ class ChatGptApiService extends BaseApiService {
     const requestPayload = {
       model: params.model,
       stream: true,
+      stream_options: { include_usage: true }, // Final chunk reports token usage
     };
 
     // Add reasoning_effort if provided in params (for specific models like o3, o4-mini)
@@ -43,13 +52,31 @@ class ChatGptApiService extends BaseApiService {
     }
     if (params.conversationHistory && params.conversationHistory.length > 0) {
       const transformedHistory = this._transformConversationHistory(
-        params.conversationHistory
+        params.conversationHistory,
+        params.promptCaching
       );
       messages.push(...this._formatOpenAIMessages(transformedHistory));
     }
-    messages.push({ role: 'user', content: prompt }); // Use the structured prompt
+    messages.push({
+      role: 'user',
+      content: this._buildOpenAIContent(prompt, params.images),
+    }); // Use the structured prompt
+    messages.push(...buildOpenAIToolMessages(params.toolExchanges));
     requestPayload.messages = messages;
 
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toOpenAITools(params.tools);
+    }
+    if (params.webSearch) {
+      // Search models always search; the options only tune the search
+      requestPayload.web_search_options = {};
+    }
+    if (params.outputSchema) {
+      requestPayload.response_format = toOpenAIResponseFormat(
+        params.outputSchema
+      );
+    }
+
     // Apply model parameters
     requestPayload[params.tokenParameter || 'max_tokens'] = params.maxTokens;
 
@@ -63,6 +90,17 @@ class ChatGptApiService extends BaseApiService {
       requestPayload.top_p = params.topP;
     }
 
+    if (params.stopSequences) {
+      requestPayload.stop = params.stopSequences;
+    }
+    if ('seed' in params) {
+      requestPayload.seed = params.seed;
+    }
+    if ('presencePenalty' in params) {
+      requestPayload.presence_penalty = params.presencePenalty;
+      requestPayload.frequency_penalty = params.frequencyPenalty;
+    }
+
     return {
       url: endpoint,
       method: 'POST',
@@ -79,7 +117,7 @@ class ChatGptApiService extends BaseApiService {
    * @override
    * @protected
    * @param {string} line - A single line string from the stream.
-   * @returns {Object} Parsed result: { type: 'content' | 'done' | 'ignore', chunk?: string }.
+   * @returns {Object} Parsed result: { type: 'content' | 'usage' | 'done' | 'ignore', chunk?: string, usage?: Object, citations?: Array }.
    */
   _parseStreamChunk(line) {
     if (!line) {
@@ -95,9 +133,31 @@ class ChatGptApiService extends BaseApiService {
       try {
         const data = JSON.parse(line.substring(6));
         const content = data.choices?.[0]?.delta?.content;
+        const toolCalls = parseOpenAIToolCallDeltas(
+          data.choices?.[0]?.delta?.tool_calls
+        );
+        // Search models annotate the answer with the pages they cite
+        const citations = (data.choices?.[0]?.delta?.annotations || [])
+          .filter(
+            (annotation) =>
+              annotation.type === 'url_citation' && annotation.url_citation?.url
+          )
+          .map((annotation) => ({
+            url: annotation.url_citation.url,
+            title: annotation.url_citation.title || null,
+          }));
+        const extras = {
+          ...(toolCalls && { toolCalls }),
+          ...(citations.length > 0 && { citations }),
+        };
 
         if (content) {
-          return { type: 'content', chunk: content };
+          return { type: 'content', chunk: content, ...extras };
+        } else if (toolCalls || citations.length > 0) {
+          return { type: 'ignore', ...extras };
+        } else if (data.usage) {
+          // Sent last, with an empty choices array
+          return { type: 'usage', usage: normalizeOpenAIUsage(data.usage) };
         } else {
           // Ignore chunks without content (e.g., role markers, finish_reason)
           return { type: 'ignore' };
@@ -135,10 +195,32 @@ class ChatGptApiService extends BaseApiService {
 
       return {
         role,
-        content: msg.content,
+        content:
+          role === 'user'
+            ? this._buildOpenAIContent(msg.content, msg.images)
+            : msg.content,
       };
     });
   }
+  /**
+   * Build the content of a user message: a plain string, or text and image
+   * parts when images are attached.
+   * @param {string} text - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {string|Array} Message content for OpenAI API
+   */
+  _buildOpenAIContent(text, images) {
+    if (!images || images.length === 0) {
+      return text;
+    }
+    return [
+      { type: 'text', text },
+      ...images.map((image) => ({
+        type: 'image_url',
+        image_url: { url: getImageDataUrl(image) },
+      })),
+    ];
+  }
 
   /**
    * Build the platform-specific API request options for validation.
@@ -167,6 +249,24 @@ class ChatGptApiService extends BaseApiService {
       body: JSON.stringify(validationPayload),
     };
   }
+
+  /**
+   * List the chat models available to the API key.
+   * @override
+   * @returns {Promise<Array<Object>>} Chat models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials;
+    return this._fetchModelList(
+      this.config?.modelsEndpoint,
+      { Authorization: `Bearer ${apiKey}` },
+      (model) =>
+        /^(gpt-|o\d|chatgpt-)/.test(model.id) &&
+        !/(audio|realtime|transcribe|tts|image|search|instruct)/.test(model.id)
+          ? { id: model.id, displayName: model.id }
+          : null
+    );
+  }
 }
 
 export default ChatGptApiService;
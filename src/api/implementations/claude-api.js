@@ -1,4 +1,10 @@
 import BaseApiService from '../api-base.js';
+import { normalizeClaudeUsage } from '../utils/usage-utils.js';
+import { toClaudeTools, buildClaudeToolMessages } from '../utils/tool-utils.js';
+import {
+  STRUCTURED_OUTPUT_NAME,
+  toClaudeStructuredOutputTool,
+} from '../utils/response-format-utils.js';
 
 /**
  * Claude API implementation
@@ -6,6 +12,8 @@ import BaseApiService from '../api-base.js';
 class ClaudeApiService extends BaseApiService {
   constructor() {
     super('claude');
+    // Set when the request forces the structured output tool, whose input is the answer
+    this.isStructuredOutputRequest = false;
   }
 
   /**
@@ -27,7 +35,7 @@ class ClaudeApiService extends BaseApiService {
     const requestPayload = {
       model: params.model,
       max_tokens: params.maxTokens,
-      messages: [{ role: 'user', content: [{ type: 'text', text: prompt }] }], // Start with current prompt
+      messages: this._formatClaudeMessages([], prompt, params.images), // Start with current prompt
       stream: true,
     };
 
@@ -38,10 +46,21 @@ class ClaudeApiService extends BaseApiService {
     if ('topP' in params) {
       requestPayload.top_p = params.topP;
     }
+    if (params.stopSequences) {
+      requestPayload.stop_sequences = params.stopSequences;
+    }
     if (params.systemPrompt) {
       requestPayload.system = params.systemPrompt;
     }
 
+    // Claude cannot think while a tool call is forced, which structured output relies on
+    if (params.isThinkingEnabledForRequest && params.outputSchema) {
+      this.logger.info(
+        `[${this.platformId}] Structured output requested; Extended Thinking disabled for this request.`
+      );
+      params.isThinkingEnabledForRequest = false;
+    }
+
     // Enable Thinking Mode using the 'thinking' parameter if requested and budget is valid
     if (params.isThinkingEnabledForRequest && params.thinkingBudget) {
       const minBudget = 1024; // Minimum required budget by Claude API
@@ -77,15 +96,42 @@ class ClaudeApiService extends BaseApiService {
     // Prepend conversation history if available
     if (params.conversationHistory && params.conversationHistory.length > 0) {
       const transformedHistory = this._transformConversationHistory(
-        params.conversationHistory
+        params.conversationHistory,
+        params.promptCaching
       );
       // Use the helper to format history and add the current prompt correctly
       requestPayload.messages = this._formatClaudeMessages(
         transformedHistory,
-        prompt
+        prompt,
+        params.images
+      );
+    }
+
+    if (params.promptCaching) {
+      this._addCacheBreakpoints(
+        requestPayload.messages,
+        !!params.formattedContent
       );
     }
 
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toClaudeTools(params.tools);
+      requestPayload.messages.push(
+        ...buildClaudeToolMessages(params.toolExchanges)
+      );
+    }
+
+    this.isStructuredOutputRequest = !!params.outputSchema;
+    if (this.isStructuredOutputRequest) {
+      requestPayload.tools = [
+        toClaudeStructuredOutputTool(params.outputSchema),
+      ];
+      requestPayload.tool_choice = {
+        type: 'tool',
+        name: STRUCTURED_OUTPUT_NAME,
+      };
+    }
+
     return {
       url: endpoint,
       method: 'POST',
@@ -105,7 +151,7 @@ class ClaudeApiService extends BaseApiService {
    * @override
    * @protected
    * @param {string} line - A single line string from the stream.
-   * @returns {Object} Parsed result: { type: 'content' | 'error' | 'done' | 'ignore', chunk?: string, error?: string }.
+   * @returns {Object} Parsed result: { type: 'content' | 'thinking' | 'usage' | 'error' | 'done' | 'ignore', chunk?: string, usage?: Object, toolCalls?: Array, thinkingSignature?: string, error?: string }.
    */
   _parseStreamChunk(line) {
     if (!line) {
@@ -146,11 +192,29 @@ class ClaudeApiService extends BaseApiService {
           }
           // Case 3: Signature delta (appears at the end of a thinking block)
           else if (data.delta.type === 'signature_delta') {
-            // We don't need the signature for simple streaming, so ignore it
-            this.logger.info(
-              `[${this.platformId}] Received signature delta (ignored).`
-            );
-            return { type: 'ignore' };
+            // Only needed to send the thinking block back with tool results
+            return {
+              type: 'ignore',
+              thinkingSignature: data.delta.signature,
+            };
+          }
+          // Case 4: Structured answer, streamed as the forced tool's input
+          else if (
+            data.delta.type === 'input_json_delta' &&
+            this.isStructuredOutputRequest
+          ) {
+            return data.delta.partial_json
+              ? { type: 'content', chunk: data.delta.partial_json }
+              : { type: 'ignore' };
+          }
+          // Case 5: Tool input, streamed as partial JSON
+          else if (data.delta.type === 'input_json_delta') {
+            return {
+              type: 'ignore',
+              toolCalls: [
+                { index: data.index, argumentsDelta: data.delta.partial_json },
+              ],
+            };
           }
         }
 
@@ -165,6 +229,35 @@ class ClaudeApiService extends BaseApiService {
           return { type: 'error', error: streamErrorMessage };
         }
 
+        // Input counts arrive with message_start, the cumulative output count with message_delta
+        if (
+          (data.type === 'message_start' && data.message?.usage) ||
+          (data.type === 'message_delta' && data.usage)
+        ) {
+          return {
+            type: 'usage',
+            usage: normalizeClaudeUsage(data.message?.usage || data.usage),
+          };
+        }
+
+        // A tool call starts with its ID and name; its input follows as deltas
+        if (
+          data.type === 'content_block_start' &&
+          data.content_block?.type === 'tool_use' &&
+          !this.isStructuredOutputRequest
+        ) {
+          return {
+            type: 'ignore',
+            toolCalls: [
+              {
+                index: data.index,
+                id: data.content_block.id,
+                name: data.content_block.name,
+              },
+            ],
+          };
+        }
+
         // Check for explicit redacted thinking blocks (these usually appear whole, not via delta)
         if (data.type === 'redacted_thinking') {
           this.logger.info(
@@ -208,9 +301,10 @@ class ClaudeApiService extends BaseApiService {
    * Format conversation history for Claude API
    * @param {Array} history - Conversation history array
    * @param {string} currentPrompt - Current user prompt
+   * @param {Array<Object>} [currentImages] - Images attached to the current prompt
    * @returns {Array} Formatted messages for Claude API
    */
-  _formatClaudeMessages(history, currentPrompt) {
+  _formatClaudeMessages(history, currentPrompt, currentImages = []) {
     const formattedMessages = [];
 
     // Process conversation history
@@ -220,29 +314,64 @@ class ClaudeApiService extends BaseApiService {
 
       formattedMessages.push({
         role: role,
-        content: [
-          {
-            type: 'text',
-            text: message.content,
-          },
-        ],
+        content: this._buildClaudeContent(
+          message.content,
+          role === 'user' ? message.images : null
+        ),
       });
     }
 
     // Add current prompt as the final user message
     formattedMessages.push({
       role: 'user',
-      content: [
-        {
-          type: 'text',
-          text: currentPrompt,
-        },
-      ],
+      content: this._buildClaudeContent(currentPrompt, currentImages),
     });
 
     return formattedMessages;
   }
 
+  /**
+   * Mark where Claude may cache the prompt prefix. The end of the history is
+   * marked so each turn reads the previous turns from the cache, and the
+   * current message is marked when it carries page content so the next turn
+   * can read it too. Prefixes below the model's minimum length are not cached.
+   * @param {Array<Object>} messages - Formatted messages, the current prompt last
+   * @param {boolean} hasPageContent - Whether the current prompt includes page content
+   */
+  _addCacheBreakpoints(messages, hasPageContent) {
+    const markLastBlock = (message) => {
+      const lastBlock = message?.content?.[message.content.length - 1];
+      if (lastBlock) {
+        lastBlock.cache_control = { type: 'ephemeral' };
+      }
+    };
+    if (messages.length > 1) {
+      markLastBlock(messages[messages.length - 2]);
+    }
+    if (hasPageContent) {
+      markLastBlock(messages[messages.length - 1]);
+    }
+  }
+
+  /**
+   * Build the content blocks of a message. Images are placed before the text,
+   * as recommended by Anthropic.
+   * @param {string} text - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {Array} Content blocks
+   */
+  _buildClaudeContent(text, images) {
+    const imageBlocks = (images || []).map((image) => ({
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: image.mimeType,
+        data: image.data,
+      },
+    }));
+    return [...imageBlocks, { type: 'text', text }];
+  }
+
   /**
    * Build the platform-specific API request options for validation.
    * @override
@@ -282,6 +411,26 @@ class ClaudeApiService extends BaseApiService {
       body: JSON.stringify(validationPayload),
     };
   }
+
+  /**
+   * List the models available to the API key.
+   * @override
+   * @returns {Promise<Array<Object>>} Models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials;
+    const url = new URL(this.config?.modelsEndpoint);
+    url.searchParams.append('limit', '1000');
+    return this._fetchModelList(
+      url.toString(),
+      {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      (model) => ({ id: model.id, displayName: model.display_name || model.id })
+    );
+  }
 }
 
 export default ClaudeApiService;
@@ -1,4 +1,11 @@
 import BaseApiService from '../api-base.js';
+import { normalizeOpenAIUsage } from '../utils/usage-utils.js';
+import {
+  toOpenAITools,
+  parseOpenAIToolCallDeltas,
+  buildOpenAIToolMessages,
+} from '../utils/tool-utils.js';
+import { getStructuredOutputInstruction } from '../utils/response-format-utils.js';
 
 /**
  * DeepSeek API implementation
@@ -28,18 +35,30 @@ class DeepSeekApiService extends BaseApiService {
     const requestPayload = {
       model: params.model,
       stream: true,
+      stream_options: { include_usage: true }, // Final chunk reports token usage
     };
 
+    // DeepSeek only has a plain JSON mode, so the schema is described in the system prompt
+    const systemPrompt = params.outputSchema
+      ? [
+          params.systemPrompt,
+          getStructuredOutputInstruction(params.outputSchema),
+        ]
+          .filter(Boolean)
+          .join('\n\n')
+      : params.systemPrompt;
+
     let messages = [];
     // Add system prompt first if it exists
-    if (params.systemPrompt) {
-      messages.push({ role: 'system', content: params.systemPrompt });
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
     }
 
     // Format history, merging consecutive roles (excluding system)
     if (params.conversationHistory && params.conversationHistory.length > 0) {
       const transformedHistory = this._transformConversationHistory(
-        params.conversationHistory
+        params.conversationHistory,
+        params.promptCaching
       );
       messages.push(...this._formatDeepSeekMessages(transformedHistory));
     }
@@ -59,9 +78,19 @@ class DeepSeekApiService extends BaseApiService {
       messages.push({ role: 'user', content: prompt });
     }
 
+    // Tool rounds follow the (possibly merged) current user message
+    messages.push(...buildOpenAIToolMessages(params.toolExchanges));
+
     // Assign the final message list to the payload
     requestPayload.messages = messages;
 
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toOpenAITools(params.tools);
+    }
+    if (params.outputSchema) {
+      requestPayload.response_format = { type: 'json_object' };
+    }
+
     // Apply other parameters
     requestPayload[params.tokenParameter || 'max_tokens'] = params.maxTokens;
     if ('temperature' in params) {
@@ -71,6 +100,14 @@ class DeepSeekApiService extends BaseApiService {
       requestPayload.top_p = params.topP;
     }
 
+    if (params.stopSequences) {
+      requestPayload.stop = params.stopSequences;
+    }
+    if ('presencePenalty' in params) {
+      requestPayload.presence_penalty = params.presencePenalty;
+      requestPayload.frequency_penalty = params.frequencyPenalty;
+    }
+
     return {
       url: endpoint,
       method: 'POST',
@@ -116,6 +153,17 @@ class DeepSeekApiService extends BaseApiService {
           return { type: 'content', chunk: content };
         }
 
+        const toolCalls = parseOpenAIToolCallDeltas(
+          data.choices?.[0]?.delta?.tool_calls
+        );
+        if (toolCalls) {
+          return { type: 'ignore', toolCalls };
+        }
+
+        if (data.usage) {
+          return { type: 'usage', usage: normalizeOpenAIUsage(data.usage) };
+        }
+
         // If neither reasoning nor regular content, then ignore (or handle finish_reason)
         if (data.choices?.[0]?.finish_reason) {
           this.logger.info(
@@ -227,6 +275,20 @@ class DeepSeekApiService extends BaseApiService {
       body: JSON.stringify(validationPayload),
     };
   }
+
+  /**
+   * List the models available to the API key.
+   * @override
+   * @returns {Promise<Array<Object>>} Models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials;
+    return this._fetchModelList(
+      this.config?.modelsEndpoint,
+      { Authorization: `Bearer ${apiKey}` },
+      (model) => ({ id: model.id, displayName: model.id })
+    );
+  }
 }
 
 export default DeepSeekApiService;
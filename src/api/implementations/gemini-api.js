@@ -1,4 +1,33 @@
 import BaseApiService from '../api-base.js';
+import { normalizeGeminiUsage } from '../utils/usage-utils.js';
+import { toGeminiTools, buildGeminiToolContents } from '../utils/tool-utils.js';
+import { toGeminiResponseSchema } from '../utils/response-format-utils.js';
+import { extractApiErrorMessage } from '../utils/error-utils.js';
+import {
+  STORAGE_KEYS,
+  GEMINI_HARM_CATEGORIES,
+} from '../../shared/constants.js';
+
+// Conversation prefixes shorter than this are not worth a context cache
+// (Gemini also rejects caches below a minimum token count)
+const PROMPT_CACHE_MIN_CHARS = 16000;
+const PROMPT_CACHE_TTL_SECONDS = 600;
+// A cache about to expire is not reused, since it could expire mid-request
+const PROMPT_CACHE_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Hashes a string (FNV-1a), used to identify a cached conversation prefix.
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
 
 /**
  * Gemini API implementation
@@ -8,9 +37,12 @@ class GeminiApiService extends BaseApiService {
     super('gemini');
   }
 
-  _getGeminiEndpoint(model, method) {
-    const baseTemplate =
-      'https://generativelanguage.googleapis.com/{version}/models/{model}{method}';
+  _getGeminiBaseUrl() {
+    return this.config?.baseUrl || 'https://generativelanguage.googleapis.com';
+  }
+
+  _getGeminiEndpoint(model, method, forcedVersion = null) {
+    const baseTemplate = `${this._getGeminiBaseUrl()}/{version}/models/{model}{method}`;
     if (!model || !method) {
       throw new Error(
         'Model and method are required to build Gemini endpoint.'
@@ -18,7 +50,8 @@ class GeminiApiService extends BaseApiService {
     }
     const isPreviewOrExperimental =
       model.includes('-exp-') || model.includes('-preview-');
-    const apiVersion = isPreviewOrExperimental ? 'v1beta' : 'v1';
+    const apiVersion =
+      forcedVersion || (isPreviewOrExperimental ? 'v1beta' : 'v1');
     this.logger.info(
       `[${this.platformId}] Using API version '${apiVersion}' for model '${model}'`
     );
@@ -29,32 +62,38 @@ class GeminiApiService extends BaseApiService {
   }
 
   async _buildApiRequest(prompt, params, apiKey) {
-    const endpoint = this._getGeminiEndpoint(
-      params.model,
-      ':streamGenerateContent'
-    );
-    this.logger.info(
-      `[${this.platformId}] Building API request to: ${endpoint}`
-    );
-    const url = new URL(endpoint);
-    url.searchParams.append('alt', 'sse');
-    url.searchParams.append('key', apiKey);
-
     let formattedRequest;
     if (params.conversationHistory && params.conversationHistory.length > 0) {
       const transformedHistory = this._transformConversationHistory(
-        params.conversationHistory
+        params.conversationHistory,
+        params.promptCaching
       );
       formattedRequest = this._formatGeminiRequestWithHistory(
         transformedHistory,
-        prompt
+        prompt,
+        params.images
       );
     } else {
       formattedRequest = {
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        contents: [
+          {
+            role: 'user',
+            parts: this._buildGeminiParts(prompt, params.images),
+          },
+        ],
       };
     }
 
+    if (params.webSearch) {
+      // Grounding with Google Search replaces function tools for the request
+      formattedRequest.tools = [{ googleSearch: {} }];
+    } else if (params.tools?.length > 0) {
+      formattedRequest.tools = toGeminiTools(params.tools);
+      formattedRequest.contents.push(
+        ...buildGeminiToolContents(params.toolExchanges)
+      );
+    }
+
     if (params.systemPrompt) {
       if (params.modelSupportsSystemPrompt === true) {
         this.logger.info(
@@ -83,6 +122,29 @@ class GeminiApiService extends BaseApiService {
     if ('topP' in params) {
       formattedRequest.generationConfig.topP = params.topP;
     }
+    if (params.stopSequences) {
+      formattedRequest.generationConfig.stopSequences = params.stopSequences;
+    }
+    if ('seed' in params) {
+      formattedRequest.generationConfig.seed = params.seed;
+    }
+    if ('presencePenalty' in params) {
+      formattedRequest.generationConfig.presencePenalty =
+        params.presencePenalty;
+      formattedRequest.generationConfig.frequencyPenalty =
+        params.frequencyPenalty;
+    }
+    if (params.safetyThreshold) {
+      formattedRequest.safetySettings = GEMINI_HARM_CATEGORIES.map(
+        (category) => ({ category, threshold: params.safetyThreshold })
+      );
+    }
+    if (params.outputSchema) {
+      formattedRequest.generationConfig.responseMimeType = 'application/json';
+      formattedRequest.generationConfig.responseSchema = toGeminiResponseSchema(
+        params.outputSchema
+      );
+    }
 
     // Add thinkingConfig if thinking is enabled and a valid thinkingBudget is provided.
     // If thinkingBudget is 0, thinking is explicitly disabled.
@@ -116,6 +178,25 @@ class GeminiApiService extends BaseApiService {
     // If params.isThinkingEnabledForRequest is false, no thinkingConfig is added, and the model uses its default (Thinking ON).
     // No explicit logging for this default case to avoid verbosity.
 
+    // Context caches are a v1beta feature and cannot be combined with tools
+    const cacheName =
+      params.promptCaching && !formattedRequest.tools
+        ? await this._applyPromptCache(formattedRequest, params, apiKey)
+        : null;
+
+    // Search grounding is only available on v1beta
+    const endpoint = this._getGeminiEndpoint(
+      params.model,
+      ':streamGenerateContent',
+      cacheName || params.webSearch ? 'v1beta' : null
+    );
+    this.logger.info(
+      `[${this.platformId}] Building API request to: ${endpoint}`
+    );
+    const url = new URL(endpoint);
+    url.searchParams.append('alt', 'sse');
+    url.searchParams.append('key', apiKey);
+
     return {
       url: url.toString(),
       method: 'POST',
@@ -144,10 +225,37 @@ class GeminiApiService extends BaseApiService {
     try {
       const data = JSON.parse(jsonString);
 
-      const textChunk = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      const parts = data?.candidates?.[0]?.content?.parts || [];
+      const textChunk = parts[0]?.text;
+      // Every chunk carries the running usageMetadata totals
+      const usage = normalizeGeminiUsage(data?.usageMetadata);
+      // Function calls arrive whole, each in its own part
+      const toolCalls = parts
+        .filter((part) => part.functionCall)
+        .map((part) => ({
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {},
+          thoughtSignature: part.thoughtSignature,
+        }));
+      // Search grounding lists the pages it used, usually on the last chunk
+      const citations = (
+        data?.candidates?.[0]?.groundingMetadata?.groundingChunks || []
+      )
+        .filter((groundingChunk) => groundingChunk.web?.uri)
+        .map((groundingChunk) => ({
+          url: groundingChunk.web.uri,
+          title: groundingChunk.web.title || null,
+        }));
+      const extras = {
+        ...(usage && { usage }),
+        ...(toolCalls.length > 0 && { toolCalls }),
+        ...(citations.length > 0 && { citations }),
+      };
 
       if (textChunk && typeof textChunk === 'string') {
-        return { type: 'content', chunk: textChunk };
+        return { type: 'content', chunk: textChunk, ...extras };
+      } else if (toolCalls.length > 0 || citations.length > 0) {
+        return { type: 'ignore', ...extras };
       } else {
         if (data?.error) {
           const errorMessage = data.error.message || JSON.stringify(data.error);
@@ -164,13 +272,13 @@ class GeminiApiService extends BaseApiService {
           this.logger.info(
             `[${this.platformId}] SSE stream finished with reason: ${data.candidates[0].finishReason}`
           );
-        } else {
+        } else if (!usage) {
           this.logger.warn(
             `[${this.platformId}] Parsed SSE data, but no text chunk found or structure mismatch.`,
             data
           );
         }
-        return { type: 'ignore' };
+        return usage ? { type: 'usage', usage } : { type: 'ignore' };
       }
     } catch (parseError) {
       this.logger.error(
@@ -186,16 +294,139 @@ class GeminiApiService extends BaseApiService {
     }
   }
 
-  _formatGeminiRequestWithHistory(history, currentPrompt) {
+  /**
+   * Serve the conversation up to the last message with page content from a
+   * Gemini context cache, so follow-up turns do not pay for the page again.
+   * The cache is created on the first follow-up and reused while it lives.
+   * On success the request is rewritten to reference the cache.
+   * @param {Object} formattedRequest - Request body, modified in place
+   * @param {Object} params - Resolved request params
+   * @param {string} apiKey - The API key
+   * @returns {Promise<string|null>} The cache name, or null if the request is not cached
+   */
+  async _applyPromptCache(formattedRequest, params, apiKey) {
+    const history = params.conversationHistory || [];
+    let prefixLength = 0;
+    history.forEach((message, index) => {
+      if (message.role === 'user' && message.pageContextUsed) {
+        prefixLength = index + 1;
+      }
+    });
+    // History messages map one-to-one to the first request contents
+    const prefix = formattedRequest.contents.slice(0, prefixLength);
+    const prefixChars = prefix.reduce(
+      (total, content) =>
+        total +
+        content.parts.reduce((sum, part) => sum + (part.text?.length || 0), 0),
+      0
+    );
+    if (prefixChars < PROMPT_CACHE_MIN_CHARS) {
+      return null;
+    }
+
+    const systemInstruction = formattedRequest.systemInstruction;
+    const cacheKey = hashString(
+      JSON.stringify({ model: params.model, systemInstruction, prefix })
+    );
+
+    try {
+      const result = await chrome.storage.local.get(
+        STORAGE_KEYS.GEMINI_PROMPT_CACHES
+      );
+      const now = Date.now();
+      // Drop expired entries while we are here
+      const caches = Object.fromEntries(
+        Object.entries(result[STORAGE_KEYS.GEMINI_PROMPT_CACHES] || {}).filter(
+          ([, cache]) => new Date(cache.expireTime).getTime() > now
+        )
+      );
+
+      let cache = caches[cacheKey];
+      if (
+        !cache ||
+        new Date(cache.expireTime).getTime() - now <
+          PROMPT_CACHE_EXPIRY_MARGIN_MS
+      ) {
+        const response = await fetch(
+          `${this._getGeminiBaseUrl()}/v1beta/cachedContents?key=${encodeURIComponent(apiKey)}`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...this.config?.customHeaders,
+            },
+            body: JSON.stringify({
+              model: `models/${params.model}`,
+              contents: prefix,
+              ...(systemInstruction && { systemInstruction }),
+              ttl: `${PROMPT_CACHE_TTL_SECONDS}s`,
+            }),
+          }
+        );
+        if (!response.ok) {
+          const errorMessage = await extractApiErrorMessage(response);
+          this.logger.warn(
+            `[${this.platformId}] Could not create context cache (Status: ${response.status}): ${errorMessage}. Sending the request uncached.`
+          );
+          return null;
+        }
+        const created = await response.json();
+        cache = { name: created.name, expireTime: created.expireTime };
+        caches[cacheKey] = cache;
+        this.logger.info(
+          `[${this.platformId}] Created context cache ${cache.name} for ${prefixLength} message(s).`
+        );
+      }
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.GEMINI_PROMPT_CACHES]: caches,
+      });
+
+      formattedRequest.cachedContent = cache.name;
+      formattedRequest.contents = formattedRequest.contents.slice(prefixLength);
+      // The system instruction is part of the cache
+      delete formattedRequest.systemInstruction;
+      return cache.name;
+    } catch (error) {
+      this.logger.warn(
+        `[${this.platformId}] Context caching failed, sending the request uncached:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  _formatGeminiRequestWithHistory(history, currentPrompt, currentImages = []) {
     const contents = [];
     for (const message of history) {
       const messageRole = message.role === 'assistant' ? 'model' : 'user';
-      contents.push({ role: messageRole, parts: [{ text: message.content }] });
+      contents.push({
+        role: messageRole,
+        parts: this._buildGeminiParts(
+          message.content,
+          messageRole === 'user' ? message.images : null
+        ),
+      });
     }
-    contents.push({ role: 'user', parts: [{ text: currentPrompt }] });
+    contents.push({
+      role: 'user',
+      parts: this._buildGeminiParts(currentPrompt, currentImages),
+    });
     return { contents };
   }
 
+  /**
+   * Build the parts of a message, with images sent as inline data.
+   * @param {string} text - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {Array} Message parts
+   */
+  _buildGeminiParts(text, images) {
+    const imageParts = (images || []).map((image) => ({
+      inlineData: { mimeType: image.mimeType, data: image.data },
+    }));
+    return [{ text }, ...imageParts];
+  }
+
   async _buildValidationRequest(apiKey, model) {
     const endpoint = this._getGeminiEndpoint(model, ':generateContent');
     this.logger.info(
@@ -214,6 +445,30 @@ class GeminiApiService extends BaseApiService {
       body: JSON.stringify(validationPayload),
     };
   }
+
+  /**
+   * List the Gemini models that can generate content.
+   * @override
+   * @returns {Promise<Array<Object>>} Gemini models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials;
+    const url = new URL(this.config?.modelsEndpoint);
+    url.searchParams.append('pageSize', '1000');
+    url.searchParams.append('key', apiKey);
+    return this._fetchModelList(url.toString(), {}, (model) => {
+      const id = (model.name || '').replace(/^models\//, '');
+      return id.startsWith('gemini') &&
+        model.supportedGenerationMethods?.includes('generateContent')
+        ? {
+            id,
+            displayName: model.displayName || id,
+            contextWindow: model.inputTokenLimit,
+            maxOutput: model.outputTokenLimit,
+          }
+        : null;
+    });
+  }
 }
 
 export default GeminiApiService;
@@ -1,4 +1,12 @@
 import BaseApiService from '../api-base.js';
+import { normalizeOpenAIUsage } from '../utils/usage-utils.js';
+import {
+  toOpenAITools,
+  parseOpenAIToolCallDeltas,
+  buildOpenAIToolMessages,
+} from '../utils/tool-utils.js';
+import { toOpenAIResponseFormat } from '../utils/response-format-utils.js';
+import { getImageDataUrl } from '../../shared/utils/image-utils.js';
 
 /**
  * Grok API implementation
@@ -27,6 +35,7 @@ class GrokApiService extends BaseApiService {
     const requestPayload = {
       model: params.model,
       stream: true,
+      stream_options: { include_usage: true }, // Final chunk reports token usage
     };
 
     // Add reasoning_effort if provided in params (for supported Grok models)
@@ -51,13 +60,33 @@ class GrokApiService extends BaseApiService {
     }
     if (params.conversationHistory && params.conversationHistory.length > 0) {
       const transformedHistory = this._transformConversationHistory(
-        params.conversationHistory
+        params.conversationHistory,
+        params.promptCaching
       );
       messages.push(...this._formatGrokMessages(transformedHistory));
     }
-    messages.push({ role: 'user', content: prompt }); // Use the structured prompt
+    messages.push({
+      role: 'user',
+      content: this._buildGrokContent(prompt, params.images),
+    }); // Use the structured prompt
+    messages.push(...buildOpenAIToolMessages(params.toolExchanges));
     requestPayload.messages = messages;
 
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toOpenAITools(params.tools);
+    }
+    if (params.webSearch) {
+      requestPayload.search_parameters = {
+        mode: 'on',
+        return_citations: true,
+      };
+    }
+    if (params.outputSchema) {
+      requestPayload.response_format = toOpenAIResponseFormat(
+        params.outputSchema
+      );
+    }
+
     // Apply model parameters
     requestPayload[params.tokenParameter || 'max_tokens'] = params.maxTokens;
     if ('temperature' in params) {
@@ -67,6 +96,17 @@ class GrokApiService extends BaseApiService {
       requestPayload.top_p = params.topP;
     }
 
+    if (params.stopSequences) {
+      requestPayload.stop = params.stopSequences;
+    }
+    if ('seed' in params) {
+      requestPayload.seed = params.seed;
+    }
+    if ('presencePenalty' in params) {
+      requestPayload.presence_penalty = params.presencePenalty;
+      requestPayload.frequency_penalty = params.frequencyPenalty;
+    }
+
     return {
       url: endpoint,
       method: 'POST',
@@ -84,7 +124,7 @@ class GrokApiService extends BaseApiService {
    * @override
    * @protected
    * @param {string} line - A single line string from the stream.
-   * @returns {Object} Parsed result: { type: 'content' | 'done' | 'ignore' | 'error', chunk?: string, error?: string }.
+   * @returns {Object} Parsed result: { type: 'content' | 'done' | 'ignore' | 'error', chunk?: string, error?: string, citations?: Array }.
    */
   _parseStreamChunk(line) {
     if (!line) {
@@ -111,6 +151,34 @@ class GrokApiService extends BaseApiService {
           return { type: 'content', chunk: content };
         }
 
+        // Grok sends each tool call whole in a single chunk
+        const toolCalls = parseOpenAIToolCallDeltas(
+          data.choices?.[0]?.delta?.tool_calls
+        );
+        if (toolCalls) {
+          return { type: 'ignore', toolCalls };
+        }
+
+        // Live Search sends the URLs it used with the last chunk
+        const citations = Array.isArray(data.citations)
+          ? data.citations
+              .filter((url) => typeof url === 'string' && url)
+              .map((url) => ({ url, title: null }))
+          : [];
+        if (citations.length > 0) {
+          return data.usage
+            ? {
+                type: 'usage',
+                usage: normalizeOpenAIUsage(data.usage),
+                citations,
+              }
+            : { type: 'ignore', citations };
+        }
+
+        if (data.usage) {
+          return { type: 'usage', usage: normalizeOpenAIUsage(data.usage) };
+        }
+
         // Ignore chunks without relevant content (like finish_reason markers)
         if (data.choices?.[0]?.finish_reason) {
           this.logger.info(
@@ -149,10 +217,32 @@ class GrokApiService extends BaseApiService {
 
       return {
         role,
-        content: msg.content,
+        content:
+          role === 'user'
+            ? this._buildGrokContent(msg.content, msg.images)
+            : msg.content,
       };
     });
   }
+  /**
+   * Build the content of a user message: a plain string, or text and image
+   * parts when images are attached.
+   * @param {string} text - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {string|Array} Message content for Grok API
+   */
+  _buildGrokContent(text, images) {
+    if (!images || images.length === 0) {
+      return text;
+    }
+    return [
+      { type: 'text', text },
+      ...images.map((image) => ({
+        type: 'image_url',
+        image_url: { url: getImageDataUrl(image) },
+      })),
+    ];
+  }
 
   /**
    * Build the platform-specific API request options for validation.
@@ -181,6 +271,23 @@ class GrokApiService extends BaseApiService {
       body: JSON.stringify(validationPayload),
     };
   }
+
+  /**
+   * List the language models available to the API key.
+   * @override
+   * @returns {Promise<Array<Object>>} Language models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials;
+    return this._fetchModelList(
+      this.config?.modelsEndpoint,
+      { Authorization: `Bearer ${apiKey}` },
+      (model) =>
+        model.id.includes('image')
+          ? null
+          : { id: model.id, displayName: model.id }
+    );
+  }
 }
 
 export default GrokApiService;
@@ -1,4 +1,12 @@
 import BaseApiService from '../api-base.js';
+import { normalizeOpenAIUsage } from '../utils/usage-utils.js';
+import {
+  toOpenAITools,
+  parseOpenAIToolCallDeltas,
+  buildOpenAIToolMessages,
+} from '../utils/tool-utils.js';
+import { toOpenAIResponseFormat } from '../utils/response-format-utils.js';
+import { getImageDataUrl } from '../../shared/utils/image-utils.js';
 
 /**
  * Mistral API implementation
@@ -38,13 +46,31 @@ class MistralApiService extends BaseApiService {
     }
     if (params.conversationHistory && params.conversationHistory.length > 0) {
       const transformedHistory = this._transformConversationHistory(
-        params.conversationHistory
+        params.conversationHistory,
+        params.promptCaching
       );
       messages.push(...this._formatMistralMessages(transformedHistory));
     }
-    messages.push({ role: 'user', content: prompt }); // Use the structured prompt
+    messages.push({
+      role: 'user',
+      content: this._buildMistralContent(prompt, params.images),
+    }); // Use the structured prompt
+    messages.push(
+      ...buildOpenAIToolMessages(params.toolExchanges, {
+        includeToolName: true,
+      })
+    );
     requestPayload.messages = messages;
 
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toOpenAITools(params.tools);
+    }
+    if (params.outputSchema) {
+      requestPayload.response_format = toOpenAIResponseFormat(
+        params.outputSchema
+      );
+    }
+
     // Apply model parameters
     requestPayload[params.tokenParameter || 'max_tokens'] = params.maxTokens;
     if ('temperature' in params) {
@@ -54,6 +80,17 @@ class MistralApiService extends BaseApiService {
       requestPayload.top_p = params.topP;
     }
 
+    if (params.stopSequences) {
+      requestPayload.stop = params.stopSequences;
+    }
+    if ('seed' in params) {
+      requestPayload.random_seed = params.seed;
+    }
+    if ('presencePenalty' in params) {
+      requestPayload.presence_penalty = params.presencePenalty;
+      requestPayload.frequency_penalty = params.frequencyPenalty;
+    }
+
     return {
       url: endpoint,
       method: 'POST',
@@ -87,9 +124,22 @@ class MistralApiService extends BaseApiService {
       try {
         const data = JSON.parse(line.substring(6));
         const content = data.choices?.[0]?.delta?.content;
+        // Mistral reports usage on the last chunk, which may also carry content
+        const usage = normalizeOpenAIUsage(data.usage);
+        const toolCalls = parseOpenAIToolCallDeltas(
+          data.choices?.[0]?.delta?.tool_calls
+        );
 
         if (content) {
-          return { type: 'content', chunk: content };
+          return usage
+            ? { type: 'content', chunk: content, usage }
+            : { type: 'content', chunk: content };
+        } else if (toolCalls) {
+          return usage
+            ? { type: 'ignore', toolCalls, usage }
+            : { type: 'ignore', toolCalls };
+        } else if (usage) {
+          return { type: 'usage', usage };
         } else {
           // Ignore chunks without content (like finish_reason markers)
           if (data.choices?.[0]?.finish_reason) {
@@ -130,10 +180,32 @@ class MistralApiService extends BaseApiService {
 
       return {
         role,
-        content: msg.content,
+        content:
+          role === 'user'
+            ? this._buildMistralContent(msg.content, msg.images)
+            : msg.content,
       };
     });
   }
+  /**
+   * Build the content of a user message: a plain string, or text and image
+   * parts when images are attached.
+   * @param {string} text - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {string|Array} Message content for Mistral API
+   */
+  _buildMistralContent(text, images) {
+    if (!images || images.length === 0) {
+      return text;
+    }
+    return [
+      { type: 'text', text },
+      ...images.map((image) => ({
+        type: 'image_url',
+        image_url: getImageDataUrl(image),
+      })),
+    ];
+  }
 
   /**
    * Build the platform-specific API request options for validation.
@@ -162,6 +234,29 @@ class MistralApiService extends BaseApiService {
       body: JSON.stringify(validationPayload),
     };
   }
+
+  /**
+   * List the chat models available to the API key.
+   * @override
+   * @returns {Promise<Array<Object>>} Chat models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials;
+    return this._fetchModelList(
+      this.config?.modelsEndpoint,
+      { Authorization: `Bearer ${apiKey}` },
+      (model) =>
+        model.capabilities?.completion_chat === false
+          ? null
+          : {
+              id: model.id,
+              displayName: model.name || model.id,
+              contextWindow: model.max_context_length,
+              supportsVision: model.capabilities?.vision === true,
+              supportsTools: model.capabilities?.function_calling === true,
+            }
+    );
+  }
 }
 
 export default MistralApiService;
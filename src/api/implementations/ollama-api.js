@@ -0,0 +1,266 @@
+import BaseApiService from '../api-base.js';
+import { extractApiErrorMessage } from '../utils/error-utils.js';
+import { toOpenAITools, buildOllamaToolMessages } from '../utils/tool-utils.js';
+
+/**
+ * Ollama native API implementation (/api/chat).
+ * Ollama streams newline-delimited JSON (NDJSON): every line is a complete JSON
+ * object, without the SSE `data:` framing used by the other platforms.
+ */
+class OllamaApiService extends BaseApiService {
+  constructor(platformId) {
+    super(platformId);
+  }
+
+  /**
+   * Ollama servers do not require authentication by default.
+   * @override
+   * @protected
+   * @returns {boolean} False, the API key is optional.
+   */
+  _requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Build the request headers. A key is only sent when set, e.g. for an Ollama
+   * instance behind an authenticating reverse proxy.
+   * @private
+   * @param {string} apiKey - The (optional) API key.
+   * @returns {Object} Request headers.
+   */
+  _buildHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the API request options for Ollama's /api/chat endpoint.
+   * @override
+   * @protected
+   * @param {string} prompt - The final structured prompt.
+   * @param {Object} params - Resolved model parameters (model, temp, history, etc.).
+   * @param {string} apiKey - The (optional) API key.
+   * @returns {Promise<Object>} Fetch options { url, method, headers, body }.
+   */
+  async _buildApiRequest(prompt, params, apiKey) {
+    if (!this.config?.endpoint) {
+      throw new Error(`No base URL configured for ${this.platformId}`);
+    }
+    this.logger.info(
+      `[${this.platformId}] Building API request for model: ${params.model}`
+    );
+
+    const messages = [];
+    if (params.systemPrompt) {
+      messages.push({ role: 'system', content: params.systemPrompt });
+    }
+    if (params.conversationHistory && params.conversationHistory.length > 0) {
+      const transformedHistory = this._transformConversationHistory(
+        params.conversationHistory,
+        params.promptCaching
+      );
+      messages.push(...this._formatOllamaMessages(transformedHistory));
+    }
+    messages.push(this._buildOllamaMessage('user', prompt, params.images));
+    messages.push(...buildOllamaToolMessages(params.toolExchanges));
+
+    // Sampling parameters go in the 'options' object for Ollama
+    const options = {
+      [params.tokenParameter || 'num_predict']: params.maxTokens,
+    };
+    if ('temperature' in params) {
+      options.temperature = params.temperature;
+    }
+    if ('topP' in params) {
+      options.top_p = params.topP;
+    }
+
+    if (params.stopSequences) {
+      options.stop = params.stopSequences;
+    }
+    if ('seed' in params) {
+      options.seed = params.seed;
+    }
+    if ('presencePenalty' in params) {
+      options.presence_penalty = params.presencePenalty;
+      options.frequency_penalty = params.frequencyPenalty;
+    }
+
+    const requestPayload = {
+      model: params.model,
+      messages,
+      stream: true,
+      options,
+    };
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toOpenAITools(params.tools);
+    }
+    if (params.outputSchema) {
+      requestPayload.format = params.outputSchema; // Ollama accepts a JSON schema as-is
+    }
+
+    return {
+      url: this.config.endpoint,
+      method: 'POST',
+      headers: this._buildHeaders(apiKey),
+      body: JSON.stringify(requestPayload),
+    };
+  }
+
+  /**
+   * Parse a single NDJSON line from the Ollama stream.
+   * A line may carry reasoning, content and tool calls at once, so each gives
+   * its own result. The final line (`done: true`) carries the token counts of
+   * the request.
+   * @override
+   * @protected
+   * @param {string} line - A single JSON line from the stream.
+   * @returns {Array<Object>|Object} Parsed results, in stream order, or an error: { type: 'content' | 'thinking' | 'usage' | 'ignore' | 'error', chunk?: string, usage?: Object, toolCalls?: Array }.
+   */
+  _parseStreamChunk(line) {
+    if (!line) {
+      return { type: 'ignore' };
+    }
+
+    try {
+      const data = JSON.parse(line);
+
+      if (data.error) {
+        return { type: 'error', error: data.error };
+      }
+
+      const results = [];
+      // Reasoning models (e.g., deepseek-r1, qwen3) stream their reasoning separately
+      if (data.message?.thinking) {
+        results.push({ type: 'thinking', chunk: data.message.thinking });
+      }
+      if (data.message?.content) {
+        results.push({ type: 'content', chunk: data.message.content });
+      }
+      // Tool calls arrive whole, with arguments already parsed
+      if (Array.isArray(data.message?.tool_calls)) {
+        results.push({
+          type: 'ignore',
+          toolCalls: data.message.tool_calls.map((toolCall) => ({
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments || {},
+          })),
+        });
+      }
+      if (data.done) {
+        results.push({
+          type: 'usage',
+          usage: {
+            inputTokens: data.prompt_eval_count,
+            outputTokens: data.eval_count,
+          },
+        });
+      }
+      return results;
+    } catch (e) {
+      this.logger.error(
+        `[${this.platformId}] Error parsing stream chunk:`,
+        e,
+        'Line:',
+        line
+      );
+      return {
+        type: 'error',
+        error: `Error parsing stream data: ${e.message}`,
+      };
+    }
+  }
+
+  /**
+   * Format conversation history for the Ollama API
+   * @param {Array} history - Conversation history array
+   * @returns {Array} Formatted messages for the Ollama API
+   */
+  _formatOllamaMessages(history) {
+    return history.map((msg) => {
+      let role = 'user';
+      if (msg.role === 'assistant') role = 'assistant';
+      else if (msg.role === 'system') role = 'system';
+
+      return this._buildOllamaMessage(
+        role,
+        msg.content,
+        role === 'user' ? msg.images : null
+      );
+    });
+  }
+
+  /**
+   * Build a message. Ollama takes images as a list of raw base64 strings.
+   * @param {string} role - Message role
+   * @param {string} content - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {Object} Message for the Ollama API
+   */
+  _buildOllamaMessage(role, content, images) {
+    const message = { role, content };
+    if (images && images.length > 0) {
+      message.images = images.map((image) => image.data);
+    }
+    return message;
+  }
+
+  /**
+   * Validation does not need a model: installed models may not be known yet.
+   * @override
+   * @protected
+   * @param {string} apiKey - The (optional) API key.
+   * @returns {Promise<boolean>} Whether the server is reachable.
+   */
+  async _validateApiKey(apiKey) {
+    return this._validateWithModel(apiKey, this.config?.defaultModel || null);
+  }
+
+  /**
+   * Build the validation request. Lists installed models, which checks that the
+   * server is reachable without loading a model into memory.
+   * @override
+   * @protected
+   * @param {string} apiKey - The (optional) API key.
+   * @param {string} _model - Unused.
+   * @returns {Promise<Object>} Fetch options { url, method, headers }.
+   */
+  async _buildValidationRequest(apiKey, _model) {
+    if (!this.config?.baseUrl) {
+      throw new Error(`No base URL configured for ${this.platformId}`);
+    }
+    return {
+      url: `${this.config.baseUrl}/api/tags`,
+      method: 'GET',
+      headers: this._buildHeaders(apiKey),
+    };
+  }
+
+  /**
+   * List the models installed on the Ollama server via /api/tags.
+   * @override
+   * @returns {Promise<Array<{id: string, displayName: string}>>} Installed models.
+   */
+  async fetchAvailableModels() {
+    const { apiKey } = this.credentials || {};
+    const response = await fetch(`${this.config.baseUrl}/api/tags`, {
+      method: 'GET',
+      headers: this._buildHeaders(apiKey),
+    });
+    if (!response.ok) {
+      const errorMessage = await extractApiErrorMessage(response);
+      throw new Error(`Failed to list Ollama models: ${errorMessage}`);
+    }
+    const data = await response.json();
+    return (data.models || []).map((model) => ({
+      id: model.model || model.name,
+      displayName: model.name || model.model,
+    }));
+  }
+}
+
+export default OllamaApiService;
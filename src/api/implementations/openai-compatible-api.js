@@ -0,0 +1,243 @@
+import BaseApiService from '../api-base.js';
+import { normalizeOpenAIUsage } from '../utils/usage-utils.js';
+import {
+  toOpenAITools,
+  parseOpenAIToolCallDeltas,
+  buildOpenAIToolMessages,
+} from '../utils/tool-utils.js';
+import { toOpenAIResponseFormat } from '../utils/response-format-utils.js';
+import { getImageDataUrl } from '../../shared/utils/image-utils.js';
+
+/**
+ * Generic implementation for user-defined OpenAI-compatible providers
+ * (e.g., LM Studio, vLLM, llama.cpp server, OpenRouter).
+ */
+class OpenAICompatibleApiService extends BaseApiService {
+  constructor(platformId) {
+    super(platformId);
+  }
+
+  /**
+   * Custom providers may run locally without authentication.
+   * @override
+   * @protected
+   * @returns {boolean} False, the API key is optional.
+   */
+  _requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Build the request headers, adding the Authorization header only when a key is set.
+   * @private
+   * @param {string} apiKey - The (optional) API key.
+   * @returns {Object} Request headers.
+   */
+  _buildHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the API request options for an OpenAI-compatible chat completions endpoint.
+   * @override
+   * @protected
+   * @param {string} prompt - The final structured prompt.
+   * @param {Object} params - Resolved model parameters (model, temp, history, etc.).
+   * @param {string} apiKey - The (optional) API key.
+   * @returns {Promise<Object>} Fetch options { url, method, headers, body }.
+   */
+  async _buildApiRequest(prompt, params, apiKey) {
+    if (!this.config?.endpoint) {
+      throw new Error(`No base URL configured for ${this.platformId}`);
+    }
+    this.logger.info(
+      `[${this.platformId}] Building API request for model: ${params.model}`
+    );
+
+    const requestPayload = {
+      model: params.model,
+      stream: true,
+    };
+
+    const messages = [];
+    if (params.systemPrompt) {
+      messages.push({ role: 'system', content: params.systemPrompt });
+    }
+    if (params.conversationHistory && params.conversationHistory.length > 0) {
+      const transformedHistory = this._transformConversationHistory(
+        params.conversationHistory,
+        params.promptCaching
+      );
+      messages.push(...this._formatOpenAIMessages(transformedHistory));
+    }
+    messages.push({
+      role: 'user',
+      content: this._buildOpenAIContent(prompt, params.images),
+    });
+    messages.push(...buildOpenAIToolMessages(params.toolExchanges));
+    requestPayload.messages = messages;
+
+    if (params.tools?.length > 0) {
+      requestPayload.tools = toOpenAITools(params.tools);
+    }
+    if (params.outputSchema) {
+      requestPayload.response_format = toOpenAIResponseFormat(
+        params.outputSchema
+      );
+    }
+
+    requestPayload[params.tokenParameter || 'max_tokens'] = params.maxTokens;
+
+    // Parameters are only present when the model supports them and the user enabled them
+    if ('temperature' in params) {
+      requestPayload.temperature = params.temperature;
+    }
+    if ('topP' in params) {
+      requestPayload.top_p = params.topP;
+    }
+
+    if (params.stopSequences) {
+      requestPayload.stop = params.stopSequences;
+    }
+    if ('seed' in params) {
+      requestPayload.seed = params.seed;
+    }
+    if ('presencePenalty' in params) {
+      requestPayload.presence_penalty = params.presencePenalty;
+      requestPayload.frequency_penalty = params.frequencyPenalty;
+    }
+
+    return {
+      url: this.config.endpoint,
+      method: 'POST',
+      headers: this._buildHeaders(apiKey),
+      body: JSON.stringify(requestPayload),
+    };
+  }
+
+  /**
+   * Parse a single line/chunk from an OpenAI-compatible SSE stream.
+   * @override
+   * @protected
+   * @param {string} line - A single line string from the stream.
+   * @returns {Object} Parsed result: { type: 'content' | 'thinking' | 'usage' | 'done' | 'ignore' | 'error', chunk?: string, usage?: Object }.
+   */
+  _parseStreamChunk(line) {
+    if (!line) {
+      return { type: 'ignore' };
+    }
+
+    if (line === 'data: [DONE]') {
+      return { type: 'done' };
+    }
+
+    if (line.startsWith('data:')) {
+      try {
+        const data = JSON.parse(line.substring(5).trim());
+        if (data.error) {
+          return {
+            type: 'error',
+            error: data.error.message || JSON.stringify(data.error),
+          };
+        }
+        const delta = data.choices?.[0]?.delta;
+        // Several servers (e.g., vLLM, llama.cpp) expose reasoning as a separate field
+        const reasoning = delta?.reasoning_content || delta?.reasoning;
+        if (reasoning) {
+          return { type: 'thinking', chunk: reasoning };
+        }
+        if (delta?.content) {
+          return { type: 'content', chunk: delta.content };
+        }
+        const toolCalls = parseOpenAIToolCallDeltas(delta?.tool_calls);
+        if (toolCalls) {
+          return { type: 'ignore', toolCalls };
+        }
+        // Not all servers report usage while streaming; estimates are used otherwise
+        if (data.usage) {
+          return { type: 'usage', usage: normalizeOpenAIUsage(data.usage) };
+        }
+        return { type: 'ignore' };
+      } catch (e) {
+        this.logger.error(
+          `[${this.platformId}] Error parsing stream chunk:`,
+          e,
+          'Line:',
+          line
+        );
+        return {
+          type: 'error',
+          error: `Error parsing stream data: ${e.message}`,
+        };
+      }
+    }
+
+    return { type: 'ignore' };
+  }
+
+  /**
+   * Format conversation history for OpenAI-compatible APIs
+   * @param {Array} history - Conversation history array
+   * @returns {Array} Formatted messages
+   */
+  _formatOpenAIMessages(history) {
+    return history.map((msg) => {
+      let role = 'user';
+      if (msg.role === 'assistant') role = 'assistant';
+      else if (msg.role === 'system') role = 'system';
+
+      return {
+        role,
+        content:
+          role === 'user'
+            ? this._buildOpenAIContent(msg.content, msg.images)
+            : msg.content,
+      };
+    });
+  }
+  /**
+   * Build the content of a user message: a plain string, or text and image
+   * parts when images are attached.
+   * @param {string} text - Message text
+   * @param {Array<Object>} [images] - Image attachments
+   * @returns {string|Array} Message content for OpenAI-compatible APIs
+   */
+  _buildOpenAIContent(text, images) {
+    if (!images || images.length === 0) {
+      return text;
+    }
+    return [
+      { type: 'text', text },
+      ...images.map((image) => ({
+        type: 'image_url',
+        image_url: { url: getImageDataUrl(image) },
+      })),
+    ];
+  }
+
+  /**
+   * Build the validation request. Lists the provider's models, which checks both
+   * reachability of the base URL and the key (if any) without consuming tokens.
+   * @override
+   * @protected
+   * @param {string} apiKey - The (optional) API key to validate.
+   * @param {string} _model - Unused.
+   * @returns {Promise<Object>} Fetch options { url, method, headers }.
+   */
+  async _buildValidationRequest(apiKey, _model) {
+    if (!this.config?.baseUrl) {
+      throw new Error(`No base URL configured for ${this.platformId}`);
+    }
+    return {
+      url: `${this.config.baseUrl}/models`,
+      method: 'GET',
+      headers: this._buildHeaders(apiKey),
+    };
+  }
+}
+
+export default OpenAICompatibleApiService;
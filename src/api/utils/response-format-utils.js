@@ -0,0 +1,110 @@
+// src/api/utils/response-format-utils.js
+/**
+ * A prompt's output schema is a JSON Schema object whose root has
+ * "type": "object". The helpers below translate it into each provider's
+ * structured output request fields. The model's answer is streamed as JSON
+ * text in every case, so the rest of the pipeline is unchanged.
+ */
+
+/** Name given to the schema (OpenAI) and to the forced tool (Claude). */
+export const STRUCTURED_OUTPUT_NAME = 'structured_output';
+
+/**
+ * Builds the OpenAI `response_format` field (also used by Grok, Mistral and
+ * OpenAI-compatible servers). Strict mode is off because it only accepts
+ * schemas where every property is required; results are validated by the UI.
+ * @param {Object} schema - Output schema.
+ * @returns {Object} The `response_format` request field.
+ */
+export function toOpenAIResponseFormat(schema) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: STRUCTURED_OUTPUT_NAME,
+      schema,
+      strict: false,
+    },
+  };
+}
+
+/**
+ * Builds the tool Claude is forced to call: its input is the structured answer.
+ * @param {Object} schema - Output schema.
+ * @returns {Object} A Claude tool definition.
+ */
+export function toClaudeStructuredOutputTool(schema) {
+  return {
+    name: STRUCTURED_OUTPUT_NAME,
+    description:
+      'Returns the final answer. Always call this tool with the complete answer as its input.',
+    input_schema: schema,
+  };
+}
+
+// Keywords of the OpenAPI schema subset accepted by Gemini's responseSchema
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type',
+  'format',
+  'title',
+  'description',
+  'nullable',
+  'enum',
+  'items',
+  'minItems',
+  'maxItems',
+  'properties',
+  'required',
+  'minProperties',
+  'maxProperties',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'anyOf',
+  'propertyOrdering',
+]);
+
+/**
+ * Converts an output schema to Gemini's `responseSchema`. Unsupported keywords
+ * (e.g. additionalProperties, $schema) are dropped, and `"type": [T, "null"]`
+ * becomes `"type": T, "nullable": true`.
+ * @param {Object} schema - Output schema.
+ * @returns {Object} The `generationConfig.responseSchema` field.
+ */
+export function toGeminiResponseSchema(schema) {
+  if (typeof schema !== 'object' || schema === null) return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'type' && Array.isArray(value)) {
+      const types = value.filter((type) => type !== 'null');
+      result.type = types[0];
+      if (types.length < value.length) result.nullable = true;
+    } else if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [
+          name,
+          toGeminiResponseSchema(propertySchema),
+        ])
+      );
+    } else if (key === 'items') {
+      result.items = toGeminiResponseSchema(value);
+    } else if (key === 'anyOf') {
+      result.anyOf = value.map(toGeminiResponseSchema);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Instruction appended to the system prompt for providers that only offer a
+ * plain JSON mode, so the model still knows the expected shape.
+ * @param {Object} schema - Output schema.
+ * @returns {string} The instruction.
+ */
+export function getStructuredOutputInstruction(schema) {
+  return `Respond only with a JSON object that matches this JSON Schema, without any other text:\n${JSON.stringify(schema)}`;
+}
@@ -0,0 +1,103 @@
+// src/api/utils/retry-utils.js
+import {
+  RETRYABLE_HTTP_STATUS_CODES,
+  DEFAULT_API_RETRY_SETTINGS,
+  MIN_API_RETRY_ATTEMPTS,
+  MAX_API_RETRY_ATTEMPTS,
+} from '../../shared/constants';
+
+/**
+ * Checks whether an HTTP status indicates a rate limit or transient server error.
+ * @param {number} status - The HTTP status code.
+ * @returns {boolean} True if the request may succeed when retried.
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_HTTP_STATUS_CODES.includes(status);
+}
+
+/**
+ * Merges stored retry settings with the defaults and clamps them to valid ranges.
+ * @param {Object|null|undefined} settings - The stored retry settings.
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}} The normalized settings.
+ */
+export function normalizeRetrySettings(settings) {
+  const merged = { ...DEFAULT_API_RETRY_SETTINGS, ...(settings || {}) };
+  const maxAttempts = Math.min(
+    MAX_API_RETRY_ATTEMPTS,
+    Math.max(MIN_API_RETRY_ATTEMPTS, Math.floor(Number(merged.maxAttempts)))
+  );
+  return {
+    maxAttempts: Number.isFinite(maxAttempts)
+      ? maxAttempts
+      : DEFAULT_API_RETRY_SETTINGS.maxAttempts,
+    baseDelayMs: Math.max(0, Number(merged.baseDelayMs) || 0),
+    maxDelayMs: Math.max(0, Number(merged.maxDelayMs) || 0),
+  };
+}
+
+/**
+ * Parses a Retry-After header, which is either a number of seconds or an HTTP date.
+ * @param {string|null} headerValue - The raw header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+export function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Computes the delay before the next attempt: the server's Retry-After when given,
+ * otherwise exponential backoff with jitter. Both are capped at maxDelayMs.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {Object} settings - Normalized retry settings.
+ * @param {number|null} [retryAfterMs=null] - Delay requested by the server.
+ * @returns {number} The delay in milliseconds.
+ */
+export function computeRetryDelay(attempt, settings, retryAfterMs = null) {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, settings.maxDelayMs);
+  }
+  const exponentialDelay = Math.min(
+    settings.maxDelayMs,
+    settings.baseDelayMs * 2 ** (attempt - 1)
+  );
+  // Randomize the upper half of the delay so concurrent requests do not retry in lockstep
+  return Math.round(
+    exponentialDelay / 2 + Math.random() * (exponentialDelay / 2)
+  );
+}
+
+/**
+ * Waits for the given delay, rejecting with an AbortError as soon as the signal aborts.
+ * @param {number} delayMs - The delay in milliseconds.
+ * @param {AbortSignal} [abortSignal] - Signal that cancels the wait.
+ * @returns {Promise<void>}
+ */
+export function waitForRetry(delayMs, abortSignal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('Retry cancelled', 'AbortError');
+    if (abortSignal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    };
+    const timeoutId = setTimeout(() => {
+      abortSignal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+    abortSignal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
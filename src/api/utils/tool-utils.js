@@ -0,0 +1,230 @@
+// src/api/utils/tool-utils.js
+/**
+ * Tools are described once, provider-neutrally, as
+ * { name, description, parameters } where `parameters` is a JSON schema object.
+ *
+ * A completed tool-calling round is passed back to the provider as a
+ * "tool exchange":
+ * {
+ *   content,    // Text the model produced before calling tools
+ *   thinking,   // Optional { text, signature } reasoning block (Claude)
+ *   toolCalls,  // [{ id, name, arguments, thoughtSignature? }]
+ *   results,    // [{ toolCallId, name, content, isError }]
+ * }
+ * The helpers below translate both into each provider's wire format.
+ */
+
+/**
+ * Converts tool definitions to the OpenAI `tools` format (also used by Grok,
+ * DeepSeek, Mistral, Ollama and OpenAI-compatible servers).
+ * @param {Array<Object>} tools - Tool definitions.
+ * @returns {Array<Object>} The `tools` request field.
+ */
+export function toOpenAITools(tools) {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  }));
+}
+
+/**
+ * Normalizes the `delta.tool_calls` array of an OpenAI-style stream chunk.
+ * Arguments arrive as JSON string fragments keyed by the call's index.
+ * @param {Array<Object>|undefined} deltaToolCalls - The `delta.tool_calls` field.
+ * @returns {Array<Object>|null} Tool call deltas, or null if absent.
+ */
+export function parseOpenAIToolCallDeltas(deltaToolCalls) {
+  if (!Array.isArray(deltaToolCalls) || deltaToolCalls.length === 0) {
+    return null;
+  }
+  return deltaToolCalls.map((toolCall, position) => ({
+    index: typeof toolCall.index === 'number' ? toolCall.index : position,
+    id: toolCall.id,
+    name: toolCall.function?.name,
+    argumentsDelta: toolCall.function?.arguments,
+  }));
+}
+
+/**
+ * Builds the OpenAI-style messages replaying tool exchanges: an assistant
+ * message with `tool_calls`, followed by one `tool` message per result.
+ * @param {Array<Object>} toolExchanges - Completed tool exchanges.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeToolName=false] - Adds `name` to tool messages (Mistral).
+ * @returns {Array<Object>} Messages to append after the current user message.
+ */
+export function buildOpenAIToolMessages(
+  toolExchanges,
+  { includeToolName = false } = {}
+) {
+  const messages = [];
+  for (const exchange of toolExchanges || []) {
+    messages.push({
+      role: 'assistant',
+      content: exchange.content || '',
+      tool_calls: exchange.toolCalls.map((toolCall) => ({
+        id: toolCall.id,
+        type: 'function',
+        function: {
+          name: toolCall.name,
+          arguments: JSON.stringify(toolCall.arguments || {}),
+        },
+      })),
+    });
+    for (const result of exchange.results) {
+      messages.push({
+        role: 'tool',
+        tool_call_id: result.toolCallId,
+        ...(includeToolName && { name: result.name }),
+        content: result.content,
+      });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Converts tool definitions to Claude's `tools` format.
+ * @param {Array<Object>} tools - Tool definitions.
+ * @returns {Array<Object>} The `tools` request field.
+ */
+export function toClaudeTools(tools) {
+  return tools.map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters,
+  }));
+}
+
+/**
+ * Builds the Claude messages replaying tool exchanges: an assistant turn with
+ * `tool_use` blocks and a user turn with the matching `tool_result` blocks.
+ * When extended thinking is on, Claude requires the thinking block that
+ * preceded the tool calls to be sent back unchanged.
+ * @param {Array<Object>} toolExchanges - Completed tool exchanges.
+ * @returns {Array<Object>} Messages to append after the current user message.
+ */
+export function buildClaudeToolMessages(toolExchanges) {
+  const messages = [];
+  for (const exchange of toolExchanges || []) {
+    const assistantContent = [];
+    if (exchange.thinking?.signature) {
+      assistantContent.push({
+        type: 'thinking',
+        thinking: exchange.thinking.text || '',
+        signature: exchange.thinking.signature,
+      });
+    }
+    if (exchange.content) {
+      assistantContent.push({ type: 'text', text: exchange.content });
+    }
+    for (const toolCall of exchange.toolCalls) {
+      assistantContent.push({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.name,
+        input: toolCall.arguments || {},
+      });
+    }
+    messages.push({ role: 'assistant', content: assistantContent });
+    messages.push({
+      role: 'user',
+      content: exchange.results.map((result) => ({
+        type: 'tool_result',
+        tool_use_id: result.toolCallId,
+        content: result.content,
+        ...(result.isError && { is_error: true }),
+      })),
+    });
+  }
+  return messages;
+}
+
+/**
+ * Converts tool definitions to Gemini's `tools` format. Gemini rejects
+ * parameter schemas without properties, so those are omitted.
+ * @param {Array<Object>} tools - Tool definitions.
+ * @returns {Array<Object>} The `tools` request field.
+ */
+export function toGeminiTools(tools) {
+  return [
+    {
+      functionDeclarations: tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        ...(Object.keys(tool.parameters?.properties || {}).length > 0 && {
+          parameters: tool.parameters,
+        }),
+      })),
+    },
+  ];
+}
+
+/**
+ * Builds the Gemini contents replaying tool exchanges: a model turn with
+ * `functionCall` parts and a user turn with the matching `functionResponse`
+ * parts. Thought signatures are returned on the part they arrived with.
+ * @param {Array<Object>} toolExchanges - Completed tool exchanges.
+ * @returns {Array<Object>} Contents to append after the current user turn.
+ */
+export function buildGeminiToolContents(toolExchanges) {
+  const contents = [];
+  for (const exchange of toolExchanges || []) {
+    const modelParts = [];
+    if (exchange.content) {
+      modelParts.push({ text: exchange.content });
+    }
+    for (const toolCall of exchange.toolCalls) {
+      modelParts.push({
+        functionCall: { name: toolCall.name, args: toolCall.arguments || {} },
+        ...(toolCall.thoughtSignature && {
+          thoughtSignature: toolCall.thoughtSignature,
+        }),
+      });
+    }
+    contents.push({ role: 'model', parts: modelParts });
+    contents.push({
+      role: 'user',
+      parts: exchange.results.map((result) => ({
+        functionResponse: {
+          name: result.name,
+          response: result.isError
+            ? { error: result.content }
+            : { result: result.content },
+        },
+      })),
+    });
+  }
+  return contents;
+}
+
+/**
+ * Builds the Ollama messages replaying tool exchanges. Ollama passes arguments
+ * as objects and matches results by tool name rather than by call ID.
+ * @param {Array<Object>} toolExchanges - Completed tool exchanges.
+ * @returns {Array<Object>} Messages to append after the current user message.
+ */
+export function buildOllamaToolMessages(toolExchanges) {
+  const messages = [];
+  for (const exchange of toolExchanges || []) {
+    messages.push({
+      role: 'assistant',
+      content: exchange.content || '',
+      tool_calls: exchange.toolCalls.map((toolCall) => ({
+        function: { name: toolCall.name, arguments: toolCall.arguments || {} },
+      })),
+    });
+    for (const result of exchange.results) {
+      messages.push({
+        role: 'tool',
+        tool_name: result.name,
+        content: result.content,
+      });
+    }
+  }
+  return messages;
+}
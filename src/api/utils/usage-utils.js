@@ -0,0 +1,89 @@
+// src/api/utils/usage-utils.js
+/**
+ * Token usage reported by providers is normalized to one shape:
+ * {
+ *   inputTokens,        // All prompt tokens, including cached ones
+ *   outputTokens,       // All generated tokens, including thinking tokens
+ *   thinkingTokens,     // Part of outputTokens spent on reasoning
+ *   cachedInputTokens,  // Part of inputTokens served from the provider's cache
+ *   cacheWriteInputTokens, // Part of inputTokens written to the cache (Claude)
+ * }
+ * Fields a provider does not report are left undefined.
+ */
+
+/**
+ * Normalizes an OpenAI-style `usage` object (OpenAI, Grok, DeepSeek, Mistral and
+ * most OpenAI-compatible servers).
+ * @param {Object|null|undefined} usage - The `usage` field of a stream chunk.
+ * @returns {Object|null} The normalized usage, or null if absent.
+ */
+export function normalizeOpenAIUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  return {
+    inputTokens: usage.prompt_tokens,
+    outputTokens: usage.completion_tokens,
+    thinkingTokens: usage.completion_tokens_details?.reasoning_tokens,
+    // DeepSeek reports cache hits in its own field
+    cachedInputTokens:
+      usage.prompt_tokens_details?.cached_tokens ??
+      usage.prompt_cache_hit_tokens,
+  };
+}
+
+/**
+ * Normalizes Claude's `usage` object from `message_start` or `message_delta` events.
+ * Claude's input_tokens exclude cache reads and writes, so they are added back.
+ * @param {Object|null|undefined} usage - The `usage` field of the event.
+ * @returns {Object|null} The normalized usage, or null if absent.
+ */
+export function normalizeClaudeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const normalized = { outputTokens: usage.output_tokens };
+  if (typeof usage.input_tokens === 'number') {
+    normalized.inputTokens =
+      usage.input_tokens +
+      (usage.cache_read_input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0);
+    normalized.cachedInputTokens = usage.cache_read_input_tokens || 0;
+    normalized.cacheWriteInputTokens = usage.cache_creation_input_tokens || 0;
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes Gemini's `usageMetadata`. Gemini counts thinking tokens separately
+ * from candidate tokens, while both are billed as output.
+ * @param {Object|null|undefined} usageMetadata - The `usageMetadata` field of a chunk.
+ * @returns {Object|null} The normalized usage, or null if absent.
+ */
+export function normalizeGeminiUsage(usageMetadata) {
+  if (!usageMetadata || typeof usageMetadata !== 'object') return null;
+  const thinkingTokens = usageMetadata.thoughtsTokenCount || 0;
+  return {
+    inputTokens: usageMetadata.promptTokenCount,
+    outputTokens:
+      typeof usageMetadata.candidatesTokenCount === 'number'
+        ? usageMetadata.candidatesTokenCount + thinkingTokens
+        : undefined,
+    thinkingTokens,
+    cachedInputTokens: usageMetadata.cachedContentTokenCount,
+  };
+}
+
+/**
+ * Adds up the normalized usage of consecutive requests (e.g., the rounds of a
+ * tool-calling exchange). If one of them reported no usage, the total is unknown.
+ * @param {Object|null} a - Normalized usage.
+ * @param {Object|null} b - Normalized usage.
+ * @returns {Object|null} The summed usage, or null if either is absent.
+ */
+export function sumUsage(a, b) {
+  if (!a || !b) return null;
+  const summed = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (typeof a[key] === 'number' || typeof b[key] === 'number') {
+      summed[key] = (a[key] || 0) + (b[key] || 0);
+    }
+  }
+  return summed;
+}
@@ -1,10 +1,30 @@
 // src/background/api/api-coordinator.js ---
 import ApiServiceManager from '../../services/ApiServiceManager.js';
+import ConfigService from '../../services/ConfigService.js';
 import ModelParameterService from '../../services/ModelParameterService.js';
 import ContentFormatter from '../../services/ContentFormatter.js';
+import CredentialManager from '../../services/CredentialManager.js';
+import BudgetService from '../../services/BudgetService.js';
 import { extractContent } from '../services/content-extraction.js';
+import { getToolDefinitions, executeTool } from '../services/tool-registry.js';
+import {
+  openStreamBuffer,
+  updateStreamBuffer,
+  recordStreamChunk,
+  closeStreamBuffer,
+} from '../services/stream-buffer.js';
 import { isInjectablePage } from '../../shared/utils/content-utils.js';
-import { INTERFACE_SOURCES, STORAGE_KEYS } from '../../shared/constants.js';
+import { estimateRequestInputCost } from '../../shared/utils/budget-utils.js';
+import {
+  INTERFACE_SOURCES,
+  STORAGE_KEYS,
+  MAX_FALLBACK_CHAIN_LENGTH,
+  MAX_TOOL_ROUNDS,
+  TOOL_APPROVAL_TIMEOUT_MS,
+  MAX_TOOL_RESULT_PREVIEW_LENGTH,
+  TOOL_CALL_STATUS,
+} from '../../shared/constants.js';
+import { sumUsage } from '../../api/utils/usage-utils.js';
 import {
   resetExtractionState,
   initializeStreamResponse,
@@ -15,6 +35,10 @@ import {
 import { logger } from '../../shared/logger.js';
 
 const activeAbortControllers = new Map();
+// Side panel message each stream renders into, keyed by stream ID
+const streamMessageIds = new Map();
+// Resolvers of tool calls waiting for the user's decision, keyed by `${streamId}:${toolCallId}`
+const pendingToolApprovals = new Map();
 
 /**
  * Handle API model requests
@@ -65,7 +89,12 @@ export async function handleApiModelRequest(
       }
 
       case 'cancelStream': {
-        const { streamId } = message; // Ensure streamId is received
+        // Comparison answers are cancelled by the message they stream into
+        const streamId =
+          message.streamId ||
+          Array.from(streamMessageIds).find(
+            ([, messageId]) => messageId === message.messageId
+          )?.[0];
         if (!streamId) {
           logger.background.warn(
             'cancelStream message received without streamId.'
@@ -99,6 +128,35 @@ export async function handleApiModelRequest(
         break; // Ensure case exits
       }
 
+      case 'respondToolApproval': {
+        const { streamId, toolCallId, toolName, approved, alwaysAllow } =
+          message;
+        const resolveApproval = pendingToolApprovals.get(
+          `${streamId}:${toolCallId}`
+        );
+        if (!resolveApproval) {
+          sendResponse({
+            success: false,
+            error: 'Tool call not found or no longer awaiting approval',
+          });
+          break;
+        }
+        if (approved && alwaysAllow && toolName) {
+          const result = await chrome.storage.sync.get(
+            STORAGE_KEYS.TOOL_AUTO_APPROVALS
+          );
+          await chrome.storage.sync.set({
+            [STORAGE_KEYS.TOOL_AUTO_APPROVALS]: {
+              ...(result[STORAGE_KEYS.TOOL_AUTO_APPROVALS] || {}),
+              [toolName]: true,
+            },
+          });
+        }
+        resolveApproval(!!approved);
+        sendResponse({ success: true });
+        break;
+      }
+
       default:
         throw new Error(`Unknown API model request type: ${requestType}`);
     }
@@ -129,9 +187,21 @@ export async function processContentViaApi(params) {
     source = INTERFACE_SOURCES.POPUP, // Default to POPUP if source not specified
     customPrompt = null,
     conversationHistory = [],
+    images = [],
+    outputSchema = null,
     isContentExtractionEnabled,
     isThinkingModeEnabled,
+    isToolsEnabled = false,
+    isWebSearchEnabled = false,
+    presetId = null, // Parameter preset chosen for the chat
+    budgetOverride = false, // The user confirmed going over a spending cap
     contentType, // Receive contentType from params
+    chatSessionId = null,
+    streamMessageId = null, // Assistant message the side panel streams into
+    preTruncationCost,
+    preTruncationOutput,
+    prefetchedContent, // Page content already extracted, or null for none
+    allowFallback = true,
   } = params;
 
   let contentSuccessfullyIncluded = false;
@@ -156,54 +226,17 @@ export async function processContentViaApi(params) {
       }
     );
 
-    let newlyFormattedContent = null;
-    const canInject = isInjectablePage(url);
-
-    // 1. Decide whether to extract content
-    // Always re-extract if isContentExtractionEnabled is true and page is injectable
-    const shouldExtract = isContentExtractionEnabled && canInject;
-
-    if (isContentExtractionEnabled && !canInject) {
-      logger.background.info(
-        `Content extraction requested but page is not injectable: ${url}. Skipping extraction.`
-      );
-    }
-
-    if (shouldExtract) {
-      logger.background.info(
-        `Extraction enabled and page injectable: Fresh extraction will proceed for tab ${tabId}.`
-      );
-      await resetExtractionState(); // Reset before fresh extraction
-      logger.background.info(`Content type determined: ${contentType}`);
-      await extractContent(tabId, url, contentType); // Perform fresh extraction
-      const extractedContent = await getExtractedContent();
-
-      if (!extractedContent) {
-        logger.background.warn(
-          `Failed to extract fresh content for tab ${tabId}, proceeding without it.`
-        );
-        newlyFormattedContent = null;
-      } else {
-        logger.background.info('Fresh content extraction completed.');
-        newlyFormattedContent = ContentFormatter.formatContent(
-          extractedContent,
-          contentType
-        );
-        contentSuccessfullyIncluded = true; // Mark content as successfully included for this call
-      }
-    } else {
-      if (!isContentExtractionEnabled) {
-        logger.background.info(
-          `Extraction skipped for tab ${tabId}: Toggle is OFF.`
-        );
-      } else if (!canInject) {
-        // This case is handled above, but for clarity.
-        logger.background.info(
-          `Extraction skipped for tab ${tabId}: Page is not injectable (${url}).`
-        );
-      }
-      // No content included, contentSuccessfullyIncluded remains false.
-    }
+    // Comparisons extract the page once and pass the content to each request
+    const newlyFormattedContent =
+      prefetchedContent !== undefined
+        ? prefetchedContent
+        : await extractFormattedContent({
+            tabId,
+            url,
+            contentType,
+            isContentExtractionEnabled,
+          });
+    contentSuccessfullyIncluded = newlyFormattedContent !== null;
 
     let promptContent;
     if (customPrompt) {
@@ -212,21 +245,49 @@ export async function processContentViaApi(params) {
       throw new Error('No prompt content provided');
     }
 
-    let resolvedParams = await ModelParameterService.resolveParameters(
-      platformId,
-      modelId,
-      {
-        tabId,
-        source,
-        conversationHistory,
-        useThinkingMode: isThinkingModeEnabled,
-      }
+    // Enforced caps hold back a request that would go over them until the user confirms
+    const characterCount = countRequestCharacters(
+      promptContent,
+      newlyFormattedContent,
+      conversationHistory
     );
-    resolvedParams.conversationHistory = conversationHistory;
-    logger.background.info(`Resolved parameters:`, resolvedParams);
+    if (!budgetOverride) {
+      const exceededBudgets = await getExceededBudgetsFor(
+        [{ platformId, modelId }],
+        characterCount
+      );
+      if (exceededBudgets.length > 0) {
+        return createBudgetExceededResult(exceededBudgets);
+      }
+    }
 
     const streamId = `stream_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-    await initializeStreamResponse(streamId, platformId, resolvedParams.model);
+    await initializeStreamResponse(streamId, platformId);
+    if (streamMessageId) {
+      streamMessageIds.set(streamId, streamMessageId);
+    }
+
+    // Side panel streams are buffered so that they outlive the panel
+    if (
+      source === INTERFACE_SOURCES.SIDEPANEL &&
+      chatSessionId &&
+      streamMessageId
+    ) {
+      openStreamBuffer(streamId, {
+        chatSessionId,
+        messageId: streamMessageId,
+        tabId,
+        platformId,
+        model: modelId,
+        contentType,
+        extractedPageContent: contentSuccessfullyIncluded
+          ? newlyFormattedContent
+          : null,
+        isThinkingModeEnabled: !!isThinkingModeEnabled,
+        preTruncationCost,
+        preTruncationOutput,
+      });
+    }
 
     // `formattedContentForRequest` will be the `newlyFormattedContent` if extraction occurred
     const formattedContentForRequest = newlyFormattedContent;
@@ -237,64 +298,213 @@ export async function processContentViaApi(params) {
       );
     }
 
-    const requestConfig = {
-      prompt: promptContent,
-      resolvedParams: resolvedParams,
-      formattedContent: formattedContentForRequest, // This will be the newly extracted content or null
-      streaming: true,
-      onChunk: createStreamHandler(
-        streamId,
-        source,
-        tabId,
-        platformId,
-        resolvedParams
-      ),
-    };
+    const [retrySettingsResult, allCandidates] = await Promise.all([
+      chrome.storage.sync.get(STORAGE_KEYS.API_RETRY_SETTINGS),
+      allowFallback
+        ? getFallbackCandidates(source, platformId, modelId)
+        : [{ platformId, modelId }],
+    ]);
+    // A fallback that cannot see the attached images would answer a different question
+    const candidates =
+      images.length > 0
+        ? await filterVisionCandidates(allCandidates)
+        : allCandidates;
 
     const controller = new AbortController();
     activeAbortControllers.set(streamId, controller);
-    requestConfig.abortSignal = controller.signal;
 
+    let resolvedParams = null;
     try {
-      logger.background.info(
-        'Calling ApiServiceManager.processWithUnifiedConfig with config:',
-        requestConfig
-      );
-      const apiResponse = await ApiServiceManager.processWithUnifiedConfig(
-        platformId,
-        requestConfig
-      );
+      for (let index = 0; index < candidates.length; index++) {
+        const candidate = candidates[index];
+        const isLastCandidate = index === candidates.length - 1;
 
-      // Handle pre-stream errors (e.g., missing credentials)
-      if (apiResponse.success === false) {
-        logger.background.error(
-          `Pre-stream error from ApiServiceManager: ${apiResponse.error}`
+        resolvedParams = await ModelParameterService.resolveParameters(
+          candidate.platformId,
+          candidate.modelId,
+          {
+            tabId,
+            source,
+            conversationHistory,
+            useThinkingMode: isThinkingModeEnabled,
+            presetId,
+          }
         );
-        // Manually trigger the 'done' chunk with the error to notify the UI
-        requestConfig.onChunk({
-          done: true,
-          error: apiResponse.error,
-          model: resolvedParams.model,
+        resolvedParams.conversationHistory = conversationHistory;
+        logger.background.info(`Resolved parameters:`, resolvedParams);
+        updateStreamBuffer(streamId, {
+          systemPrompt: resolvedParams.systemPrompt || null,
         });
-        // Return a failure object to the caller
+
+        // Errors are held back while another candidate remains, so the UI only
+        // sees the error of the last attempt
+        const attempt = createFallbackGate(
+          createStreamHandler(
+            streamId,
+            source,
+            tabId,
+            candidate.platformId,
+            resolvedParams,
+            index > 0,
+            await CredentialManager.getActiveProfileId(candidate.platformId)
+          ),
+          !isLastCandidate
+        );
+
+        // Browser tools are only offered in side panel chats, when enabled. A
+        // structured answer must come from a single response, so it excludes
+        // tools, and a web search takes their place.
+        const tools =
+          isToolsEnabled &&
+          !outputSchema &&
+          !isWebSearchEnabled &&
+          source === INTERFACE_SOURCES.SIDEPANEL &&
+          (await getCandidateModelConfig(candidate))?.capabilities
+            ?.supportsTools === true
+            ? getToolDefinitions()
+            : [];
+        const toolExchanges = [];
+        let usageSoFar; // Undefined until a tool round completes
+        let requestConfig;
+        let apiResponse;
+
+        // Each round is one model response; rounds continue while the model calls tools
+        for (let round = 1; ; round++) {
+          const toolRound = createToolRound(attempt.onChunk, {
+            usageSoFar,
+            contentSeparator: toolExchanges.some((e) => e.content)
+              ? '\n\n'
+              : '',
+            canCallTools: round < MAX_TOOL_ROUNDS,
+          });
+
+          requestConfig = {
+            prompt: promptContent,
+            resolvedParams: resolvedParams,
+            formattedContent: formattedContentForRequest, // This will be the newly extracted content or null
+            images,
+            tools,
+            toolExchanges: [...toolExchanges],
+            outputSchema,
+            webSearch: isWebSearchEnabled,
+            streaming: true,
+            retrySettings:
+              retrySettingsResult[STORAGE_KEYS.API_RETRY_SETTINGS] || null,
+            onChunk: toolRound.onChunk,
+            abortSignal: controller.signal,
+          };
+
+          logger.background.info(
+            'Calling ApiServiceManager.processWithUnifiedConfig with config:',
+            requestConfig
+          );
+          apiResponse = await ApiServiceManager.processWithUnifiedConfig(
+            candidate.platformId,
+            requestConfig
+          );
+
+          if (!toolRound.toolCalls) break;
+
+          const results = await runToolCalls(toolRound.toolCalls, {
+            streamId,
+            tabId,
+            model: resolvedParams.model,
+            onChunk: attempt.onChunk,
+            abortSignal: controller.signal,
+          });
+          if (controller.signal.aborted) {
+            attempt.forward({
+              done: true,
+              error: 'Cancelled by user',
+              model: resolvedParams.model,
+            });
+            break;
+          }
+          toolExchanges.push({
+            content: toolRound.content,
+            thinking: toolRound.thinking,
+            toolCalls: toolRound.toolCalls,
+            results,
+          });
+          usageSoFar = toolRound.usage;
+        }
+
+        // Handle pre-stream errors (e.g., missing credentials)
+        if (apiResponse.success === false) {
+          logger.background.error(
+            `Pre-stream error from ApiServiceManager: ${apiResponse.error}`
+          );
+          // Manually trigger the 'done' chunk with the error to notify the UI
+          requestConfig.onChunk({
+            done: true,
+            error: apiResponse.error,
+            model: resolvedParams.model,
+          });
+        }
+
+        if (attempt.heldError) {
+          if (controller.signal.aborted) {
+            // Cancelled between two attempts: end the stream as a cancellation
+            attempt.forward({
+              done: true,
+              error: 'Cancelled by user',
+              model: resolvedParams.model,
+            });
+          } else {
+            // A confirmation covers the selected pair only, so fallbacks are
+            // always checked against the caps
+            const nextIndex = await findAffordableCandidateIndex(
+              candidates,
+              index + 1,
+              characterCount
+            );
+            if (nextIndex !== -1) {
+              const nextCandidate = candidates[nextIndex];
+              logger.background.warn(
+                `${candidate.platformId}/${resolvedParams.model} failed (${attempt.heldError}), falling back to ${nextCandidate.platformId}/${nextCandidate.modelId}.`
+              );
+              notifyFallback(
+                streamId,
+                source,
+                tabId,
+                nextCandidate,
+                attempt.heldError
+              );
+              index = nextIndex - 1;
+              continue;
+            }
+            // No fallback fits under the caps: end with the error of this attempt
+            attempt.forward({
+              done: true,
+              error: attempt.heldError,
+              model: resolvedParams.model,
+            });
+          }
+        }
+
+        if (apiResponse.success === false) {
+          // Return a failure object to the caller
+          return {
+            success: false,
+            error: apiResponse.error,
+            streamId,
+          };
+        }
+
         return {
-          success: false,
-          error: apiResponse.error,
+          success: true,
           streamId,
+          response: apiResponse,
+          platformId: candidate.platformId,
+          modelId: resolvedParams.model,
+          contentType: contentType,
+          contentSuccessfullyIncluded,
+          extractedPageContent: contentSuccessfullyIncluded
+            ? formattedContentForRequest
+            : null,
+          systemPromptUsed: resolvedParams.systemPrompt || null,
         };
       }
-
-      return {
-        success: true,
-        streamId,
-        response: apiResponse,
-        contentType: contentType,
-        contentSuccessfullyIncluded,
-        extractedPageContent: contentSuccessfullyIncluded
-          ? formattedContentForRequest
-          : null,
-        systemPromptUsed: resolvedParams.systemPrompt || null,
-      };
     } catch (processingError) {
       await setApiProcessingError(processingError.message);
       // Construct a return object instead of just throwing
@@ -306,7 +516,13 @@ export async function processContentViaApi(params) {
         systemPromptUsed: resolvedParams?.systemPrompt || null,
       };
     } finally {
+      // Streams that threw end here without a final chunk
+      await closeStreamBuffer(streamId, {
+        done: true,
+        error: 'The response was interrupted.',
+      });
       activeAbortControllers.delete(streamId);
+      streamMessageIds.delete(streamId);
       logger.background.info(`Removed AbortController for stream: ${streamId}`);
     }
   } catch (error) {
@@ -322,6 +538,543 @@ export async function processContentViaApi(params) {
   }
 }
 
+/**
+ * Send one prompt to several platform/model pairs in parallel, for the side
+ * panel's comparison mode. The page is extracted once, and each answer streams
+ * into its own message without falling back to other models.
+ * @param {Object} params - Parameters as for processContentViaApi, plus the targets
+ * @param {Array<{platformId: string, modelId: string, messageId: string, isThinkingModeEnabled: boolean}>} params.targets - Pairs to compare
+ * @returns {Promise<Object>} Result information, with one result per target
+ */
+export async function processComparisonViaApi(params) {
+  const { targets = [], ...requestParams } = params;
+  if (targets.length === 0) {
+    throw new Error('No models selected for comparison');
+  }
+
+  try {
+    const prefetchedContent = await extractFormattedContent(requestParams);
+
+    // Each answer is checked against the spend before the fan-out, so the
+    // caps are also checked against all of them together
+    if (!requestParams.budgetOverride) {
+      const exceededBudgets = await getExceededBudgetsFor(
+        targets,
+        countRequestCharacters(
+          requestParams.customPrompt || '',
+          prefetchedContent,
+          requestParams.conversationHistory || []
+        )
+      );
+      if (exceededBudgets.length > 0) {
+        return createBudgetExceededResult(exceededBudgets);
+      }
+    }
+
+    const results = await Promise.all(
+      targets.map(async (target) => ({
+        messageId: target.messageId,
+        ...(await processContentViaApi({
+          ...requestParams,
+          platformId: target.platformId,
+          modelId: target.modelId,
+          isThinkingModeEnabled: target.isThinkingModeEnabled,
+          streamMessageId: target.messageId,
+          prefetchedContent,
+          allowFallback: false,
+          isToolsEnabled: false,
+          chatSessionId: null, // Comparisons are saved once every answer is complete
+        })),
+      }))
+    );
+    return {
+      success: true,
+      results,
+      contentSuccessfullyIncluded: prefetchedContent !== null,
+      extractedPageContent: prefetchedContent,
+      systemPromptUsed:
+        results.find((result) => result.systemPromptUsed)?.systemPromptUsed ||
+        null,
+    };
+  } catch (error) {
+    logger.background.error('API comparison processing error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Extract and format the content of the page a request is about.
+ * @param {Object} params - Extraction parameters
+ * @param {number} params.tabId - Tab of the page
+ * @param {string} params.url - URL of the page
+ * @param {string} params.contentType - Type of the page content
+ * @param {boolean} params.isContentExtractionEnabled - Whether the user asked to include the page
+ * @returns {Promise<string|null>} Formatted content, or null if none was included
+ */
+async function extractFormattedContent({
+  tabId,
+  url,
+  contentType,
+  isContentExtractionEnabled,
+}) {
+  const canInject = isInjectablePage(url);
+
+  // 1. Decide whether to extract content
+  // Always re-extract if isContentExtractionEnabled is true and page is injectable
+  const shouldExtract = isContentExtractionEnabled && canInject;
+
+  if (isContentExtractionEnabled && !canInject) {
+    logger.background.info(
+      `Content extraction requested but page is not injectable: ${url}. Skipping extraction.`
+    );
+  }
+
+  if (!shouldExtract) {
+    if (!isContentExtractionEnabled) {
+      logger.background.info(
+        `Extraction skipped for tab ${tabId}: Toggle is OFF.`
+      );
+    }
+    return null;
+  }
+
+  logger.background.info(
+    `Extraction enabled and page injectable: Fresh extraction will proceed for tab ${tabId}.`
+  );
+  await resetExtractionState(); // Reset before fresh extraction
+  logger.background.info(`Content type determined: ${contentType}`);
+  await extractContent(tabId, url, contentType); // Perform fresh extraction
+  const extractedContent = await getExtractedContent();
+
+  if (!extractedContent) {
+    logger.background.warn(
+      `Failed to extract fresh content for tab ${tabId}, proceeding without it.`
+    );
+    return null;
+  }
+  logger.background.info('Fresh content extraction completed.');
+  return ContentFormatter.formatContent(extractedContent, contentType);
+}
+
+/**
+ * Build the ordered list of platform/model pairs to try for a request: the
+ * selected pair first, then the fallback chain configured for the source.
+ * @param {string} source - Interface source
+ * @param {string} platformId - Selected platform identifier
+ * @param {string} modelId - Selected model identifier
+ * @returns {Promise<Array<{platformId: string, modelId: string}>>} Candidates in order
+ */
+async function getFallbackCandidates(source, platformId, modelId) {
+  const candidates = [{ platformId, modelId }];
+  try {
+    const result = await chrome.storage.sync.get(
+      STORAGE_KEYS.API_FALLBACK_CHAINS
+    );
+    const chain = result[STORAGE_KEYS.API_FALLBACK_CHAINS]?.[source] || [];
+    for (const entry of chain.slice(0, MAX_FALLBACK_CHAIN_LENGTH)) {
+      if (
+        entry?.platformId &&
+        entry?.modelId &&
+        !candidates.some(
+          (c) =>
+            c.platformId === entry.platformId && c.modelId === entry.modelId
+        )
+      ) {
+        candidates.push({
+          platformId: entry.platformId,
+          modelId: entry.modelId,
+        });
+      }
+    }
+  } catch (error) {
+    logger.background.error('Error loading fallback chain:', error);
+  }
+  return candidates;
+}
+
+/**
+ * Look up the model configuration of a platform/model pair.
+ * @param {{platformId: string, modelId: string}} candidate - The pair
+ * @returns {Promise<Object|undefined>} The model configuration, if found
+ */
+async function getCandidateModelConfig(candidate) {
+  const apiConfig = await ConfigService.getPlatformApiConfig(
+    candidate.platformId
+  );
+  return apiConfig?.models?.find((m) => m.id === candidate.modelId);
+}
+
+/**
+ * Count the characters of prompt, history and page content a request sends.
+ * @param {string} prompt - Prompt of the request
+ * @param {string|null} formattedContent - Page content, or null for none
+ * @param {Array<Object>} conversationHistory - Earlier messages of the chat
+ * @returns {number} The character count
+ */
+function countRequestCharacters(prompt, formattedContent, conversationHistory) {
+  return (
+    prompt.length +
+    (formattedContent?.length || 0) +
+    conversationHistory.reduce(
+      (sum, msg) =>
+        sum + (typeof msg.content === 'string' ? msg.content.length : 0),
+      0
+    )
+  );
+}
+
+/**
+ * Price a request at the model of each platform/model pair and get the caps
+ * that sending it to all of the pairs would go over.
+ * @param {Array<{platformId: string, modelId: string}>} pairs - Pairs the request goes to
+ * @param {number} characterCount - Characters the request sends
+ * @returns {Promise<Array<Object>>} States of the caps that would be exceeded
+ */
+async function getExceededBudgetsFor(pairs, characterCount) {
+  return BudgetService.getCombinedExceededBudgets(
+    await Promise.all(
+      pairs.map(async (pair) => ({
+        platformId: pair.platformId,
+        estimatedCost: estimateRequestInputCost(
+          await getCandidateModelConfig(pair),
+          characterCount
+        ),
+      }))
+    )
+  );
+}
+
+/**
+ * Find the first fallback candidate from an index that the request can go to
+ * without exceeding a spending cap, priced at the candidate's own model.
+ * @param {Array<{platformId: string, modelId: string}>} candidates - Candidates in order
+ * @param {number} fromIndex - Index of the first candidate to check
+ * @param {number} characterCount - Characters the request sends
+ * @returns {Promise<number>} Index of the candidate, or -1 if none fits
+ */
+async function findAffordableCandidateIndex(
+  candidates,
+  fromIndex,
+  characterCount
+) {
+  for (let index = fromIndex; index < candidates.length; index++) {
+    const candidate = candidates[index];
+    const exceededBudgets = await getExceededBudgetsFor(
+      [candidate],
+      characterCount
+    );
+    if (exceededBudgets.length === 0) return index;
+    logger.background.info(
+      `Skipping fallback ${candidate.platformId}/${candidate.modelId}: it would exceed a spending cap.`
+    );
+  }
+  return -1;
+}
+
+/**
+ * Build the result of a request held back by spending caps.
+ * @param {Array<Object>} exceededBudgets - States of the caps it would exceed
+ * @returns {Promise<Object>} Failure result asking the user to confirm
+ */
+async function createBudgetExceededResult(exceededBudgets) {
+  const descriptions = await Promise.all(
+    exceededBudgets.map((status) => BudgetService.describeBudget(status))
+  );
+  logger.background.info('Request held back by spending caps:', descriptions);
+  const reason = exceededBudgets.some((status) => status.costUnknown)
+    ? 'This model has no pricing information, so its cost cannot be checked against your spending limit.'
+    : 'This request would exceed your spending limit.';
+  return {
+    success: false,
+    budgetExceeded: true,
+    error: `${reason} ${descriptions.join('. ')}.`,
+    contentSuccessfullyIncluded: false,
+    extractedPageContent: null,
+    systemPromptUsed: null,
+  };
+}
+
+/**
+ * Drop fallback candidates whose model does not accept images. The selected
+ * pair is always kept; the side panel only allows attachments for vision models.
+ * @param {Array<{platformId: string, modelId: string}>} candidates - Candidates in order
+ * @returns {Promise<Array<{platformId: string, modelId: string}>>} Vision-capable candidates
+ */
+async function filterVisionCandidates(candidates) {
+  const [selected, ...fallbacks] = candidates;
+  const visionFallbacks = [];
+  for (const candidate of fallbacks) {
+    const modelConfig = await getCandidateModelConfig(candidate);
+    if (modelConfig?.capabilities?.supportsVision === true) {
+      visionFallbacks.push(candidate);
+    } else {
+      logger.background.info(
+        `Skipping fallback ${candidate.platformId}/${candidate.modelId}: model does not accept images.`
+      );
+    }
+  }
+  return [selected, ...visionFallbacks];
+}
+
+/**
+ * Wrap a stream handler so that an error ending the stream before any content
+ * arrived is held back instead of forwarded, letting the caller try the next
+ * candidate. Cancellations are always forwarded.
+ * @param {Function} handler - Stream handler created by createStreamHandler
+ * @param {boolean} canFallBack - Whether another candidate remains
+ * @returns {{onChunk: Function, forward: Function, heldError: string|null}} The gate
+ */
+function createFallbackGate(handler, canFallBack) {
+  let hasStreamedContent = false;
+  const gate = {
+    heldError: null,
+    forward: handler,
+    onChunk: async (chunkData) => {
+      if (!chunkData) return;
+      if (chunkData.chunk || chunkData.thinkingChunk || chunkData.toolCall) {
+        hasStreamedContent = true;
+      }
+      const isCancellation =
+        chunkData.error === 'Cancelled by user' ||
+        (chunkData.error instanceof Error &&
+          chunkData.error.name === 'AbortError');
+      if (
+        canFallBack &&
+        chunkData.done &&
+        chunkData.error &&
+        !isCancellation &&
+        !hasStreamedContent
+      ) {
+        gate.heldError = gate.heldError || String(chunkData.error);
+        return;
+      }
+      return handler(chunkData);
+    },
+  };
+  return gate;
+}
+
+/**
+ * Wrap a stream handler for one round of a tool-calling conversation. A final
+ * chunk carrying tool calls is held back and recorded on the round, so the
+ * caller can run the tools and continue the stream with another request.
+ * @param {Function} onChunk - Chunk handler of the current attempt
+ * @param {Object} options
+ * @param {Object|null|undefined} options.usageSoFar - Usage of the earlier rounds (undefined for the first)
+ * @param {string} options.contentSeparator - Text inserted before the first content of this round
+ * @param {boolean} options.canCallTools - False on the last allowed round
+ * @returns {{onChunk: Function, toolCalls: Array|null, content: string, thinking: Object|null, usage: Object|null}} The round
+ */
+function createToolRound(
+  onChunk,
+  { usageSoFar, contentSeparator, canCallTools }
+) {
+  let needsSeparator = !!contentSeparator;
+  const totalUsage = (usage) =>
+    usageSoFar === undefined ? usage || null : sumUsage(usageSoFar, usage);
+
+  const round = {
+    toolCalls: null,
+    content: '',
+    thinking: null,
+    usage: null,
+    onChunk: async (chunkData) => {
+      if (!chunkData) return;
+
+      if (chunkData.done && !chunkData.error && chunkData.toolCalls?.length) {
+        if (canCallTools) {
+          round.toolCalls = chunkData.toolCalls;
+          round.content = chunkData.fullContent || '';
+          round.thinking = chunkData.thinking || null;
+          round.usage = totalUsage(chunkData.usage);
+          return;
+        }
+        logger.background.warn(
+          `Tool round limit (${MAX_TOOL_ROUNDS}) reached, ignoring further tool calls.`
+        );
+        return onChunk({
+          done: true,
+          model: chunkData.model,
+          error: `Stopped after ${MAX_TOOL_ROUNDS} rounds of tool calls without a final answer.`,
+          usage: totalUsage(chunkData.usage),
+        });
+      }
+
+      if (chunkData.done) {
+        if (usageSoFar === undefined) return onChunk(chunkData);
+        // Drop the round's own fullContent: the stream handler holds the text of all rounds
+        const finalChunk = { ...chunkData, usage: totalUsage(chunkData.usage) };
+        delete finalChunk.fullContent;
+        return onChunk(finalChunk);
+      }
+
+      if (needsSeparator && chunkData.chunk) {
+        needsSeparator = false;
+        return onChunk({
+          ...chunkData,
+          chunk: contentSeparator + chunkData.chunk,
+        });
+      }
+      return onChunk(chunkData);
+    },
+  };
+  return round;
+}
+
+/**
+ * Wait for the user to allow or deny a tool call in the side panel.
+ * Resolves to false when the request is cancelled or nobody answers in time.
+ * @param {string} streamId - Stream identifier
+ * @param {string} toolCallId - Tool call identifier
+ * @param {AbortSignal} abortSignal - Signal of the request
+ * @returns {Promise<boolean>} Whether the call was approved
+ */
+function waitForToolApproval(streamId, toolCallId, abortSignal) {
+  const key = `${streamId}:${toolCallId}`;
+  return new Promise((resolve) => {
+    // An extension API call every 20s keeps the service worker from being
+    // stopped while idle, which would drop the pending request
+    const keepAliveInterval = setInterval(
+      () => chrome.runtime.getPlatformInfo(),
+      20000
+    );
+    const timeoutId = setTimeout(() => finish(false), TOOL_APPROVAL_TIMEOUT_MS);
+    const onAbort = () => finish(false);
+    function finish(approved) {
+      clearInterval(keepAliveInterval);
+      clearTimeout(timeoutId);
+      abortSignal.removeEventListener('abort', onAbort);
+      pendingToolApprovals.delete(key);
+      resolve(approved);
+    }
+    if (abortSignal.aborted) {
+      finish(false);
+      return;
+    }
+    abortSignal.addEventListener('abort', onAbort);
+    pendingToolApprovals.set(key, finish);
+  });
+}
+
+/**
+ * Run the tool calls of a round in order, asking for approval unless the user
+ * always allows the tool. Each status change is streamed to the side panel as
+ * a `toolCall` chunk.
+ * @param {Array<Object>} toolCalls - Calls made by the model
+ * @param {Object} context
+ * @param {string} context.streamId - Stream identifier
+ * @param {number} context.tabId - Tab the chat was started from
+ * @param {string} context.model - Model that made the calls
+ * @param {Function} context.onChunk - Chunk handler of the current attempt
+ * @param {AbortSignal} context.abortSignal - Signal of the request
+ * @returns {Promise<Array<Object>>} Results: [{ toolCallId, name, content, isError }]
+ */
+async function runToolCalls(
+  toolCalls,
+  { streamId, tabId, model, onChunk, abortSignal }
+) {
+  const stored = await chrome.storage.sync.get(
+    STORAGE_KEYS.TOOL_AUTO_APPROVALS
+  );
+  const autoApprovals = stored[STORAGE_KEYS.TOOL_AUTO_APPROVALS] || {};
+  const results = [];
+
+  for (const toolCall of toolCalls) {
+    if (abortSignal.aborted) break;
+    const notify = (status, result) =>
+      onChunk({
+        done: false,
+        model,
+        toolCall: {
+          id: toolCall.id,
+          name: toolCall.name,
+          arguments: toolCall.arguments,
+          status,
+          streamId,
+          ...(result && {
+            result: result.content.slice(0, MAX_TOOL_RESULT_PREVIEW_LENGTH),
+          }),
+        },
+      });
+
+    let approved = autoApprovals[toolCall.name] === true;
+    if (!approved) {
+      notify(TOOL_CALL_STATUS.PENDING);
+      approved = await waitForToolApproval(streamId, toolCall.id, abortSignal);
+    }
+    if (!approved) {
+      if (abortSignal.aborted) break;
+      notify(TOOL_CALL_STATUS.DENIED);
+      results.push({
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        content: 'The user denied this tool call.',
+        isError: true,
+      });
+      continue;
+    }
+
+    notify(TOOL_CALL_STATUS.RUNNING);
+    const result = await executeTool(toolCall.name, toolCall.arguments, {
+      tabId,
+    });
+    notify(
+      result.isError ? TOOL_CALL_STATUS.ERROR : TOOL_CALL_STATUS.DONE,
+      result
+    );
+    results.push({ toolCallId: toolCall.id, name: toolCall.name, ...result });
+  }
+  return results;
+}
+
+/**
+ * Send a stream chunk to the side panel. Chunks name the message they stream
+ * into, so that the side panel can render several streams at once.
+ * @param {string} streamId - Stream identifier
+ * @param {Object} chunkData - Chunk data
+ */
+function sendStreamChunk(streamId, chunkData) {
+  chrome.runtime
+    .sendMessage({
+      action: 'streamChunk',
+      streamId,
+      messageId: streamMessageIds.get(streamId) || null,
+      chunkData,
+    })
+    .catch(() => {
+      // No side panel is listening; the stream buffer keeps the response
+    });
+}
+
+/**
+ * Tell the side panel that the request moves on to the next fallback candidate.
+ * @param {string} streamId - Stream identifier
+ * @param {string} source - Interface source
+ * @param {number} tabId - Tab ID for sidepanel integration
+ * @param {{platformId: string, modelId: string}} candidate - The next candidate
+ * @param {string} reason - Error of the failed attempt
+ */
+function notifyFallback(streamId, source, tabId, candidate, reason) {
+  if (source !== INTERFACE_SOURCES.SIDEPANEL || !tabId) return;
+  updateStreamBuffer(streamId, {
+    platformId: candidate.platformId,
+    model: candidate.modelId,
+  });
+  try {
+    sendStreamChunk(streamId, {
+      done: false,
+      model: candidate.modelId,
+      fallback: {
+        platformId: candidate.platformId,
+        model: candidate.modelId,
+        reason,
+      },
+    });
+  } catch (err) {
+    logger.background.warn('Error sending fallback notice:', err);
+  }
+}
+
 /**
  * Create a stream handler function
  * @param {string} streamId - Stream identifier
@@ -329,6 +1082,8 @@ export async function processContentViaApi(params) {
  * @param {number} tabId - Tab ID for sidepanel integration
  * @param {string} platformId - Platform identifier
  * @param {Object} resolvedParams - Resolved parameters including the model
+ * @param {boolean} [isFallback=false] - Whether this platform/model is a fallback candidate
+ * @param {string|null} [credentialProfileId=null] - Credential profile whose key pays for the request
  * @returns {Function} Chunk handler function
  */
 function createStreamHandler(
@@ -336,7 +1091,9 @@ function createStreamHandler(
   source,
   tabId,
   platformId,
-  resolvedParams
+  resolvedParams,
+  isFallback = false,
+  credentialProfileId = null
 ) {
   let fullContent = '';
   const modelToUse = resolvedParams.model;
@@ -357,8 +1114,42 @@ function createStreamHandler(
       );
     }
 
+    // Retry notices carry no content; they only update the status shown in the UI
+    if (!done && chunkData.retry) {
+      if (source === INTERFACE_SOURCES.SIDEPANEL && tabId) {
+        try {
+          sendStreamChunk(streamId, {
+            done: false,
+            model: modelToUse,
+            retry: chunkData.retry,
+          });
+        } catch (err) {
+          logger.background.warn('Error sending retry status:', err);
+        }
+      }
+      return;
+    }
+
+    // Tool call status updates are shown as blocks in the assistant message
+    if (!done && chunkData.toolCall) {
+      recordStreamChunk(streamId, { toolCall: chunkData.toolCall });
+      if (source === INTERFACE_SOURCES.SIDEPANEL && tabId) {
+        try {
+          sendStreamChunk(streamId, {
+            done: false,
+            model: modelToUse,
+            toolCall: chunkData.toolCall,
+          });
+        } catch (err) {
+          logger.background.warn('Error sending tool call status:', err);
+        }
+      }
+      return;
+    }
+
     if (!done && (chunk || thinkingChunk)) {
       fullContent += chunk; // Only append regular chunk to fullContent for completion
+      recordStreamChunk(streamId, { chunk, thinkingChunk });
 
       if (source === INTERFACE_SOURCES.SIDEPANEL && tabId) {
         try {
@@ -373,12 +1164,7 @@ function createStreamHandler(
             chunkDataPayload.thinkingChunk = thinkingChunk;
           }
 
-          const messagePayload = {
-            action: 'streamChunk',
-            streamId,
-            chunkData: chunkDataPayload,
-          };
-          chrome.runtime.sendMessage(messagePayload);
+          sendStreamChunk(streamId, chunkDataPayload);
         } catch (err) {
           logger.background.warn('Error sending stream chunk:', err);
         }
@@ -393,6 +1179,11 @@ function createStreamHandler(
         model: modelToUse,
         fullContent: finalFullContent, // Use the full content from the chunk if available
         thinkingChunk: null, // No more thinking chunks
+        usage: chunkData.usage || null, // Token counts reported by the provider, if any
+        citations: chunkData.citations || null, // Web sources the answer cites
+        platformId, // Platform that actually answered
+        isFallback,
+        credentialProfileId,
       };
 
       if (
@@ -423,14 +1214,12 @@ function createStreamHandler(
         await completeStreamResponse(finalFullContent, modelToUse, platformId);
       }
 
+      // History holds the final response before the side panel completes the turn
+      await closeStreamBuffer(streamId, finalChunkData);
+
       if (source === INTERFACE_SOURCES.SIDEPANEL && tabId) {
         try {
-          const finalMessagePayload = {
-            action: 'streamChunk',
-            streamId,
-            chunkData: finalChunkData,
-          };
-          chrome.runtime.sendMessage(finalMessagePayload);
+          sendStreamChunk(streamId, finalChunkData);
         } catch (err) {
           logger.background.warn(
             'Error sending stream completion/error message:',
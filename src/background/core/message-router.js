@@ -3,16 +3,19 @@
 import { logger } from '../../shared/logger.js';
 import { handleCredentialOperation } from '../services/credential-manager.js';
 import { handleFetchPdfRequest } from '../services/file-access-service.js';
+import { handlePreviewSiteRuleRequest } from '../services/content-extraction.js';
 import { handleApiModelRequest } from '../api/api-coordinator.js';
 import {
   handleProcessContentRequest,
   handleProcessContentViaApiRequest,
+  handleProcessComparisonViaApiRequest,
   handleGetContentTypeRequest,
 } from '../services/content-processing.js';
 import {
   handleToggleSidePanelAction,
   handleCloseCurrentSidePanelRequest,
   handleIsSidePanelAllowedPageRequest,
+  handleOpenChatSessionRequest,
 } from '../services/sidepanel-manager.js';
 import { handleThemeOperation } from '../services/theme-service.js';
 import {
@@ -116,10 +119,26 @@ function registerApiHandlers() {
       }
     );
 
+    messageHandlers.set(
+      'processComparisonViaApi',
+      (message, sender, sendResponse) => {
+        handleProcessComparisonViaApiRequest(message, sender, sendResponse);
+        return true; // Keep channel open for async response
+      }
+    );
+
     messageHandlers.set('cancelStream', (message, _sender, sendResponse) => {
       handleApiModelRequest('cancelStream', message, sendResponse);
       return true; // Keep channel open for async response
     });
+
+    messageHandlers.set(
+      'respondToolApproval',
+      (message, _sender, sendResponse) => {
+        handleApiModelRequest('respondToolApproval', message, sendResponse);
+        return true; // Keep channel open for async response
+      }
+    );
   }
 }
 
@@ -172,8 +191,23 @@ function registerServiceHandlers() {
         return true; // Keep channel open for async response
       }
     );
+
+    // Handle requests to show a chat session in the side panel
+    messageHandlers.set(
+      'openChatSessionInSidePanel',
+      (message, sender, sendResponse) => {
+        handleOpenChatSessionRequest(message, sender, sendResponse);
+        return true; // Keep channel open for async response
+      }
+    );
   }
 
+  // Try a site rule from the settings page on the last visited web page
+  messageHandlers.set('previewSiteRule', (message, sender, sendResponse) => {
+    handlePreviewSiteRuleRequest(message, sender, sendResponse);
+    return true; // Keep channel open for async response
+  });
+
   // Handle PDF fetch requests for file:// URLs
   messageHandlers.set('fetchPdfAsBase64', (message, sender, sendResponse) => {
     handleFetchPdfRequest(message, sender, sendResponse);
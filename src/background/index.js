@@ -15,6 +15,11 @@ import {
   updateContextMenuForTab,
 } from './listeners/context-menu-listener.js';
 import { processWithDefaultPromptWebUI } from './services/content-processing.js';
+import {
+  getStreamSnapshot,
+  detachStreams,
+  markInterruptedResponses,
+} from './services/stream-buffer.js';
 
 /**
  * Injects the selection listener content script into all existing, relevant tabs.
@@ -219,9 +224,31 @@ function setupConnectionListener() {
             );
           });
 
+        // A reopened side panel picks up the response still streaming into its chat
+        port.onMessage.addListener((message) => {
+          if (message?.action !== 'reattachStream' || !message.chatSessionId) {
+            return;
+          }
+          const snapshot = getStreamSnapshot(message.chatSessionId, tabId);
+          port.postMessage({
+            action: 'streamSnapshot',
+            chatSessionId: message.chatSessionId,
+            snapshot,
+          });
+          if (!snapshot) {
+            markInterruptedResponses(message.chatSessionId).catch((error) =>
+              logger.background.error(
+                'Error marking interrupted responses:',
+                error
+              )
+            );
+          }
+        });
+
         // Handle disconnection
         port.onDisconnect.addListener(() => {
           logger.background.info(`Side panel disconnected for tab ${tabId}`);
+          detachStreams(tabId);
           if (chrome.runtime.lastError) {
             // Log error but don't crash the extension
             logger.background.error(
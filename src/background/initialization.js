@@ -3,7 +3,10 @@ import {
   STORAGE_KEYS,
   DEFAULT_EXTRACTION_STRATEGY,
 } from '../shared/constants.js';
-import { populateInitialPrompts } from '../shared/utils/prompt-utils.js';
+import {
+  populateInitialPrompts,
+  populateMissingDefaultPrompts,
+} from '../shared/utils/prompt-utils.js';
 import ConfigService from '../services/ConfigService.js';
 import SidePanelStateManager from '../services/SidePanelStateManager.js';
 
@@ -83,6 +86,9 @@ async function handleInstallation(details) {
       logger.background.info(
         `Default extraction strategy set to: ${DEFAULT_EXTRACTION_STRATEGY}`
       );
+    } else if (details.reason === 'update') {
+      // Content types added by the update get their default prompts
+      await populateMissingDefaultPrompts();
     }
 
     // --- Core Initialization ---
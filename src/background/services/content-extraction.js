@@ -1,7 +1,10 @@
 // src/background/services/content-extraction.js - Content extraction coordination
 
-import { isInjectablePage } from '../../shared/utils/content-utils.js';
-import { STORAGE_KEYS } from '../../shared/constants.js';
+import {
+  isInjectablePage,
+  determineContentType,
+} from '../../shared/utils/content-utils.js';
+import { STORAGE_KEYS, CONTENT_TYPES } from '../../shared/constants.js';
 import { logger } from '../../shared/logger.js';
 
 /**
@@ -107,3 +110,53 @@ export async function injectContentScript(tabId, scriptFile) {
     return false;
   }
 }
+
+/**
+ * Handle a request from the settings page to try a site rule on the web page
+ * the user visited last, without touching the stored extraction state.
+ * @param {Object} message - Message with the draft `rule`
+ * @param {Object} sender - Message sender
+ * @param {Function} sendResponse - Response function
+ */
+export async function handlePreviewSiteRuleRequest(
+  message,
+  sender,
+  sendResponse
+) {
+  try {
+    const tabs = await chrome.tabs.query({});
+    const [targetTab] = tabs
+      .filter(
+        (tab) =>
+          tab.id !== sender?.tab?.id &&
+          tab.url &&
+          isInjectablePage(tab.url) &&
+          determineContentType(tab.url) === CONTENT_TYPES.GENERAL
+      )
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    if (!targetTab) {
+      throw new Error('Open the web page to test the rule on in a tab first.');
+    }
+
+    const injected = await injectContentScript(
+      targetTab.id,
+      'dist/extractor-content.bundle.js'
+    );
+    if (!injected) {
+      throw new Error(`Cannot access the page "${targetTab.title}".`);
+    }
+
+    const response = await chrome.tabs.sendMessage(targetTab.id, {
+      action: 'previewSiteRule',
+      rule: message.rule,
+    });
+    sendResponse({
+      ...response,
+      tabTitle: targetTab.title,
+      tabUrl: targetTab.url,
+    });
+  } catch (error) {
+    logger.background.error('Error previewing site rule:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
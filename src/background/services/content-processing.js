@@ -8,7 +8,10 @@ import {
   resetExtractionState,
   savePlatformTabInfo,
 } from '../core/state-manager.js';
-import { processContentViaApi } from '../api/api-coordinator.js';
+import {
+  processContentViaApi,
+  processComparisonViaApi,
+} from '../api/api-coordinator.js';
 import { logger } from '../../shared/logger.js';
 import { STORAGE_KEYS, CONTENT_TYPE_LABELS } from '../../shared/constants.js';
 import ContentFormatter from '../../services/ContentFormatter.js';
@@ -387,3 +390,25 @@ export async function handleProcessContentViaApiRequest(
     });
   }
 }
+
+/**
+ * Handle side panel comparison request from message
+ * @param {Object} message - Message object
+ * @param {Function} sendResponse - Response function
+ */
+export async function handleProcessComparisonViaApiRequest(
+  message,
+  _sender,
+  sendResponse
+) {
+  try {
+    const result = await processComparisonViaApi(message);
+    sendResponse(result);
+  } catch (error) {
+    logger.background.error('Error in API comparison processing:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
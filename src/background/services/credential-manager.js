@@ -14,7 +14,7 @@ export async function handleCredentialOperation(
   sendResponse
 ) {
   try {
-    const { operation, platformId, credentials } = message;
+    const { operation, platformId, credentials, profileId } = message;
 
     switch (operation) {
       case 'get': {
@@ -56,6 +56,26 @@ export async function handleCredentialOperation(
         });
         break;
       }
+      case 'listProfiles': {
+        const { profiles, activeProfileId } =
+          await CredentialManagerService.getProfiles(platformId);
+        sendResponse({
+          success: true,
+          profiles,
+          activeProfileId,
+        });
+        break;
+      }
+      case 'setActiveProfile': {
+        const setResult = await CredentialManagerService.setActiveProfile(
+          platformId,
+          profileId
+        );
+        sendResponse({
+          success: setResult,
+        });
+        break;
+      }
       case 'checkMultiple': {
         const { platformIds } = message;
         if (!Array.isArray(platformIds)) {
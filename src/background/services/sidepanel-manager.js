@@ -225,3 +225,55 @@ export async function handleCloseCurrentSidePanelRequest(
   }
   return true; // Indicate asynchronous response handling
 }
+
+/**
+ * Handles requests from extension pages (e.g., the settings page) to show a
+ * chat session in the side panel of a tab. The caller opens the panel itself,
+ * as that requires a user gesture; a panel that is already open switches to
+ * the session.
+ * @param {object} message - The message object containing the chatSessionId and tabId.
+ * @param {chrome.runtime.MessageSender} sender - The sender of the message.
+ * @param {function} sendResponse - Function to call to send the response.
+ */
+export async function handleOpenChatSessionRequest(
+  message,
+  _sender,
+  sendResponse
+) {
+  const { chatSessionId, tabId } = message;
+  if (!chatSessionId || !tabId) {
+    sendResponse({
+      success: false,
+      error: 'No chat session or tab provided.',
+    });
+    return;
+  }
+
+  try {
+    await SidePanelStateManager.setActiveChatSessionForTab(
+      tabId,
+      chatSessionId
+    );
+    await SidePanelStateManager.setTabViewMode(tabId, 'chat');
+    await SidePanelStateManager.setTabUIVisibility(tabId, true);
+    await chrome.tabs.update(tabId, { active: true });
+
+    // A side panel already open in the tab switches to the session directly
+    chrome.runtime
+      .sendMessage({ action: 'chatSessionSelected', tabId, chatSessionId })
+      .catch(() => {
+        // No side panel is listening; it loads the session when opened
+      });
+
+    logger.background.info(
+      `Chat session ${chatSessionId} made active in tab ${tabId}.`
+    );
+    sendResponse({ success: true, tabId });
+  } catch (error) {
+    logger.background.error(
+      `Error opening chat session ${chatSessionId} in the side panel:`,
+      error
+    );
+    sendResponse({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,347 @@
+// src/background/services/stream-buffer.js - Side panel streams kept alive across panel reloads
+
+import ChatHistoryService from '../../sidepanel/services/ChatHistoryService.js';
+import TokenManagementService from '../../sidepanel/services/TokenManagementService.js';
+import ConfigService from '../../services/ConfigService.js';
+import CredentialManager from '../../services/CredentialManager.js';
+import BudgetService from '../../services/BudgetService.js';
+import UsageLedgerService from '../../services/UsageLedgerService.js';
+import { MESSAGE_ROLES, TOOL_CALL_STATUS } from '../../shared/constants.js';
+import { logger } from '../../shared/logger.js';
+
+const PERSIST_INTERVAL_MS = 1000; // Partial responses are written at most once per interval
+
+// Active side panel streams, keyed by stream ID
+const streamBuffers = new Map();
+
+/**
+ * Writes the partial response of a stream into its chat session. The
+ * `streamId` field marks the message as still streaming.
+ * @param {Object} buffer - Stream buffer.
+ * @returns {Promise<void>}
+ */
+async function persistPartialResponse(buffer) {
+  buffer.persistTimer = null;
+  try {
+    await ChatHistoryService.updateMessage(
+      buffer.chatSessionId,
+      buffer.messageId,
+      {
+        content: buffer.content,
+        thinkingContent: buffer.thinkingContent || undefined,
+        toolCalls: buffer.toolCalls.length > 0 ? buffer.toolCalls : undefined,
+        platformId: buffer.platformId,
+        modelId: buffer.model,
+        streamId: buffer.streamId,
+      }
+    );
+  } catch (error) {
+    logger.background.warn(
+      `Could not persist partial response of stream ${buffer.streamId}:`,
+      error
+    );
+  }
+}
+
+function schedulePersist(buffer) {
+  if (buffer.persistTimer) return;
+  buffer.persistTimer = setTimeout(() => {
+    buffer.pendingWrite = buffer.pendingWrite.then(() =>
+      persistPartialResponse(buffer)
+    );
+  }, PERSIST_INTERVAL_MS);
+}
+
+/**
+ * Starts buffering a side panel stream.
+ * @param {string} streamId - Stream identifier.
+ * @param {Object} turn - The chat turn the stream answers.
+ * @param {string} turn.chatSessionId - Chat session the response belongs to.
+ * @param {string} turn.messageId - ID of the assistant message.
+ * @param {number} turn.tabId - Tab whose side panel started the stream.
+ * @param {string} turn.platformId - Platform of the first candidate.
+ * @param {string} turn.model - Model of the first candidate.
+ * @param {string|null} turn.contentType - Type of the page content.
+ * @param {string|null} turn.extractedPageContent - Page content included in the request, if any.
+ * @param {boolean} turn.isThinkingModeEnabled - Whether thinking mode is active.
+ * @param {number} [turn.preTruncationCost] - Session cost before a rerun truncated it.
+ * @param {number} [turn.preTruncationOutput] - Session output tokens before a rerun truncated it.
+ */
+export function openStreamBuffer(streamId, turn) {
+  const buffer = {
+    ...turn,
+    streamId,
+    systemPrompt: null,
+    content: '',
+    thinkingContent: '',
+    toolCalls: [],
+    attachedTabIds: new Set([turn.tabId]),
+    persistTimer: null,
+    pendingWrite: Promise.resolve(),
+  };
+  streamBuffers.set(streamId, buffer);
+  buffer.pendingWrite = persistPartialResponse(buffer);
+}
+
+/**
+ * Updates details of a buffered stream, e.g., the platform and model after a fallback.
+ * @param {string} streamId - Stream identifier.
+ * @param {{platformId?: string, model?: string, systemPrompt?: string|null}} updates - Details to set.
+ */
+export function updateStreamBuffer(streamId, updates) {
+  const buffer = streamBuffers.get(streamId);
+  if (!buffer) return;
+  Object.assign(buffer, updates);
+  schedulePersist(buffer);
+}
+
+/**
+ * Appends a streamed chunk to its buffer.
+ * @param {string} streamId - Stream identifier.
+ * @param {Object} chunkData - Chunk with `chunk`, `thinkingChunk` or `toolCall`.
+ */
+export function recordStreamChunk(streamId, chunkData) {
+  const buffer = streamBuffers.get(streamId);
+  if (!buffer) return;
+  if (chunkData.toolCall) {
+    const { toolCall } = chunkData;
+    const exists = buffer.toolCalls.some((call) => call.id === toolCall.id);
+    buffer.toolCalls = exists
+      ? buffer.toolCalls.map((call) =>
+          call.id === toolCall.id ? { ...call, ...toolCall } : call
+        )
+      : [...buffer.toolCalls, toolCall];
+  }
+  if (typeof chunkData.chunk === 'string') {
+    buffer.content += chunkData.chunk;
+  }
+  if (typeof chunkData.thinkingChunk === 'string') {
+    buffer.thinkingContent += chunkData.thinkingChunk;
+  }
+  schedulePersist(buffer);
+}
+
+/**
+ * Gets the in-flight stream of a chat session, attaching the side panel of a
+ * tab to it so that the stream is completed there.
+ * @param {string} chatSessionId - Chat session ID.
+ * @param {number} tabId - Tab whose side panel reattaches.
+ * @returns {Object|null} The response so far, or null if no stream is in flight.
+ */
+export function getStreamSnapshot(chatSessionId, tabId) {
+  const buffer = Array.from(streamBuffers.values()).find(
+    (b) => b.chatSessionId === chatSessionId
+  );
+  if (!buffer) return null;
+  buffer.attachedTabIds.add(tabId);
+  return {
+    streamId: buffer.streamId,
+    messageId: buffer.messageId,
+    content: buffer.content,
+    thinkingContent: buffer.thinkingContent,
+    toolCalls: buffer.toolCalls,
+    platformId: buffer.platformId,
+    model: buffer.model,
+    preTruncationCost: buffer.preTruncationCost,
+    preTruncationOutput: buffer.preTruncationOutput,
+  };
+}
+
+/**
+ * Ends responses of a chat session that are marked as streaming but whose
+ * stream no longer exists, e.g., because the browser closed mid-response.
+ * @param {string} chatSessionId - Chat session ID.
+ * @returns {Promise<void>}
+ */
+export async function markInterruptedResponses(chatSessionId) {
+  const messages = await ChatHistoryService.getHistory(chatSessionId);
+  const interrupted = messages.filter(
+    (msg) => msg.streamId && !streamBuffers.has(msg.streamId)
+  );
+  for (const msg of interrupted) {
+    await ChatHistoryService.updateMessage(chatSessionId, msg.id, {
+      content: `${msg.content || ''}\n\n_Response interrupted._`,
+      streamId: undefined,
+    });
+  }
+}
+
+/**
+ * Detaches the side panel of a tab from the streams it was rendering.
+ * @param {number} tabId - Tab whose side panel closed.
+ */
+export function detachStreams(tabId) {
+  streamBuffers.forEach((buffer) => buffer.attachedTabIds.delete(tabId));
+}
+
+/**
+ * Completes a turn no side panel is attached to: prices the response, records
+ * the spend and saves the session as the side panel would have.
+ * @param {Object} buffer - Stream buffer.
+ * @param {Object} finalMessage - Final fields of the assistant message.
+ * @param {Object|null} usage - Token counts reported by the provider.
+ * @param {string|null} credentialProfileId - Credential profile that paid for the request.
+ * @returns {Promise<void>}
+ */
+async function finalizeDetachedTurn(
+  buffer,
+  finalMessage,
+  usage,
+  credentialProfileId
+) {
+  const messages = await ChatHistoryService.getHistory(buffer.chatSessionId);
+  const index = messages.findIndex((msg) => msg.id === buffer.messageId);
+  if (index === -1) {
+    logger.background.warn(
+      `Message ${buffer.messageId} of stream ${buffer.streamId} no longer exists.`
+    );
+    return;
+  }
+
+  const userMessage = messages[index - 1];
+  if (userMessage?.role === MESSAGE_ROLES.USER && buffer.extractedPageContent) {
+    userMessage.pageContextUsed = buffer.extractedPageContent;
+    userMessage.contextTypeUsed = buffer.contentType;
+  }
+
+  const apiConfig = await ConfigService.getPlatformApiConfig(
+    finalMessage.platformId
+  );
+  const modelConfig =
+    apiConfig?.models?.find((m) => m.id === finalMessage.modelId) || null;
+
+  const assistantMessage = { ...messages[index], ...finalMessage };
+  delete assistantMessage.streamId;
+  if (finalMessage.role !== MESSAGE_ROLES.SYSTEM) {
+    const outputTokens = finalMessage.cancelled
+      ? TokenManagementService.estimateTokens(buffer.content) +
+        TokenManagementService.estimateTokens(buffer.thinkingContent)
+      : TokenManagementService.resolveUsage(
+          usage,
+          0,
+          TokenManagementService.estimateTokens(buffer.content) +
+            TokenManagementService.estimateTokens(buffer.thinkingContent)
+        ).outputTokens;
+    const { apiCost, costBreakdown } =
+      TokenManagementService.calculateResponseCost(
+        [...messages.slice(0, index), assistantMessage],
+        usage,
+        outputTokens,
+        modelConfig,
+        buffer.isThinkingModeEnabled
+      );
+    assistantMessage.apiCost = apiCost;
+    assistantMessage.costBreakdown = costBreakdown;
+
+    // Each ledger is a read-modify-write of one storage key, so writes go one at a time
+    await CredentialManager.recordProfileSpend(
+      finalMessage.platformId,
+      credentialProfileId,
+      apiCost
+    );
+    await BudgetService.recordSpend(finalMessage.platformId, apiCost);
+    await UsageLedgerService.recordRequest({
+      chatSessionId: buffer.chatSessionId,
+      platformId: finalMessage.platformId,
+      modelId: finalMessage.modelId,
+      contentType: buffer.extractedPageContent ? buffer.contentType : null,
+      inputTokens: costBreakdown?.inputTokens,
+      outputTokens: costBreakdown?.outputTokens ?? outputTokens,
+      thinkingTokens: costBreakdown?.thinkingTokens,
+      cachedInputTokens: costBreakdown?.cachedInputTokens,
+      cost: apiCost,
+      isExact: costBreakdown?.isExact,
+    });
+  }
+  delete assistantMessage.cancelled;
+  messages[index] = assistantMessage;
+
+  await ChatHistoryService.saveHistory(
+    buffer.chatSessionId,
+    messages,
+    modelConfig,
+    buffer.preTruncationCost !== undefined
+      ? {
+          initialAccumulatedCost: buffer.preTruncationCost,
+          initialOutputTokens: buffer.preTruncationOutput || 0,
+        }
+      : {},
+    buffer.isThinkingModeEnabled,
+    buffer.systemPrompt
+  );
+  logger.background.info(
+    `Stream ${buffer.streamId} completed with no side panel attached; saved to history.`
+  );
+}
+
+/**
+ * Stops buffering a stream and writes its final response into history. When
+ * a side panel is attached it completes the turn itself; otherwise the turn
+ * is completed here.
+ * @param {string} streamId - Stream identifier.
+ * @param {Object} finalChunkData - The final chunk sent to the side panel.
+ * @returns {Promise<void>}
+ */
+export async function closeStreamBuffer(streamId, finalChunkData) {
+  const buffer = streamBuffers.get(streamId);
+  if (!buffer) return;
+  streamBuffers.delete(streamId);
+  clearTimeout(buffer.persistTimer);
+  await buffer.pendingWrite;
+
+  const platformId = finalChunkData.platformId || buffer.platformId;
+  const modelId = finalChunkData.model || buffer.model;
+  const finalMessage = finalChunkData.error
+    ? {
+        role: MESSAGE_ROLES.SYSTEM,
+        content: finalChunkData.error,
+        thinkingContent: undefined,
+        platformId,
+        modelId,
+      }
+    : {
+        content: finalChunkData.cancelled
+          ? `${finalChunkData.fullContent || buffer.content}\n\n_Stream cancelled by user._`
+          : finalChunkData.fullContent || buffer.content,
+        thinkingContent: buffer.thinkingContent || undefined,
+        platformId,
+        modelId,
+        usage: finalChunkData.cancelled ? null : finalChunkData.usage || null,
+        credentialProfileId: finalChunkData.credentialProfileId || null,
+        ...(finalChunkData.citations?.length > 0 && {
+          citations: finalChunkData.citations,
+        }),
+        // Calls still awaiting approval or running will never complete
+        ...(buffer.toolCalls.length > 0 && {
+          toolCalls: buffer.toolCalls.map((call) =>
+            call.status === TOOL_CALL_STATUS.PENDING ||
+            call.status === TOOL_CALL_STATUS.RUNNING
+              ? { ...call, status: TOOL_CALL_STATUS.CANCELLED }
+              : call
+          ),
+        }),
+      };
+  finalMessage.timestamp = new Date().toISOString();
+
+  try {
+    if (buffer.attachedTabIds.size > 0) {
+      await ChatHistoryService.updateMessage(
+        buffer.chatSessionId,
+        buffer.messageId,
+        { ...finalMessage, streamId: undefined }
+      );
+    } else {
+      await finalizeDetachedTurn(
+        buffer,
+        { ...finalMessage, cancelled: finalChunkData.cancelled === true },
+        finalChunkData.cancelled ? null : finalChunkData.usage || null,
+        finalChunkData.credentialProfileId || null
+      );
+    }
+  } catch (error) {
+    logger.background.error(
+      `Error saving final response of stream ${streamId}:`,
+      error
+    );
+  }
+}
@@ -0,0 +1,266 @@
+// src/background/services/tool-registry.js - Browser tools the model can call
+
+import ContentFormatter from '../../services/ContentFormatter.js';
+import {
+  determineContentType,
+  isInjectablePage,
+} from '../../shared/utils/content-utils.js';
+import { MAX_TOOL_RESULT_LENGTH } from '../../shared/constants.js';
+import { logger } from '../../shared/logger.js';
+import {
+  resetExtractionState,
+  getExtractedContent,
+} from '../core/state-manager.js';
+
+import { extractContent } from './content-extraction.js';
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_FIND_MATCHES = 20;
+const FIND_CONTEXT_LENGTH = 120; // Characters shown on each side of a match
+
+/**
+ * Resolves the tab a tool should act on: the given ID, or the tab the chat
+ * was started from.
+ * @param {number|undefined} tabId - Tab ID passed by the model.
+ * @param {Object} context - Execution context.
+ * @returns {Promise<chrome.tabs.Tab>} The tab.
+ */
+async function resolveTab(tabId, context) {
+  const id = Number.isInteger(tabId) ? tabId : context.tabId;
+  if (!Number.isInteger(id)) {
+    throw new Error('No tab specified.');
+  }
+  try {
+    return await chrome.tabs.get(id);
+  } catch (error) {
+    throw new Error(`Tab ${id} does not exist.`);
+  }
+}
+
+/**
+ * Converts an HTML document to readable text. The service worker has no
+ * DOMParser, so this strips markup with regular expressions.
+ * @param {string} html - HTML source.
+ * @returns {string} Text content.
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|svg|template)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(
+      /<(br|\/p|\/div|\/li|\/h[1-6]|\/tr|\/section|\/article)[^>]*>/gi,
+      '\n'
+    )
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Runs in the page: searches the visible text for a query (case-insensitive).
+ * Must stay self-contained since it is serialized by chrome.scripting.
+ * @param {string} query - Text to find.
+ * @param {number} maxMatches - Maximum number of matches returned.
+ * @param {number} contextLength - Characters of context on each side.
+ * @returns {{total: number, matches: Array<string>}}
+ */
+function findTextInPage(query, maxMatches, contextLength) {
+  const text = (document.body?.innerText || '').replace(/\s+/g, ' ');
+  const haystack = text.toLowerCase();
+  const needle = query.toLowerCase();
+  const matches = [];
+  let total = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    total++;
+    if (matches.length < maxMatches) {
+      const start = Math.max(0, index - contextLength);
+      const end = Math.min(text.length, index + needle.length + contextLength);
+      matches.push(
+        `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+      );
+    }
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return { total, matches };
+}
+
+const TOOLS = {
+  list_open_tabs: {
+    description:
+      'Lists the tabs open in the browser with their ID, title and URL. The active tab of each window is marked.',
+    parameters: { type: 'object', properties: {} },
+    async execute(_args, context) {
+      const tabs = await chrome.tabs.query({});
+      return tabs
+        .map(
+          (tab) =>
+            `[${tab.id}] ${tab.title || '(untitled)'} - ${tab.url || ''}${tab.active ? ' (active)' : ''}${tab.id === context.tabId ? ' (current)' : ''}`
+        )
+        .join('\n');
+    },
+  },
+
+  extract_tab_content: {
+    description:
+      'Extracts the main content of an open tab (article text, YouTube transcript, Reddit or Hacker News thread, GitHub issue, pull request or file, Stack Exchange question with its answers, or PDF text). Defaults to the current tab.',
+    parameters: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'integer',
+          description: 'ID of the tab, as returned by list_open_tabs.',
+        },
+      },
+    },
+    async execute(args, context) {
+      const tab = await resolveTab(args.tab_id, context);
+      if (!isInjectablePage(tab.url)) {
+        throw new Error(`Content of ${tab.url} cannot be extracted.`);
+      }
+      const contentType = determineContentType(tab.url);
+      await resetExtractionState();
+      await extractContent(tab.id, tab.url, contentType);
+      const extractedContent = await getExtractedContent();
+      if (!extractedContent) {
+        throw new Error(`No content could be extracted from tab ${tab.id}.`);
+      }
+      return ContentFormatter.formatContent(extractedContent, contentType);
+    },
+  },
+
+  find_text_on_page: {
+    description:
+      'Searches the visible text of a tab for a phrase (case-insensitive) and returns each match with surrounding context. Defaults to the current tab.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'The text to search for.' },
+        tab_id: {
+          type: 'integer',
+          description: 'ID of the tab, as returned by list_open_tabs.',
+        },
+      },
+      required: ['query'],
+    },
+    async execute(args, context) {
+      if (typeof args.query !== 'string' || !args.query.trim()) {
+        throw new Error('"query" must be a non-empty string.');
+      }
+      const tab = await resolveTab(args.tab_id, context);
+      if (!isInjectablePage(tab.url)) {
+        throw new Error(`Page ${tab.url} cannot be searched.`);
+      }
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: findTextInPage,
+        args: [args.query.trim(), MAX_FIND_MATCHES, FIND_CONTEXT_LENGTH],
+      });
+      const { total, matches } = injection?.result || {
+        total: 0,
+        matches: [],
+      };
+      if (total === 0) {
+        return `No matches for "${args.query}" in tab ${tab.id}.`;
+      }
+      const header = `${total} match(es) for "${args.query}" in tab ${tab.id}${total > matches.length ? ` (first ${matches.length} shown)` : ''}:`;
+      return [header, ...matches.map((match, i) => `${i + 1}. ${match}`)].join(
+        '\n'
+      );
+    },
+  },
+
+  fetch_url: {
+    description:
+      'Downloads a web page or text document by URL, without opening it in a tab, and returns its text content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'Absolute http(s) URL to fetch.',
+        },
+      },
+      required: ['url'],
+    },
+    async execute(args) {
+      let url;
+      try {
+        url = new URL(args.url);
+      } catch (error) {
+        throw new Error(`Invalid URL: ${args.url}`);
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Only http(s) URLs can be fetched.');
+      }
+      const response = await fetch(url.toString(), {
+        credentials: 'omit', // Never send the user's cookies
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}.`);
+      }
+      const contentType = response.headers.get('content-type') || '';
+      if (
+        !contentType.startsWith('text/') &&
+        !contentType.includes('json') &&
+        !contentType.includes('xml')
+      ) {
+        throw new Error(`Unsupported content type: ${contentType}.`);
+      }
+      const body = await response.text();
+      return contentType.includes('html') ? htmlToText(body) : body;
+    },
+  },
+};
+
+/**
+ * Returns the definitions of all browser tools, in the provider-neutral shape
+ * expected by the API layer: [{ name, description, parameters }].
+ * @returns {Array<Object>} Tool definitions.
+ */
+export function getToolDefinitions() {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    parameters: tool.parameters,
+  }));
+}
+
+/**
+ * Runs a tool call. Failures are returned as error results rather than thrown,
+ * so the model can see what went wrong and adjust.
+ * @param {string} name - Tool name.
+ * @param {Object} args - Arguments parsed from the model's call.
+ * @param {Object} context - Execution context.
+ * @param {number} [context.tabId] - Tab the chat was started from.
+ * @returns {Promise<{content: string, isError: boolean}>} The result sent back to the model.
+ */
+export async function executeTool(name, args, context) {
+  const tool = TOOLS[name];
+  if (!tool) {
+    return { content: `Unknown tool: ${name}`, isError: true };
+  }
+  try {
+    logger.background.info(`Executing tool ${name}`, args);
+    const output = await tool.execute(args || {}, context);
+    const content = String(output ?? '');
+    return {
+      content:
+        content.length > MAX_TOOL_RESULT_LENGTH
+          ? `${content.slice(0, MAX_TOOL_RESULT_LENGTH)}\n[Truncated: ${content.length - MAX_TOOL_RESULT_LENGTH} more characters]`
+          : content || '(empty result)',
+      isError: false,
+    };
+  } catch (error) {
+    logger.background.warn(`Tool ${name} failed:`, error);
+    return { content: `Error: ${error.message}`, isError: true };
+  }
+}
@@ -0,0 +1,73 @@
+// src/components/form/VaultUnlockForm.jsx
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { Button } from '../core/Button';
+import VaultService from '../../services/VaultService';
+
+import { Input } from './Input';
+
+/**
+ * Passphrase prompt unlocking the vault. Every extension page notices the
+ * unlock through storage, so no callback is needed to continue.
+ */
+export function VaultUnlockForm({ className = '' }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setIsUnlocking(true);
+    setErrorMessage(null);
+    const isUnlocked = await VaultService.unlock(passphrase);
+    setIsUnlocking(false);
+    if (isUnlocked) {
+      setPassphrase('');
+    } else {
+      setErrorMessage('Incorrect passphrase.');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={className}>
+      <label
+        htmlFor='vault-unlock-passphrase'
+        className='block mb-2 text-sm text-theme-secondary'
+      >
+        Passphrase
+      </label>
+      <Input
+        type='password'
+        id='vault-unlock-passphrase'
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        disabled={isUnlocking}
+        autoFocus
+        className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+      />
+      {errorMessage && (
+        <p className='mt-2 text-xs text-error'>{errorMessage}</p>
+      )}
+      <div className='mt-4 flex justify-end'>
+        <Button
+          type='submit'
+          isLoading={isUnlocking}
+          loadingText='Unlocking...'
+          disabled={isUnlocking || !passphrase}
+          variant={isUnlocking || !passphrase ? 'inactive' : 'primary'}
+          className='select-none'
+        >
+          Unlock
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+VaultUnlockForm.propTypes = {
+  className: PropTypes.string,
+};
+
+export default VaultUnlockForm;
@@ -0,0 +1,27 @@
+// src/components/icons/CameraIcon.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export function CameraIcon({ className = 'w-4 h-4', ...props }) {
+  return (
+    <svg
+      viewBox='0 0 24 24'
+      fill='none'
+      stroke='currentColor'
+      strokeWidth='2'
+      strokeLinecap='round'
+      strokeLinejoin='round'
+      className={className}
+      {...props}
+    >
+      <path d='M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z' />
+      <circle cx='12' cy='13' r='4' />
+    </svg>
+  );
+}
+
+CameraIcon.propTypes = {
+  className: PropTypes.string,
+};
+
+export default CameraIcon;
@@ -0,0 +1,27 @@
+// src/components/icons/CompareIcon.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export function CompareIcon({ className = 'w-4 h-4', ...props }) {
+  return (
+    <svg
+      viewBox='0 0 24 24'
+      fill='none'
+      stroke='currentColor'
+      strokeWidth='2'
+      strokeLinecap='round'
+      strokeLinejoin='round'
+      className={className}
+      {...props}
+    >
+      <rect x='3' y='4' width='18' height='16' rx='2' />
+      <path d='M12 4v16' />
+    </svg>
+  );
+}
+
+CompareIcon.propTypes = {
+  className: PropTypes.string,
+};
+
+export default CompareIcon;
@@ -0,0 +1,28 @@
+// src/components/icons/GlobeIcon.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export function GlobeIcon({ className = 'w-4 h-4', ...props }) {
+  return (
+    <svg
+      viewBox='0 0 24 24'
+      fill='none'
+      stroke='currentColor'
+      strokeWidth='2'
+      strokeLinecap='round'
+      strokeLinejoin='round'
+      className={className}
+      {...props}
+    >
+      <circle cx='12' cy='12' r='10' />
+      <path d='M2 12h20' />
+      <path d='M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z' />
+    </svg>
+  );
+}
+
+GlobeIcon.propTypes = {
+  className: PropTypes.string,
+};
+
+export default GlobeIcon;
@@ -0,0 +1,26 @@
+// src/components/icons/HackerNewsIcon.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Icon representing Hacker News, using its brand color.
+ */
+export function HackerNewsIcon({ className = 'w-5 h-5', ...props }) {
+  return (
+    <svg
+      xmlns='http://www.w3.org/2000/svg'
+      viewBox='0 0 512 512'
+      className={className}
+      {...props}
+    >
+      <rect width='512' height='512' rx='64' fill='#FF6600' />
+      <path d='M142 112h54l60 126 60-126h54L283 283v117h-54V283z' fill='#fff' />
+    </svg>
+  );
+}
+
+HackerNewsIcon.propTypes = {
+  className: PropTypes.string,
+};
+
+export default HackerNewsIcon;
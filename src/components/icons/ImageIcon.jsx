@@ -0,0 +1,28 @@
+// src/components/icons/ImageIcon.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export function ImageIcon({ className = 'w-4 h-4', ...props }) {
+  return (
+    <svg
+      viewBox='0 0 24 24'
+      fill='none'
+      stroke='currentColor'
+      strokeWidth='2'
+      strokeLinecap='round'
+      strokeLinejoin='round'
+      className={className}
+      {...props}
+    >
+      <rect x='3' y='3' width='18' height='18' rx='2' ry='2' />
+      <circle cx='8.5' cy='8.5' r='1.5' />
+      <path d='M21 15l-5-5L5 21' />
+    </svg>
+  );
+}
+
+ImageIcon.propTypes = {
+  className: PropTypes.string,
+};
+
+export default ImageIcon;
@@ -0,0 +1,26 @@
+// src/components/icons/WrenchIcon.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export function WrenchIcon({ className = 'w-4 h-4', ...props }) {
+  return (
+    <svg
+      viewBox='0 0 24 24'
+      fill='none'
+      stroke='currentColor'
+      strokeWidth='2'
+      strokeLinecap='round'
+      strokeLinejoin='round'
+      className={className}
+      {...props}
+    >
+      <path d='M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z' />
+    </svg>
+  );
+}
+
+WrenchIcon.propTypes = {
+  className: PropTypes.string,
+};
+
+export default WrenchIcon;
@@ -21,6 +21,7 @@ export { TextArea } from './form/TextArea';
 export { SelectList } from './form/SelectList';
 export { SliderInput } from './form/SliderInput';
 export { Input } from './form/Input';
+export { VaultUnlockForm } from './form/VaultUnlockForm';
 
 // Layout components
 export { PlatformLogoItem } from './layout/PlatformLogoItem';
@@ -28,6 +29,7 @@ export { AppHeader } from './layout/AppHeader';
 export { Tooltip } from './layout/Tooltip';
 export { ContentTypeIcon } from './layout/ContentTypeIcon';
 export { PlatformIcon } from './layout/PlatformIcon';
+export { VaultGate } from './layout/VaultGate';
 
 // Icon components
 export { InfoIcon } from './icons/InfoIcon';
@@ -64,8 +66,16 @@ export { HistoryIcon } from './icons/HistoryIcon';
 export { GeneralContentIcon } from './icons/GeneralContentIcon';
 export { PdfIcon } from './icons/PdfIcon';
 export { RedditIcon } from './icons/RedditIcon';
+export { HackerNewsIcon } from './icons/HackerNewsIcon';
+export { GitHubIcon } from './icons/GitHubIcon';
+export { StackExchangeIcon } from './icons/StackExchangeIcon';
 export { SelectedTextIcon } from './icons/SelectedTextIcon';
 export { YouTubeIcon } from './icons/YouTubeIcon';
+export { CameraIcon } from './icons/CameraIcon';
+export { ImageIcon } from './icons/ImageIcon';
+export { WrenchIcon } from './icons/WrenchIcon';
+export { CompareIcon } from './icons/CompareIcon';
+export { GlobeIcon } from './icons/GlobeIcon';
 
 // Input components
 export { PromptDropdown } from './input/PromptDropdown';
@@ -66,7 +66,7 @@ export function UnifiedInput({
   const handlePromptSelected = (prompt) => {
     setIsDropdownOpen(false);
     if (!disabled && !isProcessing) {
-      onSubmit(prompt.content);
+      onSubmit(prompt.content, { outputSchema: prompt.outputSchema || null });
     }
   };
 
@@ -4,9 +4,12 @@ import PropTypes from 'prop-types';
 
 import { CONTENT_TYPES } from '../../shared/constants';
 import { GeneralContentIcon } from '../icons/GeneralContentIcon';
+import { GitHubIcon } from '../icons/GitHubIcon';
+import { HackerNewsIcon } from '../icons/HackerNewsIcon';
 import { PdfIcon } from '../icons/PdfIcon';
 import { RedditIcon } from '../icons/RedditIcon';
 import { SelectedTextIcon } from '../icons/SelectedTextIcon';
+import { StackExchangeIcon } from '../icons/StackExchangeIcon';
 import { YouTubeIcon } from '../icons/YouTubeIcon';
 
 // Map content types to their corresponding icon components
@@ -14,6 +17,9 @@ const ICON_MAP = {
   [CONTENT_TYPES.GENERAL]: GeneralContentIcon,
   [CONTENT_TYPES.PDF]: PdfIcon,
   [CONTENT_TYPES.REDDIT]: RedditIcon,
+  [CONTENT_TYPES.HACKER_NEWS]: HackerNewsIcon,
+  [CONTENT_TYPES.GITHUB]: GitHubIcon,
+  [CONTENT_TYPES.STACK_EXCHANGE]: StackExchangeIcon,
   [CONTENT_TYPES.SELECTED_TEXT]: SelectedTextIcon,
   [CONTENT_TYPES.YOUTUBE]: YouTubeIcon,
 };
@@ -0,0 +1,66 @@
+// src/components/layout/VaultGate.jsx
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+import { VaultUnlockForm } from '../form/VaultUnlockForm';
+import { useVaultStatus } from '../../hooks/useVaultStatus';
+import VaultService from '../../services/VaultService';
+
+const ACTIVITY_THROTTLE_MS = 30 * 1000;
+
+/**
+ * Renders its children only while the vault is disabled or unlocked, and an
+ * unlock prompt otherwise. User input inside the page counts as vault
+ * activity, postponing auto-lock.
+ */
+export function VaultGate({ children, className = '' }) {
+  const { isLoading, isEnabled, isUnlocked } = useVaultStatus();
+  const lastActivityRef = useRef(0);
+
+  useEffect(() => {
+    if (!isEnabled || !isUnlocked) return;
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastActivityRef.current < ACTIVITY_THROTTLE_MS) return;
+      lastActivityRef.current = now;
+      VaultService.touch();
+    };
+    document.addEventListener('pointerdown', handleActivity);
+    document.addEventListener('keydown', handleActivity);
+    return () => {
+      document.removeEventListener('pointerdown', handleActivity);
+      document.removeEventListener('keydown', handleActivity);
+    };
+  }, [isEnabled, isUnlocked]);
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (isEnabled && !isUnlocked) {
+    return (
+      <div
+        className={`flex items-center justify-center p-6 bg-theme-primary text-theme-primary ${className}`}
+      >
+        <div className='w-full max-w-sm p-5 bg-theme-surface border border-theme rounded-lg'>
+          <h2 className='text-base font-semibold mb-2'>Vault Locked</h2>
+          <p className='text-sm text-theme-secondary mb-4'>
+            Your API keys and chat history are encrypted. Enter your passphrase
+            to unlock them.
+          </p>
+          <VaultUnlockForm />
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+}
+
+VaultGate.propTypes = {
+  children: PropTypes.node,
+  className: PropTypes.string,
+};
+
+export default VaultGate;
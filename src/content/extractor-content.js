@@ -1,11 +1,13 @@
 // src/content/extractor-content.js
 import ExtractorFactory from '../extractor/extractor-factory.js';
+import GeneralExtractorStrategy from '../extractor/strategies/general-strategy.js';
 import { logger } from '../shared/logger.js';
 import {
   STORAGE_KEYS,
   DEFAULT_EXTRACTION_STRATEGY,
   CONTENT_TYPES,
 } from '../shared/constants.js';
+import { matchesSitePattern } from '../shared/utils/site-rule-utils.js';
 
 // Guard to ensure one-time initialization
 if (window.webNexusAIContentScriptInitialized) {
@@ -25,14 +27,19 @@ if (window.webNexusAIContentScriptInitialized) {
       (async () => {
         try {
           let preferredStrategy = DEFAULT_EXTRACTION_STRATEGY;
-          // Only fetch strategy if it's general content type
+          let siteRules = [];
+          // Only fetch strategy and site rules if it's general content type
           if (message.contentType === CONTENT_TYPES.GENERAL) {
-            const result = await chrome.storage.sync.get(
-              STORAGE_KEYS.GENERAL_CONTENT_EXTRACTION_STRATEGY
-            );
+            const [syncResult, localResult] = await Promise.all([
+              chrome.storage.sync.get(
+                STORAGE_KEYS.GENERAL_CONTENT_EXTRACTION_STRATEGY
+              ),
+              chrome.storage.local.get(STORAGE_KEYS.EXTRACTION_SITE_RULES),
+            ]);
             preferredStrategy =
-              result[STORAGE_KEYS.GENERAL_CONTENT_EXTRACTION_STRATEGY] ||
+              syncResult[STORAGE_KEYS.GENERAL_CONTENT_EXTRACTION_STRATEGY] ||
               DEFAULT_EXTRACTION_STRATEGY;
+            siteRules = localResult[STORAGE_KEYS.EXTRACTION_SITE_RULES] || [];
             logger.content.info(
               `Using general extraction strategy from storage: ${preferredStrategy}`
             );
@@ -40,7 +47,11 @@ if (window.webNexusAIContentScriptInitialized) {
 
           // Always re-initialize the extractor with the content type from the message.
           // This is the core of the fix: it ensures the correct extractor is made active.
-          ExtractorFactory.initialize(message.contentType, preferredStrategy);
+          ExtractorFactory.initialize(
+            message.contentType,
+            preferredStrategy,
+            siteRules
+          );
           logger.content.info(
             `Extractor initialized with content type: ${message.contentType}`
           );
@@ -68,7 +79,39 @@ if (window.webNexusAIContentScriptInitialized) {
       return true; // Keep channel open for async response
     }
 
-    // 2. Handle 'resetExtractor' action
+    // 2. Handle 'previewSiteRule': extract with a draft rule, without saving the result
+    if (message.action === 'previewSiteRule') {
+      (async () => {
+        try {
+          const result = await chrome.storage.sync.get(
+            STORAGE_KEYS.GENERAL_CONTENT_EXTRACTION_STRATEGY
+          );
+          const extractor = new GeneralExtractorStrategy({
+            extractionMode:
+              message.rule.strategy ||
+              result[STORAGE_KEYS.GENERAL_CONTENT_EXTRACTION_STRATEGY] ||
+              DEFAULT_EXTRACTION_STRATEGY,
+            siteRule: message.rule,
+          });
+          const data = await extractor.extractData();
+          sendResponse({
+            success: !data.error,
+            error: data.message,
+            matches: matchesSitePattern(
+              window.location.href,
+              message.rule.pattern
+            ),
+            data,
+          });
+        } catch (e) {
+          logger.content.error('Error previewing site rule:', e);
+          sendResponse({ success: false, error: e.message });
+        }
+      })();
+      return true; // Keep channel open for async response
+    }
+
+    // 3. Handle 'resetExtractor' action
     if (message.action === 'resetExtractor') {
       ExtractorFactory.cleanup();
       // On reset, we don't know the content type, so we don't initialize a new one.
@@ -78,7 +121,7 @@ if (window.webNexusAIContentScriptInitialized) {
       return false; // Synchronous response
     }
 
-    // 3. Delegate any other messages to the currently active extractor
+    // 4. Delegate any other messages to the currently active extractor
     if (ExtractorFactory.activeExtractor) {
       try {
         // The return value of handleMessage determines if the response is async
@@ -92,7 +135,7 @@ if (window.webNexusAIContentScriptInitialized) {
       }
     }
 
-    // 4. Default case: message was not handled
+    // 5. Default case: message was not handled
     return false;
   });
 }
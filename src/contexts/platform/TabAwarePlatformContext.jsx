@@ -54,7 +54,7 @@ export function createTabAwarePlatformContext(options = {}) {
       platformConfigs,
       isLoading: isLoadingConfigs,
       error: configError,
-    } = usePlatformConfigurations();
+    } = usePlatformConfigurations(interfaceType);
 
     const {
       credentialStatus,
@@ -3,12 +3,15 @@ import { useState, useEffect } from 'react';
 
 import ConfigService from '../../../services/ConfigService';
 import { logger } from '../../../shared/logger';
+import { INTERFACE_SOURCES, STORAGE_KEYS } from '../../../shared/constants';
 
 /**
  * Hook to fetch and provide platform configurations.
+ * Custom providers are API-only, so they are excluded from the popup (Web UI injection).
+ * @param {string} interfaceType - The interface type (popup or sidepanel).
  * @returns {{platformConfigs: Array, isLoading: boolean, error: Error|null}}
  */
-export function usePlatformConfigurations() {
+export function usePlatformConfigurations(interfaceType) {
   const [platformConfigs, setPlatformConfigs] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -19,7 +22,9 @@ export function usePlatformConfigurations() {
       setIsLoading(true);
       setError(null);
       try {
-        const configs = await ConfigService.getAllPlatformConfigs();
+        const configs = await ConfigService.getAllPlatformConfigs({
+          includeCustomProviders: interfaceType !== INTERFACE_SOURCES.POPUP,
+        });
         if (isMounted) {
           setPlatformConfigs(configs);
         }
@@ -37,10 +42,23 @@ export function usePlatformConfigurations() {
 
     fetchConfigs();
 
+    const handleStorageChange = (changes, area) => {
+      if (
+        area === 'local' &&
+        changes[STORAGE_KEYS.CUSTOM_PROVIDERS] &&
+        interfaceType !== INTERFACE_SOURCES.POPUP
+      ) {
+        logger.context.info('Custom providers changed, reloading configs.');
+        fetchConfigs();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+
     return () => {
       isMounted = false;
+      chrome.storage.onChanged.removeListener(handleStorageChange);
     };
-  }, []);
+  }, [interfaceType]);
 
   return { platformConfigs, isLoading, error };
 }
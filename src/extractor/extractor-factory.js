@@ -3,9 +3,13 @@ import {
   CONTENT_TYPES,
   DEFAULT_EXTRACTION_STRATEGY,
 } from '../shared/constants.js';
+import { findSiteRule } from '../shared/utils/site-rule-utils.js';
 
 import GeneralExtractorStrategy from './strategies/general-strategy.js';
 import RedditExtractorStrategy from './strategies/reddit-strategy.js';
+import HackerNewsExtractorStrategy from './strategies/hacker-news-strategy.js';
+import GitHubExtractorStrategy from './strategies/github-strategy.js';
+import StackExchangeExtractorStrategy from './strategies/stack-exchange-strategy.js';
 import YoutubeExtractorStrategy from './strategies/youtube-strategy.js';
 import PdfExtractorStrategy from './strategies/pdf-strategy.js';
 import SelectedTextExtractorStrategy from './strategies/selected-text-strategy.js';
@@ -26,6 +30,9 @@ class ExtractorFactory {
   static STRATEGY_MAP = {
     [CONTENT_TYPES.GENERAL]: GeneralExtractorStrategy,
     [CONTENT_TYPES.REDDIT]: RedditExtractorStrategy,
+    [CONTENT_TYPES.HACKER_NEWS]: HackerNewsExtractorStrategy,
+    [CONTENT_TYPES.GITHUB]: GitHubExtractorStrategy,
+    [CONTENT_TYPES.STACK_EXCHANGE]: StackExchangeExtractorStrategy,
     [CONTENT_TYPES.YOUTUBE]: YoutubeExtractorStrategy,
     [CONTENT_TYPES.PDF]: PdfExtractorStrategy,
     [CONTENT_TYPES.SELECTED_TEXT]: SelectedTextExtractorStrategy,
@@ -35,9 +42,14 @@ class ExtractorFactory {
    * Create an extractor based on the content type
    * @param {string} contentType - The type of content to extract.
    * @param {string|null} preferredStrategy - The preferred strategy for general content.
+   * @param {Array<Object>} [siteRules=[]] - User site rules for general content.
    * @returns {BaseExtractor} An instance of the appropriate extractor.
    */
-  static createExtractor(contentType, preferredStrategy = null) {
+  static createExtractor(
+    contentType,
+    preferredStrategy = null,
+    siteRules = []
+  ) {
     const StrategyClass =
       this.STRATEGY_MAP[contentType] || GeneralExtractorStrategy;
 
@@ -45,9 +57,14 @@ class ExtractorFactory {
       contentType === CONTENT_TYPES.GENERAL &&
       StrategyClass === GeneralExtractorStrategy
     ) {
-      // Pass the preferredStrategy in the config object for GeneralExtractorStrategy
+      // A site rule for the page takes precedence over the generic logic
+      const siteRule = findSiteRule(siteRules, window.location.href);
       return new StrategyClass({
-        extractionMode: preferredStrategy || DEFAULT_EXTRACTION_STRATEGY,
+        extractionMode:
+          siteRule?.strategy ||
+          preferredStrategy ||
+          DEFAULT_EXTRACTION_STRATEGY,
+        siteRule,
       });
     }
     return new StrategyClass();
@@ -57,9 +74,10 @@ class ExtractorFactory {
    * Initialize the appropriate extractor based on the content type
    * @param {string} contentType - The type of content to extract.
    * @param {string|null} preferredStrategy - The preferred strategy for general content.
+   * @param {Array<Object>} [siteRules=[]] - User site rules for general content.
    * @returns {BaseExtractor} The initialized active extractor instance.
    */
-  static initialize(contentType, preferredStrategy = null) {
+  static initialize(contentType, preferredStrategy = null, siteRules = []) {
     // Clean up any existing extractor
     if (this.activeExtractor) {
       this.activeExtractor.cleanup();
@@ -68,7 +86,8 @@ class ExtractorFactory {
     // Create the new extractor using the provided contentType
     this.activeExtractor = ExtractorFactory.createExtractor(
       contentType,
-      preferredStrategy
+      preferredStrategy,
+      siteRules
     );
     this.activeExtractor.initialize();
     return this.activeExtractor;
@@ -2,18 +2,115 @@ import { Readability } from '@mozilla/readability';
 
 import BaseExtractor from '../base-extractor.js';
 import { normalizeText } from '../utils/text-utils.js';
+import { SITE_RULE_WAIT_TIMEOUT_MS } from '../../shared/constants.js';
+import { isValidCssSelector } from '../../shared/utils/site-rule-utils.js';
 
 const MIN_BROAD_TEXT_LENGTH = 15; // Minimum characters for the entire extracted broad text to be considered useful.
 
 class GeneralExtractorStrategy extends BaseExtractor {
   constructor(config = {}) {
     super('general');
-    this.config = { extractionMode: config.extractionMode };
+    this.config = {
+      extractionMode: config.extractionMode,
+      siteRule: config.siteRule || null,
+    };
+    // Invalid selectors are dropped so that one typo cannot break extraction
+    const validSelectors = (field) =>
+      (config.siteRule?.[field] || []).filter(isValidCssSelector);
+    this.includeSelectors = validSelectors('includeSelectors');
+    this.excludeSelectors = validSelectors('excludeSelectors');
+    this.waitForSelectors = validSelectors('waitForSelectors');
     this.logger.info(
-      `GeneralExtractorStrategy initialized with mode: ${this.config.extractionMode}`
+      `GeneralExtractorStrategy initialized with mode: ${this.config.extractionMode}` +
+        (this.config.siteRule
+          ? `, site rule: ${this.config.siteRule.pattern}`
+          : '')
     );
   }
 
+  /**
+   * Waits until every wait-for selector of the site rule matches, for pages
+   * that render their content after loading. Gives up after a timeout and
+   * extracts whatever is there.
+   * @returns {Promise<void>}
+   */
+  _waitForSiteRuleSelectors() {
+    const isReady = () =>
+      this.waitForSelectors.every((selector) =>
+        document.querySelector(selector)
+      );
+    if (isReady()) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const observer = new MutationObserver(() => {
+        if (isReady()) finish();
+      });
+      const timeoutId = setTimeout(() => {
+        this.logger.warn(
+          `Site rule selectors still missing after ${SITE_RULE_WAIT_TIMEOUT_MS}ms, extracting anyway.`
+        );
+        finish();
+      }, SITE_RULE_WAIT_TIMEOUT_MS);
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(timeoutId);
+        resolve();
+      };
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+      });
+    });
+  }
+
+  /**
+   * Gets the elements of a document matching the include selectors of the
+   * site rule, in document order, without those nested in another one.
+   * @param {Document} root - The document to search.
+   * @returns {Array<Element>} The included elements, empty if none matches.
+   */
+  _getIncludedElements(root) {
+    const matches = new Set();
+    this.includeSelectors.forEach((selector) =>
+      root.querySelectorAll(selector).forEach((element) => matches.add(element))
+    );
+    return [...matches]
+      .filter(
+        (element) =>
+          ![...matches].some(
+            (other) => other !== element && other.contains(element)
+          )
+      )
+      .sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      );
+  }
+
+  /**
+   * Clones the document for Readability, reduced to the included elements and
+   * stripped of the excluded ones when a site rule applies.
+   * @returns {Document} The document clone.
+   */
+  _cloneDocumentForExtraction() {
+    const documentClone = document.cloneNode(true);
+    if (this.includeSelectors.length > 0) {
+      const includedElements = this._getIncludedElements(documentClone);
+      if (includedElements.length > 0) {
+        documentClone.body.replaceChildren(...includedElements);
+      } else {
+        this.logger.warn(
+          'No element matches the include selectors of the site rule, using the whole page.'
+        );
+      }
+    }
+    this.excludeSelectors.forEach((selector) =>
+      documentClone
+        .querySelectorAll(selector)
+        .forEach((element) => element.remove())
+    );
+    return documentClone;
+  }
+
   /**
    * Cleans and standardizes text content by normalizing whitespace.
    * @param {string} text - The raw text content.
@@ -75,6 +172,10 @@ class GeneralExtractorStrategy extends BaseExtractor {
     const extractionMode = this.config.extractionMode;
 
     try {
+      if (this.waitForSelectors.length > 0) {
+        await this._waitForSiteRuleSelectors();
+      }
+
       if (extractionMode === 'focused') {
         this.logger.info(
           'No user selection. Attempting FOCUSED (Readability.js) extraction.'
@@ -83,7 +184,7 @@ class GeneralExtractorStrategy extends BaseExtractor {
           charThreshold: 150,
           nbTopCandidates: 7,
         };
-        const documentClone = document.cloneNode(true);
+        const documentClone = this._cloneDocumentForExtraction();
         const reader = new Readability(documentClone, readabilityOptions);
         const article = reader.parse();
 
@@ -130,6 +231,7 @@ class GeneralExtractorStrategy extends BaseExtractor {
         extractedAt: new Date().toISOString(),
         contentType: this.contentType,
         mode: extractionMode,
+        siteRulePattern: this.config.siteRule?.pattern || null,
       };
     } catch (error) {
       this.logger.error('Critical error during page data extraction:', error);
@@ -382,6 +484,11 @@ class GeneralExtractorStrategy extends BaseExtractor {
     this.logger.info('Starting _extractBroadContent (TreeWalker approach).');
     const textNodes = [];
     const self = this;
+    const includedElements =
+      this.includeSelectors.length > 0
+        ? this._getIncludedElements(document)
+        : [];
+    const excludeSelector = this.excludeSelectors.join(', ');
 
     const EXCLUDED_PARENT_TAGS = new Set([
       'BUTTON',
@@ -402,40 +509,58 @@ class GeneralExtractorStrategy extends BaseExtractor {
       'EMBED',
     ]);
 
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: function (node) {
-          const parentElement = node.parentElement;
-          if (!parentElement) return NodeFilter.FILTER_REJECT;
+    const nodeFilter = {
+      acceptNode: function (node) {
+        const parentElement = node.parentElement;
+        if (!parentElement) return NodeFilter.FILTER_REJECT;
 
-          if (EXCLUDED_PARENT_TAGS.has(parentElement.tagName.toUpperCase())) {
-            return NodeFilter.FILTER_REJECT;
-          }
+        if (EXCLUDED_PARENT_TAGS.has(parentElement.tagName.toUpperCase())) {
+          return NodeFilter.FILTER_REJECT;
+        }
 
-          if (!self._isVisible(parentElement)) {
-            return NodeFilter.FILTER_REJECT;
-          }
+        if (!self._isVisible(parentElement)) {
+          return NodeFilter.FILTER_REJECT;
+        }
 
-          if (self._isElementOrAncestorNavOrBoilerplate(parentElement)) {
-            return NodeFilter.FILTER_REJECT;
-          }
+        if (excludeSelector && parentElement.closest(excludeSelector)) {
+          return NodeFilter.FILTER_REJECT;
+        }
 
-          const textContent = node.textContent || '';
-          if (textContent.trim().length < 3) {
-            return NodeFilter.FILTER_REJECT;
-          }
+        // Elements included by a site rule are trusted over the boilerplate heuristics
+        if (
+          includedElements.length === 0 &&
+          self._isElementOrAncestorNavOrBoilerplate(parentElement)
+        ) {
+          return NodeFilter.FILTER_REJECT;
+        }
 
-          return NodeFilter.FILTER_ACCEPT;
-        },
-      }
-    );
+        const textContent = node.textContent || '';
+        if (textContent.trim().length < 3) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    };
 
-    let currentNode = walker.nextNode();
-    while (currentNode) {
-      textNodes.push(currentNode);
-      currentNode = walker.nextNode();
+    if (this.includeSelectors.length > 0 && includedElements.length === 0) {
+      this.logger.warn(
+        'No element matches the include selectors of the site rule, using the whole page.'
+      );
+    }
+    const roots =
+      includedElements.length > 0 ? includedElements : [document.body];
+    for (const root of roots) {
+      const walker = document.createTreeWalker(
+        root,
+        NodeFilter.SHOW_TEXT,
+        nodeFilter
+      );
+      let currentNode = walker.nextNode();
+      while (currentNode) {
+        textNodes.push(currentNode);
+        currentNode = walker.nextNode();
+      }
     }
 
     if (textNodes.length === 0) {
@@ -506,7 +631,7 @@ class GeneralExtractorStrategy extends BaseExtractor {
   async _fallbackToReadability(reason) {
     this.logger.info(`Fallback triggered: ${reason}. Attempting Readability.`);
     const readabilityOptions = { charThreshold: 50, nbTopCandidates: 5 };
-    const originalDocClone = document.cloneNode(true);
+    const originalDocClone = this._cloneDocumentForExtraction();
     const reader = new Readability(originalDocClone, readabilityOptions);
     const article = reader.parse();
     if (
@@ -0,0 +1,374 @@
+// src/extractor/strategies/github-strategy.js
+import BaseExtractor from '../base-extractor.js';
+import { normalizeText } from '../utils/text-utils.js';
+import { GITHUB_PAGE_KINDS } from '../../shared/constants.js';
+
+const LANGUAGES_BY_EXTENSION = {
+  c: 'C',
+  cc: 'C++',
+  cpp: 'C++',
+  cs: 'C#',
+  css: 'CSS',
+  go: 'Go',
+  h: 'C',
+  hpp: 'C++',
+  html: 'HTML',
+  java: 'Java',
+  js: 'JavaScript',
+  json: 'JSON',
+  jsx: 'JavaScript',
+  kt: 'Kotlin',
+  md: 'Markdown',
+  mjs: 'JavaScript',
+  php: 'PHP',
+  py: 'Python',
+  rb: 'Ruby',
+  rs: 'Rust',
+  scala: 'Scala',
+  sh: 'Shell',
+  sql: 'SQL',
+  swift: 'Swift',
+  toml: 'TOML',
+  ts: 'TypeScript',
+  tsx: 'TypeScript',
+  yaml: 'YAML',
+  yml: 'YAML',
+};
+
+const WAIT_TIMEOUT_MS = 5000;
+
+class GitHubExtractorStrategy extends BaseExtractor {
+  constructor() {
+    super('github');
+  }
+
+  /**
+   * Extract and save page data to Chrome storage
+   */
+  async extractAndSaveContent() {
+    try {
+      this.logger.info('Starting GitHub page extraction...');
+      const pageData = await this.extractData();
+      await this.saveToStorage(pageData);
+    } catch (error) {
+      this.logger.error('Error in GitHub content extraction:', error);
+      await this.saveToStorage({
+        error: true,
+        message: error.message || 'Unknown error occurred',
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      });
+    }
+  }
+
+  /**
+   * Main function to extract the issue, pull request or file shown
+   * @returns {Promise<Object>} Promise resolving to the extracted page data
+   */
+  async extractData() {
+    const url = window.location.href;
+    const [, owner, repo, section, ...rest] =
+      window.location.pathname.split('/');
+    const repository = `${owner}/${repo}`;
+    const pageKind = this.getPageKind(section, rest);
+    const baseData = {
+      pageKind,
+      repository,
+      url,
+      extractedAt: new Date().toISOString(),
+      contentType: this.contentType,
+    };
+
+    try {
+      if (pageKind === GITHUB_PAGE_KINDS.BLOB) {
+        await this.waitForElement([
+          '#read-only-cursor-text-area',
+          '.react-code-lines',
+          'table.highlight',
+          'article.markdown-body',
+        ]);
+        return { ...baseData, ...this.extractBlob(rest) };
+      }
+
+      await this.waitForElement([
+        '.js-issue-title',
+        '[data-testid="issue-title"]',
+        '.markdown-title',
+      ]);
+      const conversation = this.extractConversationHeader(rest[0]);
+      if (pageKind === GITHUB_PAGE_KINDS.PULL_REQUEST_FILES) {
+        return { ...baseData, ...conversation, files: this.extractDiffs() };
+      }
+      return {
+        ...baseData,
+        ...conversation,
+        comments: this.extractComments(),
+      };
+    } catch (error) {
+      this.logger.error('Error extracting GitHub page data:', error);
+      return {
+        ...baseData,
+        title: normalizeText(document.title),
+        error: true,
+        message: error.message || 'Unknown error occurred',
+      };
+    }
+  }
+
+  /**
+   * Determine which kind of page is shown from the URL
+   * @param {string} section - The URL segment after the repository.
+   * @param {Array<string>} rest - The URL segments after it.
+   * @returns {string} One of GITHUB_PAGE_KINDS
+   */
+  getPageKind(section, rest) {
+    if (section === 'blob') return GITHUB_PAGE_KINDS.BLOB;
+    if (section === 'pull') {
+      return ['files', 'changes'].includes(rest[1])
+        ? GITHUB_PAGE_KINDS.PULL_REQUEST_FILES
+        : GITHUB_PAGE_KINDS.PULL_REQUEST;
+    }
+    return GITHUB_PAGE_KINDS.ISSUE;
+  }
+
+  /**
+   * Resolve once one of the selectors matches, as GitHub renders most views
+   * after the page loads. Resolves anyway after a timeout.
+   * @param {Array<string>} selectors - Selectors to wait for.
+   * @returns {Promise<void>}
+   */
+  waitForElement(selectors) {
+    const isPresent = () =>
+      selectors.some((selector) => document.querySelector(selector));
+    if (isPresent()) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const observer = new MutationObserver(() => {
+        if (isPresent()) finish();
+      });
+      const timeoutId = setTimeout(() => {
+        this.logger.warn(
+          'waitForElement: Timed out waiting for GitHub content. Extracting anyway.'
+        );
+        finish();
+      }, WAIT_TIMEOUT_MS);
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(timeoutId);
+        resolve();
+      };
+      observer.observe(document.body, { childList: true, subtree: true });
+    });
+  }
+
+  /**
+   * Get the text of the first element matching one of the selectors
+   * @param {Array<string>} selectors - Selectors, most reliable first.
+   * @param {ParentNode} [root=document] - Element to search in.
+   * @returns {string|null} The raw text
+   */
+  queryText(selectors, root = document) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      const text = element && (element.innerText || element.textContent);
+      if (text && text.trim()) return text.trim();
+    }
+    return null;
+  }
+
+  /**
+   * Extract the title, state, labels and branches of an issue or pull request
+   * @param {string} number - The issue or pull request number, from the URL.
+   * @returns {Object} The header data
+   */
+  extractConversationHeader(number) {
+    const labels = new Set();
+    document
+      .querySelectorAll(
+        '.js-issue-labels .IssueLabel, [data-testid="issue-labels"] a, [data-testid="sidebar-labels-section"] a'
+      )
+      .forEach((label) => {
+        const name = label.textContent.trim();
+        if (name) labels.add(name);
+      });
+
+    return {
+      number,
+      title: normalizeText(
+        this.queryText([
+          '.js-issue-title',
+          '[data-testid="issue-title"]',
+          'h1 .markdown-title',
+        ]) || document.title
+      ),
+      state: normalizeText(
+        this.queryText([
+          '.gh-header-meta .State',
+          '[data-testid="header-state"]',
+          'span.State',
+        ])
+      ),
+      labels: [...labels],
+      baseBranch: normalizeText(this.queryText(['.commit-ref.base-ref'])),
+      headBranch: normalizeText(this.queryText(['.commit-ref.head-ref'])),
+    };
+  }
+
+  /**
+   * Extract the description and comments of the conversation, in order,
+   * including review comments
+   * @returns {Array<Object>} The comments, with author, date and body
+   */
+  extractComments() {
+    const containers = [
+      ...document.querySelectorAll(
+        '.timeline-comment, .review-comment, [data-testid="issue-body"], .react-issue-comment'
+      ),
+    ].filter(
+      // Nested matches would repeat the same comment
+      (element, _, all) =>
+        !all.some((other) => other !== element && other.contains(element))
+    );
+
+    const comments = [];
+    containers.forEach((container) => {
+      const body = this.queryText(
+        ['.comment-body', '[data-testid="markdown-body"]', '.markdown-body'],
+        container
+      );
+      if (!body) return;
+      comments.push({
+        author: normalizeText(
+          this.queryText(
+            [
+              '.author',
+              '[data-testid="issue-body-header-author"]',
+              '[data-testid="avatar-link"]',
+            ],
+            container
+          ) || 'Unknown'
+        ),
+        createdAt:
+          container.querySelector('relative-time')?.getAttribute('datetime') ||
+          null,
+        filePath:
+          container
+            .closest('.js-comment-container')
+            ?.querySelector('.file-header [title], summary .text-mono')
+            ?.textContent.trim() || null,
+        body: normalizeText(body),
+      });
+    });
+    return comments;
+  }
+
+  /**
+   * Extract the changed files of a pull request as unified diffs. Split
+   * views are merged back so that removed lines precede added ones.
+   * @returns {Array<Object>} The files, with path and diff
+   */
+  extractDiffs() {
+    const files = [];
+    document.querySelectorAll('.file').forEach((fileElement) => {
+      const path =
+        fileElement.getAttribute('data-tagsearch-path') ||
+        fileElement.querySelector('.file-header')?.getAttribute('data-path') ||
+        this.queryText(['.file-info a'], fileElement);
+      if (!path) return;
+
+      const lines = [];
+      let deletions = [];
+      let additions = [];
+      const flush = () => {
+        lines.push(...deletions, ...additions);
+        deletions = [];
+        additions = [];
+      };
+
+      fileElement.querySelectorAll('table.diff-table tr').forEach((row) => {
+        const hunkCell = row.querySelector('.blob-code-hunk');
+        if (hunkCell) {
+          flush();
+          lines.push(hunkCell.textContent.trim());
+          return;
+        }
+        let hasContext = false;
+        row.querySelectorAll('td.blob-code').forEach((cell) => {
+          const text = (
+            cell.querySelector('.blob-code-inner') || cell
+          ).textContent.replace(/\n$/, '');
+          if (cell.classList.contains('blob-code-deletion')) {
+            deletions.push(`-${text}`);
+          } else if (cell.classList.contains('blob-code-addition')) {
+            additions.push(`+${text}`);
+          } else if (
+            cell.classList.contains('blob-code-context') &&
+            !hasContext
+          ) {
+            // Split views repeat context lines on both sides
+            flush();
+            lines.push(` ${text}`);
+            hasContext = true;
+          }
+        });
+      });
+      flush();
+
+      files.push({
+        path,
+        diff: lines.join('\n'),
+        // Large diffs are only loaded on demand
+        isDiffLoaded: lines.length > 0,
+      });
+    });
+    return files;
+  }
+
+  /**
+   * Extract the file shown in a blob view, with its path and language
+   * @param {Array<string>} rest - The URL segments after 'blob': ref, then path.
+   * @returns {Object} The file data
+   */
+  extractBlob(rest) {
+    const [ref, ...pathSegments] = rest;
+    const filePath = decodeURIComponent(pathSegments.join('/'));
+    const fileName = pathSegments[pathSegments.length - 1] || '';
+    const extension = fileName.includes('.')
+      ? fileName.split('.').pop().toLowerCase()
+      : '';
+
+    let code = document.querySelector('#read-only-cursor-text-area')?.value;
+    if (!code) {
+      const lineElements = document.querySelectorAll(
+        '.react-code-lines .react-file-line, table.highlight td.blob-code'
+      );
+      code = [...lineElements]
+        .map((line) => line.textContent.replace(/\n$/, ''))
+        .join('\n');
+    }
+    // Markdown files open on their rendered preview
+    const isRendered = !code;
+    if (isRendered) {
+      code = this.queryText(['article.markdown-body']) || '';
+    }
+
+    const lineRange = window.location.hash.match(/^#L(\d+)(?:-L(\d+))?/);
+    return {
+      ref,
+      filePath,
+      language:
+        LANGUAGES_BY_EXTENSION[extension] || extension.toUpperCase() || null,
+      code,
+      lineCount: code ? code.split('\n').length : 0,
+      isRendered,
+      selectedLines: lineRange
+        ? {
+            start: Number(lineRange[1]),
+            end: Number(lineRange[2] || lineRange[1]),
+          }
+        : null,
+    };
+  }
+}
+
+export default GitHubExtractorStrategy;
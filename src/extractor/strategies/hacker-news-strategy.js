@@ -0,0 +1,202 @@
+// src/extractor/strategies/hacker-news-strategy.js
+import BaseExtractor from '../base-extractor.js';
+import { normalizeText } from '../utils/text-utils.js';
+
+// Hacker News indents replies with a spacer image 40px wide per level
+const INDENT_WIDTH_PX = 40;
+
+class HackerNewsExtractorStrategy extends BaseExtractor {
+  constructor() {
+    super('hackernews');
+  }
+
+  /**
+   * Extract and save thread data to Chrome storage
+   */
+  async extractAndSaveContent() {
+    try {
+      this.logger.info('Starting Hacker News thread extraction...');
+      const threadData = await this.extractData();
+      await this.saveToStorage(threadData);
+    } catch (error) {
+      this.logger.error('Error in Hacker News content extraction:', error);
+      await this.saveToStorage({
+        error: true,
+        message: error.message || 'Unknown error occurred',
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      });
+    }
+  }
+
+  /**
+   * Main function to extract the story and its comment tree
+   * @returns {Promise<Object>} Promise resolving to the extracted thread data
+   */
+  async extractData() {
+    const discussionUrl = window.location.href;
+    try {
+      const fatItem = document.querySelector('table.fatitem');
+      const comments = this.extractComments();
+      this.logger.info(
+        `Hacker News comment extraction complete, found: ${comments.length}`
+      );
+
+      return {
+        storyTitle: normalizeText(this.extractStoryTitle(fatItem)),
+        storyUrl: this.extractStoryUrl(fatItem),
+        storySite: normalizeText(
+          fatItem?.querySelector('.sitestr')?.textContent || null
+        ),
+        storyAuthor: normalizeText(
+          fatItem?.querySelector('.hnuser')?.textContent || null
+        ),
+        storyPoints: this.extractPoints(fatItem),
+        storyAge: this.extractAge(fatItem),
+        storyText: normalizeText(this.extractStoryText(fatItem)),
+        discussionUrl,
+        comments,
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      };
+    } catch (error) {
+      this.logger.error('Error extracting Hacker News thread data:', error);
+      return {
+        storyTitle: normalizeText(document.title),
+        storyText: `Error extracting content: ${error.message}`,
+        discussionUrl,
+        comments: [],
+        error: true,
+        message: error.message || 'Unknown error occurred',
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      };
+    }
+  }
+
+  /**
+   * Extract the story title. On the page of a single comment, this is the
+   * title of the story it belongs to.
+   * @param {Element|null} fatItem - The table holding the story.
+   * @returns {string} The raw title
+   */
+  extractStoryTitle(fatItem) {
+    const titleLink = fatItem?.querySelector('.titleline > a');
+    if (titleLink?.textContent) return titleLink.textContent;
+    const storyLink = fatItem?.querySelector('.onstory a');
+    if (storyLink?.textContent) return `Comment on: ${storyLink.textContent}`;
+    return document.title || 'Title not found';
+  }
+
+  /**
+   * Extract the URL the story links to, which is the discussion itself for
+   * text posts such as Ask HN.
+   * @param {Element|null} fatItem - The table holding the story.
+   * @returns {string|null} The absolute story URL
+   */
+  extractStoryUrl(fatItem) {
+    const titleLink = fatItem?.querySelector('.titleline > a');
+    return titleLink ? titleLink.href : null;
+  }
+
+  /**
+   * Extract the points of the story
+   * @param {Element|null} fatItem - The table holding the story.
+   * @returns {string|null} The points, as digits
+   */
+  extractPoints(fatItem) {
+    const scoreText = fatItem?.querySelector('.score')?.textContent || '';
+    const points = scoreText.replace(/[^\d]/g, '');
+    return points || null;
+  }
+
+  /**
+   * Extract when an item was posted. The title attribute holds an ISO date
+   * followed by a Unix timestamp; the relative age is the fallback.
+   * @param {Element|null} container - Element holding the age of the item.
+   * @returns {string|null} The posting date or age
+   */
+  extractAge(container) {
+    const ageElement = container?.querySelector('.age');
+    if (!ageElement) return null;
+    const isoDate = ageElement.getAttribute('title')?.split(' ')[0];
+    return isoDate || ageElement.textContent.trim() || null;
+  }
+
+  /**
+   * Extract the text of a text post, or of the comment shown on its own page
+   * @param {Element|null} fatItem - The table holding the story.
+   * @returns {string|null} The raw text
+   */
+  extractStoryText(fatItem) {
+    const textElement =
+      fatItem?.querySelector('.toptext') || fatItem?.querySelector('.commtext');
+    return textElement ? this.extractRichText(textElement) : null;
+  }
+
+  /**
+   * Get the text of a Hacker News text block, keeping paragraph breaks.
+   * Collapsed comments are hidden, so innerText cannot be relied on.
+   * @param {Element} element - The text block.
+   * @returns {string} The raw text
+   */
+  extractRichText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('.reply').forEach((node) => node.remove());
+    clone.querySelectorAll('p').forEach((paragraph) => paragraph.prepend('\n'));
+    clone.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+    return clone.textContent;
+  }
+
+  /**
+   * Extract the loaded comments in thread order, with the depth of each one
+   * and the comment it replies to.
+   * @returns {Array<Object>} The comments
+   */
+  extractComments() {
+    const commentRows = document.querySelectorAll(
+      'table.comment-tree tr.athing.comtr'
+    );
+    const comments = [];
+    // Last comment seen at each depth, to find the parent of the next reply
+    const ancestors = [];
+
+    commentRows.forEach((row) => {
+      const indentCell = row.querySelector('td.ind');
+      const indentAttribute = parseInt(indentCell?.getAttribute('indent'), 10);
+      const depth = Number.isNaN(indentAttribute)
+        ? Math.round(
+            (parseInt(
+              indentCell?.querySelector('img')?.getAttribute('width'),
+              10
+            ) || 0) / INDENT_WIDTH_PX
+          )
+        : indentAttribute;
+
+      // Deleted and flagged comments keep their place so replies stay attached
+      const textElement =
+        row.querySelector('.commtext') || row.querySelector('.comment');
+      const content =
+        (textElement && normalizeText(this.extractRichText(textElement))) ||
+        '[deleted]';
+
+      const comment = {
+        id: row.id,
+        parentId: depth > 0 ? ancestors[depth - 1] || null : null,
+        depth,
+        author: normalizeText(
+          row.querySelector('.hnuser')?.textContent || '[deleted]'
+        ),
+        age: this.extractAge(row),
+        content,
+      };
+      ancestors[depth] = comment.id;
+      ancestors.length = depth + 1;
+      comments.push(comment);
+    });
+
+    return comments;
+  }
+}
+
+export default HackerNewsExtractorStrategy;
@@ -1,6 +1,26 @@
 // src/extractor/strategies/reddit-strategy.js
 import BaseExtractor from '../base-extractor.js';
 import { normalizeText } from '../utils/text-utils.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_REDDIT_COMMENT_MAX_DEPTH,
+} from '../../shared/constants.js';
+
+// Current Reddit, old Reddit, then earlier layouts without nesting
+const COMMENT_SELECTORS = [
+  'shreddit-comment',
+  '.commentarea .thing.comment',
+  'div[data-testid="comment"]',
+  '.Comment',
+];
+
+const COMMENT_CONTENT_SELECTORS = [
+  'div[slot="comment"]',
+  '.usertext-body .md',
+  '.md.text-14',
+  '[data-testid="comment-content"]',
+  'div[data-click-id="text"]',
+];
 
 class RedditExtractorStrategy extends BaseExtractor {
   constructor() {
@@ -41,6 +61,7 @@ class RedditExtractorStrategy extends BaseExtractor {
       this.logger.info('Starting Reddit comment extraction...');
       const comments = await this.extractComments(); // Comments are normalized within extractComments
       this.logger.info('Comment extraction complete, found:', comments.length);
+      const maxCommentDepth = await this.getMaxCommentDepth();
 
       const postUrl = window.location.href; // URL not normalized
 
@@ -51,6 +72,8 @@ class RedditExtractorStrategy extends BaseExtractor {
         postAuthor: normalizeText(rawAuthor),
         subreddit: normalizeText(rawSubreddit),
         comments,
+        maxCommentDepth,
+        permalinkCommentId: this.extractPermalinkCommentId(),
         postUrl,
         extractedAt: new Date().toISOString(),
         contentType: this.contentType,
@@ -77,7 +100,11 @@ class RedditExtractorStrategy extends BaseExtractor {
    * @returns {string} The raw post title
    */
   extractPostTitle() {
-    const selectors = ['h1', 'h1.text-neutral-content'];
+    const selectors = [
+      '#siteTable .thing.link a.title', // Old Reddit
+      'h1',
+      'h1.text-neutral-content',
+    ];
     for (const selector of selectors) {
       const titleElement = document.querySelector(selector);
       if (titleElement && titleElement.textContent) {
@@ -87,28 +114,29 @@ class RedditExtractorStrategy extends BaseExtractor {
     return 'Title not found';
   }
 
-/**
-     * Extract the post content from the page (raw, with paragraph separation)
-     * @returns {string} The raw post content
-     */
-    extractPostContent() {
-      const selectors = [
-        '[property="schema:articleBody"]', // Most reliable, based on semantic HTML
-        'div[data-post-click-location="text-body"]', // New Reddit layout
-        '.text-neutral-content[slot="text-body"]', // Fallback for other layouts
-        'div[data-testid="post-content"]', // Older fallback
-      ];
-
-      for (const selector of selectors) {
-        const contentElement = document.querySelector(selector);
-        if (contentElement && contentElement.innerText) {
-          // .innerText preserves line breaks from <p>, <li>, etc., which is what we want.
-          // It provides a much cleaner and more accurate representation of the rendered text.
-          return contentElement.innerText; // Return raw, normalize in extractData
-        }
+  /**
+   * Extract the post content from the page (raw, with paragraph separation)
+   * @returns {string} The raw post content
+   */
+  extractPostContent() {
+    const selectors = [
+      '[property="schema:articleBody"]', // Most reliable, based on semantic HTML
+      '#siteTable .thing.link .usertext-body .md', // Old Reddit
+      'div[data-post-click-location="text-body"]', // New Reddit layout
+      '.text-neutral-content[slot="text-body"]', // Fallback for other layouts
+      'div[data-testid="post-content"]', // Older fallback
+    ];
+
+    for (const selector of selectors) {
+      const contentElement = document.querySelector(selector);
+      if (contentElement && contentElement.innerText) {
+        // .innerText preserves line breaks from <p>, <li>, etc., which is what we want.
+        // It provides a much cleaner and more accurate representation of the rendered text.
+        return contentElement.innerText; // Return raw, normalize in extractData
       }
-      return 'Post content not found';
     }
+    return 'Post content not found';
+  }
 
   /**
    * Extract post score
@@ -119,6 +147,12 @@ class RedditExtractorStrategy extends BaseExtractor {
     if (postElement && postElement.hasAttribute('score')) {
       return postElement.getAttribute('score');
     }
+    const oldRedditScore = document.querySelector(
+      '#siteTable .thing.link .score.unvoted'
+    );
+    if (oldRedditScore?.getAttribute('title')) {
+      return oldRedditScore.getAttribute('title');
+    }
     const scoreSelectors = [
       'div[id^="vote-arrows-"] > div',
       '[data-testid="post-score"]',
@@ -146,6 +180,7 @@ class RedditExtractorStrategy extends BaseExtractor {
   extractAuthor() {
     const selectors = [
       'span[slot="authorName"] a.author-name',
+      '#siteTable .thing.link .tagline a.author', // Old Reddit
       'a[data-testid="post_author_link"]',
       'a[data-click-id="user"]',
       '.author-link',
@@ -184,12 +219,13 @@ class RedditExtractorStrategy extends BaseExtractor {
 
   waitForComments() {
     return new Promise((resolve) => {
-      // Define comment selectors locally, consistent with how extractComments might use them.
-      const commentSelectors = [
-        'shreddit-comment',
-        'div[data-testid="comment"]',
-        '.Comment',
-      ];
+      const commentSelectors = COMMENT_SELECTORS;
+
+      // Old Reddit renders its comments with the page
+      if (document.querySelector('.commentarea')) {
+        resolve();
+        return;
+      }
 
       // 1. Check for explicit "no comments" state or "comments disabled" state
       const noCommentsElement = document.querySelector(
@@ -270,19 +306,22 @@ class RedditExtractorStrategy extends BaseExtractor {
     });
   }
 
+  /**
+   * Extract the loaded comments in thread order, with the depth of each one,
+   * the comment it replies to and its score. Works on both current and old
+   * Reddit markup, where replies are nested inside the comment they answer.
+   * @returns {Promise<Array<Object>>} The comments
+   */
   async extractComments() {
     try {
       this.logger.info(`Extracting all visible Reddit comments...`);
       await this.waitForComments();
-      const commentSelectors = [
-        'shreddit-comment',
-        'div[data-testid="comment"]',
-        '.Comment',
-      ];
+      let commentSelector = null;
       let commentElements = [];
-      for (const selector of commentSelectors) {
+      for (const selector of COMMENT_SELECTORS) {
         const elements = document.querySelectorAll(selector);
         if (elements && elements.length > 0) {
+          commentSelector = selector;
           commentElements = elements;
           this.logger.info(
             `Found ${elements.length} comments using selector: ${selector}`
@@ -296,100 +335,38 @@ class RedditExtractorStrategy extends BaseExtractor {
       }
 
       const comments = [];
+      // Comment data by element, to find the depth and ID of the parent
+      const commentsByElement = new Map();
       for (const commentElement of commentElements) {
-        let author = 'Unknown user';
-        const authorSelectors = [
-          'a[data-testid="comment_author_link"]',
-          'a[data-click-id="user"]',
-          '[data-testid="comment_author_icon"]+a',
-          'a.author',
-        ];
-        for (const selector of authorSelectors) {
-          const authorElement = commentElement.querySelector(selector);
-          if (authorElement && authorElement.textContent) {
-            author = authorElement.textContent.trim(); // Trim here as it's simple
-            break;
-          }
-        }
-        if (author === 'Unknown user' && commentElement.getAttribute) {
-          author = commentElement.getAttribute('author') || author;
-        }
-
-        let rawCommentContent = '';
-        const contentSelectors = [
-          'div[slot="comment"]',
-          '.md.text-14',
-          '[data-testid="comment-content"]',
-          'div[data-click-id="text"]',
-        ];
-        for (const selector of contentSelectors) {
-          const contentElement = commentElement.querySelector(selector);
-          if (contentElement) {
-            const paragraphs = contentElement.querySelectorAll('p');
-            if (paragraphs.length > 0) {
-              paragraphs.forEach((paragraph, index) => {
-                rawCommentContent += paragraph.textContent;
-                if (index < paragraphs.length - 1) {
-                  rawCommentContent += '\n\n'; // Double newline for paragraph separation
-                }
-              });
-            } else {
-              rawCommentContent = contentElement.textContent;
-            }
-            break;
-          }
-        }
-
-        let score = '0';
-        if (
-          commentElement.tagName?.toLowerCase() === 'shreddit-comment' &&
-          commentElement.hasAttribute('score')
-        ) {
-          score = commentElement.getAttribute('score');
-        } else {
-          const commentActionRow = commentElement.querySelector(
-            'shreddit-comment-action-row'
-          );
-          if (commentActionRow?.hasAttribute('score')) {
-            score = commentActionRow.getAttribute('score');
-          } else {
-            const scoreSelectors = [
-              '[data-testid="vote-score"]',
-              'div[data-click-id="upvote"]',
-              'div[class*="score"]',
-              '.vote-count',
-              '.score[title]',
-              '.text-neutral-content.text-12',
-              'span[aria-label*="votes"]',
-              'button[aria-label*="upvoted"]',
-              'faceplate-tracker[noun="upvote"] .text-neutral-content-weak',
-            ];
-            for (const selector of scoreSelectors) {
-              const scoreElement = commentElement.querySelector(selector);
-              if (scoreElement?.textContent?.trim()) {
-                score = scoreElement.textContent.trim();
-                break;
-              }
-            }
-          }
-        }
-        if (score) {
-          if (typeof score === 'string' && score.includes('k')) {
-            score = String(
-              Math.round(parseFloat(score.replace('k', '')) * 1000)
-            );
-          } else if (typeof score === 'string') {
-            score = score.replace(/[^\d.-]/g, '') || '0';
-          }
-        }
+        const parent = commentsByElement.get(
+          commentElement.parentElement?.closest(commentSelector)
+        );
+        const textElement = this.queryOwn(
+          commentElement,
+          commentSelector,
+          COMMENT_CONTENT_SELECTORS
+        );
 
-        if (rawCommentContent.trim()) {
-          comments.push({
-            author: normalizeText(author), // Normalize author here too
-            content: normalizeText(rawCommentContent), // Apply normalization
-            popularity: score,
-          });
-        }
+        const comment = {
+          id:
+            commentElement.getAttribute('thingid') ||
+            commentElement.getAttribute('data-fullname') ||
+            commentElement.id ||
+            null,
+          parentId: parent ? parent.id : null,
+          depth: parent ? parent.depth + 1 : 0,
+          author: normalizeText(
+            this.extractCommentAuthor(commentElement, commentSelector)
+          ),
+          score: this.extractCommentScore(commentElement, commentSelector),
+          createdAt: this.extractCommentDate(commentElement, commentSelector),
+          // Deleted comments keep their place so replies stay attached
+          content:
+            (textElement && normalizeText(this.extractRichText(textElement))) ||
+            '[deleted]',
+        };
+        commentsByElement.set(commentElement, comment);
+        comments.push(comment);
       }
       return comments;
     } catch (error) {
@@ -397,6 +374,162 @@ class RedditExtractorStrategy extends BaseExtractor {
       return [];
     }
   }
+
+  /**
+   * Find the first element matching one of the selectors that belongs to the
+   * comment itself rather than to one of its replies
+   * @param {Element} commentElement - The comment.
+   * @param {string} commentSelector - Selector matching comments.
+   * @param {Array<string>} selectors - Selectors, most reliable first.
+   * @returns {Element|null} The element
+   */
+  queryOwn(commentElement, commentSelector, selectors) {
+    for (const selector of selectors) {
+      const match = [...commentElement.querySelectorAll(selector)].find(
+        (element) => element.closest(commentSelector) === commentElement
+      );
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Get the text of a comment, keeping paragraph breaks and list items.
+   * Collapsed comments are hidden, so innerText cannot be relied on.
+   * @param {Element} element - The comment text block.
+   * @returns {string} The raw text
+   */
+  extractRichText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('li').forEach((item) => item.prepend('\n- '));
+    clone
+      .querySelectorAll('p, blockquote, pre')
+      .forEach((block) => block.prepend('\n'));
+    clone.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+    return clone.textContent;
+  }
+
+  /**
+   * Extract the author of a comment (raw)
+   * @param {Element} commentElement - The comment.
+   * @param {string} commentSelector - Selector matching comments.
+   * @returns {string} The raw username
+   */
+  extractCommentAuthor(commentElement, commentSelector) {
+    const authorAttribute =
+      commentElement.getAttribute('author') ||
+      commentElement.getAttribute('data-author');
+    if (authorAttribute) return authorAttribute;
+    const authorElement = this.queryOwn(commentElement, commentSelector, [
+      'a[data-testid="comment_author_link"]',
+      'a[data-click-id="user"]',
+      '[data-testid="comment_author_icon"]+a',
+      'a.author',
+    ]);
+    return authorElement?.textContent || '[deleted]';
+  }
+
+  /**
+   * Extract the score of a comment
+   * @param {Element} commentElement - The comment.
+   * @param {string} commentSelector - Selector matching comments.
+   * @returns {number|null} The score, or null when Reddit hides it
+   */
+  extractCommentScore(commentElement, commentSelector) {
+    if (commentElement.hasAttribute('score')) {
+      return this.parseScore(commentElement.getAttribute('score'));
+    }
+    const actionRow = this.queryOwn(commentElement, commentSelector, [
+      'shreddit-comment-action-row[score]',
+    ]);
+    if (actionRow) return this.parseScore(actionRow.getAttribute('score'));
+
+    // Old Reddit keeps the exact score in the title of the unvoted score
+    const oldRedditScore = this.queryOwn(commentElement, commentSelector, [
+      '.tagline .score.unvoted',
+      '.tagline .score-hidden',
+    ]);
+    if (oldRedditScore) {
+      return oldRedditScore.classList.contains('score-hidden')
+        ? null
+        : this.parseScore(
+            oldRedditScore.getAttribute('title') || oldRedditScore.textContent
+          );
+    }
+
+    const scoreElement = this.queryOwn(commentElement, commentSelector, [
+      '[data-testid="vote-score"]',
+      'div[data-click-id="upvote"]',
+      'div[class*="score"]',
+      '.vote-count',
+      'span[aria-label*="votes"]',
+      'faceplate-tracker[noun="upvote"] .text-neutral-content-weak',
+    ]);
+    return scoreElement ? this.parseScore(scoreElement.textContent) : null;
+  }
+
+  /**
+   * Parse a score such as '42', '-3', '1.2k' or '5 points'
+   * @param {string|null} scoreText - The score as shown.
+   * @returns {number|null} The score
+   */
+  parseScore(scoreText) {
+    const match = (scoreText || '').trim().match(/^(-?[\d.,]+)\s*(k)?/i);
+    if (!match) return null;
+    const score = parseFloat(match[1].replace(/,/g, ''));
+    if (Number.isNaN(score)) return null;
+    return match[2] ? Math.round(score * 1000) : score;
+  }
+
+  /**
+   * Extract when a comment was posted
+   * @param {Element} commentElement - The comment.
+   * @param {string} commentSelector - Selector matching comments.
+   * @returns {string|null} The ISO posting date
+   */
+  extractCommentDate(commentElement, commentSelector) {
+    const createdAttribute = commentElement.getAttribute('created');
+    if (createdAttribute) return createdAttribute;
+    const timeElement = this.queryOwn(commentElement, commentSelector, [
+      'faceplate-timeago[ts]',
+      'time[datetime]',
+    ]);
+    return (
+      timeElement?.getAttribute('ts') ||
+      timeElement?.getAttribute('datetime') ||
+      null
+    );
+  }
+
+  /**
+   * Get the ID of the comment a permalink page is about
+   * @returns {string|null} The comment ID, or null on the full thread
+   */
+  extractPermalinkCommentId() {
+    const match = window.location.pathname.match(
+      /\/comments\/[a-z0-9]+\/[^/]+\/([a-z0-9]+)\/?$/i
+    );
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Read the maximum comment depth to include, set in the settings
+   * @returns {Promise<number>} The number of levels, or 0 for all of them
+   */
+  async getMaxCommentDepth() {
+    try {
+      const result = await chrome.storage.sync.get(
+        STORAGE_KEYS.REDDIT_COMMENT_MAX_DEPTH
+      );
+      return (
+        result[STORAGE_KEYS.REDDIT_COMMENT_MAX_DEPTH] ??
+        DEFAULT_REDDIT_COMMENT_MAX_DEPTH
+      );
+    } catch (error) {
+      this.logger.warn('Could not read the Reddit comment depth:', error);
+      return DEFAULT_REDDIT_COMMENT_MAX_DEPTH;
+    }
+  }
 }
 
 export default RedditExtractorStrategy;
@@ -0,0 +1,243 @@
+// src/extractor/strategies/stack-exchange-strategy.js
+import BaseExtractor from '../base-extractor.js';
+import { normalizeText } from '../utils/text-utils.js';
+
+// Stands in for a code block while the text around it is normalized
+const CODE_BLOCK_MARKER = '\uE000';
+const CODE_BLOCK_MARKER_PATTERN = new RegExp(
+  `${CODE_BLOCK_MARKER}(\\d+)${CODE_BLOCK_MARKER}`,
+  'g'
+);
+
+class StackExchangeExtractorStrategy extends BaseExtractor {
+  constructor() {
+    super('stackexchange');
+  }
+
+  /**
+   * Extract and save question data to Chrome storage
+   */
+  async extractAndSaveContent() {
+    try {
+      this.logger.info('Starting Stack Exchange question extraction...');
+      const questionData = await this.extractData();
+      await this.saveToStorage(questionData);
+    } catch (error) {
+      this.logger.error('Error in Stack Exchange content extraction:', error);
+      await this.saveToStorage({
+        error: true,
+        message: error.message || 'Unknown error occurred',
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      });
+    }
+  }
+
+  /**
+   * Main function to extract the question and its answers
+   * @returns {Promise<Object>} Promise resolving to the extracted question data
+   */
+  async extractData() {
+    const questionUrl = window.location.href;
+    const site = window.location.hostname;
+    try {
+      const questionElement = document.querySelector('#question, .question');
+      const answers = [...document.querySelectorAll('#answers .answer')].map(
+        (answerElement) => this.extractAnswer(answerElement)
+      );
+      this.logger.info(
+        `Stack Exchange answer extraction complete, found: ${answers.length}`
+      );
+
+      const answerCount = parseInt(
+        document
+          .querySelector('#answers-header [data-answercount]')
+          ?.getAttribute('data-answercount'),
+        10
+      );
+
+      return {
+        questionTitle: normalizeText(
+          document.querySelector('#question-header h1')?.textContent ||
+            document.title
+        ),
+        questionUrl,
+        site,
+        tags: [
+          ...(questionElement?.querySelectorAll('.post-taglist .post-tag') ||
+            []),
+        ].map((tag) => tag.textContent.trim()),
+        question: questionElement
+          ? this.extractPost(questionElement)
+          : {
+              score: null,
+              author: null,
+              createdAt: null,
+              body: '',
+              comments: [],
+            },
+        answers,
+        answerCount: Number.isNaN(answerCount) ? answers.length : answerCount,
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      };
+    } catch (error) {
+      this.logger.error(
+        'Error extracting Stack Exchange question data:',
+        error
+      );
+      return {
+        questionTitle: normalizeText(document.title),
+        questionUrl,
+        site,
+        tags: [],
+        question: {
+          body: `Error extracting content: ${error.message}`,
+          comments: [],
+        },
+        answers: [],
+        error: true,
+        message: error.message || 'Unknown error occurred',
+        extractedAt: new Date().toISOString(),
+        contentType: this.contentType,
+      };
+    }
+  }
+
+  /**
+   * Extract an answer, with its score and whether it was accepted
+   * @param {Element} answerElement - The answer container.
+   * @returns {Object} The answer data
+   */
+  extractAnswer(answerElement) {
+    const post = this.extractPost(answerElement);
+    const score = parseInt(answerElement.getAttribute('data-score'), 10);
+    return {
+      id: answerElement.getAttribute('data-answerid') || answerElement.id,
+      ...post,
+      score: Number.isNaN(score) ? post.score : score,
+      isAccepted:
+        answerElement.classList.contains('accepted-answer') ||
+        answerElement.getAttribute('itemprop') === 'acceptedAnswer',
+    };
+  }
+
+  /**
+   * Extract what questions and answers share: score, author, date, body and
+   * comments
+   * @param {Element} postElement - The question or answer container.
+   * @returns {Object} The post data
+   */
+  extractPost(postElement) {
+    const voteCount = postElement.querySelector('.js-vote-count');
+    const score = parseInt(
+      voteCount?.getAttribute('data-value') ?? voteCount?.textContent,
+      10
+    );
+    // Edited posts also show the editor; the author card comes last
+    const signatures = postElement.querySelectorAll(
+      '.post-signature .user-details'
+    );
+    const authorDetails =
+      postElement.querySelector('.user-details[itemprop="author"]') ||
+      signatures[signatures.length - 1];
+
+    return {
+      score: Number.isNaN(score) ? null : score,
+      author: normalizeText(
+        authorDetails?.querySelector('a, [itemprop="name"]')?.textContent ||
+          authorDetails?.textContent.split('\n').find((line) => line.trim()) ||
+          null
+      ),
+      createdAt:
+        postElement
+          .querySelector('time[itemprop="dateCreated"]')
+          ?.getAttribute('datetime') ||
+        postElement
+          .querySelector('.user-action-time .relativetime')
+          ?.getAttribute('title') ||
+        null,
+      body: this.extractPostBody(postElement.querySelector('.js-post-body')),
+      comments: this.extractComments(postElement),
+    };
+  }
+
+  /**
+   * Extract the comments loaded under a post. Collapsed comments are only
+   * included once the user expands them.
+   * @param {Element} postElement - The question or answer container.
+   * @returns {Array<Object>} The comments, with author, score and text
+   */
+  extractComments(postElement) {
+    return [...postElement.querySelectorAll('.comments .comment')]
+      .map((commentElement) => {
+        const score = parseInt(
+          commentElement.querySelector('.comment-score')?.textContent,
+          10
+        );
+        return {
+          author: normalizeText(
+            commentElement.querySelector('.comment-user')?.textContent ||
+              'Unknown'
+          ),
+          score: Number.isNaN(score) ? 0 : score,
+          createdAt:
+            commentElement
+              .querySelector('.relativetime-clean')
+              ?.getAttribute('title') || null,
+          content: this.extractPostBody(
+            commentElement.querySelector('.comment-copy')
+          ),
+        };
+      })
+      .filter((comment) => comment.content);
+  }
+
+  /**
+   * Get the text of a post body. Code blocks are fenced and kept verbatim,
+   * inline code is wrapped in backticks and list items keep their bullets.
+   * @param {Element|null} bodyElement - The rendered post body.
+   * @returns {string} The post text
+   */
+  extractPostBody(bodyElement) {
+    if (!bodyElement) return '';
+    const clone = bodyElement.cloneNode(true);
+    clone
+      .querySelectorAll('.snippet-ctas, .js-post-menu')
+      .forEach((node) => node.remove());
+
+    const codeBlocks = [];
+    clone.querySelectorAll('pre').forEach((pre) => {
+      const code = pre.querySelector('code') || pre;
+      const languageClass = [...pre.classList, ...code.classList].find(
+        (className) => /^lang(uage)?-/.test(className)
+      );
+      const language = languageClass
+        ? languageClass.replace(/^lang(uage)?-/, '').replace(/^none$/, '')
+        : '';
+      codeBlocks.push(
+        `\`\`\`${language}\n${code.textContent.replace(/\n$/, '')}\n\`\`\``
+      );
+      pre.replaceWith(
+        `\n${CODE_BLOCK_MARKER}${codeBlocks.length - 1}${CODE_BLOCK_MARKER}\n`
+      );
+    });
+
+    clone
+      .querySelectorAll('code')
+      .forEach((code) => code.replaceWith(`\`${code.textContent}\``));
+    clone.querySelectorAll('li').forEach((item) => item.prepend('\n- '));
+    clone
+      .querySelectorAll('p, blockquote, h1, h2, h3, h4, h5, h6')
+      .forEach((block) => block.prepend('\n'));
+    clone.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+
+    // Code goes back in after normalizing, which would collapse its blank lines
+    return normalizeText(clone.textContent).replace(
+      CODE_BLOCK_MARKER_PATTERN,
+      (_, index) => codeBlocks[Number(index)]
+    );
+  }
+}
+
+export default StackExchangeExtractorStrategy;
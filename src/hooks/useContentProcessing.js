@@ -133,8 +133,14 @@ export function useContentProcessing(source = INTERFACE_SOURCES.POPUP) {
         streaming = false,
         onStreamChunk = null,
         conversationHistory = [],
+        images = [],
+        outputSchema = null,
         isContentExtractionEnabled,
         isThinkingModeEnabled,
+        isToolsEnabled = false,
+        isWebSearchEnabled = false,
+        presetId = null,
+        budgetOverride = false,
       } = options;
 
       if (!currentTab?.id) {
@@ -166,13 +172,19 @@ export function useContentProcessing(source = INTERFACE_SOURCES.POPUP) {
           streaming,
           isContentExtractionEnabled, // Pass this to background
           isThinkingModeEnabled: isThinkingModeEnabled ?? false,
+          isToolsEnabled,
+          isWebSearchEnabled,
         };
 
         if (modelId) request.modelId = modelId;
         if (promptContent) request.customPrompt = promptContent;
         if (conversationHistory?.length > 0)
           request.conversationHistory = conversationHistory;
+        if (images?.length > 0) request.images = images;
+        if (outputSchema) request.outputSchema = outputSchema;
+        if (presetId) request.presetId = presetId;
         if (streaming && onStreamChunk) request.streaming = true;
+        if (budgetOverride) request.budgetOverride = true;
 
         if (options.options?.preTruncationCost !== undefined) {
           request.preTruncationCost = options.options.preTruncationCost;
@@ -180,9 +192,21 @@ export function useContentProcessing(source = INTERFACE_SOURCES.POPUP) {
         if (options.options?.preTruncationOutput !== undefined) {
           request.preTruncationOutput = options.options.preTruncationOutput;
         }
+        if (options.options?.chatSessionId) {
+          request.chatSessionId = options.options.chatSessionId;
+        }
+        if (options.options?.streamMessageId) {
+          request.streamMessageId = options.options.streamMessageId;
+        }
 
         const response = await robustSendMessage(request);
 
+        // Left to the caller, which may ask the user to go over the cap
+        if (response?.budgetExceeded) {
+          setProcessingStatus('idle');
+          return response;
+        }
+
         if (!response || !response.success) {
           const errorMsg = response?.error || 'API processing failed';
           throw new Error(errorMsg);
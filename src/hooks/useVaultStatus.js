@@ -0,0 +1,54 @@
+// src/hooks/useVaultStatus.js
+import { useState, useEffect, useCallback } from 'react';
+
+import VaultService from '../services/VaultService';
+import { STORAGE_KEYS } from '../shared/constants';
+import { logger } from '../shared/logger';
+
+const STATUS_POLL_INTERVAL_MS = 30 * 1000; // Notices auto-lock while the page stays open
+
+/**
+ * Custom hook tracking whether the vault is enabled and unlocked, across
+ * every extension page.
+ * @returns {{isLoading: boolean, isEnabled: boolean, isUnlocked: boolean, autoLockMinutes: number, refresh: Function}}
+ */
+export function useVaultStatus() {
+  const [status, setStatus] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setStatus(await VaultService.getStatus());
+    } catch (error) {
+      logger.service.error('Error reading vault status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+
+    const handleStorageChange = (changes, area) => {
+      if (
+        (area === 'local' && changes[STORAGE_KEYS.VAULT_CONFIG]) ||
+        (area === 'session' && changes[STORAGE_KEYS.VAULT_SESSION])
+      ) {
+        refresh();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    const intervalId = setInterval(refresh, STATUS_POLL_INTERVAL_MS);
+    return () => {
+      chrome.storage.onChanged.removeListener(handleStorageChange);
+      clearInterval(intervalId);
+    };
+  }, [refresh]);
+
+  return {
+    isLoading: status === null,
+    isEnabled: status?.isEnabled === true,
+    isUnlocked: status?.isUnlocked !== false,
+    autoLockMinutes: status?.autoLockMinutes,
+    refresh,
+  };
+}
+
+export default useVaultStatus;
@@ -2,6 +2,11 @@
 
 import ApiFactory from '../api/api-factory.js';
 import { logger } from '../shared/logger.js';
+import {
+  STORAGE_KEYS,
+  DISCOVERED_MODELS_MAX_AGE_MS,
+} from '../shared/constants.js';
+import { isCustomProviderId } from '../shared/utils/custom-provider-utils.js';
 
 import CredentialManager from './CredentialManager.js';
 import ModelParameterService from './ModelParameterService.js';
@@ -127,12 +132,154 @@ class ApiServiceManager {
   }
 
   /**
-   * Get available models for a platform
+   * Refresh the stored model list of a custom provider from the models its server
+   * currently serves, for implementations that support listing them (e.g., Ollama /api/tags).
+   * Keeps the stored list when the server is unreachable.
+   * @param {string} platformId - Custom provider identifier
+   * @returns {Promise<void>}
+   */
+  async syncCustomProviderModels(platformId) {
+    try {
+      const credentials = (await this.credentialManager.getCredentials(
+        platformId
+      )) || { apiKey: '' };
+      const apiService = ApiFactory.createApiService(platformId);
+      await apiService.initialize(credentials);
+      const liveModels = await apiService.fetchAvailableModels();
+      if (!Array.isArray(liveModels)) {
+        return; // Listing not supported by this implementation
+      }
+
+      const result = await chrome.storage.local.get(
+        STORAGE_KEYS.CUSTOM_PROVIDERS
+      );
+      const customProviders = result[STORAGE_KEYS.CUSTOM_PROVIDERS] || {};
+      const provider = customProviders[platformId];
+      if (!provider) {
+        return;
+      }
+
+      const storedIds = (provider.models || []).map((m) => m.id);
+      const liveIds = liveModels.map((m) => m.id);
+      if (
+        storedIds.length === liveIds.length &&
+        storedIds.every((id, index) => id === liveIds[index])
+      ) {
+        return;
+      }
+
+      customProviders[platformId] = {
+        ...provider,
+        models: liveModels.map(
+          (model) => provider.models?.find((m) => m.id === model.id) || model
+        ),
+        updatedAt: new Date().toISOString(),
+      };
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.CUSTOM_PROVIDERS]: customProviders,
+      });
+      logger.service.info(
+        `Synced ${liveIds.length} models for custom provider ${platformId}.`
+      );
+    } catch (error) {
+      logger.service.warn(
+        `Could not refresh models for custom provider ${platformId}, using stored list:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Query a built-in platform's models endpoint with the stored API key and
+   * store the listed models. Bundled models keep their curated configuration;
+   * the others are only shown once the user makes them visible.
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<{fetchedAt: string, models: Array<Object>}>} The stored discovery result
+   * @throws {Error} If there is no API key or the listing fails
+   */
+  async discoverModels(platformId) {
+    const credentials = await this.credentialManager.getCredentials(platformId);
+    if (!credentials?.apiKey) {
+      throw new Error(`No API key stored for ${platformId}`);
+    }
+    const apiService = ApiFactory.createApiService(platformId);
+    if (!apiService) {
+      throw new Error(`API service not available for ${platformId}`);
+    }
+    await apiService.initialize(credentials);
+    const models = await apiService.fetchAvailableModels();
+    if (!Array.isArray(models)) {
+      throw new Error(`Model listing is not supported for ${platformId}`);
+    }
+
+    const discovery = { fetchedAt: new Date().toISOString(), models };
+    const result = await chrome.storage.local.get(
+      STORAGE_KEYS.DISCOVERED_MODELS
+    );
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.DISCOVERED_MODELS]: {
+        ...(result[STORAGE_KEYS.DISCOVERED_MODELS] || {}),
+        [platformId]: discovery,
+      },
+    });
+    logger.service.info(
+      `Discovered ${models.length} models for ${platformId}.`
+    );
+    return discovery;
+  }
+
+  /**
+   * Refresh the discovered models of a platform if the user enabled automatic
+   * discovery for it and the stored list is older than a day. Failures are
+   * logged and the stored list is kept.
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<void>}
+   */
+  async refreshDiscoveredModelsIfStale(platformId) {
+    try {
+      const [discoverySettings, discoveredResult] = await Promise.all([
+        chrome.storage.sync.get(STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS),
+        chrome.storage.local.get(STORAGE_KEYS.DISCOVERED_MODELS),
+      ]);
+      if (
+        discoverySettings[STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS]?.[
+          platformId
+        ] !== true
+      ) {
+        return;
+      }
+      const fetchedAt =
+        discoveredResult[STORAGE_KEYS.DISCOVERED_MODELS]?.[platformId]
+          ?.fetchedAt;
+      if (
+        fetchedAt &&
+        Date.now() - new Date(fetchedAt).getTime() <
+          DISCOVERED_MODELS_MAX_AGE_MS
+      ) {
+        return;
+      }
+      await this.discoverModels(platformId);
+    } catch (error) {
+      logger.service.warn(
+        `Could not refresh discovered models for ${platformId}, using stored list:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get available models for a platform: the bundled models plus the
+   * discovered models the user made visible.
    * @param {string} platformId - Platform identifier
    * @returns {Promise<Array<Object>|null>} Available models
    */
   async getAvailableModels(platformId) {
     try {
+      if (isCustomProviderId(platformId)) {
+        await this.syncCustomProviderModels(platformId);
+      } else {
+        await this.refreshDiscoveredModelsIfStale(platformId);
+      }
       const settings = await ConfigService.getPlatformApiConfig(platformId);
       return settings?.models || null;
     } catch (error) {
@@ -0,0 +1,216 @@
+// src/services/BudgetService.js
+import {
+  STORAGE_KEYS,
+  BUDGET_ENFORCEMENT_MODES,
+  BUDGET_PERIODS,
+  GLOBAL_BUDGET_SCOPE,
+} from '../shared/constants.js';
+import { logger } from '../shared/logger.js';
+import {
+  normalizeBudgetSettings,
+  addSpendToLedger,
+  getBudgetStatuses,
+  getDayKey,
+} from '../shared/utils/budget-utils.js';
+import { formatCost } from '../shared/utils/number-format-utils.js';
+
+import ConfigService from './ConfigService.js';
+
+/**
+ * Service for spending caps: records the cost of completed requests, raises
+ * warnings as caps are approached, and checks requests against the caps.
+ */
+class BudgetService {
+  constructor() {
+    this.logger = logger.service;
+  }
+
+  /**
+   * Get the budget settings
+   * @returns {Promise<Object>} Normalized budget settings
+   */
+  async getSettings() {
+    const result = await chrome.storage.sync.get(STORAGE_KEYS.BUDGET_SETTINGS);
+    return normalizeBudgetSettings(result[STORAGE_KEYS.BUDGET_SETTINGS]);
+  }
+
+  /**
+   * Get the state of the caps that apply to a platform
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<{settings: Object, statuses: Array<Object>}>} Settings and cap states
+   */
+  async getBudgetStatus(platformId) {
+    const [settings, ledgerResult] = await Promise.all([
+      this.getSettings(),
+      chrome.storage.local.get(STORAGE_KEYS.SPEND_LEDGER),
+    ]);
+    return {
+      settings,
+      statuses: getBudgetStatuses(
+        settings,
+        ledgerResult[STORAGE_KEYS.SPEND_LEDGER],
+        platformId
+      ),
+    };
+  }
+
+  /**
+   * Add the cost of a completed request to the spend ledger and notify caps it brings past their thresholds
+   * @param {string} platformId - Platform identifier
+   * @param {number} cost - Request cost in USD
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async recordSpend(platformId, cost) {
+    if (typeof cost !== 'number' || cost <= 0) {
+      return false;
+    }
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SPEND_LEDGER);
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SPEND_LEDGER]: addSpendToLedger(
+          result[STORAGE_KEYS.SPEND_LEDGER],
+          platformId,
+          cost
+        ),
+      });
+      await this._notifyThresholds(platformId);
+      return true;
+    } catch (error) {
+      this.logger.error('Error recording spend:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the caps a request would go over, when caps are enforced
+   * @param {string} platformId - Platform identifier
+   * @param {number|null} estimatedCost - Estimated cost of the request in USD, or null if the model has no pricing
+   * @returns {Promise<Array<Object>>} States of the caps that would be exceeded; empty if the request may proceed
+   */
+  async getExceededBudgets(platformId, estimatedCost) {
+    return this.getCombinedExceededBudgets([{ platformId, estimatedCost }]);
+  }
+
+  /**
+   * Get the caps that requests sent together would go over, when caps are enforced. Each cap is checked against the summed cost of the requests it applies to.
+   * A cap cannot protect against a request to a model without pricing, so such a request counts as exceeding every cap that applies to it; those caps are marked `costUnknown`.
+   * @param {Array<{platformId: string, estimatedCost: number|null}>} requests - Platforms and estimated costs in USD of the requests
+   * @returns {Promise<Array<Object>>} States of the caps that would be exceeded; empty if the requests may proceed
+   */
+  async getCombinedExceededBudgets(requests) {
+    const [settings, ledgerResult] = await Promise.all([
+      this.getSettings(),
+      chrome.storage.local.get(STORAGE_KEYS.SPEND_LEDGER),
+    ]);
+    if (settings.enforcement !== BUDGET_ENFORCEMENT_MODES.CONFIRM) {
+      return [];
+    }
+    const statuses = new Map();
+    requests.forEach(({ platformId }) => {
+      getBudgetStatuses(
+        settings,
+        ledgerResult[STORAGE_KEYS.SPEND_LEDGER],
+        platformId
+      ).forEach((status) => {
+        statuses.set(`${status.scope}:${status.period}`, status);
+      });
+    });
+    return [...statuses.values()].flatMap((status) => {
+      const appliedRequests = requests.filter(
+        (request) =>
+          status.scope === GLOBAL_BUDGET_SCOPE ||
+          request.platformId === status.scope
+      );
+      if (
+        appliedRequests.some(
+          (request) => typeof request.estimatedCost !== 'number'
+        )
+      ) {
+        return [{ ...status, costUnknown: true }];
+      }
+      const estimatedCost = appliedRequests.reduce(
+        (sum, request) => sum + request.estimatedCost,
+        0
+      );
+      return status.spent >= status.cap ||
+        status.spent + estimatedCost > status.cap
+        ? [status]
+        : [];
+    });
+  }
+
+  /**
+   * Describe a cap state for notifications and prompts
+   * @param {Object} status - Cap state from getBudgetStatus
+   * @returns {Promise<string>} E.g., "Daily Claude budget: $4.10 of $5.00 spent"
+   */
+  async describeBudget(status) {
+    let scopeName = 'overall';
+    if (status.scope !== GLOBAL_BUDGET_SCOPE) {
+      const displayConfig = await ConfigService.getPlatformDisplayConfig(
+        status.scope
+      );
+      scopeName = displayConfig?.name || status.scope;
+    }
+    const periodName =
+      status.period === BUDGET_PERIODS.DAILY ? 'Daily' : 'Monthly';
+    return `${periodName} ${scopeName} budget: ${formatCost(status.spent)} of ${formatCost(status.cap)} spent`;
+  }
+
+  /**
+   * Show a notification the first time in a period that a cap reaches its warning threshold, and again when it is reached
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<void>}
+   */
+  async _notifyThresholds(platformId) {
+    const { settings, statuses } = await this.getBudgetStatus(platformId);
+    const alertsResult = await chrome.storage.local.get(
+      STORAGE_KEYS.BUDGET_ALERTS
+    );
+    const alerts = alertsResult[STORAGE_KEYS.BUDGET_ALERTS] || {};
+    const dayKey = getDayKey();
+    const periodKeys = {
+      [BUDGET_PERIODS.DAILY]: dayKey,
+      [BUDGET_PERIODS.MONTHLY]: dayKey.slice(0, 7),
+    };
+
+    let hasNewAlerts = false;
+    for (const status of statuses) {
+      const level =
+        status.percent >= 100
+          ? 'reached'
+          : status.percent >= settings.warningThresholdPercent
+            ? 'warning'
+            : null;
+      if (!level) continue;
+      const alertKey = `${status.scope}:${status.period}:${periodKeys[status.period]}:${level}`;
+      if (alerts[alertKey]) continue;
+
+      alerts[alertKey] = Date.now();
+      hasNewAlerts = true;
+      chrome.notifications.create(`budget-${alertKey}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('images/logo_128.png'),
+        title:
+          level === 'reached'
+            ? 'WebNexus AI Budget Reached'
+            : 'WebNexus AI Budget Warning',
+        message: `${await this.describeBudget(status)} (${Math.floor(status.percent)}%).`,
+      });
+    }
+
+    if (hasNewAlerts) {
+      // Alerts of past months are no longer needed
+      const currentMonth = periodKeys[BUDGET_PERIODS.MONTHLY];
+      Object.keys(alerts).forEach((key) => {
+        if (!key.split(':')[2].startsWith(currentMonth)) {
+          delete alerts[key];
+        }
+      });
+      await chrome.storage.local.set({ [STORAGE_KEYS.BUDGET_ALERTS]: alerts });
+    }
+  }
+}
+
+const budgetService = new BudgetService();
+export default budgetService;
@@ -1,5 +1,14 @@
 // src/services/ConfigService.js
 import { logger } from '../shared/logger.js';
+import { STORAGE_KEYS } from '../shared/constants.js';
+import {
+  buildCustomProviderApiConfig,
+  buildCustomProviderDisplayConfig,
+} from '../shared/utils/custom-provider-utils.js';
+import { mergeDiscoveredModels } from '../shared/utils/model-discovery-utils.js';
+import { applyConnectionOverride } from '../shared/utils/connection-override-utils.js';
+
+import VaultService, { isVaultLockedError } from './VaultService.js';
 
 let cachedApiConfig = null;
 let cachedDisplayConfig = null;
@@ -38,8 +47,131 @@ async function _loadConfig(urlPath, cacheRef) {
   }
 }
 
+/**
+ * Internal helper to read the user-defined custom providers from storage.
+ * Custom providers are not cached since they can change at any time from the settings page.
+ * @returns {Promise<Array<object>>} - The list of stored custom providers.
+ */
+async function _loadCustomProviders() {
+  if (process.env.BUILD_MODE !== 'full') {
+    return [];
+  }
+  try {
+    const result = await chrome.storage.local.get(
+      STORAGE_KEYS.CUSTOM_PROVIDERS
+    );
+    return Object.values(result[STORAGE_KEYS.CUSTOM_PROVIDERS] || {});
+  } catch (error) {
+    logger.service.error(
+      'ConfigService: Error loading custom providers:',
+      error
+    );
+    return [];
+  }
+}
+
+/**
+ * Internal helper to merge custom provider entries into a loaded configuration.
+ * @param {object} config - The bundled configuration object.
+ * @param {Function} buildEntry - Builds a platform entry from a custom provider.
+ * @returns {Promise<object>} - The configuration including custom providers.
+ */
+async function _withCustomProviders(config, buildEntry) {
+  const customProviders = await _loadCustomProviders();
+  if (customProviders.length === 0) {
+    return config;
+  }
+  const customEntries = {};
+  customProviders.forEach((provider) => {
+    customEntries[provider.id] = buildEntry(provider);
+  });
+  return {
+    ...config,
+    aiPlatforms: { ...config.aiPlatforms, ...customEntries },
+  };
+}
+
+/**
+ * Internal helper to add the discovered models the user made visible to the
+ * bundled platforms' model lists.
+ * @param {object} config - The bundled API configuration object.
+ * @returns {Promise<object>} - The configuration including visible discovered models.
+ */
+async function _withDiscoveredModels(config) {
+  try {
+    const result = await chrome.storage.local.get([
+      STORAGE_KEYS.DISCOVERED_MODELS,
+      STORAGE_KEYS.MODEL_VISIBILITY,
+    ]);
+    const discoveredModels = result[STORAGE_KEYS.DISCOVERED_MODELS] || {};
+    const visibility = result[STORAGE_KEYS.MODEL_VISIBILITY] || {};
+    const platformIds = Object.keys(discoveredModels).filter(
+      (id) => config.aiPlatforms?.[id]
+    );
+    if (platformIds.length === 0) {
+      return config;
+    }
+    const aiPlatforms = { ...config.aiPlatforms };
+    platformIds.forEach((id) => {
+      aiPlatforms[id] = mergeDiscoveredModels(
+        aiPlatforms[id],
+        discoveredModels[id].models,
+        visibility[id]
+      );
+    });
+    return { ...config, aiPlatforms };
+  } catch (error) {
+    logger.service.error(
+      'ConfigService: Error loading discovered models:',
+      error
+    );
+    return config;
+  }
+}
+
+/**
+ * Internal helper to apply the endpoint overrides and custom headers the user
+ * set for built-in platforms. The overrides are vault-protected since headers
+ * often carry credentials; while the vault is locked they are left out, as
+ * requests cannot be sent without the locked API keys anyway.
+ * @param {object} config - The API configuration object.
+ * @returns {Promise<object>} - The configuration honoring the overrides.
+ */
+async function _withConnectionOverrides(config) {
+  try {
+    const overrides =
+      (await VaultService.get(STORAGE_KEYS.PLATFORM_CONNECTION_OVERRIDES)) ||
+      {};
+    const platformIds = Object.keys(overrides).filter(
+      (id) => config.aiPlatforms?.[id]
+    );
+    if (platformIds.length === 0) {
+      return config;
+    }
+    const aiPlatforms = { ...config.aiPlatforms };
+    platformIds.forEach((id) => {
+      aiPlatforms[id] = applyConnectionOverride(aiPlatforms[id], overrides[id]);
+    });
+    return { ...config, aiPlatforms };
+  } catch (error) {
+    if (isVaultLockedError(error)) {
+      logger.service.info(
+        'ConfigService: Vault locked, connection overrides not applied.'
+      );
+    } else {
+      logger.service.error(
+        'ConfigService: Error loading connection overrides:',
+        error
+      );
+    }
+    return config;
+  }
+}
+
 /**
  * Gets the entire API configuration object, loading and caching if necessary.
+ * Visible discovered models, connection overrides of built-in platforms and
+ * user-defined custom providers are merged into `aiPlatforms`.
  * @returns {Promise<object>} The API configuration object.
  */
 async function getApiConfig() {
@@ -49,11 +181,32 @@ async function getApiConfig() {
       cachedApiConfig
     );
   }
-  return cachedApiConfig;
+  return _withCustomProviders(
+    await _withConnectionOverrides(
+      await _withDiscoveredModels(cachedApiConfig)
+    ),
+    buildCustomProviderApiConfig
+  );
+}
+
+/**
+ * Gets the bundled API configuration of a platform, without discovered models.
+ * @param {string} platformId - The ID of the platform.
+ * @returns {Promise<object|null>} The bundled API configuration, or null if not found.
+ */
+async function getBundledPlatformApiConfig(platformId) {
+  if (!cachedApiConfig) {
+    cachedApiConfig = await _loadConfig(
+      'platform-api-config.json',
+      cachedApiConfig
+    );
+  }
+  return cachedApiConfig?.aiPlatforms?.[platformId] || null;
 }
 
 /**
  * Gets the entire display configuration object, loading and caching if necessary.
+ * User-defined custom providers are merged into `aiPlatforms`.
  * @returns {Promise<object>} The display configuration object.
  */
 async function getDisplayConfig() {
@@ -63,7 +216,10 @@ async function getDisplayConfig() {
       cachedDisplayConfig
     );
   }
-  return cachedDisplayConfig;
+  return _withCustomProviders(
+    cachedDisplayConfig,
+    buildCustomProviderDisplayConfig
+  );
 }
 
 /**
@@ -105,9 +261,11 @@ async function getPlatformDisplayConfig(platformId) {
 /**
  * Gets a combined list of all platform configurations (display + API).
  * Useful for UI components needing comprehensive platform info.
+ * @param {object} [options]
+ * @param {boolean} [options.includeCustomProviders=true] - Whether to include user-defined custom providers.
  * @returns {Promise<Array<object>>} A list of combined platform configuration objects.
  */
-async function getAllPlatformConfigs() {
+async function getAllPlatformConfigs({ includeCustomProviders = true } = {}) {
   try {
     const [displayConfig, apiConfigData] = await Promise.all([
       getDisplayConfig(),
@@ -131,6 +289,9 @@ async function getAllPlatformConfigs() {
           );
           return null; // Skip if data is incomplete
         }
+        if (displayInfo.isCustomProvider && !includeCustomProviders) {
+          return null;
+        }
 
         return {
           id,
@@ -141,6 +302,8 @@ async function getAllPlatformConfigs() {
           modelApiLink: displayInfo.modelApiLink || '#',
           consoleApiLink: displayInfo.consoleApiLink || '#',
           keyApiLink: displayInfo.keyApiLink || '#',
+          isCustomProvider: !!displayInfo.isCustomProvider,
+          providerType: displayInfo.providerType || null,
           apiConfig: apiInfo, // Attach the whole API config object
         };
       })
@@ -170,6 +333,7 @@ const ConfigService = {
   getApiConfig,
   getDisplayConfig,
   getPlatformApiConfig,
+  getBundledPlatformApiConfig,
   getPlatformDisplayConfig,
   getAllPlatformConfigs,
   invalidateCache,
@@ -1,12 +1,12 @@
 // src/services/ContentFormatter.js
 import { logger } from '../shared/logger.js';
-import { CONTENT_TYPES } from '../shared/constants.js';
+import { CONTENT_TYPES, GITHUB_PAGE_KINDS } from '../shared/constants.js';
 
 class ContentFormatter {
   /**
    * Format content based on content type for better LLM processing.
    * @param {Object} contentData - The extracted content data.
-   * @param {string} contentType - The type of content (e.g., 'youtube', 'reddit', 'general', 'pdf').
+   * @param {string} contentType - The type of content (e.g., 'youtube', 'reddit', 'hackernews', 'github', 'stackexchange', 'general', 'pdf').
    * @returns {string} Formatted content string.
    */
   static formatContent(contentData, contentType) {
@@ -32,6 +32,15 @@ class ContentFormatter {
         case 'reddit':
           formatted = this._formatRedditData(contentData);
           break;
+        case 'hackernews':
+          formatted = this._formatHackerNewsData(contentData);
+          break;
+        case 'github':
+          formatted = this._formatGitHubData(contentData);
+          break;
+        case 'stackexchange':
+          formatted = this._formatStackExchangeData(contentData);
+          break;
         case 'general':
           formatted = this._formatGeneralData(contentData);
           break;
@@ -105,7 +114,8 @@ class ContentFormatter {
   }
 
   /**
-   * Format Reddit post data for LLMs.
+   * Format Reddit post data for LLMs, with the comments as a nested outline
+   * annotated with their scores, down to the configured depth.
    * @private
    */
   static _formatRedditData(data) {
@@ -124,11 +134,80 @@ class ContentFormatter {
       Array.isArray(data.comments) &&
       data.comments.length > 0
     ) {
-      formatted += `## COMMENTS\n`;
-      data.comments.forEach((comment, index) => {
-        formatted += `${index + 1}. Author: ${this._getData(comment.author, 'u/Anonymous')}\n`;
-        formatted += `   Score: ${this._getData(comment.popularity, '0')} points\n`;
-        formatted += `   Comment: "${this._getData(comment.content, '')}"\n`;
+      const maxDepth = data.maxCommentDepth || Infinity;
+      const shownComments = data.comments.filter(
+        (comment) => (comment.depth || 0) < maxDepth
+      );
+      formatted += `## COMMENTS (${shownComments.length})\n`;
+      if (data.permalinkCommentId) {
+        formatted += `Note: this page shows a single comment thread; the other comments of the post are not included.\n`;
+      }
+      shownComments.forEach((comment) => {
+        const indent = '  '.repeat(comment.depth || 0);
+        const score =
+          comment.score === null || comment.score === undefined
+            ? 'score hidden'
+            : `${comment.score} points`;
+        const linked =
+          data.permalinkCommentId &&
+          comment.id?.endsWith(data.permalinkCommentId)
+            ? ', linked comment'
+            : '';
+        formatted += `${indent}- ${this._getData(comment.author, 'u/Anonymous')} (${score}${linked}):\n`;
+        this._getData(comment.content, '')
+          .split('\n')
+          .forEach((line) => {
+            formatted += `${indent}  ${line}\n`;
+          });
+      });
+      const omittedCount = data.comments.length - shownComments.length;
+      if (omittedCount > 0) {
+        formatted += `Note: ${omittedCount} deeper ${omittedCount === 1 ? 'reply was' : 'replies were'} left out, as comments are limited to ${data.maxCommentDepth} levels in the settings.\n`;
+      }
+    } else {
+      formatted += `## COMMENTS\nNo comments available.\n`;
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format Hacker News thread data for LLMs, with the comments as a nested
+   * outline so that replies stay under the comment they answer.
+   * @private
+   */
+  static _formatHackerNewsData(data) {
+    let formatted = `## METADATA\n`;
+    formatted += `- Title: ${this._getData(data.storyTitle)}\n`;
+    formatted += `- Link: ${this._getData(data.storyUrl, 'Text post')}\n`;
+    if (data.storySite) {
+      formatted += `- Site: ${data.storySite}\n`;
+    }
+    formatted += `- Author: ${this._getData(data.storyAuthor, 'Unknown')}\n`;
+    formatted += `- Points: ${this._getData(data.storyPoints)}\n`;
+    formatted += `- Posted: ${this._getData(data.storyAge)}\n`;
+    formatted += `- Discussion URL: ${this._getData(data.discussionUrl)}\n`;
+
+    if (data.storyText) {
+      formatted += `## STORY TEXT\n`;
+      formatted += `${data.storyText}\n`;
+    }
+
+    if (
+      data.comments &&
+      Array.isArray(data.comments) &&
+      data.comments.length > 0
+    ) {
+      formatted += `## COMMENTS (${data.comments.length})\n`;
+      data.comments.forEach((comment) => {
+        const indent = '  '.repeat(comment.depth || 0);
+        const age = comment.age ? ` (${comment.age})` : '';
+        formatted += `${indent}- ${this._getData(comment.author, 'Anonymous')}${age}:\n`;
+        this._getData(comment.content, '')
+          .split('\n')
+          .forEach((line) => {
+            formatted += `${indent}  ${line}\n`;
+          });
       });
     } else {
       formatted += `## COMMENTS\nNo comments available.\n`;
@@ -137,6 +216,142 @@ class ContentFormatter {
     return formatted;
   }
 
+  /**
+   * Format GitHub page data for LLMs. Diffs and source code are kept in
+   * fenced blocks so that line prefixes and indentation survive.
+   * @private
+   */
+  static _formatGitHubData(data) {
+    const isPullRequest = data.pageKind !== GITHUB_PAGE_KINDS.ISSUE;
+    let formatted = `## METADATA\n`;
+    formatted += `- Repository: ${this._getData(data.repository)}\n`;
+    formatted += `- URL: ${this._getData(data.url)}\n`;
+
+    if (data.pageKind === GITHUB_PAGE_KINDS.BLOB) {
+      formatted += `- Page: Source file\n`;
+      formatted += `- Path: ${this._getData(data.filePath)}\n`;
+      formatted += `- Ref: ${this._getData(data.ref)}\n`;
+      formatted += `- Language: ${this._getData(data.language)}\n`;
+      formatted += `- Lines: ${this._getData(data.lineCount)}\n`;
+      if (data.selectedLines) {
+        formatted += `- Focus: lines ${data.selectedLines.start}-${data.selectedLines.end}\n`;
+      }
+
+      if (data.isRendered) {
+        formatted += `## RENDERED FILE\n`;
+        formatted += `${this._getData(data.code, 'No file content extracted.')}\n`;
+      } else {
+        const fence = (data.language || '').toLowerCase().replace(/\W/g, '');
+        formatted += `## SOURCE CODE\n`;
+        formatted += `\`\`\`${fence}\n${this._getData(data.code, '')}\n\`\`\`\n`;
+      }
+      return formatted;
+    }
+
+    formatted += `- Page: ${isPullRequest ? 'Pull request' : 'Issue'}${
+      data.pageKind === GITHUB_PAGE_KINDS.PULL_REQUEST_FILES
+        ? ' (files changed)'
+        : ''
+    }\n`;
+    formatted += `- Title: #${this._getData(data.number, '?')} ${this._getData(data.title)}\n`;
+    formatted += `- State: ${this._getData(data.state)}\n`;
+    if (data.labels && data.labels.length > 0) {
+      formatted += `- Labels: ${data.labels.join(', ')}\n`;
+    }
+    if (isPullRequest && (data.baseBranch || data.headBranch)) {
+      formatted += `- Branches: ${this._getData(data.baseBranch)} <- ${this._getData(data.headBranch)}\n`;
+    }
+
+    if (data.pageKind === GITHUB_PAGE_KINDS.PULL_REQUEST_FILES) {
+      if (data.files && data.files.length > 0) {
+        formatted += `## CHANGED FILES (${data.files.length})\n`;
+        data.files.forEach((file) => {
+          formatted += `### ${file.path}\n`;
+          formatted += file.isDiffLoaded
+            ? `\`\`\`diff\n${file.diff}\n\`\`\`\n`
+            : `Diff not loaded on the page.\n`;
+        });
+      } else {
+        formatted += `## CHANGED FILES\nNo diffs available.\n`;
+      }
+      return formatted;
+    }
+
+    if (data.comments && data.comments.length > 0) {
+      formatted += `## CONVERSATION (${data.comments.length})\n`;
+      data.comments.forEach((comment) => {
+        const date = comment.createdAt ? ` (${comment.createdAt})` : '';
+        formatted += `### ${this._getData(comment.author, 'Unknown')}${date}\n`;
+        if (comment.filePath) {
+          formatted += `On file: ${comment.filePath}\n`;
+        }
+        formatted += `${this._getData(comment.body, '')}\n`;
+      });
+    } else {
+      formatted += `## CONVERSATION\nNo comments available.\n`;
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format Stack Exchange question data for LLMs. Answers are ranked by
+   * score, highest first, and the accepted one is marked.
+   * @private
+   */
+  static _formatStackExchangeData(data) {
+    const question = data.question || {};
+    let formatted = `## METADATA\n`;
+    formatted += `- Title: ${this._getData(data.questionTitle)}\n`;
+    formatted += `- URL: ${this._getData(data.questionUrl)}\n`;
+    formatted += `- Site: ${this._getData(data.site)}\n`;
+    formatted += `- Tags: ${data.tags && data.tags.length > 0 ? data.tags.join(', ') : 'None'}\n`;
+    formatted += `- Asked by: ${this._getData(question.author, 'Unknown')}\n`;
+    formatted += `- Asked on: ${this._getData(question.createdAt)}\n`;
+    formatted += `- Score: ${this._getData(question.score)}\n`;
+
+    formatted += `## QUESTION\n`;
+    formatted += `${this._getData(question.body, 'No question text extracted.')}\n`;
+    formatted += this._formatStackExchangeComments(question.comments);
+
+    const answers = [...(data.answers || [])].sort(
+      (a, b) => (b.score || 0) - (a.score || 0)
+    );
+    if (answers.length === 0) {
+      formatted += `## ANSWERS\nNo answers available.\n`;
+      return formatted;
+    }
+
+    formatted += `## ANSWERS (${answers.length}, ranked by score)\n`;
+    if (data.answerCount > answers.length) {
+      formatted += `Note: only ${answers.length} of ${data.answerCount} answers were loaded on the page.\n`;
+    }
+    answers.forEach((answer, index) => {
+      const accepted = answer.isAccepted ? ' - ACCEPTED ANSWER' : '';
+      formatted += `### Answer ${index + 1}: score ${this._getData(answer.score, '0')}${accepted}\n`;
+      formatted += `- Author: ${this._getData(answer.author, 'Unknown')}\n`;
+      formatted += `- Answered on: ${this._getData(answer.createdAt)}\n`;
+      formatted += `${this._getData(answer.body, 'No answer text extracted.')}\n`;
+      formatted += this._formatStackExchangeComments(answer.comments);
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Format the comments of a Stack Exchange post as a short list.
+   * @private
+   */
+  static _formatStackExchangeComments(comments) {
+    if (!comments || comments.length === 0) return '';
+    let formatted = `Comments:\n`;
+    comments.forEach((comment) => {
+      const score = comment.score > 0 ? ` [${comment.score}]` : '';
+      formatted += `- ${this._getData(comment.author, 'Unknown')}${score}: ${comment.content}\n`;
+    });
+    return formatted;
+  }
+
   /**
    * Format general web page data for LLMs.
    * @private
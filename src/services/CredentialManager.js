@@ -2,6 +2,13 @@
 import ApiFactory from '../api/api-factory.js';
 import { STORAGE_KEYS } from '../shared/constants.js';
 import { logger } from '../shared/logger.js';
+import VaultService, { isVaultLockedError } from './VaultService.js';
+import {
+  getCredentialProfiles,
+  getActiveCredentialProfile,
+  buildCredentialEntry,
+  toPublicCredentialProfiles,
+} from '../shared/utils/credential-profile-utils.js';
 
 /**
  * Service for secure API credential management
@@ -20,13 +27,16 @@ class CredentialManager {
   async getCredentials(platformId) {
     try {
       this.logger.info(`Getting credentials for ${platformId}`);
-      const result = await chrome.storage.local.get(this.STORAGE_KEY);
-      const credentials = result[this.STORAGE_KEY] || {};
+      const credentials = (await VaultService.get(this.STORAGE_KEY)) || {};
 
       return Object.prototype.hasOwnProperty.call(credentials, platformId)
         ? credentials[platformId]
         : null;
     } catch (error) {
+      // A locked vault is reported as such rather than as missing credentials
+      if (isVaultLockedError(error)) {
+        throw error;
+      }
       this.logger.error('Error retrieving credentials:', error);
       return null;
     }
@@ -41,13 +51,12 @@ class CredentialManager {
   async storeCredentials(platformId, credentials) {
     try {
       this.logger.info(`Storing credentials for ${platformId}`);
-      const result = await chrome.storage.local.get(this.STORAGE_KEY);
-      const allCredentials = result[this.STORAGE_KEY] || {};
+      const allCredentials = (await VaultService.get(this.STORAGE_KEY)) || {};
 
       // Update credentials for this platform
       allCredentials[platformId] = credentials;
 
-      await chrome.storage.local.set({ [this.STORAGE_KEY]: allCredentials });
+      await VaultService.set(this.STORAGE_KEY, allCredentials);
       return true;
     } catch (error) {
       this.logger.error('Error storing credentials:', error);
@@ -63,12 +72,11 @@ class CredentialManager {
   async removeCredentials(platformId) {
     try {
       this.logger.info(`Removing credentials for ${platformId}`);
-      const result = await chrome.storage.local.get(this.STORAGE_KEY);
-      let allCredentials = result[this.STORAGE_KEY] || {};
+      let allCredentials = (await VaultService.get(this.STORAGE_KEY)) || {};
 
       if (Object.prototype.hasOwnProperty.call(allCredentials, platformId)) {
         delete allCredentials[platformId];
-        await chrome.storage.local.set({ [this.STORAGE_KEY]: allCredentials });
+        await VaultService.set(this.STORAGE_KEY, allCredentials);
       } else {
         this.logger.warn(
           `Attempted to remove non-existent credentials for ${platformId}`
@@ -82,6 +90,91 @@ class CredentialManager {
     }
   }
 
+  /**
+   * List the credential profiles of a platform, without their API keys
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<{profiles: Array<Object>, activeProfileId: string|null}>} Profiles and the active profile ID
+   */
+  async getProfiles(platformId) {
+    const credentials = await this.getCredentials(platformId);
+    return {
+      profiles: toPublicCredentialProfiles(getCredentialProfiles(credentials)),
+      activeProfileId: getActiveCredentialProfile(credentials)?.id || null,
+    };
+  }
+
+  /**
+   * Get the ID of the profile whose key is used for a platform's requests
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<string|null>} Active profile ID, or null without credentials
+   */
+  async getActiveProfileId(platformId) {
+    const credentials = await this.getCredentials(platformId);
+    return getActiveCredentialProfile(credentials)?.id || null;
+  }
+
+  /**
+   * Make a profile the one used for a platform's requests
+   * @param {string} platformId - Platform identifier
+   * @param {string} profileId - Profile identifier
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async setActiveProfile(platformId, profileId) {
+    const credentials = await this.getCredentials(platformId);
+    const profiles = getCredentialProfiles(credentials);
+    if (!profiles.some((profile) => profile.id === profileId)) {
+      this.logger.warn(
+        `Attempted to activate unknown profile ${profileId} for ${platformId}`
+      );
+      return false;
+    }
+    this.logger.info(`Switching ${platformId} to profile ${profileId}`);
+    return this.storeCredentials(
+      platformId,
+      buildCredentialEntry(profiles, profileId)
+    );
+  }
+
+  /**
+   * Add the cost of a request to the spend of the profile that paid for it
+   * @param {string} platformId - Platform identifier
+   * @param {string} profileId - Profile identifier
+   * @param {number} cost - Request cost in dollars
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async recordProfileSpend(platformId, profileId, cost) {
+    if (!profileId || typeof cost !== 'number' || cost <= 0) {
+      return false;
+    }
+    try {
+      const result = await chrome.storage.local.get(
+        STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND
+      );
+      const allSpend = result[STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND] || {};
+      const platformSpend = allSpend[platformId] || {};
+      const profileSpend = platformSpend[profileId] || {
+        totalCost: 0,
+        requestCount: 0,
+        since: new Date().toISOString(),
+      };
+      allSpend[platformId] = {
+        ...platformSpend,
+        [profileId]: {
+          ...profileSpend,
+          totalCost: profileSpend.totalCost + cost,
+          requestCount: profileSpend.requestCount + 1,
+        },
+      };
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND]: allSpend,
+      });
+      return true;
+    } catch (error) {
+      this.logger.error('Error recording profile spend:', error);
+      return false;
+    }
+  }
+
   /**
    * Check if credentials exist for multiple platforms in a single batch operation
    * @param {string[]} platformIds - Array of platform identifiers
@@ -92,8 +185,7 @@ class CredentialManager {
       this.logger.info(
         `Checking credential existence for ${platformIds.length} platforms`
       );
-      const result = await chrome.storage.local.get(this.STORAGE_KEY);
-      const allCredentials = result[this.STORAGE_KEY] || {};
+      const allCredentials = (await VaultService.get(this.STORAGE_KEY)) || {};
       const results = {};
 
       platformIds.forEach((platformId) => {
@@ -1,6 +1,14 @@
 // src/services/ModelParameterService.js
 import { STORAGE_KEYS, INTERFACE_SOURCES } from '../shared/constants.js';
 import { logger } from '../shared/logger.js';
+import {
+  normalizeStopSequences,
+  parseExtraBody,
+} from '../shared/utils/model-settings-helper-utils.js';
+import {
+  isPresetApplicable,
+  applyPresetToModelSettings,
+} from '../shared/utils/parameter-preset-utils.js';
 
 import ConfigService from './ConfigService.js';
 
@@ -160,10 +168,17 @@ class ModelParameterService {
    * @param {number} [options.tabId] - Tab ID for context (e.g., token tracking)
    * @param {string} [options.source] - Interface source (popup or sidepanel)
    * @param {Array} [options.conversationHistory] - Optional conversation history for context
+   * @param {string} [options.presetId] - Parameter preset chosen for the chat, applied over the user settings if it fits the model
    * @returns {Promise<Object>} Resolved parameters object for API calls
    */
   async resolveParameters(platformId, modelId, options = {}) {
-    const { tabId, source, conversationHistory, useThinkingMode } = options;
+    const {
+      tabId,
+      source,
+      conversationHistory,
+      useThinkingMode,
+      presetId = null,
+    } = options;
     if (!modelId) {
       throw new Error('Model ID must be provided to resolveParameters');
     }
@@ -216,15 +231,42 @@ class ModelParameterService {
           `Result: API thinking features active for this request=${isThinkingEnabledForThisRequest}, User preferences loaded from modeKey='${modeKey}'.`
       );
 
-      const modelParametersResult = await chrome.storage.local.get(
-        STORAGE_KEYS.MODEL_PARAMETER_SETTINGS
-      );
+      const modelParametersResult = await chrome.storage.local.get([
+        STORAGE_KEYS.MODEL_PARAMETER_SETTINGS,
+        STORAGE_KEYS.PARAMETER_PRESETS,
+      ]);
       const allModelParameterSettings =
         modelParametersResult[STORAGE_KEYS.MODEL_PARAMETER_SETTINGS] || {};
       const platformModelParameters =
         allModelParameterSettings[platformId] || {};
-      const userModelModeSettings =
+      let userModelModeSettings =
         platformModelParameters.models?.[modelId]?.[modeKey] || {};
+
+      const preset =
+        presetId &&
+        modelParametersResult[STORAGE_KEYS.PARAMETER_PRESETS]?.[presetId];
+      if (isPresetApplicable(preset, platformId, modelId)) {
+        userModelModeSettings = applyPresetToModelSettings(
+          userModelModeSettings,
+          preset,
+          {
+            maxTokens:
+              modeKey === 'thinking' &&
+              modelConfig.thinking?.maxOutput !== undefined
+                ? modelConfig.thinking.maxOutput
+                : modelConfig.tokens.maxOutput,
+            temperature: platformApiConfig.temperature,
+            topP: platformApiConfig.topP,
+          }
+        );
+        logger.service.info(
+          `Applied parameter preset "${preset.name}" to ${platformId}/${modelId}.`
+        );
+      } else if (presetId) {
+        logger.service.info(
+          `Parameter preset ${presetId} not found or not for ${platformId}/${modelId}; ignored.`
+        );
+      }
       logger.service.info(
         `User settings retrieved for ${platformId}/${modelId} (modeKey: ${modeKey}):`,
         userModelModeSettings
@@ -375,6 +417,18 @@ class ModelParameterService {
         );
       }
 
+      // Prompt caching is on by default for models that support it
+      params.promptCaching =
+        modelConfig?.capabilities?.supportsPromptCaching === true &&
+        userModelModeSettings.promptCaching !== false;
+
+      this._applyAdvancedParameters(
+        params,
+        modelConfig,
+        userModelModeSettings,
+        `${platformId}/${modelId}`
+      );
+
       // Calculate effective system prompt support
       const platformSupportsSystemPrompt =
         platformApiConfig?.apiStructure?.supportsSystemPrompt !== false;
@@ -434,6 +488,63 @@ class ModelParameterService {
       throw error;
     }
   }
+
+  /**
+   * Adds the advanced parameters the user set to the resolved parameters,
+   * skipping those the model's capabilities do not allow.
+   * @param {Object} params - Resolved parameters, updated in place
+   * @param {Object} modelConfig - Model configuration
+   * @param {Object} userSettings - User settings for the model and mode
+   * @param {string} label - Platform/model label for logging
+   */
+  _applyAdvancedParameters(params, modelConfig, userSettings, label) {
+    const capabilities = modelConfig?.capabilities || {};
+
+    const stopSequences = normalizeStopSequences(userSettings.stopSequences);
+    if (stopSequences.length > 0) {
+      if (capabilities.supportsStopSequences === true) {
+        params.stopSequences = stopSequences;
+      } else {
+        logger.service.info(`Stop sequences not supported by ${label}.`);
+      }
+    }
+
+    if (Number.isInteger(userSettings.seed)) {
+      if (capabilities.supportsSeed === true) {
+        params.seed = userSettings.seed;
+      } else {
+        logger.service.info(`Seed not supported by ${label}.`);
+      }
+    }
+
+    if (userSettings.includePenalties === true) {
+      if (capabilities.supportsPenalties === true) {
+        params.presencePenalty = userSettings.presencePenalty ?? 0;
+        params.frequencyPenalty = userSettings.frequencyPenalty ?? 0;
+      } else {
+        logger.service.info(`Penalties not supported by ${label}.`);
+      }
+    }
+
+    if (userSettings.safetyThreshold) {
+      if (capabilities.supportsSafetySettings === true) {
+        params.safetyThreshold = userSettings.safetyThreshold;
+      } else {
+        logger.service.info(`Safety settings not supported by ${label}.`);
+      }
+    }
+
+    const { value: extraBody, error: extraBodyError } = parseExtraBody(
+      userSettings.extraBody
+    );
+    if (extraBody) {
+      params.extraBody = extraBody;
+    } else if (extraBodyError) {
+      logger.service.warn(
+        `Ignoring extra body for ${label}: ${extraBodyError}`
+      );
+    }
+  }
 }
 
 export default new ModelParameterService();
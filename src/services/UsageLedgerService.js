@@ -0,0 +1,77 @@
+// src/services/UsageLedgerService.js
+import { STORAGE_KEYS, MAX_USAGE_LEDGER_ENTRIES } from '../shared/constants.js';
+import { logger } from '../shared/logger.js';
+
+/**
+ * Service for the usage ledger: one entry per completed API request, kept
+ * independently of chat history so usage and cost can be analyzed over time.
+ */
+class UsageLedgerService {
+  constructor() {
+    this.logger = logger.service;
+  }
+
+  /**
+   * Append a completed request to the ledger
+   * @param {Object} usage - Request usage
+   * @param {string} usage.chatSessionId - Chat session the request belongs to
+   * @param {string} usage.platformId - Platform that served the request
+   * @param {string} usage.modelId - Model that served the request
+   * @param {string|null} usage.contentType - Type of page content included, if any
+   * @param {number} usage.inputTokens - Input tokens
+   * @param {number} usage.outputTokens - Output tokens
+   * @param {number} [usage.thinkingTokens=0] - Thinking tokens, included in outputTokens
+   * @param {number} [usage.cachedInputTokens=0] - Input tokens read from the prompt cache
+   * @param {number|null} usage.cost - Cost in USD, or null if the model has no pricing
+   * @param {boolean} [usage.isExact=false] - Whether token counts were reported by the provider
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async recordRequest(usage) {
+    try {
+      const entry = {
+        id: `usage_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+        timestamp: new Date().toISOString(),
+        chatSessionId: usage.chatSessionId || null,
+        platformId: usage.platformId,
+        modelId: usage.modelId,
+        contentType: usage.contentType || null,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        thinkingTokens: usage.thinkingTokens || 0,
+        cachedInputTokens: usage.cachedInputTokens || 0,
+        cost: typeof usage.cost === 'number' ? usage.cost : null,
+        isExact: usage.isExact === true,
+      };
+      const entries = await this.getEntries();
+      entries.push(entry);
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.USAGE_LEDGER]: entries.slice(-MAX_USAGE_LEDGER_ENTRIES),
+      });
+      return true;
+    } catch (error) {
+      this.logger.error('Error recording request usage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all ledger entries
+   * @returns {Promise<Array<Object>>} Entries, oldest first
+   */
+  async getEntries() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.USAGE_LEDGER);
+    return result[STORAGE_KEYS.USAGE_LEDGER] || [];
+  }
+
+  /**
+   * Delete every ledger entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await chrome.storage.local.remove(STORAGE_KEYS.USAGE_LEDGER);
+    this.logger.info('Usage ledger cleared');
+  }
+}
+
+const usageLedgerService = new UsageLedgerService();
+export default usageLedgerService;
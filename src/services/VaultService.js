@@ -0,0 +1,336 @@
+// src/services/VaultService.js
+import {
+  STORAGE_KEYS,
+  VAULT_PBKDF2_ITERATIONS,
+  VAULT_PROTECTED_STORAGE_KEYS,
+  DEFAULT_VAULT_AUTO_LOCK_MINUTES,
+} from '../shared/constants.js';
+import { logger } from '../shared/logger.js';
+import {
+  generateSalt,
+  deriveKeyFromPassphrase,
+  exportKey,
+  importKey,
+  encryptJson,
+  decryptJson,
+} from '../shared/utils/crypto-utils.js';
+
+export const VAULT_LOCKED_ERROR_CODE = 'VAULT_LOCKED';
+
+const VERIFIER_PLAINTEXT = 'webnexus-ai-vault';
+const ACTIVITY_WRITE_INTERVAL_MS = 30 * 1000; // Limits session writes while the vault is in use
+
+/**
+ * Check whether an error was raised because the vault is locked
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the vault must be unlocked first
+ */
+export function isVaultLockedError(error) {
+  return error?.code === VAULT_LOCKED_ERROR_CODE;
+}
+
+function createVaultLockedError() {
+  const error = new Error(
+    'The vault is locked. Unlock it with your passphrase to use API keys and chat history.'
+  );
+  error.code = VAULT_LOCKED_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Service for the optional passphrase vault. While enabled, the values of
+ * VAULT_PROTECTED_STORAGE_KEYS are stored AES-GCM encrypted ("sealed") with a
+ * key derived from the passphrase. The key is kept in chrome.storage.session
+ * while unlocked, so every extension context shares the unlocked state and it
+ * never outlives the browser session. Using the vault counts as activity;
+ * it locks itself once unused for the configured number of minutes.
+ */
+class VaultService {
+  constructor() {
+    this.logger = logger.service;
+  }
+
+  /**
+   * Check whether a stored value is sealed by the vault
+   * @param {*} value - Stored value
+   * @returns {boolean} True if the value is encrypted
+   */
+  isSealed(value) {
+    return value?.vaultSealed === true;
+  }
+
+  async _getConfig() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.VAULT_CONFIG);
+    return result[STORAGE_KEYS.VAULT_CONFIG] || null;
+  }
+
+  /**
+   * Get the key of the unlocked vault, locking it first if it was unused for too long
+   * @param {Object} config - Vault configuration
+   * @param {boolean} [recordActivity=true] - Whether this use postpones auto-lock
+   * @returns {Promise<CryptoKey|null>} The key, or null while locked
+   */
+  async _getKey(config, recordActivity = true) {
+    const result = await chrome.storage.session.get(STORAGE_KEYS.VAULT_SESSION);
+    const session = result[STORAGE_KEYS.VAULT_SESSION];
+    if (!session?.key) {
+      return null;
+    }
+
+    const now = Date.now();
+    const autoLockMs = config.autoLockMinutes * 60 * 1000;
+    if (now - session.lastActivityAt > autoLockMs) {
+      this.logger.info('Vault auto-locked after inactivity');
+      await this.lock();
+      return null;
+    }
+    if (
+      recordActivity &&
+      now - session.lastActivityAt > ACTIVITY_WRITE_INTERVAL_MS
+    ) {
+      await chrome.storage.session.set({
+        [STORAGE_KEYS.VAULT_SESSION]: { ...session, lastActivityAt: now },
+      });
+    }
+    return importKey(session.key);
+  }
+
+  async _startSession(key) {
+    await chrome.storage.session.set({
+      [STORAGE_KEYS.VAULT_SESSION]: {
+        key: await exportKey(key),
+        lastActivityAt: Date.now(),
+      },
+    });
+  }
+
+  /**
+   * Get the vault state
+   * @returns {Promise<{isEnabled: boolean, isUnlocked: boolean, autoLockMinutes: number}>} Vault state
+   */
+  async getStatus() {
+    const config = await this._getConfig();
+    if (!config) {
+      return {
+        isEnabled: false,
+        isUnlocked: true,
+        autoLockMinutes: DEFAULT_VAULT_AUTO_LOCK_MINUTES,
+      };
+    }
+    return {
+      isEnabled: true,
+      // Status checks (e.g., UI polling) must not keep the vault unlocked
+      isUnlocked: (await this._getKey(config, false)) !== null,
+      autoLockMinutes: config.autoLockMinutes,
+    };
+  }
+
+  /**
+   * Record user activity, postponing auto-lock
+   * @returns {Promise<void>}
+   */
+  async touch() {
+    const config = await this._getConfig();
+    if (config) {
+      await this._getKey(config);
+    }
+  }
+
+  /**
+   * Enable the vault and encrypt the protected data currently stored
+   * @param {string} passphrase - Passphrase to derive the key from
+   * @param {number} [autoLockMinutes] - Minutes of inactivity before locking
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async enable(passphrase, autoLockMinutes = DEFAULT_VAULT_AUTO_LOCK_MINUTES) {
+    try {
+      if (await this._getConfig()) {
+        throw new Error('The vault is already enabled.');
+      }
+      this.logger.info('Enabling vault');
+      const salt = generateSalt();
+      const key = await deriveKeyFromPassphrase(
+        passphrase,
+        salt,
+        VAULT_PBKDF2_ITERATIONS
+      );
+
+      const stored = await chrome.storage.local.get(
+        VAULT_PROTECTED_STORAGE_KEYS
+      );
+      const dataToSet = {
+        [STORAGE_KEYS.VAULT_CONFIG]: {
+          salt,
+          iterations: VAULT_PBKDF2_ITERATIONS,
+          verifier: await encryptJson(key, VERIFIER_PLAINTEXT),
+          autoLockMinutes,
+        },
+      };
+      for (const storageKey of VAULT_PROTECTED_STORAGE_KEYS) {
+        if (stored[storageKey] !== undefined) {
+          dataToSet[storageKey] = {
+            vaultSealed: true,
+            ...(await encryptJson(key, stored[storageKey])),
+          };
+        }
+      }
+
+      // Start the session first so contexts reacting to the sealed data can open it
+      await this._startSession(key);
+      await chrome.storage.local.set(dataToSet);
+      return true;
+    } catch (error) {
+      this.logger.error('Error enabling vault:', error);
+      await chrome.storage.session.remove(STORAGE_KEYS.VAULT_SESSION);
+      return false;
+    }
+  }
+
+  /**
+   * Disable the vault, storing the protected data unencrypted again. The vault must be unlocked.
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async disable() {
+    try {
+      const config = await this._getConfig();
+      if (!config) {
+        return true;
+      }
+      const key = await this._getKey(config);
+      if (!key) {
+        throw createVaultLockedError();
+      }
+      this.logger.info('Disabling vault');
+
+      const stored = await chrome.storage.local.get(
+        VAULT_PROTECTED_STORAGE_KEYS
+      );
+      const dataToSet = {};
+      for (const storageKey of VAULT_PROTECTED_STORAGE_KEYS) {
+        if (this.isSealed(stored[storageKey])) {
+          dataToSet[storageKey] = await decryptJson(key, stored[storageKey]);
+        }
+      }
+      await chrome.storage.local.set(dataToSet);
+      await chrome.storage.local.remove(STORAGE_KEYS.VAULT_CONFIG);
+      await chrome.storage.session.remove(STORAGE_KEYS.VAULT_SESSION);
+      return true;
+    } catch (error) {
+      this.logger.error('Error disabling vault:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Unlock the vault
+   * @param {string} passphrase - The vault passphrase
+   * @returns {Promise<boolean>} True if the passphrase was correct
+   */
+  async unlock(passphrase) {
+    const config = await this._getConfig();
+    if (!config) {
+      return true;
+    }
+    try {
+      const key = await deriveKeyFromPassphrase(
+        passphrase,
+        config.salt,
+        config.iterations
+      );
+      if ((await decryptJson(key, config.verifier)) !== VERIFIER_PLAINTEXT) {
+        return false;
+      }
+      await this._startSession(key);
+      this.logger.info('Vault unlocked');
+      return true;
+    } catch (error) {
+      // AES-GCM decryption fails when the key derived from the passphrase is wrong
+      this.logger.warn('Vault unlock failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Lock the vault, discarding the key until the passphrase is entered again
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    await chrome.storage.session.remove(STORAGE_KEYS.VAULT_SESSION);
+    this.logger.info('Vault locked');
+  }
+
+  /**
+   * Change the minutes of inactivity after which the vault locks itself
+   * @param {number} autoLockMinutes - Minutes of inactivity
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async setAutoLockMinutes(autoLockMinutes) {
+    const config = await this._getConfig();
+    if (!config) {
+      return false;
+    }
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.VAULT_CONFIG]: { ...config, autoLockMinutes },
+    });
+    return true;
+  }
+
+  /**
+   * Decrypt a stored value if it is sealed
+   * @param {*} value - Value read from storage
+   * @returns {Promise<*>} The plain value
+   * @throws {Error} With code VAULT_LOCKED if the value is sealed and the vault is locked
+   */
+  async open(value) {
+    if (!this.isSealed(value)) {
+      return value;
+    }
+    const config = await this._getConfig();
+    const key = config ? await this._getKey(config) : null;
+    if (!key) {
+      throw createVaultLockedError();
+    }
+    return decryptJson(key, value);
+  }
+
+  /**
+   * Encrypt a value for storage if the vault is enabled
+   * @param {*} value - Plain value
+   * @returns {Promise<*>} The value to store
+   * @throws {Error} With code VAULT_LOCKED if the vault is enabled and locked
+   */
+  async seal(value) {
+    const config = await this._getConfig();
+    if (!config) {
+      return value;
+    }
+    const key = await this._getKey(config);
+    if (!key) {
+      throw createVaultLockedError();
+    }
+    return { vaultSealed: true, ...(await encryptJson(key, value)) };
+  }
+
+  /**
+   * Read and decrypt a protected storage key
+   * @param {string} storageKey - Local storage key
+   * @returns {Promise<*>} The plain value, or undefined if not stored
+   */
+  async get(storageKey) {
+    const result = await chrome.storage.local.get(storageKey);
+    return this.open(result[storageKey]);
+  }
+
+  /**
+   * Encrypt and write a protected storage key
+   * @param {string} storageKey - Local storage key
+   * @param {*} value - Plain value
+   * @returns {Promise<void>}
+   */
+  async set(storageKey, value) {
+    await chrome.storage.local.set({ [storageKey]: await this.seal(value) });
+  }
+}
+
+const vaultService = new VaultService();
+export default vaultService;
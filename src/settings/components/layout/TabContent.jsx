@@ -1,10 +1,12 @@
 import React, { lazy, Suspense } from 'react';
 
-import { SpinnerIcon } from '../../../components';
+import { SpinnerIcon, VaultGate } from '../../../components';
 import { useTabs } from '../../contexts/TabContext';
 const LazyPromptManagement = lazy(() => import('../tabs/PromptManagement'));
 const LazyApiSettings = lazy(() => import('../tabs/ApiSettings'));
+const LazyUsageAnalyticsTab = lazy(() => import('../tabs/UsageAnalyticsTab'));
 const LazyDataManagementTab = lazy(() => import('../tabs/DataManagementTab'));
+const LazyExtractionRulesTab = lazy(() => import('../tabs/ExtractionRulesTab'));
 const LazyKeyboardShortcutsTab = lazy(
   () => import('../tabs/KeyboardShortcutsTab')
 );
@@ -28,9 +30,20 @@ const TabContent = () => {
             className={`relative min-h-[400px] ${activeTab !== TABS.API_SETTINGS ? 'hidden' : ''}`}
             id={TABS.API_SETTINGS}
           >
-            <ApiSettingsProvider>
-              <LazyApiSettings />
-            </ApiSettingsProvider>
+            <VaultGate className='min-h-[400px]'>
+              <ApiSettingsProvider>
+                <LazyApiSettings />
+              </ApiSettingsProvider>
+            </VaultGate>
+          </div>
+          {/* Usage Analytics Tab Content */}
+          <div
+            className={`relative min-h-[400px] ${activeTab !== TABS.USAGE_ANALYTICS ? 'hidden' : ''}`}
+            id={TABS.USAGE_ANALYTICS}
+          >
+            <VaultGate className='min-h-[400px]'>
+              <LazyUsageAnalyticsTab />
+            </VaultGate>
           </div>
           {/* Keyboard Shortcuts Tab Content */}
           <div
@@ -50,6 +63,14 @@ const TabContent = () => {
         <LazyPromptManagement />
       </div>
 
+      {/* Site Rules Tab Content (Always included) */}
+      <div
+        className={`relative min-h-[400px] ${activeTab !== TABS.EXTRACTION_RULES ? 'hidden' : ''}`}
+        id={TABS.EXTRACTION_RULES}
+      >
+        <LazyExtractionRulesTab />
+      </div>
+
       {/* Data Management Tab Content (Always included) */}
       <div
         className={`relative min-h-[400px] ${activeTab !== TABS.DATA_MANAGEMENT ? 'hidden' : ''}`}
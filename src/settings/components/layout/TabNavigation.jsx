@@ -7,11 +7,13 @@ const TabNavigation = () => {
 
   const baseTabs = [
     { id: TABS.PROMPT_MANAGEMENT, label: 'Prompts' },
+    { id: TABS.EXTRACTION_RULES, label: 'Site Rules' },
     { id: TABS.DATA_MANAGEMENT, label: 'Data Management' },
   ];
 
   const fullBuildTabs = [
     { id: TABS.API_SETTINGS, label: 'API Settings' },
+    { id: TABS.USAGE_ANALYTICS, label: 'Usage' },
     { id: TABS.KEYBOARD_SHORTCUTS, label: 'Keyboard Shortcuts' },
   ];
 
@@ -20,8 +22,10 @@ const TabNavigation = () => {
       ? [
           baseTabs[0], // Prompts
           fullBuildTabs[0], // API Settings
-          baseTabs[1], // Data Management
-          fullBuildTabs[1], // Keyboard Shortcuts
+          fullBuildTabs[1], // Usage
+          baseTabs[1], // Site Rules
+          baseTabs[2], // Data Management
+          fullBuildTabs[2], // Keyboard Shortcuts
         ]
       : baseTabs;
 
@@ -1,12 +1,19 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 
 import PlatformSidebar from '../ui/api/PlatformSidebar';
 import PlatformDetails from '../ui/api/PlatformDetails';
+import CustomProviderForm from '../ui/api/CustomProviderForm';
+import RequestHandlingSettings from '../ui/api/RequestHandlingSettings';
+import FallbackChainSettings from '../ui/api/FallbackChainSettings';
+import ParameterPresetSettings from '../ui/api/ParameterPresetSettings';
+import BudgetSettings from '../ui/api/BudgetSettings';
 import { useApiSettings } from '../../contexts/ApiSettingsContext';
 import { SpinnerIcon } from '../../../components';
+import { isCustomProviderId } from '../../../shared/utils/custom-provider-utils';
 
 const ApiSettings = () => {
   const [activeApiSubTab, setActiveApiSubTab] = useState('apiKey');
+  const [isAddingCustomProvider, setIsAddingCustomProvider] = useState(false);
 
   const {
     platformConfigs,
@@ -16,14 +23,44 @@ const ApiSettings = () => {
     error: contextError,
     selectedPlatformConfig,
     credentialsForSelectedPlatform,
+    credentialSpendForSelectedPlatform,
+    customProviderForSelectedPlatform,
     modelParametersForSelectedPlatform,
     selectPlatform,
-    saveApiKey,
-    removeApiKey,
+    refreshPlatformConfigs,
+    saveCredentialProfile,
+    removeCredentialProfile,
+    setActiveCredentialProfile,
+    validateCredentialProfile,
+    saveCustomProvider,
+    removeCustomProvider,
     saveModelParametersSettings,
     resetModelParametersSettingsToDefaults,
   } = useApiSettings();
 
+  const handleSelectPlatform = useCallback(
+    (platformId) => {
+      setIsAddingCustomProvider(false);
+      // Custom providers have no Models sub-tab
+      if (isCustomProviderId(platformId) && activeApiSubTab === 'models') {
+        setActiveApiSubTab('apiKey');
+      }
+      selectPlatform(platformId);
+    },
+    [selectPlatform, activeApiSubTab]
+  );
+
+  const handleAddCustomProvider = useCallback(
+    async (providerData, apiKey) => {
+      const providerId = await saveCustomProvider(providerData, apiKey);
+      if (providerId) {
+        setIsAddingCustomProvider(false);
+        setActiveApiSubTab('apiKey');
+      }
+    },
+    [saveCustomProvider]
+  );
+
   if (isLoading) {
     return (
       <div className='flex items-center justify-center min-h-[200px] text-theme-secondary select-none'>
@@ -48,7 +85,8 @@ const ApiSettings = () => {
       </h2>
       <p className='section-description text-sm text-theme-secondary mb-6'>
         Configure API credentials for different AI platforms and customize model
-        parameters for each model. These settings will be used when making API
+        parameters for each model. You can also add custom providers exposing an
+        OpenAI-compatible API. These settings will be used when making API
         requests directly from the browser extension.
       </p>
 
@@ -57,17 +95,33 @@ const ApiSettings = () => {
           platforms={platformConfigs}
           selectedPlatformId={selectedPlatformId}
           credentials={allCredentials}
-          onSelectPlatform={selectPlatform}
+          onSelectPlatform={handleSelectPlatform}
+          onAddCustomProvider={() => setIsAddingCustomProvider(true)}
+          isAddingCustomProvider={isAddingCustomProvider}
         />
 
-        {selectedPlatformConfig ? (
+        {isAddingCustomProvider ? (
+          <div className='platform-details-panel flex-1'>
+            <CustomProviderForm
+              onSave={handleAddCustomProvider}
+              onCancel={() => setIsAddingCustomProvider(false)}
+            />
+          </div>
+        ) : selectedPlatformConfig ? (
           <PlatformDetails
             platform={selectedPlatformConfig}
             credentials={credentialsForSelectedPlatform}
+            credentialSpend={credentialSpendForSelectedPlatform}
+            customProvider={customProviderForSelectedPlatform}
             modelParametersForPlatform={modelParametersForSelectedPlatform}
             // Pass action handlers from context
-            saveApiKeyAction={saveApiKey}
-            removeApiKeyAction={removeApiKey}
+            saveCredentialProfileAction={saveCredentialProfile}
+            removeCredentialProfileAction={removeCredentialProfile}
+            setActiveCredentialProfileAction={setActiveCredentialProfile}
+            validateCredentialProfileAction={validateCredentialProfile}
+            saveCustomProviderAction={saveCustomProvider}
+            removeCustomProviderAction={removeCustomProvider}
+            refreshPlatformConfigsAction={refreshPlatformConfigs}
             saveModelParametersSettingsAction={saveModelParametersSettings}
             resetModelParametersSettingsToDefaultsAction={
               resetModelParametersSettingsToDefaults
@@ -85,6 +139,11 @@ const ApiSettings = () => {
           </div>
         )}
       </div>
+
+      <RequestHandlingSettings />
+      <FallbackChainSettings platforms={platformConfigs} />
+      <ParameterPresetSettings platforms={platformConfigs} />
+      <BudgetSettings platforms={platformConfigs} />
     </div>
   );
 };
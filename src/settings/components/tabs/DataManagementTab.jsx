@@ -1,7 +1,13 @@
 import { useState, useRef, useMemo } from 'react';
 
-import { Button, useNotification, CustomSelect } from '../../../components';
+import {
+  Button,
+  useNotification,
+  CustomSelect,
+  Input,
+} from '../../../components';
 import SettingsCard from '../ui/common/SettingsCard';
+import VaultSettings from '../ui/data/VaultSettings';
 import userDataService from '../../services/UserDataService';
 import { STORAGE_KEYS } from '../../../shared/constants';
 import { logger } from '../../../shared/logger';
@@ -34,13 +40,40 @@ const allDataManagementOptions = [
     fileTypeName: 'ModelParameters',
     loadingKeyBase: 'model-parameters',
   },
+  {
+    id: 'custom-providers',
+    name: 'Custom Providers',
+    storageKey: STORAGE_KEYS.CUSTOM_PROVIDERS,
+    fileTypeName: 'CustomProviders',
+    loadingKeyBase: 'custom-providers',
+  },
+  {
+    id: 'parameter-presets',
+    name: 'Parameter Presets',
+    storageKey: STORAGE_KEYS.PARAMETER_PRESETS,
+    fileTypeName: 'ParameterPresets',
+    loadingKeyBase: 'parameter-presets',
+  },
+  {
+    id: 'site-rules',
+    name: 'Site Rules',
+    storageKey: STORAGE_KEYS.EXTRACTION_SITE_RULES,
+    fileTypeName: 'SiteRules',
+    loadingKeyBase: 'site-rules',
+  },
 ];
 
 const DATA_MANAGEMENT_OPTIONS =
   process.env.BUILD_MODE === 'full'
     ? allDataManagementOptions
     : allDataManagementOptions.filter(
-        (opt) => !['credentials', 'model-parameters'].includes(opt.id)
+        (opt) =>
+          ![
+            'credentials',
+            'model-parameters',
+            'custom-providers',
+            'parameter-presets',
+          ].includes(opt.id)
       );
 
 const DataManagementTab = () => {
@@ -53,6 +86,7 @@ const DataManagementTab = () => {
   const [isExportingActual, setIsExportingActual] = useState(false);
   const [isImportingActual, setIsImportingActual] = useState(false);
   const [isResettingActual, setIsResettingActual] = useState(false);
+  const [filePassphrase, setFilePassphrase] = useState('');
 
   const shouldShowExportLoading = useMinimumLoadingTime(isExportingActual);
   const shouldShowImportLoading = useMinimumLoadingTime(isImportingActual);
@@ -78,11 +112,14 @@ const DataManagementTab = () => {
 
     try {
       if (id === 'all') {
-        result = await userDataService.exportAllSettings();
+        result = await userDataService.exportAllSettings(
+          filePassphrase || null
+        );
       } else {
         result = await userDataService.exportSingleSetting(
           storageKey,
-          fileTypeName
+          fileTypeName,
+          filePassphrase || null
         );
       }
 
@@ -128,9 +165,16 @@ const DataManagementTab = () => {
     let result;
     try {
       if (keyForStorage === 'all') {
-        result = await userDataService.importAllSettings(file);
+        result = await userDataService.importAllSettings(
+          file,
+          filePassphrase || null
+        );
       } else {
-        result = await userDataService.importSingleSetting(keyForStorage, file);
+        result = await userDataService.importSingleSetting(
+          keyForStorage,
+          file,
+          filePassphrase || null
+        );
       }
 
       if (result.success) {
@@ -216,6 +260,8 @@ const DataManagementTab = () => {
         action.
       </p>
 
+      <VaultSettings />
+
       <input
         type='file'
         ref={fileInputRef}
@@ -260,6 +306,28 @@ const DataManagementTab = () => {
         )}
       </div>
 
+      <SettingsCard className='mb-6'>
+        <h3 className='text-base font-semibold text-theme-primary mb-2'>
+          File Passphrase
+        </h3>
+        <p className='text-sm text-theme-secondary mb-3'>
+          Optional. When set, exported files are encrypted with this passphrase,
+          and it is used to decrypt encrypted files on import. Exports
+          containing API keys require it while the vault is enabled.
+        </p>
+        <div className='max-w-md'>
+          <Input
+            type='password'
+            id='data-file-passphrase'
+            value={filePassphrase}
+            onChange={(e) => setFilePassphrase(e.target.value)}
+            placeholder='No encryption'
+            disabled={isAnyOperationLoadingForUI}
+            className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+        </div>
+      </SettingsCard>
+
       <div className='border-b border-theme mb-6 select-none'></div>
 
       {/* Action Groups Container */}
@@ -0,0 +1,261 @@
+// src/settings/components/tabs/ExtractionRulesTab.jsx
+import React, { useState, useEffect } from 'react';
+
+import { Button, CustomSelect, useNotification } from '../../../components';
+import SettingsCard from '../ui/common/SettingsCard';
+import SiteRuleCard from '../ui/extraction/SiteRuleCard';
+import { logger } from '../../../shared/logger';
+import {
+  STORAGE_KEYS,
+  MAX_SITE_RULES,
+  DEFAULT_REDDIT_COMMENT_MAX_DEPTH,
+  MAX_REDDIT_COMMENT_DEPTH_OPTION,
+} from '../../../shared/constants';
+import {
+  generateSiteRuleId,
+  getSiteRuleError,
+} from '../../../shared/utils/site-rule-utils';
+
+const REDDIT_DEPTH_OPTIONS = [
+  { id: '0', name: 'All levels' },
+  ...Array.from({ length: MAX_REDDIT_COMMENT_DEPTH_OPTION }, (_, i) => ({
+    id: String(i + 1),
+    name: i === 0 ? 'Top-level only' : `${i + 1} levels`,
+  })),
+];
+
+const SELECTOR_FIELDS = [
+  'includeSelectors',
+  'excludeSelectors',
+  'waitForSelectors',
+];
+
+// Selectors are edited one per line
+const toDraft = (rule) => ({
+  ...rule,
+  ...Object.fromEntries(
+    SELECTOR_FIELDS.map((field) => [field, (rule[field] || []).join('\n')])
+  ),
+});
+
+const toRule = (draft) => ({
+  id: draft.id,
+  pattern: draft.pattern.trim(),
+  strategy: draft.strategy || null,
+  ...Object.fromEntries(
+    SELECTOR_FIELDS.map((field) => [
+      field,
+      draft[field]
+        .split('\n')
+        .map((selector) => selector.trim())
+        .filter(Boolean),
+    ])
+  ),
+});
+
+const ExtractionRulesTab = () => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [savedRules, setSavedRules] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [redditMaxDepth, setRedditMaxDepth] = useState(
+    DEFAULT_REDDIT_COMMENT_MAX_DEPTH
+  );
+
+  useEffect(() => {
+    chrome.storage.sync
+      .get(STORAGE_KEYS.REDDIT_COMMENT_MAX_DEPTH)
+      .then((result) =>
+        setRedditMaxDepth(
+          result[STORAGE_KEYS.REDDIT_COMMENT_MAX_DEPTH] ??
+            DEFAULT_REDDIT_COMMENT_MAX_DEPTH
+        )
+      )
+      .catch((error) =>
+        logger.settings.error('Error loading Reddit comment depth:', error)
+      );
+  }, []);
+
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        const result = await chrome.storage.local.get(
+          STORAGE_KEYS.EXTRACTION_SITE_RULES
+        );
+        const loadedRules = (
+          result[STORAGE_KEYS.EXTRACTION_SITE_RULES] || []
+        ).map(toDraft);
+        setSavedRules(loadedRules);
+        setRules(loadedRules);
+      } catch (error) {
+        logger.settings.error('Error loading site rules:', error);
+      }
+    };
+    loadRules();
+  }, []);
+
+  const validationErrors = rules.map((draft) =>
+    getSiteRuleError(toRule(draft))
+  );
+  const hasErrors = validationErrors.some(Boolean);
+  const hasChanges = JSON.stringify(rules) !== JSON.stringify(savedRules);
+
+  const updateRule = (index, update) => {
+    setRules((prev) =>
+      prev.map((rule, i) => (i === index ? { ...rule, ...update } : rule))
+    );
+  };
+
+  const handleAddRule = () => {
+    setRules((prev) => [
+      ...prev,
+      toDraft({
+        id: generateSiteRuleId(),
+        pattern: '',
+        strategy: null,
+      }),
+    ]);
+  };
+
+  const handleMoveRule = (index, offset) => {
+    setRules((prev) => {
+      const reordered = [...prev];
+      const [moved] = reordered.splice(index, 1);
+      reordered.splice(index + offset, 0, moved);
+      return reordered;
+    });
+  };
+
+  const handleRemoveRule = (index) => {
+    setRules((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const rulesToSave = rules.map(toRule);
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.EXTRACTION_SITE_RULES]: rulesToSave,
+      });
+      const savedDrafts = rulesToSave.map(toDraft);
+      setSavedRules(savedDrafts);
+      setRules(savedDrafts);
+      showSuccessNotification('Site rules saved.');
+    } catch (error) {
+      logger.settings.error('Error saving site rules:', error);
+      showErrorNotification(`Failed to save site rules: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRedditMaxDepthChange = async (value) => {
+    const depth = Number(value);
+    const previousDepth = redditMaxDepth;
+    setRedditMaxDepth(depth);
+    try {
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.REDDIT_COMMENT_MAX_DEPTH]: depth,
+      });
+      showSuccessNotification('Reddit comment depth saved.');
+    } catch (error) {
+      logger.settings.error('Error saving Reddit comment depth:', error);
+      setRedditMaxDepth(previousDepth);
+      showErrorNotification(
+        `Failed to save Reddit comment depth: ${error.message}`
+      );
+    }
+  };
+
+  const isSaveDisabled = isSaving || !hasChanges || hasErrors;
+
+  return (
+    <div>
+      <h2 className='type-heading mb-4 pb-3 border-b border-theme text-lg font-semibold'>
+        Site Rules
+      </h2>
+      <p className='section-description text-sm text-theme-secondary mb-6'>
+        Tell the extension how to read web pages where the default extraction
+        picks the wrong content. The first rule whose pattern matches the page
+        applies, and pages without a rule keep the default extraction.
+      </p>
+
+      <SettingsCard className='mb-6'>
+        <p className='text-sm text-theme-secondary mb-4'>
+          Patterns are a domain (<code>wiki.example.com</code>, or{' '}
+          <code>*.example.com</code> with its subdomains), optionally followed
+          by a path prefix where <code>*</code> matches anything. Selectors are
+          CSS selectors, one per line.
+        </p>
+
+        {rules.length === 0 ? (
+          <p className='text-sm text-theme-secondary mb-4'>
+            No site rules: every page uses the default extraction.
+          </p>
+        ) : (
+          <ol className='space-y-3 mb-4'>
+            {rules.map((rule, index) => (
+              <SiteRuleCard
+                key={rule.id}
+                rule={rule}
+                toRule={toRule}
+                validationError={validationErrors[index]}
+                isFirst={index === 0}
+                isLast={index === rules.length - 1}
+                disabled={isSaving}
+                onChange={(update) => updateRule(index, update)}
+                onMove={(offset) => handleMoveRule(index, offset)}
+                onRemove={() => handleRemoveRule(index)}
+              />
+            ))}
+          </ol>
+        )}
+
+        <div className='flex justify-between'>
+          <Button
+            onClick={handleAddRule}
+            variant='secondary'
+            size='md'
+            disabled={isSaving || rules.length >= MAX_SITE_RULES}
+          >
+            Add Rule
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={isSaveDisabled}
+            isLoading={isSaving}
+            loadingText='Saving...'
+            variant={isSaveDisabled ? 'inactive' : 'primary'}
+            size='md'
+          >
+            Save
+          </Button>
+        </div>
+      </SettingsCard>
+
+      <SettingsCard>
+        <div className='flex items-center'>
+          <h3 className='text-base font-semibold text-theme-primary'>
+            Reddit Comment Depth
+          </h3>
+          <div className='ml-5'>
+            <CustomSelect
+              id='reddit-comment-depth-select'
+              options={REDDIT_DEPTH_OPTIONS}
+              selectedValue={String(redditMaxDepth)}
+              onChange={handleRedditMaxDepthChange}
+            />
+          </div>
+        </div>
+        <p className='text-sm text-theme-secondary mt-3'>
+          How many levels of replies are sent with Reddit threads. Deeper
+          replies are left out, which keeps long threads within the context of
+          the model.
+        </p>
+      </SettingsCard>
+    </div>
+  );
+};
+
+export default ExtractionRulesTab;
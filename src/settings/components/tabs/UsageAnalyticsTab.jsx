@@ -0,0 +1,399 @@
+// src/settings/components/tabs/UsageAnalyticsTab.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+
+import { Button, CustomSelect, useNotification } from '../../../components';
+import SettingsCard from '../ui/common/SettingsCard';
+import ConfigService from '../../../services/ConfigService';
+import UsageLedgerService from '../../../services/UsageLedgerService';
+import ChatHistoryService from '../../../sidepanel/services/ChatHistoryService';
+import { robustSendMessage } from '../../../shared/utils/message-utils';
+import { isSidePanelAllowedPage } from '../../../shared/utils/content-utils';
+import { logger } from '../../../shared/logger';
+import { STORAGE_KEYS, CONTENT_TYPE_LABELS } from '../../../shared/constants';
+import {
+  formatCost,
+  formatTokenCount,
+} from '../../../shared/utils/number-format-utils';
+import {
+  USAGE_DIMENSIONS,
+  filterEntriesByDays,
+  summarizeUsage,
+  aggregateUsage,
+  getTopSessions,
+  usageEntriesToCsv,
+} from '../../utils/usage-analytics-utils';
+
+const RANGE_OPTIONS = [
+  { id: '7', name: 'Last 7 days' },
+  { id: '30', name: 'Last 30 days' },
+  { id: '90', name: 'Last 90 days' },
+  { id: '365', name: 'Last 12 months' },
+  { id: 'all', name: 'All time' },
+];
+
+const DIMENSION_OPTIONS = [
+  { id: USAGE_DIMENSIONS.PLATFORM, name: 'Platform' },
+  { id: USAGE_DIMENSIONS.MODEL, name: 'Model' },
+  { id: USAGE_DIMENSIONS.CONTENT_TYPE, name: 'Content type' },
+  { id: USAGE_DIMENSIONS.DAY, name: 'Day' },
+  { id: USAGE_DIMENSIONS.WEEK, name: 'Week' },
+  { id: USAGE_DIMENSIONS.MONTH, name: 'Month' },
+];
+
+const TOP_SESSIONS_LIMIT = 10;
+
+const downloadCsv = (csv, filename) => {
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// The most recently used tab of this window that can host the side panel
+const findSidePanelTabId = async () => {
+  const [currentTab, windowTabs] = await Promise.all([
+    chrome.tabs.getCurrent(),
+    chrome.tabs.query({ currentWindow: true }),
+  ]);
+  const [targetTab] = windowTabs
+    .filter(
+      (tab) =>
+        tab.id !== currentTab?.id && tab.url && isSidePanelAllowedPage(tab.url)
+    )
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  return targetTab?.id ?? null;
+};
+
+const UsageAnalyticsTab = () => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [entries, setEntries] = useState([]);
+  const [platforms, setPlatforms] = useState([]);
+  const [sessionTitles, setSessionTitles] = useState({});
+  const [range, setRange] = useState('30');
+  const [dimension, setDimension] = useState(USAGE_DIMENSIONS.PLATFORM);
+  const [sidePanelTabId, setSidePanelTabId] = useState(null);
+
+  const loadSessionTitles = useCallback(async () => {
+    const sessions = await ChatHistoryService.getAllChatSessionsMetadata();
+    setSessionTitles(
+      Object.fromEntries(sessions.map((session) => [session.id, session.title]))
+    );
+  }, []);
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [loadedEntries, loadedPlatforms] = await Promise.all([
+          UsageLedgerService.getEntries(),
+          ConfigService.getAllPlatformConfigs(),
+        ]);
+        setEntries(loadedEntries);
+        setPlatforms(loadedPlatforms);
+        await loadSessionTitles();
+      } catch (error) {
+        logger.settings.error('Error loading usage data:', error);
+      }
+    };
+    loadData();
+
+    // Requests completing in side panels update the figures live
+    const handleStorageChange = (changes, area) => {
+      if (area !== 'local') return;
+      if (changes[STORAGE_KEYS.USAGE_LEDGER]) {
+        setEntries(changes[STORAGE_KEYS.USAGE_LEDGER].newValue || []);
+      }
+      if (changes[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]) {
+        loadSessionTitles();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, [loadSessionTitles]);
+
+  // The side panel must open in the click's user gesture, before any await, so
+  // its tab is found beforehand and again whenever this page is shown
+  useEffect(() => {
+    const updateSidePanelTabId = () => {
+      findSidePanelTabId()
+        .then(setSidePanelTabId)
+        .catch((error) => {
+          logger.settings.error(
+            'Error finding a tab for the side panel:',
+            error
+          );
+          setSidePanelTabId(null);
+        });
+    };
+    updateSidePanelTabId();
+    document.addEventListener('visibilitychange', updateSidePanelTabId);
+    return () =>
+      document.removeEventListener('visibilitychange', updateSidePanelTabId);
+  }, []);
+
+  const rangeEntries = useMemo(
+    () => filterEntriesByDays(entries, range === 'all' ? null : Number(range)),
+    [entries, range]
+  );
+  const totals = useMemo(() => summarizeUsage(rangeEntries), [rangeEntries]);
+  const groups = useMemo(
+    () => aggregateUsage(rangeEntries, dimension),
+    [rangeEntries, dimension]
+  );
+  const topSessions = useMemo(
+    () => getTopSessions(rangeEntries, TOP_SESSIONS_LIMIT),
+    [rangeEntries]
+  );
+  const maxGroupCost = Math.max(0, ...groups.map((group) => group.cost));
+
+  const getPlatformName = (platformId) =>
+    platforms.find((p) => p.id === platformId)?.name || platformId;
+
+  const getGroupLabel = (key) => {
+    switch (dimension) {
+      case USAGE_DIMENSIONS.PLATFORM:
+        return getPlatformName(key);
+      case USAGE_DIMENSIONS.MODEL: {
+        const [platformId, ...modelIdParts] = key.split('/');
+        const modelId = modelIdParts.join('/');
+        const model = platforms
+          .find((p) => p.id === platformId)
+          ?.apiConfig?.models?.find((m) => m.id === modelId);
+        return `${getPlatformName(platformId)} / ${model?.displayName || modelId}`;
+      }
+      case USAGE_DIMENSIONS.CONTENT_TYPE:
+        return CONTENT_TYPE_LABELS[key] || 'No page content';
+      case USAGE_DIMENSIONS.WEEK:
+        return `Week of ${key}`;
+      default:
+        return key;
+    }
+  };
+
+  const handleExport = () => {
+    downloadCsv(
+      usageEntriesToCsv(rangeEntries),
+      `webnexus-ai-usage-${new Date().toISOString().slice(0, 10)}.csv`
+    );
+  };
+
+  const handleClear = async () => {
+    if (
+      !window.confirm(
+        'Delete all recorded usage? Chat history and spending limits are not affected.'
+      )
+    ) {
+      return;
+    }
+    try {
+      await UsageLedgerService.clear();
+      showSuccessNotification('Usage data cleared.');
+    } catch (error) {
+      logger.settings.error('Error clearing usage data:', error);
+      showErrorNotification(`Failed to clear usage data: ${error.message}`);
+    }
+  };
+
+  const handleOpenSession = async (chatSessionId) => {
+    const tabId = sidePanelTabId;
+    if (!tabId) {
+      showErrorNotification(
+        'Open a web page in this window to view the chat in the side panel.'
+      );
+      return;
+    }
+    try {
+      const panelOpened = Promise.all([
+        chrome.sidePanel.setOptions({
+          tabId,
+          path: `sidepanel.html?tabId=${tabId}`,
+          enabled: true,
+        }),
+        chrome.sidePanel.open({ tabId }),
+      ]);
+      const response = await robustSendMessage({
+        action: 'openChatSessionInSidePanel',
+        chatSessionId,
+        tabId,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to open the chat.');
+      }
+      await panelOpened;
+    } catch (error) {
+      logger.settings.error('Error opening chat session:', error);
+      showErrorNotification(error.message);
+    }
+  };
+
+  const summaryItems = [
+    { label: 'Cost', value: formatCost(totals.cost) },
+    { label: 'Requests', value: totals.requests.toLocaleString() },
+    { label: 'Input tokens', value: formatTokenCount(totals.inputTokens) },
+    { label: 'Output tokens', value: formatTokenCount(totals.outputTokens) },
+  ];
+
+  return (
+    <div>
+      <h2 className='type-heading mb-4 pb-3 border-b border-theme text-lg font-semibold'>
+        Usage
+      </h2>
+      <p className='section-description text-sm text-theme-secondary mb-6'>
+        Tokens and estimated cost of the requests sent from the side panel.
+        Costs are computed from model pricing and may differ from provider
+        billing.
+      </p>
+
+      <div className='flex flex-wrap items-center justify-between gap-3 mb-6'>
+        <div className='flex items-center gap-3'>
+          <CustomSelect
+            options={RANGE_OPTIONS}
+            selectedValue={range}
+            onChange={setRange}
+          />
+          <span className='text-sm text-theme-secondary'>by</span>
+          <CustomSelect
+            options={DIMENSION_OPTIONS}
+            selectedValue={dimension}
+            onChange={setDimension}
+          />
+        </div>
+        <div className='flex gap-3'>
+          <Button
+            variant='secondary'
+            onClick={handleExport}
+            disabled={rangeEntries.length === 0}
+          >
+            Export CSV
+          </Button>
+          <Button
+            variant='danger'
+            onClick={handleClear}
+            disabled={entries.length === 0}
+          >
+            Clear Usage Data
+          </Button>
+        </div>
+      </div>
+
+      <div className='grid grid-cols-2 md:grid-cols-4 gap-3 mb-6'>
+        {summaryItems.map((item) => (
+          <SettingsCard key={item.label}>
+            <span className='block text-xs text-theme-secondary'>
+              {item.label}
+            </span>
+            <span className='block text-lg font-semibold text-theme-primary'>
+              {item.value}
+            </span>
+          </SettingsCard>
+        ))}
+      </div>
+
+      <SettingsCard className='mb-6'>
+        <h3 className='text-base font-semibold text-theme-primary mb-4'>
+          Breakdown
+        </h3>
+        {groups.length === 0 ? (
+          <p className='text-sm text-theme-secondary'>
+            No requests in this period.
+          </p>
+        ) : (
+          <table className='w-full text-sm'>
+            <thead>
+              <tr className='text-left text-xs text-theme-secondary'>
+                <th className='pb-2 font-medium'>
+                  {DIMENSION_OPTIONS.find((o) => o.id === dimension)?.name}
+                </th>
+                <th className='pb-2 font-medium text-right'>Requests</th>
+                <th className='pb-2 font-medium text-right'>Input</th>
+                <th className='pb-2 font-medium text-right'>Output</th>
+                <th className='pb-2 font-medium text-right'>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map((group) => (
+                <tr
+                  key={group.key}
+                  className='border-t border-theme text-theme-primary'
+                >
+                  <td className='py-2 pr-3'>
+                    <span className='block'>{getGroupLabel(group.key)}</span>
+                    <span
+                      className='block h-1 mt-1 rounded bg-primary'
+                      style={{
+                        width: `${maxGroupCost > 0 ? (group.cost / maxGroupCost) * 100 : 0}%`,
+                      }}
+                    />
+                  </td>
+                  <td className='py-2 text-right'>
+                    {group.requests.toLocaleString()}
+                  </td>
+                  <td className='py-2 text-right'>
+                    {formatTokenCount(group.inputTokens)}
+                  </td>
+                  <td className='py-2 text-right'>
+                    {formatTokenCount(group.outputTokens)}
+                  </td>
+                  <td className='py-2 text-right'>{formatCost(group.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </SettingsCard>
+
+      <SettingsCard>
+        <h3 className='text-base font-semibold text-theme-primary mb-4'>
+          Most Expensive Chats
+        </h3>
+        {topSessions.length === 0 ? (
+          <p className='text-sm text-theme-secondary'>
+            No priced requests in this period.
+          </p>
+        ) : (
+          <ul>
+            {topSessions.map((session) => {
+              const title = sessionTitles[session.chatSessionId];
+              return (
+                <li
+                  key={session.chatSessionId}
+                  className='flex items-center justify-between gap-3 py-2 border-b border-theme last:border-b-0'
+                >
+                  <div className='min-w-0'>
+                    <span className='block text-sm text-theme-primary truncate'>
+                      {title || 'Deleted chat'}
+                    </span>
+                    <span className='block text-xs text-theme-secondary'>
+                      {session.requests} requests, last on{' '}
+                      {new Date(session.lastRequestAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                  <div className='flex items-center gap-3 flex-shrink-0'>
+                    <span className='text-sm font-medium text-theme-primary'>
+                      {formatCost(session.cost)}
+                    </span>
+                    <Button
+                      variant='secondary'
+                      size='sm'
+                      onClick={() => handleOpenSession(session.chatSessionId)}
+                      disabled={!title}
+                    >
+                      Open
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </SettingsCard>
+    </div>
+  );
+};
+
+export default UsageAnalyticsTab;
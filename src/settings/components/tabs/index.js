@@ -1,5 +1,7 @@
 // src/settings/components/tabs/index.js
 export * from './ApiSettings';
 export * from './DataManagementTab';
+export * from './ExtractionRulesTab';
 export * from './PromptManagement';
 export * from './KeyboardShortcutsTab';
+export * from './UsageAnalyticsTab';
@@ -0,0 +1,228 @@
+// src/settings/components/ui/api/BudgetSettings.jsx
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  CustomSelect,
+  Input,
+  SliderInput,
+  useNotification,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { logger } from '../../../../shared/logger';
+import {
+  STORAGE_KEYS,
+  BUDGET_ENFORCEMENT_MODES,
+  BUDGET_PERIODS,
+  DEFAULT_BUDGET_SETTINGS,
+  GLOBAL_BUDGET_SCOPE,
+} from '../../../../shared/constants';
+import {
+  normalizeBudgetSettings,
+  getPeriodSpend,
+} from '../../../../shared/utils/budget-utils';
+import { formatCost } from '../../../../shared/utils/number-format-utils';
+
+const ENFORCEMENT_OPTIONS = [
+  { id: BUDGET_ENFORCEMENT_MODES.WARN, name: 'Warn only' },
+  {
+    id: BUDGET_ENFORCEMENT_MODES.CONFIRM,
+    name: 'Ask before exceeding a cap',
+  },
+];
+
+// Cap inputs are kept as strings so that partially typed amounts stay editable
+const toFormValues = (settings) => ({
+  ...settings,
+  caps: Object.fromEntries(
+    Object.entries(settings.caps).map(([scope, scopeCaps]) => [
+      scope,
+      Object.fromEntries(
+        Object.entries(scopeCaps).map(([period, cap]) => [period, String(cap)])
+      ),
+    ])
+  ),
+});
+
+const BudgetSettings = ({ platforms }) => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [savedSettings, setSavedSettings] = useState(DEFAULT_BUDGET_SETTINGS);
+  const [formValues, setFormValues] = useState(DEFAULT_BUDGET_SETTINGS);
+  const [ledger, setLedger] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [syncResult, localResult] = await Promise.all([
+          chrome.storage.sync.get(STORAGE_KEYS.BUDGET_SETTINGS),
+          chrome.storage.local.get(STORAGE_KEYS.SPEND_LEDGER),
+        ]);
+        const loadedSettings = normalizeBudgetSettings(
+          syncResult[STORAGE_KEYS.BUDGET_SETTINGS]
+        );
+        setSavedSettings(loadedSettings);
+        setFormValues(toFormValues(loadedSettings));
+        setLedger(localResult[STORAGE_KEYS.SPEND_LEDGER] || {});
+      } catch (error) {
+        logger.settings.error('Error loading budget settings:', error);
+      }
+    };
+    loadSettings();
+
+    const handleStorageChange = (changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEYS.SPEND_LEDGER]) {
+        setLedger(changes[STORAGE_KEYS.SPEND_LEDGER].newValue || {});
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, []);
+
+  const hasChanges =
+    JSON.stringify(normalizeBudgetSettings(formValues)) !==
+    JSON.stringify(savedSettings);
+
+  const handleCapChange = (scope, period, value) => {
+    setFormValues((prev) => ({
+      ...prev,
+      caps: {
+        ...prev.caps,
+        [scope]: { ...prev.caps[scope], [period]: value },
+      },
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const settingsToSave = normalizeBudgetSettings(formValues);
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.BUDGET_SETTINGS]: settingsToSave,
+      });
+      setSavedSettings(settingsToSave);
+      setFormValues(toFormValues(settingsToSave));
+      showSuccessNotification('Budget settings saved.');
+    } catch (error) {
+      logger.settings.error('Error saving budget settings:', error);
+      showErrorNotification(`Failed to save budget settings: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const scopes = [
+    { id: GLOBAL_BUDGET_SCOPE, name: 'All platforms' },
+    ...platforms.map((p) => ({ id: p.id, name: p.name })),
+  ];
+
+  return (
+    <SettingsCard className='mt-6'>
+      <h3 className='text-base font-semibold text-theme-primary mb-2'>
+        Spending Limits
+      </h3>
+      <p className='text-sm text-theme-secondary mb-4'>
+        Daily and monthly caps in USD, based on the estimated cost of completed
+        requests. Leave a cap empty for no limit. A notification is shown when
+        spending reaches the warning threshold and again when a cap is reached.
+      </p>
+
+      <div className='flex items-center gap-3 mb-4'>
+        <span className='text-sm font-medium text-theme-primary'>
+          When a request would exceed a cap
+        </span>
+        <CustomSelect
+          options={ENFORCEMENT_OPTIONS}
+          selectedValue={formValues.enforcement}
+          onChange={(enforcement) =>
+            setFormValues((prev) => ({ ...prev, enforcement }))
+          }
+          disabled={isSaving}
+        />
+      </div>
+
+      <span className='block mb-2 text-sm font-medium text-theme-primary'>
+        Warning threshold (% of cap)
+      </span>
+      <SliderInput
+        label=''
+        value={formValues.warningThresholdPercent}
+        onChange={(value) =>
+          setFormValues((prev) => ({ ...prev, warningThresholdPercent: value }))
+        }
+        min={10}
+        max={100}
+        step={5}
+        disabled={isSaving}
+        className='form-group mb-4'
+      />
+
+      <div className='mb-4'>
+        <div className='grid grid-cols-3 gap-3 pb-2 text-xs font-medium text-theme-secondary'>
+          <span>Scope</span>
+          <span>Daily cap</span>
+          <span>Monthly cap</span>
+        </div>
+        {scopes.map((scope) => (
+          <div
+            key={scope.id}
+            className='grid grid-cols-3 gap-3 items-center py-2 border-b border-theme last:border-b-0'
+          >
+            <div>
+              <span className='block text-sm text-theme-primary'>
+                {scope.name}
+              </span>
+              <span className='block text-xs text-theme-secondary'>
+                {formatCost(
+                  getPeriodSpend(ledger, BUDGET_PERIODS.DAILY, scope.id)
+                )}{' '}
+                today,{' '}
+                {formatCost(
+                  getPeriodSpend(ledger, BUDGET_PERIODS.MONTHLY, scope.id)
+                )}{' '}
+                this month
+              </span>
+            </div>
+            {Object.values(BUDGET_PERIODS).map((period) => (
+              <Input
+                key={period}
+                type='number'
+                id={`budget-${scope.id}-${period}`}
+                min='0'
+                step='0.01'
+                placeholder='No limit'
+                value={formValues.caps[scope.id]?.[period] || ''}
+                onChange={(e) =>
+                  handleCapChange(scope.id, period, e.target.value)
+                }
+                disabled={isSaving}
+                className='p-2 text-sm bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className='flex justify-end'>
+        <Button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          isLoading={isSaving}
+          loadingText='Saving...'
+          variant={!hasChanges ? 'inactive' : 'primary'}
+          size='md'
+        >
+          Save
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+BudgetSettings.propTypes = {
+  platforms: PropTypes.array.isRequired,
+};
+
+export default BudgetSettings;
@@ -0,0 +1,254 @@
+// src/settings/components/ui/api/ConnectionOverrideSettings.jsx
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  IconButton,
+  Input,
+  PlusIcon,
+  XIcon,
+  useNotification,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { logger } from '../../../../shared/logger';
+import { STORAGE_KEYS, MAX_CUSTOM_HEADERS } from '../../../../shared/constants';
+import {
+  normalizeConnectionOverride,
+  getConnectionOverrideError,
+} from '../../../../shared/utils/connection-override-utils';
+import ConfigService from '../../../../services/ConfigService';
+import VaultService from '../../../../services/VaultService';
+
+const toForm = (override) => ({
+  baseUrl: override?.baseUrl || '',
+  headers: override?.headers || [],
+});
+
+/**
+ * Routes a built-in platform's requests through another host, such as a
+ * company gateway speaking the same protocol, with extra request headers.
+ */
+const ConnectionOverrideSettings = ({ platform, onSaved }) => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [defaultOrigin, setDefaultOrigin] = useState('');
+  const [savedOverride, setSavedOverride] = useState(null);
+  const [form, setForm] = useState(toForm(null));
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadOverride = async () => {
+      try {
+        const [bundled, overrides] = await Promise.all([
+          ConfigService.getBundledPlatformApiConfig(platform.id),
+          VaultService.get(STORAGE_KEYS.PLATFORM_CONNECTION_OVERRIDES),
+        ]);
+        setDefaultOrigin(
+          bundled?.endpoint ? new URL(bundled.endpoint).origin : ''
+        );
+        const override = overrides?.[platform.id] || null;
+        setSavedOverride(override);
+        setForm(toForm(override));
+      } catch (error) {
+        logger.settings.error('Error loading connection override:', error);
+      }
+    };
+    loadOverride();
+  }, [platform.id]);
+
+  const normalized = normalizeConnectionOverride(form);
+  const validationError = getConnectionOverrideError(normalized);
+  const hasChanges =
+    JSON.stringify(normalized) !==
+    JSON.stringify(normalizeConnectionOverride(savedOverride));
+
+  const handleHeaderChange = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      headers: prev.headers.map((header, i) =>
+        i === index ? { ...header, [field]: value } : header
+      ),
+    }));
+  };
+
+  const handleAddHeader = () => {
+    setForm((prev) => ({
+      ...prev,
+      headers: [...prev.headers, { name: '', value: '' }],
+    }));
+  };
+
+  const handleRemoveHeader = (index) => {
+    setForm((prev) => ({
+      ...prev,
+      headers: prev.headers.filter((_, i) => i !== index),
+    }));
+  };
+
+  const saveOverride = async (override) => {
+    setIsSaving(true);
+    try {
+      const overrides =
+        (await VaultService.get(STORAGE_KEYS.PLATFORM_CONNECTION_OVERRIDES)) ||
+        {};
+      if (override) {
+        overrides[platform.id] = override;
+      } else {
+        delete overrides[platform.id];
+      }
+      await VaultService.set(
+        STORAGE_KEYS.PLATFORM_CONNECTION_OVERRIDES,
+        overrides
+      );
+      setSavedOverride(override);
+      setForm(toForm(override));
+      await onSaved();
+      showSuccessNotification(
+        override
+          ? `Connection settings saved for ${platform.name}.`
+          : `${platform.name} connects to its default endpoint again.`
+      );
+    } catch (error) {
+      logger.settings.error('Error saving connection override:', error);
+      showErrorNotification(
+        `Failed to save connection settings: ${error.message}`
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (validationError) {
+      showErrorNotification(validationError);
+      return;
+    }
+    saveOverride(normalized);
+  };
+
+  const isSaveDisabled = isSaving || !hasChanges || !!validationError;
+
+  return (
+    <SettingsCard className='settings-section mt-6'>
+      <h4 className='section-subtitle text-base font-semibold mb-2 text-theme-primary'>
+        Endpoint & Headers
+      </h4>
+      <p className='text-sm text-theme-secondary mb-4'>
+        Send {platform.name} requests, including key checks, through another
+        host that speaks the same API, such as a company gateway. The request
+        paths are kept.
+      </p>
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${platform.id}-base-url`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          Base URL
+        </label>
+        <Input
+          id={`${platform.id}-base-url`}
+          value={form.baseUrl}
+          onChange={(e) =>
+            setForm((prev) => ({ ...prev, baseUrl: e.target.value }))
+          }
+          placeholder={defaultOrigin || 'https://gateway.example.com'}
+          disabled={isSaving}
+          className='p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+        />
+      </div>
+
+      <div className='form-group mb-4'>
+        <span className='block mb-2 text-sm text-theme-secondary'>
+          Custom Headers
+        </span>
+        <div className='flex flex-col gap-2'>
+          {form.headers.map((header, index) => (
+            <div key={index} className='flex items-center gap-2'>
+              <div className='flex-1 min-w-0'>
+                <Input
+                  value={header.name}
+                  onChange={(e) =>
+                    handleHeaderChange(index, 'name', e.target.value)
+                  }
+                  placeholder='Header name'
+                  aria-label='Header name'
+                  disabled={isSaving}
+                  className='p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+                />
+              </div>
+              <div className='flex-1 min-w-0'>
+                <Input
+                  type='password'
+                  value={header.value}
+                  onChange={(e) =>
+                    handleHeaderChange(index, 'value', e.target.value)
+                  }
+                  placeholder='Value'
+                  aria-label='Header value'
+                  disabled={isSaving}
+                  className='p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+                />
+              </div>
+              <IconButton
+                icon={XIcon}
+                onClick={() => handleRemoveHeader(index)}
+                disabled={isSaving}
+                className='p-1 rounded-md flex-shrink-0 text-theme-secondary hover:text-primary hover:bg-theme-active'
+                iconClassName='w-4 h-4 select-none'
+                ariaLabel='Remove header'
+                title='Remove header'
+              />
+            </div>
+          ))}
+          {form.headers.length < MAX_CUSTOM_HEADERS && (
+            <button
+              type='button'
+              onClick={handleAddHeader}
+              disabled={isSaving}
+              className='self-start flex items-center gap-1 px-1.5 py-1 text-sm rounded-md text-theme-secondary hover:text-primary hover:bg-theme-active disabled:opacity-50'
+            >
+              <PlusIcon className='w-3 h-3' />
+              Add header
+            </button>
+          )}
+        </div>
+      </div>
+
+      {validationError && (
+        <p className='mb-4 text-xs text-error'>{validationError}</p>
+      )}
+
+      <div className='form-actions flex justify-end gap-3'>
+        {savedOverride && (
+          <Button
+            variant='secondary'
+            onClick={() => saveOverride(null)}
+            disabled={isSaving}
+            className='select-none'
+          >
+            Use Default Endpoint
+          </Button>
+        )}
+        <Button
+          onClick={handleSave}
+          isLoading={isSaving}
+          loadingText='Saving...'
+          disabled={isSaveDisabled}
+          variant={isSaveDisabled ? 'inactive' : 'primary'}
+          className='select-none'
+        >
+          Save Connection
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+ConnectionOverrideSettings.propTypes = {
+  platform: PropTypes.object.isRequired,
+  onSaved: PropTypes.func.isRequired,
+};
+
+export default ConnectionOverrideSettings;
@@ -0,0 +1,294 @@
+// src/settings/components/ui/api/CredentialProfilesSettings.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  CustomSelect,
+  Input,
+  InfoIcon,
+  useNotification,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import useMinimumLoadingTime from '../../../../hooks/useMinimumLoadingTime';
+import { formatCost } from '../../../../shared/utils/number-format-utils';
+import {
+  getActiveCredentialProfile,
+  getCredentialProfiles,
+} from '../../../../shared/utils/credential-profile-utils';
+
+const NEW_PROFILE_ID = '__new__';
+
+const CredentialProfilesSettings = ({
+  platform,
+  credentials,
+  spend,
+  onSave,
+  onRemove,
+  onActivate,
+  onValidate,
+}) => {
+  const { error } = useNotification();
+  const profiles = useMemo(
+    () => getCredentialProfiles(credentials),
+    [credentials]
+  );
+  const activeProfileId = getActiveCredentialProfile(credentials)?.id || null;
+
+  const [editingProfileId, setEditingProfileId] = useState(
+    activeProfileId || NEW_PROFILE_ID
+  );
+  const [name, setName] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [showApiKey, setShowApiKey] = useState(false);
+  const [isApiKeyValid, setIsApiKeyValid] = useState(false);
+
+  const [isSavingActual, setIsSavingActual] = useState(false);
+  const [isRemoving, setIsRemoving] = useState(false);
+  const [isValidating, setIsValidating] = useState(false);
+  const shouldShowSaving = useMinimumLoadingTime(isSavingActual, 1000);
+
+  const editingProfile =
+    profiles.find((profile) => profile.id === editingProfileId) || null;
+  const profileSpend = editingProfile ? spend?.[editingProfile.id] : null;
+
+  // Fall back to the active profile when the edited one no longer exists
+  useEffect(() => {
+    if (
+      editingProfileId !== NEW_PROFILE_ID &&
+      !profiles.some((profile) => profile.id === editingProfileId)
+    ) {
+      setEditingProfileId(activeProfileId || NEW_PROFILE_ID);
+    }
+  }, [profiles, editingProfileId, activeProfileId]);
+
+  useEffect(() => {
+    setName(editingProfile?.name || '');
+    setApiKey(editingProfile?.apiKey || '');
+    setShowApiKey(false);
+  }, [editingProfile]);
+
+  const handleApiKeyValidation = useCallback((isValid) => {
+    setIsApiKeyValid(isValid);
+  }, []);
+
+  const hasChanges = editingProfile
+    ? name !== editingProfile.name || apiKey !== editingProfile.apiKey
+    : apiKey.length > 0;
+
+  const handleSave = async () => {
+    if (!isApiKeyValid) {
+      error('API Key is required.');
+      return;
+    }
+    setIsSavingActual(true);
+    const savedProfileId = await onSave(platform.id, {
+      id: editingProfile?.id || null,
+      name,
+      apiKey,
+    });
+    if (savedProfileId) {
+      setEditingProfileId(savedProfileId);
+    }
+    setIsSavingActual(false);
+  };
+
+  const handleRemove = async () => {
+    if (
+      !window.confirm(
+        `Are you sure you want to remove the API key profile '${editingProfile.name}' for ${platform.name}?`
+      )
+    ) {
+      return;
+    }
+    setIsRemoving(true);
+    await onRemove(platform.id, editingProfile.id);
+    setIsRemoving(false);
+  };
+
+  const handleValidate = async () => {
+    setIsValidating(true);
+    await onValidate(platform.id, editingProfile.id);
+    setIsValidating(false);
+  };
+
+  const isBusy = shouldShowSaving || isRemoving || isValidating;
+  const isSaveDisabled = isBusy || !isApiKeyValid || !hasChanges;
+
+  const validation = editingProfile?.validation;
+
+  return (
+    <SettingsCard className='settings-section'>
+      <h4 className='section-subtitle text-base font-semibold mb-4 text-theme-primary'>
+        API Credentials
+      </h4>
+
+      {profiles.length > 0 && (
+        <div className='form-group mb-4'>
+          <span className='block mb-2 text-sm text-theme-secondary'>
+            Profile
+          </span>
+          <div className='flex items-center gap-3'>
+            <CustomSelect
+              options={[
+                ...profiles.map((profile) => ({
+                  id: profile.id,
+                  name:
+                    profile.id === activeProfileId
+                      ? `${profile.name} (active)`
+                      : profile.name,
+                })),
+                { id: NEW_PROFILE_ID, name: 'New profile...' },
+              ]}
+              selectedValue={editingProfileId}
+              onChange={setEditingProfileId}
+              disabled={isBusy}
+            />
+            {editingProfile && editingProfile.id !== activeProfileId && (
+              <Button
+                variant='secondary'
+                size='sm'
+                onClick={() => onActivate(platform.id, editingProfile.id)}
+                disabled={isBusy}
+                className='select-none'
+              >
+                Use for Requests
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${platform.id}-profile-name`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          Profile Name
+        </label>
+        <Input
+          id={`${platform.id}-profile-name`}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder='e.g., Work, Personal'
+          maxLength={40}
+          disabled={isBusy}
+          className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+        />
+      </div>
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${platform.id}-api-key`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          API Key
+        </label>
+        <Input
+          type={showApiKey ? 'text' : 'password'}
+          id={`${platform.id}-api-key`}
+          value={apiKey}
+          onChange={(e) => setApiKey(e.target.value)}
+          placeholder='Enter your API key'
+          disabled={isBusy}
+          className='api-key-input p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+          required
+          onValidation={handleApiKeyValidation}
+          endContent={
+            <button
+              type='button'
+              className='show-key-toggle px-2 py-1 text-primary hover:text-primary-hover bg-transparent rounded select-none'
+              onClick={() => setShowApiKey(!showApiKey)}
+              aria-label={showApiKey ? 'Hide API key' : 'Show API key'}
+              disabled={isBusy}
+            >
+              {showApiKey ? 'Hide' : 'Show'}
+            </button>
+          }
+        />
+      </div>
+
+      {editingProfile && (
+        <div className='mb-4 space-y-1 text-xs'>
+          {validation?.checkedAt ? (
+            <p
+              className={
+                validation.isValid
+                  ? 'text-green-600 dark:text-green-500'
+                  : 'text-error'
+              }
+            >
+              {validation.isValid
+                ? `Key valid as of ${new Date(validation.checkedAt).toLocaleString()}`
+                : `Key invalid as of ${new Date(validation.checkedAt).toLocaleString()}: ${validation.message}`}
+            </p>
+          ) : (
+            <p className='text-theme-secondary'>Key not checked yet.</p>
+          )}
+          <p className='text-theme-secondary'>
+            {profileSpend?.requestCount
+              ? `Spent ${formatCost(profileSpend.totalCost)} over ${profileSpend.requestCount} ${profileSpend.requestCount === 1 ? 'request' : 'requests'} since ${new Date(profileSpend.since).toLocaleDateString()}`
+              : 'No spend recorded for this profile yet.'}
+          </p>
+        </div>
+      )}
+
+      <div className='my-3 flex items-start text-xs text-amber-600 dark:text-amber-500'>
+        <InfoIcon className='w-4 h-4 mr-2 flex-shrink-0' />
+        <span>
+          Note: Newly created API keys can take a few minutes to become active.
+          If validation fails, please try again shortly.
+        </span>
+      </div>
+
+      <div className='form-actions flex justify-end gap-3'>
+        {editingProfile && (
+          <>
+            <Button
+              variant='danger'
+              onClick={handleRemove}
+              className='select-none'
+              isLoading={isRemoving}
+              loadingText='Removing...'
+              disabled={isBusy}
+            >
+              Remove Profile
+            </Button>
+            <Button
+              variant='secondary'
+              onClick={handleValidate}
+              className='select-none'
+              isLoading={isValidating}
+              loadingText='Checking...'
+              disabled={isBusy || hasChanges}
+            >
+              Check Key
+            </Button>
+          </>
+        )}
+        <Button
+          onClick={handleSave}
+          isLoading={shouldShowSaving}
+          loadingText='Saving...'
+          disabled={isSaveDisabled}
+          variant={isSaveDisabled ? 'inactive' : 'primary'}
+          className='select-none'
+        >
+          {editingProfile ? 'Update Profile' : 'Save Profile'}
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+CredentialProfilesSettings.propTypes = {
+  platform: PropTypes.object.isRequired,
+  credentials: PropTypes.object,
+  spend: PropTypes.object,
+  onSave: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onActivate: PropTypes.func.isRequired,
+  onValidate: PropTypes.func.isRequired,
+};
+
+export default CredentialProfilesSettings;
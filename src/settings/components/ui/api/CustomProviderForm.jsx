@@ -0,0 +1,418 @@
+// src/settings/components/ui/api/CustomProviderForm.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  Input,
+  TextArea,
+  InfoIcon,
+  CustomSelect,
+  Checkbox,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import useMinimumLoadingTime from '../../../../hooks/useMinimumLoadingTime';
+import { CUSTOM_PROVIDER_TYPES } from '../../../../shared/constants';
+import {
+  DEFAULT_CUSTOM_CONTEXT_WINDOW,
+  DEFAULT_CUSTOM_MAX_OUTPUT,
+  getCustomProviderType,
+} from '../../../../shared/utils/custom-provider-utils';
+
+const PROVIDER_TYPE_OPTIONS = [
+  { id: CUSTOM_PROVIDER_TYPES.OPENAI_COMPATIBLE, name: 'OpenAI-compatible' },
+  { id: CUSTOM_PROVIDER_TYPES.OLLAMA, name: 'Ollama (native API)' },
+];
+
+const BASE_URL_PLACEHOLDERS = {
+  [CUSTOM_PROVIDER_TYPES.OPENAI_COMPATIBLE]: 'http://localhost:1234/v1',
+  [CUSTOM_PROVIDER_TYPES.OLLAMA]: 'http://localhost:11434',
+};
+
+const EMPTY_FORM = {
+  providerType: CUSTOM_PROVIDER_TYPES.OPENAI_COMPATIBLE,
+  name: '',
+  baseUrl: '',
+  apiKey: '',
+  modelsText: '',
+  contextWindow: String(DEFAULT_CUSTOM_CONTEXT_WINDOW),
+  maxOutput: String(DEFAULT_CUSTOM_MAX_OUTPUT),
+  inputTokenPrice: '',
+  outputTokenPrice: '',
+  supportsVision: false,
+  supportsTools: false,
+};
+
+const toFormState = (provider, credentials) => {
+  if (!provider) {
+    return EMPTY_FORM;
+  }
+  return {
+    providerType: getCustomProviderType(provider.id),
+    name: provider.name || '',
+    baseUrl: provider.baseUrl || '',
+    apiKey: credentials?.apiKey || '',
+    modelsText: (provider.models || []).map((m) => m.id).join('\n'),
+    contextWindow: String(
+      provider.contextWindow || DEFAULT_CUSTOM_CONTEXT_WINDOW
+    ),
+    maxOutput: String(provider.maxOutput || DEFAULT_CUSTOM_MAX_OUTPUT),
+    inputTokenPrice: provider.inputTokenPrice
+      ? String(provider.inputTokenPrice)
+      : '',
+    outputTokenPrice: provider.outputTokenPrice
+      ? String(provider.outputTokenPrice)
+      : '',
+    supportsVision: provider.supportsVision === true,
+    supportsTools: provider.supportsTools === true,
+  };
+};
+
+const parseModelIds = (modelsText) => [
+  ...new Set(
+    modelsText
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+  ),
+];
+
+const CustomProviderForm = ({
+  provider,
+  credentials,
+  onSave,
+  onRemove,
+  onCancel,
+}) => {
+  const [form, setForm] = useState(() => toFormState(provider, credentials));
+  const [showApiKey, setShowApiKey] = useState(false);
+  const [isSavingActual, setIsSavingActual] = useState(false);
+  const [isRemovingActual, setIsRemovingActual] = useState(false);
+  const shouldShowSaving = useMinimumLoadingTime(isSavingActual, 1000);
+
+  useEffect(() => {
+    setForm(toFormState(provider, credentials));
+  }, [provider, credentials]);
+
+  const handleFieldChange = useCallback((field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  const isOllama = form.providerType === CUSTOM_PROVIDER_TYPES.OLLAMA;
+  const modelIds = parseModelIds(form.modelsText);
+  const isUrlValid = /^https?:\/\/\S+$/i.test(form.baseUrl.trim());
+  // Ollama models are read from the server's installed models when left empty
+  const isFormValid =
+    form.name.trim().length > 0 &&
+    isUrlValid &&
+    (isOllama || modelIds.length > 0);
+
+  const handleSave = async () => {
+    if (!isFormValid) return;
+    setIsSavingActual(true);
+    const existingModels = provider?.models || [];
+    const providerData = {
+      ...(provider?.id ? { id: provider.id } : {}),
+      providerType: form.providerType,
+      name: form.name,
+      baseUrl: form.baseUrl,
+      models: modelIds.map(
+        (id) =>
+          existingModels.find((m) => m.id === id) || { id, displayName: id }
+      ),
+      contextWindow:
+        parseInt(form.contextWindow, 10) || DEFAULT_CUSTOM_CONTEXT_WINDOW,
+      maxOutput: parseInt(form.maxOutput, 10) || DEFAULT_CUSTOM_MAX_OUTPUT,
+      inputTokenPrice: parseFloat(form.inputTokenPrice) || 0,
+      outputTokenPrice: parseFloat(form.outputTokenPrice) || 0,
+      supportsVision: form.supportsVision,
+      supportsTools: form.supportsTools,
+    };
+    await onSave(providerData, form.apiKey.trim());
+    setIsSavingActual(false);
+  };
+
+  const handleRemove = async () => {
+    if (
+      !window.confirm(
+        `Are you sure you want to remove the custom provider ${provider.name}? Its API key and model parameters will also be removed.`
+      )
+    ) {
+      return;
+    }
+    setIsRemovingActual(true);
+    await onRemove(provider.id);
+    setIsRemovingActual(false);
+  };
+
+  const isBusy = shouldShowSaving || isRemovingActual;
+  const idPrefix = provider?.id || 'new-custom-provider';
+
+  return (
+    <SettingsCard className='settings-section'>
+      <h4 className='section-subtitle text-base font-semibold mb-4 text-theme-primary'>
+        {provider ? 'Provider Connection' : 'Add Custom Provider'}
+      </h4>
+      <p className='text-sm text-theme-secondary mb-4'>
+        Connect any server exposing an OpenAI-compatible{' '}
+        <code>/chat/completions</code> endpoint, such as LM Studio, vLLM,
+        llama.cpp or OpenRouter, or a local Ollama server through its native
+        API.
+      </p>
+
+      <div className='form-group mb-4'>
+        <span className='block mb-2 text-sm text-theme-secondary'>
+          Protocol
+        </span>
+        <CustomSelect
+          options={PROVIDER_TYPE_OPTIONS}
+          selectedValue={form.providerType}
+          onChange={(value) => handleFieldChange('providerType', value)}
+          // The protocol is part of the provider ID and cannot change afterwards
+          disabled={isBusy || !!provider}
+        />
+      </div>
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${idPrefix}-name`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          Name
+        </label>
+        <Input
+          id={`${idPrefix}-name`}
+          value={form.name}
+          onChange={(e) => handleFieldChange('name', e.target.value)}
+          placeholder='e.g., LM Studio'
+          maxLength={50}
+          disabled={isBusy}
+          className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          required
+        />
+      </div>
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${idPrefix}-base-url`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          Base URL
+        </label>
+        <Input
+          id={`${idPrefix}-base-url`}
+          value={form.baseUrl}
+          onChange={(e) => handleFieldChange('baseUrl', e.target.value)}
+          placeholder={BASE_URL_PLACEHOLDERS[form.providerType]}
+          disabled={isBusy}
+          className='p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+          required
+        />
+      </div>
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${idPrefix}-api-key`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          API Key (optional)
+        </label>
+        <Input
+          type={showApiKey ? 'text' : 'password'}
+          id={`${idPrefix}-api-key`}
+          value={form.apiKey}
+          onChange={(e) => handleFieldChange('apiKey', e.target.value)}
+          placeholder='Leave empty if the server requires no key'
+          disabled={isBusy}
+          className='api-key-input p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+          endContent={
+            <button
+              type='button'
+              className='show-key-toggle px-2 py-1 text-primary hover:text-primary-hover bg-transparent rounded select-none'
+              onClick={() => setShowApiKey(!showApiKey)}
+              aria-label={showApiKey ? 'Hide API key' : 'Show API key'}
+              disabled={isBusy}
+            >
+              {showApiKey ? 'Hide' : 'Show'}
+            </button>
+          }
+        />
+      </div>
+
+      <div className='form-group mb-4'>
+        <label
+          htmlFor={`${idPrefix}-models`}
+          className='block mb-2 text-sm text-theme-secondary'
+        >
+          {isOllama
+            ? 'Models (optional, one model name per line)'
+            : 'Models (one model ID per line)'}
+        </label>
+        <TextArea
+          id={`${idPrefix}-models`}
+          value={form.modelsText}
+          onChange={(e) => handleFieldChange('modelsText', e.target.value)}
+          placeholder={
+            isOllama
+              ? 'Leave empty to use all models installed on the server'
+              : 'llama-3.1-8b-instruct\nqwen2.5-coder-7b'
+          }
+          disabled={isBusy}
+          className='w-full p-2 bg-theme-surface border border-theme rounded-md font-mono text-sm focus:ring-primary focus:border-primary'
+          required={!isOllama}
+        />
+        <Checkbox
+          id={`${idPrefix}-supports-vision`}
+          checked={form.supportsVision}
+          onChange={(e) =>
+            handleFieldChange('supportsVision', e.target.checked)
+          }
+          label='Models accept image input (e.g., llava, gemma3, qwen2.5-vl)'
+          disabled={isBusy}
+          className='mt-3 text-theme-secondary'
+        />
+        <Checkbox
+          id={`${idPrefix}-supports-tools`}
+          checked={form.supportsTools}
+          onChange={(e) => handleFieldChange('supportsTools', e.target.checked)}
+          label='Models support tool calling (e.g., llama3.1, qwen2.5, mistral-nemo)'
+          disabled={isBusy}
+          className='mt-2 text-theme-secondary'
+        />
+      </div>
+
+      <div className='grid grid-cols-2 gap-4 mb-4'>
+        <div className='form-group'>
+          <label
+            htmlFor={`${idPrefix}-context-window`}
+            className='block mb-2 text-sm text-theme-secondary'
+          >
+            Context Window (tokens)
+          </label>
+          <Input
+            type='number'
+            id={`${idPrefix}-context-window`}
+            value={form.contextWindow}
+            onChange={(e) => handleFieldChange('contextWindow', e.target.value)}
+            min={1}
+            disabled={isBusy}
+            className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+        </div>
+        <div className='form-group'>
+          <label
+            htmlFor={`${idPrefix}-max-output`}
+            className='block mb-2 text-sm text-theme-secondary'
+          >
+            Max Output (tokens)
+          </label>
+          <Input
+            type='number'
+            id={`${idPrefix}-max-output`}
+            value={form.maxOutput}
+            onChange={(e) => handleFieldChange('maxOutput', e.target.value)}
+            min={1}
+            disabled={isBusy}
+            className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+        </div>
+        <div className='form-group'>
+          <label
+            htmlFor={`${idPrefix}-input-price`}
+            className='block mb-2 text-sm text-theme-secondary'
+          >
+            Input Price ($ / 1M tokens)
+          </label>
+          <Input
+            type='number'
+            id={`${idPrefix}-input-price`}
+            value={form.inputTokenPrice}
+            onChange={(e) =>
+              handleFieldChange('inputTokenPrice', e.target.value)
+            }
+            min={0}
+            step='any'
+            placeholder='0'
+            disabled={isBusy}
+            className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+        </div>
+        <div className='form-group'>
+          <label
+            htmlFor={`${idPrefix}-output-price`}
+            className='block mb-2 text-sm text-theme-secondary'
+          >
+            Output Price ($ / 1M tokens)
+          </label>
+          <Input
+            type='number'
+            id={`${idPrefix}-output-price`}
+            value={form.outputTokenPrice}
+            onChange={(e) =>
+              handleFieldChange('outputTokenPrice', e.target.value)
+            }
+            min={0}
+            step='any'
+            placeholder='0'
+            disabled={isBusy}
+            className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+        </div>
+      </div>
+
+      <div className='my-3 flex items-start text-xs text-amber-600 dark:text-amber-500'>
+        <InfoIcon className='w-4 h-4 mr-2 flex-shrink-0' />
+        <span>
+          The connection is checked by listing models at{' '}
+          <code>{'{base URL}/models'}</code> before saving. Make sure the server
+          is running.
+        </span>
+      </div>
+
+      <div className='form-actions flex justify-end gap-3'>
+        {provider && (
+          <Button
+            variant='danger'
+            onClick={handleRemove}
+            className='select-none'
+            isLoading={isRemovingActual}
+            loadingText='Removing...'
+            disabled={isBusy}
+          >
+            Remove Provider
+          </Button>
+        )}
+        {!provider && onCancel && (
+          <Button
+            variant='secondary'
+            onClick={onCancel}
+            className='select-none'
+            disabled={isBusy}
+          >
+            Cancel
+          </Button>
+        )}
+        <Button
+          onClick={handleSave}
+          isLoading={shouldShowSaving}
+          loadingText='Saving...'
+          disabled={isBusy || !isFormValid}
+          variant={isBusy || !isFormValid ? 'inactive' : 'primary'}
+          className='select-none'
+        >
+          {provider ? 'Update Provider' : 'Add Provider'}
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+CustomProviderForm.propTypes = {
+  provider: PropTypes.object,
+  credentials: PropTypes.object,
+  onSave: PropTypes.func.isRequired,
+  onRemove: PropTypes.func,
+  onCancel: PropTypes.func,
+};
+
+export default React.memo(CustomProviderForm);
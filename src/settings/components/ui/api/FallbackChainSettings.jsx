@@ -0,0 +1,257 @@
+// src/settings/components/ui/api/FallbackChainSettings.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  CustomSelect,
+  IconButton,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  TrashIcon,
+  useNotification,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { logger } from '../../../../shared/logger';
+import {
+  STORAGE_KEYS,
+  INTERFACE_SOURCES,
+  MAX_FALLBACK_CHAIN_LENGTH,
+} from '../../../../shared/constants';
+
+const SOURCE_OPTIONS = [
+  { id: INTERFACE_SOURCES.SIDEPANEL, name: 'Side Panel' },
+  { id: INTERFACE_SOURCES.POPUP, name: 'Popup' },
+];
+
+const rowButtonClasses =
+  'p-1 rounded-md text-theme-secondary hover:text-primary hover:bg-theme-hover disabled:opacity-40';
+
+const FallbackChainSettings = ({ platforms }) => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [source, setSource] = useState(INTERFACE_SOURCES.SIDEPANEL);
+  const [savedChains, setSavedChains] = useState({});
+  const [chains, setChains] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadChains = async () => {
+      try {
+        const result = await chrome.storage.sync.get(
+          STORAGE_KEYS.API_FALLBACK_CHAINS
+        );
+        const loadedChains = result[STORAGE_KEYS.API_FALLBACK_CHAINS] || {};
+        setSavedChains(loadedChains);
+        setChains(loadedChains);
+      } catch (error) {
+        logger.settings.error('Error loading fallback chains:', error);
+      }
+    };
+    loadChains();
+  }, []);
+
+  const platformOptions = useMemo(
+    () => platforms.map((p) => ({ id: p.id, name: p.name })),
+    [platforms]
+  );
+
+  const getModelOptions = (platformId) => {
+    const platform = platforms.find((p) => p.id === platformId);
+    return (platform?.apiConfig?.models || []).map((m) => ({
+      id: m.id,
+      name: m.displayName || m.id,
+    }));
+  };
+
+  const chain = chains[source] || [];
+  const hasChanges = JSON.stringify(chains) !== JSON.stringify(savedChains);
+
+  const updateChain = (updater) => {
+    setChains((prev) => ({ ...prev, [source]: updater(prev[source] || []) }));
+  };
+
+  const handleAddEntry = () => {
+    const firstPlatform = platforms[0];
+    if (!firstPlatform) return;
+    updateChain((entries) => [
+      ...entries,
+      {
+        platformId: firstPlatform.id,
+        modelId: getModelOptions(firstPlatform.id)[0]?.id || '',
+      },
+    ]);
+  };
+
+  const handlePlatformChange = (index, platformId) => {
+    updateChain((entries) =>
+      entries.map((entry, i) =>
+        i === index
+          ? { platformId, modelId: getModelOptions(platformId)[0]?.id || '' }
+          : entry
+      )
+    );
+  };
+
+  const handleModelChange = (index, modelId) => {
+    updateChain((entries) =>
+      entries.map((entry, i) => (i === index ? { ...entry, modelId } : entry))
+    );
+  };
+
+  const handleMoveEntry = (index, offset) => {
+    updateChain((entries) => {
+      const reordered = [...entries];
+      const [moved] = reordered.splice(index, 1);
+      reordered.splice(index + offset, 0, moved);
+      return reordered;
+    });
+  };
+
+  const handleRemoveEntry = (index) => {
+    updateChain((entries) => entries.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      // Drop incomplete entries rather than storing pairs that cannot be used
+      const chainsToSave = Object.fromEntries(
+        Object.entries(chains).map(([chainSource, entries]) => [
+          chainSource,
+          entries.filter((entry) => entry.platformId && entry.modelId),
+        ])
+      );
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.API_FALLBACK_CHAINS]: chainsToSave,
+      });
+      setSavedChains(chainsToSave);
+      setChains(chainsToSave);
+      showSuccessNotification('Fallback chain saved.');
+    } catch (error) {
+      logger.settings.error('Error saving fallback chains:', error);
+      showErrorNotification(`Failed to save fallback chain: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <SettingsCard className='mt-6'>
+      <h3 className='text-base font-semibold text-theme-primary mb-2'>
+        Fallback Chain
+      </h3>
+      <p className='text-sm text-theme-secondary mb-4'>
+        When a request fails before any response is received (e.g., the provider
+        is overloaded or the key is out of quota), these models are tried in
+        order. Cancelled requests are never retried elsewhere.
+      </p>
+
+      <div className='flex items-center gap-3 mb-4'>
+        <span className='text-sm font-medium text-theme-primary'>
+          Applies to
+        </span>
+        <CustomSelect
+          options={SOURCE_OPTIONS}
+          selectedValue={source}
+          onChange={setSource}
+          disabled={isSaving}
+        />
+      </div>
+
+      {chain.length === 0 ? (
+        <p className='text-sm text-theme-secondary mb-4'>
+          No fallback configured: a failed request ends with an error.
+        </p>
+      ) : (
+        <ol className='space-y-2 mb-4'>
+          {chain.map((entry, index) => (
+            <li
+              key={`${index}-${entry.platformId}`}
+              className='flex items-center gap-2 py-2 px-3 rounded-md bg-theme-surface border border-theme'
+            >
+              <span className='text-sm text-theme-secondary w-5'>
+                {index + 1}.
+              </span>
+              <CustomSelect
+                options={platformOptions}
+                selectedValue={entry.platformId}
+                onChange={(platformId) =>
+                  handlePlatformChange(index, platformId)
+                }
+                disabled={isSaving}
+              />
+              <CustomSelect
+                options={getModelOptions(entry.platformId)}
+                selectedValue={entry.modelId}
+                onChange={(modelId) => handleModelChange(index, modelId)}
+                placeholder='Select a model'
+                disabled={isSaving}
+              />
+              <div className='ml-auto flex items-center gap-1'>
+                <IconButton
+                  icon={ChevronUpIcon}
+                  iconClassName='w-4 h-4'
+                  className={rowButtonClasses}
+                  onClick={() => handleMoveEntry(index, -1)}
+                  disabled={isSaving || index === 0}
+                  ariaLabel='Move up'
+                  title='Move up'
+                />
+                <IconButton
+                  icon={ChevronDownIcon}
+                  iconClassName='w-4 h-4'
+                  className={rowButtonClasses}
+                  onClick={() => handleMoveEntry(index, 1)}
+                  disabled={isSaving || index === chain.length - 1}
+                  ariaLabel='Move down'
+                  title='Move down'
+                />
+                <IconButton
+                  icon={TrashIcon}
+                  iconClassName='w-4 h-4'
+                  className={rowButtonClasses}
+                  onClick={() => handleRemoveEntry(index)}
+                  disabled={isSaving}
+                  ariaLabel='Remove fallback'
+                  title='Remove fallback'
+                />
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className='flex justify-between'>
+        <Button
+          onClick={handleAddEntry}
+          variant='secondary'
+          size='md'
+          disabled={
+            isSaving ||
+            platforms.length === 0 ||
+            chain.length >= MAX_FALLBACK_CHAIN_LENGTH
+          }
+        >
+          Add Fallback
+        </Button>
+        <Button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          isLoading={isSaving}
+          loadingText='Saving...'
+          variant={!hasChanges ? 'inactive' : 'primary'}
+          size='md'
+        >
+          Save
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+FallbackChainSettings.propTypes = {
+  platforms: PropTypes.array.isRequired,
+};
+
+export default FallbackChainSettings;
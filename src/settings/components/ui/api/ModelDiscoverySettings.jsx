@@ -0,0 +1,226 @@
+// src/settings/components/ui/api/ModelDiscoverySettings.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import { Button, Toggle, useNotification } from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { logger } from '../../../../shared/logger';
+import { STORAGE_KEYS } from '../../../../shared/constants';
+import { getNewDiscoveredModels } from '../../../../shared/utils/model-discovery-utils';
+import ConfigService from '../../../../services/ConfigService';
+import ApiServiceManager from '../../../../services/ApiServiceManager';
+
+const ModelDiscoverySettings = ({ platform, hasApiKey, onModelsChanged }) => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [bundledConfig, setBundledConfig] = useState(null);
+  const [discovery, setDiscovery] = useState(null);
+  const [visibility, setVisibility] = useState({});
+  const [isAutoDiscoveryEnabled, setIsAutoDiscoveryEnabled] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  useEffect(() => {
+    const loadDiscoveryState = async () => {
+      try {
+        const [bundled, localResult, syncResult] = await Promise.all([
+          ConfigService.getBundledPlatformApiConfig(platform.id),
+          chrome.storage.local.get([
+            STORAGE_KEYS.DISCOVERED_MODELS,
+            STORAGE_KEYS.MODEL_VISIBILITY,
+          ]),
+          chrome.storage.sync.get(STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS),
+        ]);
+        setBundledConfig(bundled);
+        setDiscovery(
+          localResult[STORAGE_KEYS.DISCOVERED_MODELS]?.[platform.id] || null
+        );
+        setVisibility(
+          localResult[STORAGE_KEYS.MODEL_VISIBILITY]?.[platform.id] || {}
+        );
+        setIsAutoDiscoveryEnabled(
+          syncResult[STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS]?.[platform.id] ===
+            true
+        );
+      } catch (error) {
+        logger.settings.error('Error loading model discovery state:', error);
+      }
+    };
+    loadDiscoveryState();
+  }, [platform.id]);
+
+  const newModels = useMemo(
+    () => getNewDiscoveredModels(bundledConfig, discovery?.models),
+    [bundledConfig, discovery]
+  );
+
+  const handleAutoDiscoveryChange = useCallback(
+    async (isEnabled) => {
+      try {
+        const result = await chrome.storage.sync.get(
+          STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS
+        );
+        await chrome.storage.sync.set({
+          [STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS]: {
+            ...(result[STORAGE_KEYS.MODEL_DISCOVERY_SETTINGS] || {}),
+            [platform.id]: isEnabled,
+          },
+        });
+        setIsAutoDiscoveryEnabled(isEnabled);
+      } catch (error) {
+        logger.settings.error('Error saving model discovery setting:', error);
+        showErrorNotification(
+          `Failed to save model discovery setting: ${error.message}`
+        );
+      }
+    },
+    [platform.id, showErrorNotification]
+  );
+
+  const handleRefresh = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      const updatedDiscovery = await ApiServiceManager.discoverModels(
+        platform.id
+      );
+      const newCount = getNewDiscoveredModels(
+        bundledConfig,
+        updatedDiscovery.models
+      ).length;
+      setDiscovery(updatedDiscovery);
+      await onModelsChanged();
+      showSuccessNotification(
+        `Found ${updatedDiscovery.models.length} models, ${newCount} not in the bundled list.`
+      );
+    } catch (error) {
+      logger.settings.error('Error discovering models:', error);
+      showErrorNotification(`Could not list models: ${error.message}`);
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [
+    platform.id,
+    bundledConfig,
+    onModelsChanged,
+    showSuccessNotification,
+    showErrorNotification,
+  ]);
+
+  const handleVisibilityChange = useCallback(
+    async (modelId, isVisible) => {
+      try {
+        const result = await chrome.storage.local.get(
+          STORAGE_KEYS.MODEL_VISIBILITY
+        );
+        const allVisibility = result[STORAGE_KEYS.MODEL_VISIBILITY] || {};
+        const platformVisibility = {
+          ...(allVisibility[platform.id] || {}),
+          [modelId]: isVisible,
+        };
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.MODEL_VISIBILITY]: {
+            ...allVisibility,
+            [platform.id]: platformVisibility,
+          },
+        });
+        setVisibility(platformVisibility);
+        await onModelsChanged();
+      } catch (error) {
+        logger.settings.error('Error saving model visibility:', error);
+        showErrorNotification(
+          `Failed to save model visibility: ${error.message}`
+        );
+      }
+    },
+    [platform.id, onModelsChanged, showErrorNotification]
+  );
+
+  return (
+    <SettingsCard>
+      <h4 className='section-subtitle text-base font-semibold mb-2 text-theme-primary'>
+        Model Discovery
+      </h4>
+      <p className='text-sm text-theme-secondary mb-4'>
+        List the models {platform.name} currently serves to find models newer
+        than this extension version. Models already known keep their curated
+        settings; new models use default settings, have no pricing information,
+        only accept images and tools when {platform.name} reports them, and are
+        hidden until you show them.
+      </p>
+
+      <div className='flex items-center mb-4'>
+        <span className='text-sm font-medium text-theme-primary mr-3'>
+          Check for new models daily
+        </span>
+        <Toggle
+          checked={isAutoDiscoveryEnabled}
+          onChange={handleAutoDiscoveryChange}
+          disabled={!hasApiKey}
+          id={`${platform.id}-auto-discovery`}
+        />
+      </div>
+
+      <div className='flex items-center justify-between mb-4'>
+        <span className='text-xs text-theme-secondary'>
+          {!hasApiKey
+            ? 'Save an API key to list models.'
+            : discovery?.fetchedAt
+              ? `Last checked ${new Date(discovery.fetchedAt).toLocaleString()}`
+              : 'Not checked yet.'}
+        </span>
+        <Button
+          onClick={handleRefresh}
+          isLoading={isRefreshing}
+          loadingText='Checking...'
+          disabled={!hasApiKey || isRefreshing}
+          variant={!hasApiKey ? 'inactive' : 'primary'}
+          size='md'
+        >
+          Check Now
+        </Button>
+      </div>
+
+      {discovery &&
+        (newModels.length === 0 ? (
+          <p className='text-sm text-theme-secondary'>
+            No models beyond the bundled list were found.
+          </p>
+        ) : (
+          <ul className='border border-theme rounded-md'>
+            {newModels.map((model) => (
+              <li
+                key={model.id}
+                className='flex items-center justify-between px-3 py-2 border-b border-theme last:border-b-0'
+              >
+                <div className='min-w-0 mr-3'>
+                  <p className='text-sm text-theme-primary truncate'>
+                    {model.displayName}
+                  </p>
+                  <p className='text-xs text-theme-secondary font-mono truncate'>
+                    {model.id}
+                    {model.contextWindow
+                      ? ` · ${model.contextWindow.toLocaleString()} tokens`
+                      : ''}
+                  </p>
+                </div>
+                <Toggle
+                  checked={visibility[model.id] === true}
+                  onChange={(isVisible) =>
+                    handleVisibilityChange(model.id, isVisible)
+                  }
+                  id={`${platform.id}-${model.id}-visible`}
+                />
+              </li>
+            ))}
+          </ul>
+        ))}
+    </SettingsCard>
+  );
+};
+
+ModelDiscoverySettings.propTypes = {
+  platform: PropTypes.object.isRequired,
+  hasApiKey: PropTypes.bool.isRequired,
+  onModelsChanged: PropTypes.func.isRequired,
+};
+
+export default ModelDiscoverySettings;
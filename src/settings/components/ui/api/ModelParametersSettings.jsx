@@ -13,6 +13,7 @@ import {
   CustomSelect,
   SpinnerIcon,
   TextArea,
+  Input,
   InfoIcon,
 } from '../../../../components';
 import { useModelParametersSettings } from '../../../hooks/useModelParametersSettings';
@@ -49,6 +50,7 @@ const ModelParametersSettings = ({
     showTopPSection,
     showBudgetSlider,
     showReasoningEffort,
+    showPromptCaching,
     modelSupportsSystemPrompt,
     isTransitioningMode,
   } = useModelParametersSettings({
@@ -89,10 +91,42 @@ const ModelParametersSettings = ({
     (selectedValue) => handleChange('reasoningEffort', selectedValue),
     [handleChange]
   );
+  const handlePromptCachingChange = useCallback(
+    (newCheckedState) => handleChange('promptCaching', newCheckedState),
+    [handleChange]
+  );
   const handleSystemPromptChange = useCallback(
     (e) => handleChange('systemPrompt', e.target.value),
     [handleChange]
   );
+  const handleStopSequencesChange = useCallback(
+    (e) => handleChange('stopSequences', e.target.value),
+    [handleChange]
+  );
+  const handleSeedChange = useCallback(
+    (e) => handleChange('seed', e.target.value),
+    [handleChange]
+  );
+  const handleIncludePenaltiesChange = useCallback(
+    (newCheckedState) => handleChange('includePenalties', newCheckedState),
+    [handleChange]
+  );
+  const handlePresencePenaltyChange = useCallback(
+    (newValue) => handleChange('presencePenalty', newValue),
+    [handleChange]
+  );
+  const handleFrequencyPenaltyChange = useCallback(
+    (newValue) => handleChange('frequencyPenalty', newValue),
+    [handleChange]
+  );
+  const handleSafetyThresholdChange = useCallback(
+    (selectedValue) => handleChange('safetyThreshold', selectedValue),
+    [handleChange]
+  );
+  const handleExtraBodyChange = useCallback(
+    (e) => handleChange('extraBody', e.target.value),
+    [handleChange]
+  );
 
   const handleModelChange = useCallback(
     (modelId) => {
@@ -223,6 +257,16 @@ const ModelParametersSettings = ({
                 </span>
               </div>
             )}
+            {displaySpecs.cachedInputPrice !== undefined && (
+              <div className='spec-item flex justify-between text-sm'>
+                <span className='spec-label font-semibold text-theme-secondary'>
+                  Cached input tokens
+                </span>
+                <span className='spec-value font-mono text-theme-primary'>
+                  {`$${formatPrice(displaySpecs.cachedInputPrice)} per 1M tokens`}
+                </span>
+              </div>
+            )}
             {displaySpecs.outputPrice !== undefined && (
               <div className='spec-item flex justify-between text-sm'>
                 <span className='spec-label font-semibold text-theme-secondary'>
@@ -396,6 +440,27 @@ const ModelParametersSettings = ({
           </SettingsCard>
         )}
 
+        {showPromptCaching && (
+          <SettingsCard className='mb-4'>
+            <div className='mb-3 flex items-center'>
+              <span className='text-base font-semibold text-theme-primary mr-3'>
+                Prompt Caching
+              </span>
+              <Toggle
+                checked={formValues.promptCaching ?? true}
+                onChange={handlePromptCachingChange}
+                disabled={isSaving || isResetting || isTransitioningMode}
+                id={`${platform.id}-${selectedModelId}-prompt-caching`}
+              />
+            </div>
+            <p className='help-text text-sm text-theme-secondary'>
+              Lets the provider cache page content sent with a chat, so
+              follow-up messages reuse it at the cheaper cached-token rate
+              instead of paying for it again on every turn.
+            </p>
+          </SettingsCard>
+        )}
+
         {modelSupportsSystemPrompt && parameterSpecs.systemPrompt && (
           <SettingsCard className='mb-4'>
             <label
@@ -423,6 +488,170 @@ const ModelParametersSettings = ({
             </div>
           </SettingsCard>
         )}
+
+        {parameterSpecs.stopSequences && (
+          <SettingsCard className='mb-4'>
+            <label
+              htmlFor={`${platform.id}-${selectedModelId}-stop-sequences`}
+              className='block mb-3 text-base font-semibold text-theme-primary'
+            >
+              Stop Sequences
+            </label>
+            <p className='help-text text-sm text-theme-secondary mb-4'>
+              Generation stops when the model outputs one of these, one per line
+              (up to {parameterSpecs.stopSequences.maxCount}).
+            </p>
+            <TextArea
+              id={`${platform.id}-${selectedModelId}-stop-sequences`}
+              name='stopSequences'
+              placeholder='One stop sequence per line...'
+              value={(formValues.stopSequences ?? []).join('\n')}
+              onChange={handleStopSequencesChange}
+              disabled={isSaving || isResetting || isTransitioningMode}
+              className='bg-theme-surface text-sm font-mono border border-theme rounded-md'
+              style={{ minHeight: '60px' }}
+              autoResize={true}
+            />
+          </SettingsCard>
+        )}
+
+        {parameterSpecs.seed && (
+          <SettingsCard className='mb-4'>
+            <label
+              htmlFor={`${platform.id}-${selectedModelId}-seed`}
+              className='block mb-3 text-base font-semibold text-theme-primary'
+            >
+              Seed
+            </label>
+            <p className='help-text text-sm text-theme-secondary mb-4'>
+              Makes sampling repeatable: the same seed and parameters give the
+              same answer on a best-effort basis. Leave empty for a random seed.
+            </p>
+            <div className='w-48'>
+              <Input
+                id={`${platform.id}-${selectedModelId}-seed`}
+                type='number'
+                name='seed'
+                min={parameterSpecs.seed.min}
+                max={parameterSpecs.seed.max}
+                step={1}
+                placeholder='Random'
+                value={
+                  formValues.seed === null || formValues.seed === undefined
+                    ? ''
+                    : String(formValues.seed)
+                }
+                onChange={handleSeedChange}
+                disabled={isSaving || isResetting || isTransitioningMode}
+                className='bg-theme-surface text-sm border border-theme rounded-md'
+              />
+            </div>
+          </SettingsCard>
+        )}
+
+        {parameterSpecs.presencePenalty && parameterSpecs.frequencyPenalty && (
+          <SettingsCard className='mb-4'>
+            <div className='mb-3 flex items-center'>
+              <span className='text-base font-semibold text-theme-primary mr-3'>
+                Presence & Frequency Penalties
+              </span>
+              <Toggle
+                checked={formValues.includePenalties ?? false}
+                onChange={handleIncludePenaltiesChange}
+                disabled={isSaving || isResetting || isTransitioningMode}
+                id={`${platform.id}-${selectedModelId}-include-penalties`}
+              />
+            </div>
+            <p className='help-text text-sm text-theme-secondary mb-3'>
+              Positive values make the model less likely to repeat topics
+              (presence) or exact words (frequency).
+            </p>
+            {formValues.includePenalties && (
+              <>
+                <span className='block mt-2 text-sm text-theme-secondary'>
+                  Presence penalty
+                </span>
+                <SliderInput
+                  label=''
+                  value={formValues.presencePenalty ?? 0}
+                  onChange={handlePresencePenaltyChange}
+                  min={parameterSpecs.presencePenalty.min}
+                  max={parameterSpecs.presencePenalty.max}
+                  step={parameterSpecs.presencePenalty.step}
+                  disabled={isSaving || isResetting || isTransitioningMode}
+                  className='form-group mt-2'
+                />
+                <span className='block mt-4 text-sm text-theme-secondary'>
+                  Frequency penalty
+                </span>
+                <SliderInput
+                  label=''
+                  value={formValues.frequencyPenalty ?? 0}
+                  onChange={handleFrequencyPenaltyChange}
+                  min={parameterSpecs.frequencyPenalty.min}
+                  max={parameterSpecs.frequencyPenalty.max}
+                  step={parameterSpecs.frequencyPenalty.step}
+                  disabled={isSaving || isResetting || isTransitioningMode}
+                  className='form-group mt-2'
+                />
+              </>
+            )}
+          </SettingsCard>
+        )}
+
+        {parameterSpecs.safetyThreshold && (
+          <SettingsCard className='mb-4'>
+            <span className='block mb-3 text-base font-semibold text-theme-primary'>
+              Safety Threshold
+            </span>
+            <p className='help-text text-sm text-theme-secondary mb-3'>
+              Probability of harmful content at which answers are blocked, for
+              harassment, hate speech, sexually explicit and dangerous content.
+            </p>
+            <div className='inline-block'>
+              <CustomSelect
+                id={`${platform.id}-${selectedModelId}-safety-threshold`}
+                options={[
+                  { id: '', name: 'Provider default' },
+                  ...parameterSpecs.safetyThreshold.allowedValues.map(
+                    (value) => ({ id: value, name: value })
+                  ),
+                ]}
+                selectedValue={formValues.safetyThreshold ?? ''}
+                onChange={handleSafetyThresholdChange}
+                disabled={isSaving || isResetting || isTransitioningMode}
+              />
+            </div>
+          </SettingsCard>
+        )}
+
+        {parameterSpecs.extraBody && (
+          <SettingsCard className='mb-4'>
+            <label
+              htmlFor={`${platform.id}-${selectedModelId}-extra-body`}
+              className='block mb-3 text-base font-semibold text-theme-primary'
+            >
+              Extra Body JSON
+            </label>
+            <p className='help-text text-sm text-theme-secondary mb-4'>
+              A JSON object merged into the request body, for provider
+              parameters not listed above. Its fields override the ones set by
+              the extension.
+            </p>
+            <TextArea
+              id={`${platform.id}-${selectedModelId}-extra-body`}
+              name='extraBody'
+              placeholder='{ "logprobs": true }'
+              value={formValues.extraBody ?? ''}
+              onChange={handleExtraBodyChange}
+              maxLength={parameterSpecs.extraBody.maxLength}
+              disabled={isSaving || isResetting || isTransitioningMode}
+              className='bg-theme-surface text-sm font-mono border border-theme rounded-md'
+              style={{ minHeight: '80px' }}
+              autoResize={true}
+            />
+          </SettingsCard>
+        )}
       </form>
     </>
   );
@@ -0,0 +1,316 @@
+// src/settings/components/ui/api/ParameterPresetSettings.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  CustomSelect,
+  IconButton,
+  Input,
+  TextArea,
+  TrashIcon,
+  useNotification,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { logger } from '../../../../shared/logger';
+import {
+  STORAGE_KEYS,
+  MAX_PARAMETER_PRESETS,
+  MAX_PRESET_NAME_LENGTH,
+  MAX_SYSTEM_PROMPT_LENGTH,
+} from '../../../../shared/constants';
+import { generatePresetId } from '../../../../shared/utils/parameter-preset-utils';
+
+const ALL_MODELS_ID = 'all';
+const NUMERIC_FIELDS = ['maxTokens', 'temperature', 'topP'];
+
+const inputClasses =
+  'p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary';
+
+// Numbers are edited as text so that a blank field can mean "not set"
+const toDraft = (preset) => ({
+  ...preset,
+  ...Object.fromEntries(
+    NUMERIC_FIELDS.map((field) => [
+      field,
+      typeof preset[field] === 'number' ? String(preset[field]) : '',
+    ])
+  ),
+});
+
+const fromDraft = (draft) => ({
+  id: draft.id,
+  name: draft.name.trim(),
+  platformId: draft.platformId || null,
+  modelId: draft.platformId ? draft.modelId || null : null,
+  ...Object.fromEntries(
+    NUMERIC_FIELDS.map((field) => [
+      field,
+      draft[field].trim() === '' ? null : Number(draft[field]),
+    ])
+  ),
+  systemPrompt: draft.systemPrompt || '',
+});
+
+const getDraftError = (draft) => {
+  if (!draft.name.trim()) return 'Every preset needs a name.';
+  if (draft.platformId && !draft.modelId) {
+    return `Select a model for "${draft.name.trim()}".`;
+  }
+  const hasInvalidNumber = NUMERIC_FIELDS.some(
+    (field) =>
+      draft[field].trim() !== '' && !Number.isFinite(Number(draft[field]))
+  );
+  if (hasInvalidNumber) {
+    return `"${draft.name.trim()}" has a value that is not a number.`;
+  }
+  return null;
+};
+
+/**
+ * Named bundles of model parameters and a system prompt, picked per chat in
+ * the side panel.
+ */
+const ParameterPresetSettings = ({ platforms }) => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [savedPresets, setSavedPresets] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPresets = async () => {
+      try {
+        const result = await chrome.storage.local.get(
+          STORAGE_KEYS.PARAMETER_PRESETS
+        );
+        const loadedPresets = Object.values(
+          result[STORAGE_KEYS.PARAMETER_PRESETS] || {}
+        ).map(toDraft);
+        setSavedPresets(loadedPresets);
+        setPresets(loadedPresets);
+      } catch (error) {
+        logger.settings.error('Error loading parameter presets:', error);
+      }
+    };
+    loadPresets();
+  }, []);
+
+  const scopeOptions = useMemo(
+    () => [
+      { id: ALL_MODELS_ID, name: 'All models' },
+      ...platforms.map((p) => ({ id: p.id, name: p.name })),
+    ],
+    [platforms]
+  );
+
+  const getModelOptions = (platformId) => {
+    const platform = platforms.find((p) => p.id === platformId);
+    return (platform?.apiConfig?.models || []).map((m) => ({
+      id: m.id,
+      name: m.displayName || m.id,
+    }));
+  };
+
+  const hasChanges = JSON.stringify(presets) !== JSON.stringify(savedPresets);
+  const validationError = presets.map(getDraftError).find(Boolean) || null;
+
+  const updatePreset = (index, update) => {
+    setPresets((prev) =>
+      prev.map((preset, i) => (i === index ? { ...preset, ...update } : preset))
+    );
+  };
+
+  const handleAddPreset = () => {
+    setPresets((prev) => [
+      ...prev,
+      toDraft({
+        id: generatePresetId(),
+        name: `Preset ${prev.length + 1}`,
+        platformId: null,
+        modelId: null,
+        systemPrompt: '',
+      }),
+    ]);
+  };
+
+  const handleScopeChange = (index, scopeId) => {
+    const platformId = scopeId === ALL_MODELS_ID ? null : scopeId;
+    updatePreset(index, {
+      platformId,
+      modelId: platformId ? getModelOptions(platformId)[0]?.id || null : null,
+    });
+  };
+
+  const handleRemovePreset = (index) => {
+    setPresets((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    if (validationError) {
+      showErrorNotification(validationError);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const presetsToSave = Object.fromEntries(
+        presets.map((draft) => [draft.id, fromDraft(draft)])
+      );
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.PARAMETER_PRESETS]: presetsToSave,
+      });
+      const savedDrafts = Object.values(presetsToSave).map(toDraft);
+      setSavedPresets(savedDrafts);
+      setPresets(savedDrafts);
+      showSuccessNotification('Parameter presets saved.');
+    } catch (error) {
+      logger.settings.error('Error saving parameter presets:', error);
+      showErrorNotification(
+        `Failed to save parameter presets: ${error.message}`
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isSaveDisabled = isSaving || !hasChanges || !!validationError;
+
+  return (
+    <SettingsCard className='mt-6'>
+      <h3 className='text-base font-semibold text-theme-primary mb-2'>
+        Parameter Presets
+      </h3>
+      <p className='text-sm text-theme-secondary mb-4'>
+        Save parameter sets you switch between, such as a precise coding setup
+        and a creative writing one, then pick one per chat in the side panel.
+        Blank fields keep the model&apos;s own settings, and values beyond a
+        model&apos;s limits are capped.
+      </p>
+
+      {presets.length === 0 ? (
+        <p className='text-sm text-theme-secondary mb-4'>
+          No presets yet: chats use each model&apos;s own settings.
+        </p>
+      ) : (
+        <ul className='space-y-3 mb-4'>
+          {presets.map((preset, index) => (
+            <li
+              key={preset.id}
+              className='py-3 px-3 rounded-md bg-theme-surface border border-theme'
+            >
+              <div className='flex flex-wrap items-center gap-2 mb-3'>
+                <div className='flex-1 min-w-[10rem]'>
+                  <Input
+                    value={preset.name}
+                    onChange={(e) =>
+                      updatePreset(index, { name: e.target.value })
+                    }
+                    maxLength={MAX_PRESET_NAME_LENGTH}
+                    placeholder='Preset name'
+                    aria-label='Preset name'
+                    disabled={isSaving}
+                    className={inputClasses}
+                  />
+                </div>
+                <CustomSelect
+                  options={scopeOptions}
+                  selectedValue={preset.platformId || ALL_MODELS_ID}
+                  onChange={(scopeId) => handleScopeChange(index, scopeId)}
+                  disabled={isSaving}
+                />
+                {preset.platformId && (
+                  <CustomSelect
+                    options={getModelOptions(preset.platformId)}
+                    selectedValue={preset.modelId || ''}
+                    onChange={(modelId) => updatePreset(index, { modelId })}
+                    placeholder='Select a model'
+                    disabled={isSaving}
+                  />
+                )}
+                <IconButton
+                  icon={TrashIcon}
+                  iconClassName='w-4 h-4'
+                  className='ml-auto p-1 rounded-md text-theme-secondary hover:text-primary hover:bg-theme-hover disabled:opacity-40'
+                  onClick={() => handleRemovePreset(index)}
+                  disabled={isSaving}
+                  ariaLabel='Delete preset'
+                  title='Delete preset'
+                />
+              </div>
+
+              <div className='grid grid-cols-3 gap-2 mb-3'>
+                {[
+                  { field: 'maxTokens', label: 'Max tokens', step: '1' },
+                  { field: 'temperature', label: 'Temperature', step: '0.1' },
+                  { field: 'topP', label: 'Top P', step: '0.05' },
+                ].map(({ field, label, step }) => (
+                  <label
+                    key={field}
+                    className='flex flex-col gap-1 text-xs text-theme-secondary'
+                  >
+                    {label}
+                    <Input
+                      type='number'
+                      step={step}
+                      min='0'
+                      value={preset[field]}
+                      onChange={(e) =>
+                        updatePreset(index, { [field]: e.target.value })
+                      }
+                      placeholder='Model default'
+                      disabled={isSaving}
+                      className={inputClasses}
+                    />
+                  </label>
+                ))}
+              </div>
+
+              <TextArea
+                value={preset.systemPrompt}
+                onChange={(e) =>
+                  updatePreset(index, { systemPrompt: e.target.value })
+                }
+                maxLength={MAX_SYSTEM_PROMPT_LENGTH}
+                placeholder="System prompt (blank keeps the model's own)"
+                aria-label='System prompt'
+                disabled={isSaving}
+                className={`w-full text-sm ${inputClasses}`}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {validationError && hasChanges && (
+        <p className='mb-4 text-xs text-error'>{validationError}</p>
+      )}
+
+      <div className='flex justify-between'>
+        <Button
+          onClick={handleAddPreset}
+          variant='secondary'
+          size='md'
+          disabled={isSaving || presets.length >= MAX_PARAMETER_PRESETS}
+        >
+          Add Preset
+        </Button>
+        <Button
+          onClick={handleSave}
+          disabled={isSaveDisabled}
+          isLoading={isSaving}
+          loadingText='Saving...'
+          variant={isSaveDisabled ? 'inactive' : 'primary'}
+          size='md'
+        >
+          Save
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+ParameterPresetSettings.propTypes = {
+  platforms: PropTypes.array.isRequired,
+};
+
+export default ParameterPresetSettings;
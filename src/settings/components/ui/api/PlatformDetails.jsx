@@ -2,48 +2,42 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 
-import {
-  Button,
-  useNotification,
-  PlatformIcon,
-  Input,
-  InfoIcon,
-} from '../../../../components';
-import SettingsCard from '../common/SettingsCard';
+import { PlatformIcon } from '../../../../components';
 import SubTabLayout from '../common/SubTabLayout';
 import { logger } from '../../../../shared/logger';
-import useMinimumLoadingTime from '../../../../hooks/useMinimumLoadingTime';
 
 import ModelParametersSettings from './ModelParametersSettings';
+import CustomProviderForm from './CustomProviderForm';
+import ModelDiscoverySettings from './ModelDiscoverySettings';
+import CredentialProfilesSettings from './CredentialProfilesSettings';
+import ConnectionOverrideSettings from './ConnectionOverrideSettings';
 
 const PlatformDetails = ({
   platform,
   credentials,
+  credentialSpend,
+  customProvider,
   modelParametersForPlatform,
-  saveApiKeyAction,
-  removeApiKeyAction,
+  saveCredentialProfileAction,
+  removeCredentialProfileAction,
+  setActiveCredentialProfileAction,
+  validateCredentialProfileAction,
+  saveCustomProviderAction,
+  removeCustomProviderAction,
+  refreshPlatformConfigsAction,
   saveModelParametersSettingsAction,
   resetModelParametersSettingsToDefaultsAction,
   activeSubTab,
   onSubTabSelect,
 }) => {
-  const { error } = useNotification();
-  const [apiKey, setApiKey] = useState('');
-  const [originalApiKey, setOriginalApiKey] = useState('');
-  const [hasApiKeyChanges, setHasApiKeyChanges] = useState(false);
-  const [showApiKey, setShowApiKey] = useState(false);
-  const [isApiKeyValid, setIsApiKeyValid] = useState(false);
-
-  const [isSavingApiKeyActual, setIsSavingApiKeyActual] = useState(false);
-  const [isRemovingApiKeyActual, setIsRemovingApiKeyActual] = useState(false);
-  const shouldShowApiKeySaving = useMinimumLoadingTime(
-    isSavingApiKeyActual,
-    1000
-  );
-
   const subTabs = [
-    { id: 'apiKey', label: 'API Key' },
+    {
+      id: 'apiKey',
+      label: platform.isCustomProvider ? 'Connection' : 'API Key',
+    },
     { id: 'modelParams', label: 'Model Parameters' },
+    // Custom providers keep their model list in their connection settings
+    ...(platform.isCustomProvider ? [] : [{ id: 'models', label: 'Models' }]),
   ];
 
   const [internalIntendedActiveSubTab, setInternalIntendedActiveSubTab] =
@@ -59,21 +53,12 @@ const PlatformDetails = ({
 
   useEffect(() => {
     setInternalIntendedActiveSubTab(activeSubTab);
-    if (activeSubTab === 'apiKey') {
-      setDisplayedSubTabContentId('apiKey');
+    if (activeSubTab === 'apiKey' || activeSubTab === 'models') {
+      setDisplayedSubTabContentId(activeSubTab);
     }
   }, [activeSubTab]);
 
   useEffect(() => {
-    if (credentials?.apiKey) {
-      setApiKey(credentials.apiKey);
-      setOriginalApiKey(credentials.apiKey);
-    } else {
-      setApiKey('');
-      setOriginalApiKey('');
-    }
-    setHasApiKeyChanges(false);
-
     const firstModelId = platform.apiConfig?.models?.[0]?.id;
     if (firstModelId) {
       setSelectedModelId(firstModelId);
@@ -84,49 +69,7 @@ const PlatformDetails = ({
       );
       setSelectedModelId(fallbackModelId);
     }
-  }, [platform.id, platform.apiConfig, credentials]);
-
-  const handleApiKeyValidation = useCallback((isValid) => {
-    setIsApiKeyValid(isValid);
-  }, []);
-
-  const handleApiKeyChange = (e) => {
-    const newApiKey = e.target.value;
-    setApiKey(newApiKey);
-    setHasApiKeyChanges(newApiKey !== originalApiKey);
-  };
-
-  const handleSaveCredentials = async () => {
-    if (!isApiKeyValid) {
-      error('API Key is required.');
-      return;
-    }
-    setIsSavingApiKeyActual(true);
-    const success = await saveApiKeyAction(platform.id, apiKey);
-    if (success) {
-      setOriginalApiKey(apiKey);
-      setHasApiKeyChanges(false);
-    }
-    setIsSavingApiKeyActual(false);
-  };
-
-  const handleRemoveCredentials = async () => {
-    if (
-      !window.confirm(
-        `Are you sure you want to remove the API key for ${platform.name}?`
-      )
-    ) {
-      return;
-    }
-    setIsRemovingApiKeyActual(true);
-    const success = await removeApiKeyAction(platform.id);
-    if (success) {
-      setApiKey('');
-      setOriginalApiKey('');
-      setHasApiKeyChanges(false);
-    }
-    setIsRemovingApiKeyActual(false);
-  };
+  }, [platform.id, platform.apiConfig]);
 
   const handleModelSelect = (modelId) => {
     setSelectedModelId(modelId);
@@ -138,12 +81,6 @@ const PlatformDetails = ({
     }
   }, [internalIntendedActiveSubTab]);
 
-  const isSaveDisabled =
-    shouldShowApiKeySaving ||
-    isRemovingApiKeyActual ||
-    !isApiKeyValid ||
-    (credentials && !hasApiKeyChanges);
-
   return (
     <div className='platform-details-panel flex-1'>
       <div className='platform-header flex items-center mb-6'>
@@ -165,40 +102,46 @@ const PlatformDetails = ({
           <h3 className='platform-title text-xl font-semibold mb-2 text-theme-primary truncate'>
             {platform.name}
           </h3>
-          <div className='platform-actions flex flex-wrap gap-x-3 gap-y-1'>
-            <a
-              href={platform.consoleApiLink}
-              target='_blank'
-              rel='noopener noreferrer'
-              className='platform-link text-primary hover:underline text-sm cursor-pointer'
-            >
-              API Console
-            </a>
-            <a
-              href={platform.docApiLink}
-              target='_blank'
-              rel='noopener noreferrer'
-              className='platform-link text-primary hover:underline text-sm cursor-pointer'
-            >
-              API Documentation
-            </a>
-            <a
-              href={platform.modelApiLink}
-              target='_blank'
-              rel='noopener noreferrer'
-              className='platform-link text-primary hover:underline text-sm cursor-pointer'
-            >
-              Model Documentation
-            </a>
-            <a
-              href={platform.keyApiLink}
-              target='_blank'
-              rel='noopener noreferrer'
-              className='platform-link text-primary hover:underline text-sm cursor-pointer'
-            >
-              API Keys
-            </a>
-          </div>
+          {platform.isCustomProvider ? (
+            <p className='text-sm text-theme-secondary font-mono truncate'>
+              {platform.url}
+            </p>
+          ) : (
+            <div className='platform-actions flex flex-wrap gap-x-3 gap-y-1'>
+              <a
+                href={platform.consoleApiLink}
+                target='_blank'
+                rel='noopener noreferrer'
+                className='platform-link text-primary hover:underline text-sm cursor-pointer'
+              >
+                API Console
+              </a>
+              <a
+                href={platform.docApiLink}
+                target='_blank'
+                rel='noopener noreferrer'
+                className='platform-link text-primary hover:underline text-sm cursor-pointer'
+              >
+                API Documentation
+              </a>
+              <a
+                href={platform.modelApiLink}
+                target='_blank'
+                rel='noopener noreferrer'
+                className='platform-link text-primary hover:underline text-sm cursor-pointer'
+              >
+                Model Documentation
+              </a>
+              <a
+                href={platform.keyApiLink}
+                target='_blank'
+                rel='noopener noreferrer'
+                className='platform-link text-primary hover:underline text-sm cursor-pointer'
+              >
+                API Keys
+              </a>
+            </div>
+          )}
         </div>
       </div>
 
@@ -207,8 +150,8 @@ const PlatformDetails = ({
         activeTabId={internalIntendedActiveSubTab}
         onTabSelect={(tabId) => {
           setInternalIntendedActiveSubTab(tabId);
-          if (tabId === 'apiKey') {
-            setDisplayedSubTabContentId('apiKey');
+          if (tabId === 'apiKey' || tabId === 'models') {
+            setDisplayedSubTabContentId(tabId);
           }
           if (typeof onSubTabSelect === 'function') {
             onSubTabSelect(tabId);
@@ -225,85 +168,43 @@ const PlatformDetails = ({
           return (
             <>
               <div style={{ display: showApiKeyContent ? 'block' : 'none' }}>
-                <SettingsCard className='settings-section'>
-                  <h4 className='section-subtitle text-base font-semibold mb-4 text-theme-primary'>
-                    API Credentials
-                  </h4>
-                  <div className='form-group mb-4'>
-                    <label
-                      htmlFor={`${platform.id}-api-key`}
-                      className='block mb-2 text-sm text-theme-secondary'
-                    >
-                      API Key
-                    </label>
-                    <Input
-                      type={showApiKey ? 'text' : 'password'}
-                      id={`${platform.id}-api-key`}
-                      value={apiKey}
-                      onChange={handleApiKeyChange}
-                      placeholder={
-                        credentials?.apiKey
-                          ? '••••••••••••••••••••••••••'
-                          : 'Enter your API key'
-                      }
-                      disabled={shouldShowApiKeySaving}
-                      className='api-key-input p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
-                      required
-                      onValidation={handleApiKeyValidation}
-                      endContent={
-                        <button
-                          type='button'
-                          className='show-key-toggle px-2 py-1 text-primary hover:text-primary-hover bg-transparent rounded select-none'
-                          onClick={() => setShowApiKey(!showApiKey)}
-                          aria-label={
-                            showApiKey ? 'Hide API key' : 'Show API key'
-                          }
-                          disabled={shouldShowApiKeySaving}
-                        >
-                          {showApiKey ? 'Hide' : 'Show'}
-                        </button>
-                      }
+                {platform.isCustomProvider ? (
+                  <CustomProviderForm
+                    provider={customProvider}
+                    credentials={credentials}
+                    onSave={saveCustomProviderAction}
+                    onRemove={removeCustomProviderAction}
+                  />
+                ) : (
+                  <>
+                    <CredentialProfilesSettings
+                      key={platform.id}
+                      platform={platform}
+                      credentials={credentials}
+                      spend={credentialSpend}
+                      onSave={saveCredentialProfileAction}
+                      onRemove={removeCredentialProfileAction}
+                      onActivate={setActiveCredentialProfileAction}
+                      onValidate={validateCredentialProfileAction}
+                    />
+                    <ConnectionOverrideSettings
+                      key={`${platform.id}-connection`}
+                      platform={platform}
+                      onSaved={refreshPlatformConfigsAction}
                     />
-                  </div>
-                  <div className='my-3 flex items-start text-xs text-amber-600 dark:text-amber-500'>
-                    <InfoIcon className='w-4 h-4 mr-2 flex-shrink-0' />
-                    <span>
-                      Note: Newly created API keys can take a few minutes to
-                      become active. If validation fails, please try again
-                      shortly.
-                    </span>
-                  </div>
-                  <div className='form-actions flex justify-end gap-3'>
-                    {credentials && (
-                      <Button
-                        variant='danger'
-                        onClick={handleRemoveCredentials}
-                        className='select-none'
-                        isLoading={isRemovingApiKeyActual}
-                        loadingText='Removing...'
-                        disabled={
-                          isRemovingApiKeyActual ||
-                          shouldShowApiKeySaving ||
-                          !credentials
-                        }
-                      >
-                        Remove Key
-                      </Button>
-                    )}
-                    <Button
-                      onClick={handleSaveCredentials}
-                      isLoading={shouldShowApiKeySaving}
-                      loadingText='Saving...'
-                      disabled={isSaveDisabled}
-                      variant={isSaveDisabled ? 'inactive' : 'primary'}
-                      className='select-none'
-                    >
-                      {credentials ? 'Update Key' : 'Save Key'}
-                    </Button>
-                  </div>
-                </SettingsCard>
+                  </>
+                )}
               </div>
 
+              {displayedSubTabContentId === 'models' &&
+                !platform.isCustomProvider && (
+                  <ModelDiscoverySettings
+                    platform={platform}
+                    hasApiKey={!!credentials?.apiKey}
+                    onModelsChanged={refreshPlatformConfigsAction}
+                  />
+                )}
+
               {shouldMountModelParamsComponent && (
                 <div
                   style={{ display: showModelParamsContent ? 'block' : 'none' }}
@@ -332,9 +233,16 @@ const PlatformDetails = ({
 PlatformDetails.propTypes = {
   platform: PropTypes.object.isRequired,
   credentials: PropTypes.object,
+  credentialSpend: PropTypes.object,
+  customProvider: PropTypes.object,
   modelParametersForPlatform: PropTypes.object,
-  saveApiKeyAction: PropTypes.func.isRequired,
-  removeApiKeyAction: PropTypes.func.isRequired,
+  saveCredentialProfileAction: PropTypes.func.isRequired,
+  removeCredentialProfileAction: PropTypes.func.isRequired,
+  setActiveCredentialProfileAction: PropTypes.func.isRequired,
+  validateCredentialProfileAction: PropTypes.func.isRequired,
+  saveCustomProviderAction: PropTypes.func,
+  removeCustomProviderAction: PropTypes.func,
+  refreshPlatformConfigsAction: PropTypes.func.isRequired,
   saveModelParametersSettingsAction: PropTypes.func.isRequired,
   resetModelParametersSettingsToDefaultsAction: PropTypes.func.isRequired,
   activeSubTab: PropTypes.string.isRequired,
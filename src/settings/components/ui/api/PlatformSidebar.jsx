@@ -2,13 +2,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-import { PlatformIcon, CheckIcon } from '../../../../components';
+import { PlatformIcon, CheckIcon, PlusIcon } from '../../../../components';
 
 const PlatformSidebar = ({
   platforms,
   selectedPlatformId,
   credentials,
   onSelectPlatform,
+  onAddCustomProvider,
+  isAddingCustomProvider = false,
 }) => {
   return (
     <div className='platform-sidebar flex-none border-r border-theme pr-5'>
@@ -56,6 +58,19 @@ const PlatformSidebar = ({
           </button>
         ))}
       </ul>
+
+      {onAddCustomProvider && (
+        <button
+          type='button'
+          className={`add-custom-provider flex items-center justify-center w-full mt-3 px-3 py-3 rounded-lg border border-dashed border-theme text-sm text-theme-secondary hover:text-primary hover:border-primary transition-colors select-none ${
+            isAddingCustomProvider ? 'bg-theme-hover' : ''
+          }`}
+          onClick={onAddCustomProvider}
+        >
+          <PlusIcon className='w-4 h-4 mr-2' />
+          Add Custom Provider
+        </button>
+      )}
     </div>
   );
 };
@@ -65,6 +80,8 @@ PlatformSidebar.propTypes = {
   selectedPlatformId: PropTypes.string,
   credentials: PropTypes.object.isRequired,
   onSelectPlatform: PropTypes.func.isRequired,
+  onAddCustomProvider: PropTypes.func,
+  isAddingCustomProvider: PropTypes.bool,
 };
 
 export default React.memo(PlatformSidebar);
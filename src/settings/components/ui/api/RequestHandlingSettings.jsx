@@ -0,0 +1,135 @@
+// src/settings/components/ui/api/RequestHandlingSettings.jsx
+import React, { useState, useEffect } from 'react';
+
+import { Button, SliderInput, useNotification } from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { logger } from '../../../../shared/logger';
+import {
+  STORAGE_KEYS,
+  DEFAULT_API_RETRY_SETTINGS,
+  MIN_API_RETRY_ATTEMPTS,
+  MAX_API_RETRY_ATTEMPTS,
+  RETRYABLE_HTTP_STATUS_CODES,
+} from '../../../../shared/constants';
+import { normalizeRetrySettings } from '../../../../api/utils/retry-utils';
+
+const RequestHandlingSettings = () => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [savedSettings, setSavedSettings] = useState(
+    DEFAULT_API_RETRY_SETTINGS
+  );
+  const [formValues, setFormValues] = useState(DEFAULT_API_RETRY_SETTINGS);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await chrome.storage.sync.get(
+          STORAGE_KEYS.API_RETRY_SETTINGS
+        );
+        const loadedSettings = normalizeRetrySettings(
+          result[STORAGE_KEYS.API_RETRY_SETTINGS]
+        );
+        setSavedSettings(loadedSettings);
+        setFormValues(loadedSettings);
+      } catch (error) {
+        logger.settings.error('Error loading retry settings:', error);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  const hasChanges =
+    formValues.maxAttempts !== savedSettings.maxAttempts ||
+    formValues.baseDelayMs !== savedSettings.baseDelayMs;
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const settingsToSave = normalizeRetrySettings(formValues);
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.API_RETRY_SETTINGS]: settingsToSave,
+      });
+      setSavedSettings(settingsToSave);
+      setFormValues(settingsToSave);
+      showSuccessNotification('Retry settings saved.');
+    } catch (error) {
+      logger.settings.error('Error saving retry settings:', error);
+      showErrorNotification(`Failed to save retry settings: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <SettingsCard className='mt-6'>
+      <h3 className='text-base font-semibold text-theme-primary mb-2'>
+        Automatic Retries
+      </h3>
+      <p className='text-sm text-theme-secondary mb-4'>
+        Requests rejected because of rate limits or temporary server errors (
+        {RETRYABLE_HTTP_STATUS_CODES.join(', ')}) are retried with an increasing
+        delay before any response is shown. A delay requested by the provider is
+        always honored.
+      </p>
+
+      <span className='block mb-2 text-sm font-medium text-theme-primary'>
+        Maximum attempts
+      </span>
+      <p className='help-text text-xs text-theme-secondary mb-2'>
+        Total number of attempts, including the first request. Set to 1 to
+        disable retries.
+      </p>
+      <SliderInput
+        label=''
+        value={formValues.maxAttempts}
+        onChange={(value) =>
+          setFormValues((prev) => ({ ...prev, maxAttempts: value }))
+        }
+        min={MIN_API_RETRY_ATTEMPTS}
+        max={MAX_API_RETRY_ATTEMPTS}
+        step={1}
+        disabled={isSaving}
+        className='form-group mb-4'
+      />
+
+      <span className='block mb-2 text-sm font-medium text-theme-primary'>
+        Initial delay (seconds)
+      </span>
+      <p className='help-text text-xs text-theme-secondary mb-2'>
+        Delay before the first retry; it doubles with each further attempt.
+      </p>
+      <SliderInput
+        label=''
+        value={formValues.baseDelayMs / 1000}
+        onChange={(value) =>
+          setFormValues((prev) => ({
+            ...prev,
+            baseDelayMs: Math.round(value * 1000),
+          }))
+        }
+        min={0.5}
+        max={10}
+        step={0.5}
+        disabled={isSaving}
+        className='form-group mb-4'
+      />
+
+      <div className='flex justify-end'>
+        <Button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          isLoading={isSaving}
+          loadingText='Saving...'
+          variant={!hasChanges ? 'inactive' : 'primary'}
+          size='md'
+        >
+          Save
+        </Button>
+      </div>
+    </SettingsCard>
+  );
+};
+
+export default RequestHandlingSettings;
@@ -0,0 +1,213 @@
+// src/settings/components/ui/data/VaultSettings.jsx
+import React, { useState } from 'react';
+
+import {
+  Button,
+  CustomSelect,
+  Input,
+  VaultUnlockForm,
+  useNotification,
+} from '../../../../components';
+import SettingsCard from '../common/SettingsCard';
+import { useVaultStatus } from '../../../../hooks/useVaultStatus';
+import VaultService from '../../../../services/VaultService';
+import {
+  DEFAULT_VAULT_AUTO_LOCK_MINUTES,
+  MIN_VAULT_PASSPHRASE_LENGTH,
+  VAULT_AUTO_LOCK_OPTIONS,
+} from '../../../../shared/constants';
+
+const AUTO_LOCK_SELECT_OPTIONS = VAULT_AUTO_LOCK_OPTIONS.map((minutes) => ({
+  id: String(minutes),
+  name:
+    minutes < 60
+      ? `${minutes} minutes`
+      : `${minutes / 60} ${minutes === 60 ? 'hour' : 'hours'}`,
+}));
+
+const VaultSettings = () => {
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const { isLoading, isEnabled, isUnlocked, autoLockMinutes } =
+    useVaultStatus();
+
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [newAutoLockMinutes, setNewAutoLockMinutes] = useState(
+    DEFAULT_VAULT_AUTO_LOCK_MINUTES
+  );
+  const [isWorking, setIsWorking] = useState(false);
+
+  const passphraseError =
+    passphrase.length > 0 && passphrase.length < MIN_VAULT_PASSPHRASE_LENGTH
+      ? `Use at least ${MIN_VAULT_PASSPHRASE_LENGTH} characters.`
+      : confirmPassphrase.length > 0 && confirmPassphrase !== passphrase
+        ? 'Passphrases do not match.'
+        : null;
+  const canEnable =
+    passphrase.length >= MIN_VAULT_PASSPHRASE_LENGTH &&
+    confirmPassphrase === passphrase &&
+    !isWorking;
+
+  const handleEnable = async () => {
+    setIsWorking(true);
+    const success = await VaultService.enable(passphrase, newAutoLockMinutes);
+    setIsWorking(false);
+    if (success) {
+      setPassphrase('');
+      setConfirmPassphrase('');
+      showSuccessNotification(
+        'Vault enabled. API keys and chat history are now encrypted.'
+      );
+    } else {
+      showErrorNotification('Failed to enable the vault.');
+    }
+  };
+
+  const handleDisable = async () => {
+    if (
+      !window.confirm(
+        'Disable the vault? API keys and chat history will be stored unencrypted again.'
+      )
+    ) {
+      return;
+    }
+    setIsWorking(true);
+    const success = await VaultService.disable();
+    setIsWorking(false);
+    if (success) {
+      showSuccessNotification('Vault disabled.');
+    } else {
+      showErrorNotification('Failed to disable the vault.');
+    }
+  };
+
+  const handleAutoLockChange = async (minutes) => {
+    const success = await VaultService.setAutoLockMinutes(Number(minutes));
+    if (!success) {
+      showErrorNotification('Failed to save the auto-lock delay.');
+    }
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  return (
+    <SettingsCard className='mb-6'>
+      <h3 className='text-base font-semibold text-theme-primary mb-2'>Vault</h3>
+      <p className='text-sm text-theme-secondary mb-4'>
+        Encrypt your API keys and chat history on this device with a passphrase.
+        The vault locks itself after a period of inactivity and when the browser
+        closes. A forgotten passphrase cannot be recovered: the encrypted data
+        would have to be reset.
+      </p>
+
+      {!isEnabled && (
+        <div className='max-w-md'>
+          <label
+            htmlFor='vault-passphrase'
+            className='block mb-2 text-sm text-theme-secondary'
+          >
+            Passphrase
+          </label>
+          <Input
+            type='password'
+            id='vault-passphrase'
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            disabled={isWorking}
+            className='mb-3 p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+          <label
+            htmlFor='vault-passphrase-confirm'
+            className='block mb-2 text-sm text-theme-secondary'
+          >
+            Confirm Passphrase
+          </label>
+          <Input
+            type='password'
+            id='vault-passphrase-confirm'
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            disabled={isWorking}
+            className='p-2 bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+          />
+          {passphraseError && (
+            <p className='mt-2 text-xs text-error'>{passphraseError}</p>
+          )}
+          <div className='mt-4 flex items-center justify-between gap-3'>
+            <div className='flex items-center gap-3'>
+              <span className='text-sm text-theme-primary'>Lock after</span>
+              <CustomSelect
+                options={AUTO_LOCK_SELECT_OPTIONS}
+                selectedValue={String(newAutoLockMinutes)}
+                onChange={(minutes) => setNewAutoLockMinutes(Number(minutes))}
+                disabled={isWorking}
+              />
+              <span className='text-sm text-theme-secondary'>
+                of inactivity
+              </span>
+            </div>
+            <Button
+              onClick={handleEnable}
+              isLoading={isWorking}
+              loadingText='Encrypting...'
+              disabled={!canEnable}
+              variant={canEnable ? 'primary' : 'inactive'}
+              className='select-none'
+            >
+              Enable Vault
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {isEnabled && !isUnlocked && (
+        <div className='max-w-md'>
+          <p className='text-sm text-theme-primary mb-3'>
+            The vault is locked.
+          </p>
+          <VaultUnlockForm />
+        </div>
+      )}
+
+      {isEnabled && isUnlocked && (
+        <div className='flex flex-wrap items-center justify-between gap-3'>
+          <div className='flex items-center gap-3'>
+            <span className='text-sm text-theme-primary'>Lock after</span>
+            <CustomSelect
+              options={AUTO_LOCK_SELECT_OPTIONS}
+              selectedValue={String(autoLockMinutes)}
+              onChange={handleAutoLockChange}
+              disabled={isWorking}
+            />
+            <span className='text-sm text-theme-secondary'>of inactivity</span>
+          </div>
+          <div className='flex gap-3'>
+            <Button
+              variant='secondary'
+              onClick={() => VaultService.lock()}
+              disabled={isWorking}
+              className='select-none'
+            >
+              Lock Now
+            </Button>
+            <Button
+              variant='danger'
+              onClick={handleDisable}
+              isLoading={isWorking}
+              loadingText='Decrypting...'
+              disabled={isWorking}
+              className='select-none'
+            >
+              Disable Vault
+            </Button>
+          </div>
+        </div>
+      )}
+    </SettingsCard>
+  );
+};
+
+export default VaultSettings;
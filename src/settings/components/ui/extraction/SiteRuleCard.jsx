@@ -0,0 +1,223 @@
+// src/settings/components/ui/extraction/SiteRuleCard.jsx
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  CustomSelect,
+  IconButton,
+  Input,
+  TextArea,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  TrashIcon,
+} from '../../../../components';
+import { logger } from '../../../../shared/logger';
+import { EXTRACTION_STRATEGIES } from '../../../../shared/constants';
+import { robustSendMessage } from '../../../../shared/utils/message-utils';
+
+const DEFAULT_STRATEGY_ID = 'default';
+const PREVIEW_MAX_LENGTH = 3000;
+
+const STRATEGY_OPTIONS = [
+  { id: DEFAULT_STRATEGY_ID, name: 'Default strategy' },
+  { id: EXTRACTION_STRATEGIES.FOCUSED, name: 'Focused (article)' },
+  { id: EXTRACTION_STRATEGIES.BROAD, name: 'Broad (whole page)' },
+];
+
+const SELECTOR_FIELDS = [
+  {
+    field: 'includeSelectors',
+    label: 'Include only',
+    placeholder: 'main .wiki-content',
+  },
+  {
+    field: 'excludeSelectors',
+    label: 'Exclude',
+    placeholder: '.page-comments\n#likes-section',
+  },
+  {
+    field: 'waitForSelectors',
+    label: 'Wait for',
+    placeholder: '.wiki-content p',
+  },
+];
+
+const rowButtonClasses =
+  'p-1 rounded-md text-theme-secondary hover:text-primary hover:bg-theme-hover disabled:opacity-40';
+
+/**
+ * Editor of one site rule, with a preview of its result on the web page the
+ * user visited last. Selectors are edited one per line.
+ */
+const SiteRuleCard = ({
+  rule,
+  toRule,
+  validationError,
+  isFirst,
+  isLast,
+  disabled,
+  onChange,
+  onMove,
+  onRemove,
+}) => {
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  const handleTest = async () => {
+    setIsPreviewing(true);
+    setPreview(null);
+    try {
+      const response = await robustSendMessage({
+        action: 'previewSiteRule',
+        rule: toRule(rule),
+      });
+      setPreview(response || { success: false, error: 'No response.' });
+    } catch (error) {
+      logger.settings.error('Error testing site rule:', error);
+      setPreview({ success: false, error: error.message });
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const previewContent = preview?.data?.content || '';
+
+  return (
+    <li className='py-3 px-3 rounded-md bg-theme-surface border border-theme'>
+      <div className='flex flex-wrap items-center gap-2 mb-3'>
+        <div className='flex-1 min-w-[12rem]'>
+          <Input
+            value={rule.pattern}
+            onChange={(e) => onChange({ pattern: e.target.value })}
+            placeholder='wiki.example.com/spaces/*'
+            aria-label='Site pattern'
+            disabled={disabled}
+            className='p-2 bg-theme-surface border border-theme rounded-md font-mono focus:ring-primary focus:border-primary'
+          />
+        </div>
+        <CustomSelect
+          options={STRATEGY_OPTIONS}
+          selectedValue={rule.strategy || DEFAULT_STRATEGY_ID}
+          onChange={(strategy) =>
+            onChange({
+              strategy: strategy === DEFAULT_STRATEGY_ID ? null : strategy,
+            })
+          }
+          disabled={disabled}
+        />
+        <div className='ml-auto flex items-center gap-1'>
+          <IconButton
+            icon={ChevronUpIcon}
+            iconClassName='w-4 h-4'
+            className={rowButtonClasses}
+            onClick={() => onMove(-1)}
+            disabled={disabled || isFirst}
+            ariaLabel='Move up'
+            title='Move up'
+          />
+          <IconButton
+            icon={ChevronDownIcon}
+            iconClassName='w-4 h-4'
+            className={rowButtonClasses}
+            onClick={() => onMove(1)}
+            disabled={disabled || isLast}
+            ariaLabel='Move down'
+            title='Move down'
+          />
+          <IconButton
+            icon={TrashIcon}
+            iconClassName='w-4 h-4'
+            className={rowButtonClasses}
+            onClick={onRemove}
+            disabled={disabled}
+            ariaLabel='Delete rule'
+            title='Delete rule'
+          />
+        </div>
+      </div>
+
+      <div className='grid grid-cols-3 gap-2 mb-3'>
+        {SELECTOR_FIELDS.map(({ field, label, placeholder }) => (
+          <label
+            key={field}
+            className='flex flex-col gap-1 text-xs text-theme-secondary'
+          >
+            {label}
+            <TextArea
+              value={rule[field]}
+              onChange={(e) => onChange({ [field]: e.target.value })}
+              placeholder={placeholder}
+              disabled={disabled}
+              className='w-full p-2 text-xs font-mono bg-theme-surface border border-theme rounded-md focus:ring-primary focus:border-primary'
+            />
+          </label>
+        ))}
+      </div>
+
+      {validationError && (
+        <p className='mb-3 text-xs text-error'>{validationError}</p>
+      )}
+
+      <div className='flex items-center gap-3'>
+        <Button
+          onClick={handleTest}
+          variant='secondary'
+          size='sm'
+          isLoading={isPreviewing}
+          loadingText='Testing...'
+          disabled={disabled || isPreviewing || !!validationError}
+        >
+          Test on Current Tab
+        </Button>
+        {preview?.tabTitle && (
+          <span className='text-xs text-theme-secondary truncate'>
+            {preview.tabTitle}
+          </span>
+        )}
+      </div>
+
+      {preview && (
+        <div className='mt-3'>
+          {!preview.success ? (
+            <p className='text-xs text-error'>
+              {preview.error || 'The test failed.'}
+            </p>
+          ) : (
+            <>
+              {!preview.matches && (
+                <p className='mb-2 text-xs text-warning'>
+                  The pattern does not match this page, so the rule would not
+                  apply to it.
+                </p>
+              )}
+              <p className='mb-1 text-xs text-theme-secondary'>
+                {preview.data.mode} strategy, {previewContent.length} characters
+                extracted
+              </p>
+              <pre className='max-h-64 overflow-y-auto p-2 text-xs whitespace-pre-wrap break-words rounded-md bg-theme-primary border border-theme text-theme-primary'>
+                {previewContent.length > PREVIEW_MAX_LENGTH
+                  ? `${previewContent.slice(0, PREVIEW_MAX_LENGTH)}…`
+                  : previewContent}
+              </pre>
+            </>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+SiteRuleCard.propTypes = {
+  rule: PropTypes.object.isRequired,
+  toRule: PropTypes.func.isRequired,
+  validationError: PropTypes.string,
+  isFirst: PropTypes.bool.isRequired,
+  isLast: PropTypes.bool.isRequired,
+  disabled: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+export default SiteRuleCard;
@@ -203,6 +203,17 @@ const PromptDetail = ({ prompt, onEdit, onDelete }) => {
         {prompt.prompt.content}
       </div>
 
+      {prompt.prompt.outputSchema && (
+        <div className='mb-5'>
+          <h4 className='mb-2 text-sm font-semibold text-theme-secondary'>
+            Output JSON Schema
+          </h4>
+          <pre className='p-4 rounded-lg bg-theme-surface border border-theme text-xs font-mono text-theme-primary overflow-auto prompt-content-scrollable'>
+            {JSON.stringify(prompt.prompt.outputSchema, null, 2)}
+          </pre>
+        </div>
+      )}
+
       <div className='prompt-detail-actions flex justify-end gap-3'>
         <Button
           variant='secondary'
@@ -1,5 +1,5 @@
 // src/settings/components/ui/prompts/PromptForm.jsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 
 import { logger } from '../../../../shared/logger';
@@ -19,8 +19,12 @@ import {
   MAX_PROMPT_CONTENT_LENGTH,
 } from '../../../../shared/constants';
 import { ensureDefaultPrompts } from '../../../../shared/utils/prompt-utils';
+import { parseOutputSchemaText } from '../../../../shared/utils/structured-output-utils';
 import useMinimumLoadingTime from '../../../../hooks/useMinimumLoadingTime';
 
+const formatOutputSchema = (schema) =>
+  schema ? JSON.stringify(schema, null, 2) : '';
+
 const PromptForm = ({
   prompt = null,
   onCancel,
@@ -37,26 +41,35 @@ const PromptForm = ({
     content: false,
   });
 
-  const isEditing = !!prompt;
-  const isFormValid = Object.values(inputValidity).every(Boolean);
-
   const [formData, setFormData] = useState({
     name: prompt?.prompt.name || '',
     content: prompt?.prompt.content || '',
+    outputSchema: formatOutputSchema(prompt?.prompt.outputSchema),
     contentType: prompt?.contentType || initialContentType,
   });
 
+  const parsedOutputSchema = useMemo(
+    () => parseOutputSchemaText(formData.outputSchema),
+    [formData.outputSchema]
+  );
+
+  const isEditing = !!prompt;
+  const isFormValid =
+    Object.values(inputValidity).every(Boolean) && !parsedOutputSchema.error;
+
   useEffect(() => {
     if (isEditing && prompt) {
       setFormData({
         name: prompt.prompt.name || '',
         content: prompt.prompt.content || '',
+        outputSchema: formatOutputSchema(prompt.prompt.outputSchema),
         contentType: prompt.contentType || CONTENT_TYPES.GENERAL,
       });
     } else if (!isEditing) {
       setFormData({
         name: '',
         content: '',
+        outputSchema: '',
         contentType: initialContentType,
       });
     }
@@ -147,6 +160,9 @@ const PromptForm = ({
           content: content.trim(),
           updatedAt: new Date().toISOString(),
         };
+        if (parsedOutputSchema.schema) {
+          promptObjectToSave.outputSchema = parsedOutputSchema.schema;
+        }
 
         if (isEditing) {
           const currentPromptId = prompt.id;
@@ -198,7 +214,16 @@ const PromptForm = ({
         setIsSavingActual(false);
       }
     },
-    [formData, isEditing, prompt, success, error, onSuccess, isFormValid]
+    [
+      formData,
+      parsedOutputSchema,
+      isEditing,
+      prompt,
+      success,
+      error,
+      onSuccess,
+      isFormValid,
+    ]
   );
 
   const contentTypeOptions = Object.entries(CONTENT_TYPE_LABELS).map(
@@ -289,6 +314,43 @@ const PromptForm = ({
         </div>
       </div>
 
+      <div className='form-group mb-6'>
+        <label
+          htmlFor='prompt-output-schema'
+          className='block mb-1 text-base font-semibold text-theme-secondary'
+        >
+          Output JSON Schema (optional)
+        </label>
+        <p className='mb-3 text-xs text-theme-secondary'>
+          When set, the answer is returned as JSON matching this schema and
+          shown as a tree or table. The root must be an object, e.g.{' '}
+          <code>
+            {
+              '{"type":"object","properties":{"items":{"type":"array","items":{...}}}}'
+            }
+          </code>
+        </p>
+        <div className='select-none'>
+          <TextArea
+            id='prompt-output-schema'
+            name='outputSchema'
+            placeholder='{ "type": "object", "properties": { ... } }'
+            value={formData.outputSchema}
+            onChange={handleChange}
+            maxLength={MAX_PROMPT_CONTENT_LENGTH}
+            disabled={shouldShowSaving}
+            className='bg-theme-surface text-sm font-mono border border-theme rounded-md'
+            style={{ minHeight: '80px' }}
+            autoResize={true}
+          />
+        </div>
+        {parsedOutputSchema.error && (
+          <p className='mt-1 text-xs text-red-500'>
+            {parsedOutputSchema.error}
+          </p>
+        )}
+      </div>
+
       <div className='form-actions flex justify-end gap-4 mt-7'>
         <Button
           type='button'
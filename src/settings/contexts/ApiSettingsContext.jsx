@@ -12,8 +12,21 @@ import PropTypes from 'prop-types';
 import { logger } from '../../shared/logger';
 import { robustDeepClone } from '../../shared/utils/object-utils';
 import { STORAGE_KEYS } from '../../shared/constants';
+import {
+  generateCustomProviderId,
+  normalizeBaseUrl,
+} from '../../shared/utils/custom-provider-utils';
+import {
+  DEFAULT_CREDENTIAL_PROFILE_NAME,
+  buildCredentialEntry,
+  generateCredentialProfileId,
+  getActiveCredentialProfile,
+  getCredentialProfiles,
+} from '../../shared/utils/credential-profile-utils';
 import ConfigService from '../../services/ConfigService';
 import CredentialManager from '../../services/CredentialManager';
+import VaultService from '../../services/VaultService';
+import ApiServiceManager from '../../services/ApiServiceManager';
 import { useNotification } from '../../components/feedback/NotificationContext';
 
 const ApiSettingsContext = createContext(null);
@@ -26,6 +39,8 @@ export const ApiSettingsProvider = ({ children }) => {
 
   const [platformConfigs, setPlatformConfigs] = useState([]);
   const [allCredentials, setAllCredentials] = useState({});
+  const [customProviders, setCustomProviders] = useState({});
+  const [credentialProfileSpend, setCredentialProfileSpend] = useState({});
   const [allModelParameterSettings, setAllModelParameterSettings] = useState(
     {}
   );
@@ -43,19 +58,27 @@ export const ApiSettingsProvider = ({ children }) => {
           loadedPlatformConfigs,
           credentialsResult,
           advancedSettingsResult,
+          customProvidersResult,
+          profileSpendResult,
         ] = await Promise.all([
           ConfigService.getAllPlatformConfigs(),
-          chrome.storage.local.get(STORAGE_KEYS.API_CREDENTIALS),
+          VaultService.get(STORAGE_KEYS.API_CREDENTIALS),
           chrome.storage.local.get(STORAGE_KEYS.MODEL_PARAMETER_SETTINGS),
+          chrome.storage.local.get(STORAGE_KEYS.CUSTOM_PROVIDERS),
+          chrome.storage.local.get(STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND),
         ]);
 
         setPlatformConfigs(loadedPlatformConfigs || []);
-        setAllCredentials(
-          credentialsResult[STORAGE_KEYS.API_CREDENTIALS] || {}
-        );
+        setAllCredentials(credentialsResult || {});
         setAllModelParameterSettings(
           advancedSettingsResult[STORAGE_KEYS.MODEL_PARAMETER_SETTINGS] || {}
         );
+        setCustomProviders(
+          customProvidersResult[STORAGE_KEYS.CUSTOM_PROVIDERS] || {}
+        );
+        setCredentialProfileSpend(
+          profileSpendResult[STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND] || {}
+        );
 
         if (loadedPlatformConfigs && loadedPlatformConfigs.length > 0) {
           setSelectedPlatformId(loadedPlatformConfigs[0].id);
@@ -73,6 +96,19 @@ export const ApiSettingsProvider = ({ children }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // showErrorNotification is stable
 
+  // Spend is recorded by the side panel as responses complete
+  useEffect(() => {
+    const handleStorageChange = (changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND]) {
+        setCredentialProfileSpend(
+          changes[STORAGE_KEYS.CREDENTIAL_PROFILE_SPEND].newValue || {}
+        );
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, []);
+
   // Derived State
   const selectedPlatformConfig = useMemo(() => {
     if (!selectedPlatformId || platformConfigs.length === 0) {
@@ -88,6 +124,20 @@ export const ApiSettingsProvider = ({ children }) => {
     return allCredentials[selectedPlatformId] || null;
   }, [selectedPlatformId, allCredentials]);
 
+  const credentialSpendForSelectedPlatform = useMemo(() => {
+    if (!selectedPlatformId) {
+      return {};
+    }
+    return credentialProfileSpend[selectedPlatformId] || {};
+  }, [selectedPlatformId, credentialProfileSpend]);
+
+  const customProviderForSelectedPlatform = useMemo(() => {
+    if (!selectedPlatformId) {
+      return null;
+    }
+    return customProviders[selectedPlatformId] || null;
+  }, [selectedPlatformId, customProviders]);
+
   const modelParametersForSelectedPlatform = useMemo(() => {
     if (!selectedPlatformId) {
       return {}; // Return empty object if no platform selected
@@ -100,11 +150,47 @@ export const ApiSettingsProvider = ({ children }) => {
     setSelectedPlatformId(platformId);
   }, []);
 
-  const saveApiKey = useCallback(
-    async (platformId, apiKey) => {
+  // Reloads platform configs after their model lists change (e.g., discovered models shown or hidden)
+  const refreshPlatformConfigs = useCallback(async () => {
+    const loadedPlatformConfigs = await ConfigService.getAllPlatformConfigs();
+    setPlatformConfigs(loadedPlatformConfigs || []);
+  }, []);
+
+  // Writes a platform's credentials entry; a null entry removes the credentials
+  const storeCredentialEntry = useCallback(
+    async (platformId, entry) => {
+      const updatedCredentials = { ...allCredentials };
+      if (entry) {
+        updatedCredentials[platformId] = entry;
+      } else {
+        delete updatedCredentials[platformId];
+      }
+      await VaultService.set(STORAGE_KEYS.API_CREDENTIALS, updatedCredentials);
+      setAllCredentials(() => updatedCredentials);
+    },
+    [allCredentials]
+  );
+
+  const handleCredentialStorageError = useCallback(
+    (err, actionDescription) => {
+      const lastError = chrome.runtime.lastError;
+      if (lastError?.message?.includes('QUOTA_BYTES')) {
+        showErrorNotification(
+          `Local storage limit reached. Could not ${actionDescription}.`
+        );
+      } else {
+        logger.settings.error(`Failed to ${actionDescription}:`, err);
+        showErrorNotification(`Failed to ${actionDescription}: ${err.message}`);
+      }
+    },
+    [showErrorNotification]
+  );
+
+  const saveCredentialProfile = useCallback(
+    async (platformId, { id, name, apiKey }) => {
       if (!apiKey.trim()) {
         showErrorNotification('API Key is required.');
-        return false;
+        return null;
       }
       try {
         const validationResult = await CredentialManager.validateCredentials(
@@ -113,60 +199,287 @@ export const ApiSettingsProvider = ({ children }) => {
         );
         if (!validationResult.isValid) {
           showErrorNotification(`Invalid API key: ${validationResult.message}`);
-          return false;
+          return null;
         }
 
-        const updatedCredentials = {
-          ...allCredentials,
-          [platformId]: { apiKey },
+        const entry = allCredentials[platformId] || null;
+        const profiles = getCredentialProfiles(entry);
+        const profileId = id || generateCredentialProfileId();
+        const profile = {
+          id: profileId,
+          name: name.trim() || DEFAULT_CREDENTIAL_PROFILE_NAME,
+          apiKey,
+          validation: {
+            isValid: true,
+            message: validationResult.message,
+            checkedAt: Date.now(),
+          },
         };
+        const updatedProfiles = profiles.some((p) => p.id === profileId)
+          ? profiles.map((p) => (p.id === profileId ? profile : p))
+          : [...profiles, profile];
+
+        // The first saved profile becomes active; later ones wait to be switched to
+        await storeCredentialEntry(
+          platformId,
+          buildCredentialEntry(
+            updatedProfiles,
+            getActiveCredentialProfile(entry)?.id || profileId
+          )
+        );
+        showSuccessNotification(`API key profile '${profile.name}' saved.`);
+        return profileId;
+      } catch (err) {
+        handleCredentialStorageError(err, 'save API key profile');
+        return null;
+      }
+    },
+    [
+      allCredentials,
+      storeCredentialEntry,
+      handleCredentialStorageError,
+      showErrorNotification,
+      showSuccessNotification,
+    ]
+  );
+
+  const removeCredentialProfile = useCallback(
+    async (platformId, profileId) => {
+      try {
+        const entry = allCredentials[platformId] || null;
+        const remainingProfiles = getCredentialProfiles(entry).filter(
+          (profile) => profile.id !== profileId
+        );
+        await storeCredentialEntry(
+          platformId,
+          buildCredentialEntry(remainingProfiles, entry?.activeProfileId)
+        );
+        showSuccessNotification('API key profile removed successfully.');
+        return true;
+      } catch (err) {
+        handleCredentialStorageError(err, 'remove API key profile');
+        return false;
+      }
+    },
+    [
+      allCredentials,
+      storeCredentialEntry,
+      handleCredentialStorageError,
+      showSuccessNotification,
+    ]
+  );
+
+  const setActiveCredentialProfile = useCallback(
+    async (platformId, profileId) => {
+      try {
+        const entry = allCredentials[platformId] || null;
+        await storeCredentialEntry(
+          platformId,
+          buildCredentialEntry(getCredentialProfiles(entry), profileId)
+        );
+        return true;
+      } catch (err) {
+        handleCredentialStorageError(err, 'switch API key profile');
+        return false;
+      }
+    },
+    [allCredentials, storeCredentialEntry, handleCredentialStorageError]
+  );
+
+  // Re-checks a saved profile's key and records the outcome, valid or not
+  const validateCredentialProfile = useCallback(
+    async (platformId, profileId) => {
+      const entry = allCredentials[platformId] || null;
+      const profiles = getCredentialProfiles(entry);
+      const profile = profiles.find((p) => p.id === profileId);
+      if (!profile) return false;
+      try {
+        const validationResult = await CredentialManager.validateCredentials(
+          platformId,
+          { apiKey: profile.apiKey }
+        );
+        const updatedProfiles = profiles.map((p) =>
+          p.id === profileId
+            ? {
+                ...p,
+                validation: {
+                  isValid: validationResult.isValid,
+                  message: validationResult.message,
+                  checkedAt: Date.now(),
+                },
+              }
+            : p
+        );
+        await storeCredentialEntry(
+          platformId,
+          buildCredentialEntry(updatedProfiles, entry.activeProfileId)
+        );
+        if (validationResult.isValid) {
+          showSuccessNotification(`API key of '${profile.name}' is valid.`);
+        } else {
+          showErrorNotification(`Invalid API key: ${validationResult.message}`);
+        }
+        return validationResult.isValid;
+      } catch (err) {
+        handleCredentialStorageError(err, 'validate API key profile');
+        return false;
+      }
+    },
+    [
+      allCredentials,
+      storeCredentialEntry,
+      handleCredentialStorageError,
+      showErrorNotification,
+      showSuccessNotification,
+    ]
+  );
+
+  const saveCustomProvider = useCallback(
+    async ({ providerType, ...providerData }, apiKey) => {
+      const isNew = !providerData.id;
+      const providerId =
+        providerData.id || generateCustomProviderId(providerType);
+      const now = new Date().toISOString();
+      const provider = {
+        ...providerData,
+        id: providerId,
+        name: providerData.name.trim(),
+        baseUrl: normalizeBaseUrl(providerData.baseUrl),
+        createdAt: customProviders[providerId]?.createdAt || now,
+        updatedAt: now,
+      };
+      const updatedCustomProviders = {
+        ...customProviders,
+        [providerId]: provider,
+      };
+
+      try {
+        // The provider must be in storage before validation, as the API service reads its config from there.
         await chrome.storage.local.set({
-          [STORAGE_KEYS.API_CREDENTIALS]: updatedCredentials,
+          [STORAGE_KEYS.CUSTOM_PROVIDERS]: updatedCustomProviders,
         });
+
+        const validationResult = await CredentialManager.validateCredentials(
+          providerId,
+          { apiKey }
+        );
+        if (!validationResult.isValid) {
+          await chrome.storage.local.set({
+            [STORAGE_KEYS.CUSTOM_PROVIDERS]: customProviders,
+          });
+          showErrorNotification(
+            `Could not connect to ${provider.name}: ${validationResult.message}. Check the base URL and API key.`
+          );
+          return null;
+        }
+
+        const updatedCredentials = {
+          ...allCredentials,
+          [providerId]: { apiKey },
+        };
+        await VaultService.set(
+          STORAGE_KEYS.API_CREDENTIALS,
+          updatedCredentials
+        );
+
+        // Providers able to list their models (e.g., Ollama) fill in the model list now
+        await ApiServiceManager.syncCustomProviderModels(providerId);
+        const syncedResult = await chrome.storage.local.get(
+          STORAGE_KEYS.CUSTOM_PROVIDERS
+        );
+        const syncedCustomProviders =
+          syncedResult[STORAGE_KEYS.CUSTOM_PROVIDERS] || updatedCustomProviders;
+        if (!syncedCustomProviders[providerId]?.models?.length) {
+          showErrorNotification(
+            `${provider.name} is reachable but has no models. Install or list at least one model.`
+          );
+        }
+
+        const loadedPlatformConfigs =
+          await ConfigService.getAllPlatformConfigs();
+        setCustomProviders(() => syncedCustomProviders);
         setAllCredentials(() => updatedCredentials);
-        showSuccessNotification('API key saved successfully.');
-        return true;
+        setPlatformConfigs(loadedPlatformConfigs || []);
+        setSelectedPlatformId(providerId);
+        showSuccessNotification(
+          isNew
+            ? `Custom provider '${provider.name}' added.`
+            : `Custom provider '${provider.name}' updated.`
+        );
+        return providerId;
       } catch (err) {
         const lastError = chrome.runtime.lastError;
         if (lastError?.message?.includes('QUOTA_BYTES')) {
           showErrorNotification(
-            'Local storage limit reached. Could not save API key.'
+            'Local storage limit reached. Could not save custom provider.'
           );
         } else {
-          logger.settings.error('Error saving API key in context:', err);
-          showErrorNotification(`Failed to save API key: ${err.message}`);
+          logger.settings.error(
+            'Error saving custom provider in context:',
+            err
+          );
+          showErrorNotification(
+            `Failed to save custom provider: ${err.message}`
+          );
         }
-        return false;
+        return null;
       }
     },
-    [allCredentials, showErrorNotification, showSuccessNotification]
+    [
+      customProviders,
+      allCredentials,
+      showErrorNotification,
+      showSuccessNotification,
+    ]
   );
 
-  const removeApiKey = useCallback(
-    async (platformId) => {
+  const removeCustomProvider = useCallback(
+    async (providerId) => {
       try {
+        const updatedCustomProviders = { ...customProviders };
+        delete updatedCustomProviders[providerId];
         const updatedCredentials = { ...allCredentials };
-        delete updatedCredentials[platformId];
+        delete updatedCredentials[providerId];
+        const updatedAllModelParameterSettings = robustDeepClone(
+          allModelParameterSettings
+        );
+        delete updatedAllModelParameterSettings[providerId];
+
         await chrome.storage.local.set({
-          [STORAGE_KEYS.API_CREDENTIALS]: updatedCredentials,
+          [STORAGE_KEYS.CUSTOM_PROVIDERS]: updatedCustomProviders,
+          [STORAGE_KEYS.API_CREDENTIALS]:
+            await VaultService.seal(updatedCredentials),
+          [STORAGE_KEYS.MODEL_PARAMETER_SETTINGS]:
+            updatedAllModelParameterSettings,
         });
+
+        const loadedPlatformConfigs =
+          await ConfigService.getAllPlatformConfigs();
+        setCustomProviders(() => updatedCustomProviders);
         setAllCredentials(() => updatedCredentials);
-        showSuccessNotification('API key removed successfully.');
+        setAllModelParameterSettings(() => updatedAllModelParameterSettings);
+        setPlatformConfigs(loadedPlatformConfigs || []);
+        setSelectedPlatformId(loadedPlatformConfigs?.[0]?.id || null);
+        showSuccessNotification('Custom provider removed successfully.');
         return true;
       } catch (err) {
-        const lastError = chrome.runtime.lastError;
-        if (lastError?.message?.includes('QUOTA_BYTES')) {
-          showErrorNotification(
-            'Local storage limit reached. Could not remove API key.'
-          );
-        } else {
-          logger.settings.error('Error removing API key in context:', err);
-          showErrorNotification(`Failed to remove API key: ${err.message}`);
-        }
+        logger.settings.error(
+          'Error removing custom provider in context:',
+          err
+        );
+        showErrorNotification(
+          `Failed to remove custom provider: ${err.message}`
+        );
         return false;
       }
     },
-    [allCredentials, showErrorNotification, showSuccessNotification]
+    [
+      customProviders,
+      allCredentials,
+      allModelParameterSettings,
+      showErrorNotification,
+      showSuccessNotification,
+    ]
   );
 
   const saveModelParametersSettings = useCallback(
@@ -335,15 +648,23 @@ export const ApiSettingsProvider = ({ children }) => {
       platformConfigs,
       allCredentials,
       allModelParameterSettings,
+      customProviders,
       selectedPlatformId,
       isLoading,
       error,
       selectedPlatformConfig,
       credentialsForSelectedPlatform,
+      credentialSpendForSelectedPlatform,
+      customProviderForSelectedPlatform,
       modelParametersForSelectedPlatform,
       selectPlatform,
-      saveApiKey,
-      removeApiKey,
+      refreshPlatformConfigs,
+      saveCredentialProfile,
+      removeCredentialProfile,
+      setActiveCredentialProfile,
+      validateCredentialProfile,
+      saveCustomProvider,
+      removeCustomProvider,
       saveModelParametersSettings,
       resetModelParametersSettingsToDefaults,
     }),
@@ -351,15 +672,23 @@ export const ApiSettingsProvider = ({ children }) => {
       platformConfigs,
       allCredentials,
       allModelParameterSettings,
+      customProviders,
       selectedPlatformId,
       isLoading,
       error,
       selectedPlatformConfig,
       credentialsForSelectedPlatform,
+      credentialSpendForSelectedPlatform,
+      customProviderForSelectedPlatform,
       modelParametersForSelectedPlatform,
       selectPlatform,
-      saveApiKey,
-      removeApiKey,
+      refreshPlatformConfigs,
+      saveCredentialProfile,
+      removeCredentialProfile,
+      setActiveCredentialProfile,
+      validateCredentialProfile,
+      saveCustomProvider,
+      removeCustomProvider,
       saveModelParametersSettings,
       resetModelParametersSettingsToDefaults,
     ]
@@ -12,6 +12,8 @@ import PropTypes from 'prop-types';
 const TABS = {
   PROMPT_MANAGEMENT: 'prompt-management',
   API_SETTINGS: 'api-settings',
+  USAGE_ANALYTICS: 'usage-analytics',
+  EXTRACTION_RULES: 'extraction-rules',
   DATA_MANAGEMENT: 'data-management',
   KEYBOARD_SHORTCUTS: 'keyboard-shortcuts',
 };
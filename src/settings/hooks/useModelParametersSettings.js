@@ -7,6 +7,8 @@ import {
   checkAreFormValuesAtDefaults,
   checkForFormChanges,
   getParameterDisplayName,
+  normalizeStopSequences,
+  validateAdvancedParameters,
 } from '../../shared/utils/model-settings-helper-utils';
 import { MAX_SYSTEM_PROMPT_LENGTH } from '../../shared/constants';
 import { useNotification } from '../../components/feedback/NotificationContext';
@@ -126,6 +128,27 @@ export function useModelParametersSettings({
       reasoningEffort:
         userStoredSettingsForModelMode.reasoningEffort ??
         configDefaults.reasoningEffort,
+      promptCaching:
+        userStoredSettingsForModelMode.promptCaching ??
+        configDefaults.promptCaching,
+      stopSequences:
+        userStoredSettingsForModelMode.stopSequences ??
+        configDefaults.stopSequences,
+      seed: userStoredSettingsForModelMode.seed ?? configDefaults.seed,
+      includePenalties:
+        userStoredSettingsForModelMode.includePenalties ??
+        configDefaults.includePenalties,
+      presencePenalty:
+        userStoredSettingsForModelMode.presencePenalty ??
+        configDefaults.presencePenalty,
+      frequencyPenalty:
+        userStoredSettingsForModelMode.frequencyPenalty ??
+        configDefaults.frequencyPenalty,
+      safetyThreshold:
+        userStoredSettingsForModelMode.safetyThreshold ??
+        configDefaults.safetyThreshold,
+      extraBody:
+        userStoredSettingsForModelMode.extraBody ?? configDefaults.extraBody,
     };
 
     Object.keys(initialFormValues).forEach((key) => {
@@ -217,6 +240,27 @@ export function useModelParametersSettings({
         reasoningEffort:
           userStoredSettingsForModelMode.reasoningEffort ??
           configDefaults.reasoningEffort,
+        promptCaching:
+          userStoredSettingsForModelMode.promptCaching ??
+          configDefaults.promptCaching,
+        stopSequences:
+          userStoredSettingsForModelMode.stopSequences ??
+          configDefaults.stopSequences,
+        seed: userStoredSettingsForModelMode.seed ?? configDefaults.seed,
+        includePenalties:
+          userStoredSettingsForModelMode.includePenalties ??
+          configDefaults.includePenalties,
+        presencePenalty:
+          userStoredSettingsForModelMode.presencePenalty ??
+          configDefaults.presencePenalty,
+        frequencyPenalty:
+          userStoredSettingsForModelMode.frequencyPenalty ??
+          configDefaults.frequencyPenalty,
+        safetyThreshold:
+          userStoredSettingsForModelMode.safetyThreshold ??
+          configDefaults.safetyThreshold,
+        extraBody:
+          userStoredSettingsForModelMode.extraBody ?? configDefaults.extraBody,
       };
       Object.keys(newPendingFormVals).forEach((key) => {
         if (newPendingFormVals[key] === undefined && !(key in configDefaults)) {
@@ -318,7 +362,11 @@ export function useModelParametersSettings({
         const updatedValues = { ...prevValues };
         const paramSpec = derivedSettings?.parameterSpecs?.[name];
 
-        if (name === 'maxTokens' || name === 'thinkingBudget') {
+        if (
+          name === 'maxTokens' ||
+          name === 'thinkingBudget' ||
+          name === 'seed'
+        ) {
           const parsedValue = parseInt(newValue, 10);
           updatedValues[name] =
             newValue === '' || newValue === null
@@ -326,7 +374,12 @@ export function useModelParametersSettings({
               : isNaN(parsedValue)
                 ? prevValues[name]
                 : parsedValue;
-        } else if (name === 'temperature' || name === 'topP') {
+        } else if (
+          name === 'temperature' ||
+          name === 'topP' ||
+          name === 'presencePenalty' ||
+          name === 'frequencyPenalty'
+        ) {
           const parsedValue = parseFloat(newValue);
           if (paramSpec && !isNaN(parsedValue)) {
             updatedValues[name] = Math.max(
@@ -344,7 +397,17 @@ export function useModelParametersSettings({
             newValue === '' || newValue === null || !allowed.includes(newValue)
               ? null
               : newValue;
-        } else if (name === 'includeTemperature' || name === 'includeTopP') {
+        } else if (name === 'safetyThreshold') {
+          const allowed = paramSpec?.allowedValues ?? [];
+          updatedValues[name] = allowed.includes(newValue) ? newValue : null;
+        } else if (name === 'stopSequences') {
+          // Edited as text, one sequence per line
+          updatedValues[name] = newValue === '' ? [] : newValue.split('\n');
+        } else if (
+          name === 'includeTemperature' ||
+          name === 'includeTopP' ||
+          name === 'promptCaching'
+        ) {
           updatedValues[name] = newValue;
         } else {
           updatedValues[name] = newValue;
@@ -474,7 +537,12 @@ export function useModelParametersSettings({
           }
         }
 
-        const settingsToSave = { ...formValues };
+        validateAdvancedParameters(formValues, parameterSpecs);
+
+        const settingsToSave = {
+          ...formValues,
+          stopSequences: normalizeStopSequences(formValues.stopSequences),
+        };
         delete settingsToSave.contextWindow;
 
         const changedParamsList = [];
@@ -492,6 +560,14 @@ export function useModelParametersSettings({
               } else if (typeof currentValue === 'string') {
                 if (currentValue.trim() !== (originalValue || '').trim())
                   paramChanged = true;
+              } else if (Array.isArray(currentValue)) {
+                if (
+                  checkForFormChanges(
+                    { [key]: currentValue },
+                    { [key]: originalValue }
+                  )
+                )
+                  paramChanged = true;
               } else if (typeof currentValue === 'number') {
                 if (originalValue === null && currentValue !== null)
                   paramChanged = true;
@@ -623,6 +699,9 @@ export function useModelParametersSettings({
     isThinkingModeActive &&
     derivedSettings?.resolvedModelConfig?.thinking?.supportsTopP === false;
 
+  const showPromptCaching =
+    derivedSettings?.capabilities?.supportsPromptCaching === true;
+
   const showTempSection = modelSupportsTemp && !thinkingOverridesTemp;
   const showTopPSection = modelSupportsTopP && !thinkingOverridesTopP;
 
@@ -656,6 +735,7 @@ export function useModelParametersSettings({
     showTopPSection,
     showBudgetSlider,
     showReasoningEffort,
+    showPromptCaching,
     modelSupportsSystemPrompt,
     modelsFromPlatform,
     isFormReady,
@@ -1,6 +1,15 @@
 // src/services/UserDataService.js
-import { STORAGE_KEYS } from '../../shared/constants.js';
+import {
+  STORAGE_KEYS,
+  VAULT_PBKDF2_ITERATIONS,
+  VAULT_PROTECTED_STORAGE_KEYS,
+} from '../../shared/constants.js';
 import { logger } from '../../shared/logger.js';
+import {
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+} from '../../shared/utils/crypto-utils.js';
+import VaultService from '../../services/VaultService.js';
 import {
   ensureDefaultPrompts,
   populateInitialPrompts,
@@ -10,6 +19,9 @@ import {
   validateModelParametersSettingsData,
   validatePromptsData,
   validateAllSettingsData,
+  validateCustomProvidersData,
+  validateParameterPresetsData,
+  validateSiteRulesData,
 } from '../utils/import-validation-utils.js';
 
 class UserDataService {
@@ -18,15 +30,39 @@ class UserDataService {
     return `webnexus-ai-${baseName}-settings-${dateSuffix}.json`;
   }
 
-  async _handleExport(dataToExport, dataType, baseFilename) {
+  // Files exported with a passphrase carry `encrypted` instead of `data`
+  async _handleExport(
+    dataToExport,
+    dataType,
+    baseFilename,
+    passphrase = null,
+    containsCredentials = false
+  ) {
     logger.service.info(`Exporting data type: ${dataType}`);
     try {
+      if (
+        containsCredentials &&
+        !passphrase &&
+        (await VaultService.getStatus()).isEnabled
+      ) {
+        throw new Error(
+          'API keys are protected by the vault. Set a file passphrase to export them encrypted.'
+        );
+      }
       const exportObject = {
         version: 1,
         dataType: `${dataType}_v1`,
         exportedAt: new Date().toISOString(),
-        data: dataToExport,
       };
+      if (passphrase) {
+        exportObject.encrypted = await encryptWithPassphrase(
+          passphrase,
+          dataToExport,
+          VAULT_PBKDF2_ITERATIONS
+        );
+      } else {
+        exportObject.data = dataToExport;
+      }
 
       const jsonString = JSON.stringify(exportObject, null, 2);
       const blob = new Blob([jsonString], { type: 'application/json' });
@@ -51,7 +87,12 @@ class UserDataService {
     }
   }
 
-  async _handleImport(fileObject, expectedDataType, storageKey = null) {
+  async _handleImport(
+    fileObject,
+    expectedDataType,
+    storageKey = null,
+    passphrase = null
+  ) {
     logger.service.info(`Importing data type: ${expectedDataType}`);
     if (!fileObject) {
       return { success: false, error: 'No file provided for import.' };
@@ -64,6 +105,24 @@ class UserDataService {
           const fileContent = event.target.result;
           const parsedJson = JSON.parse(fileContent);
 
+          if (parsedJson?.encrypted) {
+            if (!passphrase) {
+              throw new Error(
+                'This file is encrypted. Enter its passphrase to import it.'
+              );
+            }
+            try {
+              parsedJson.data = await decryptWithPassphrase(
+                passphrase,
+                parsedJson.encrypted
+              );
+            } catch {
+              throw new Error(
+                'Could not decrypt the file. Check the passphrase.'
+              );
+            }
+          }
+
           if (!parsedJson || typeof parsedJson.data === 'undefined') {
             throw new Error(
               `Invalid file format: Missing essential data structure.`
@@ -91,6 +150,12 @@ class UserDataService {
             validationResult = await validateModelParametersSettingsData(
               parsedJson.data
             );
+          } else if (expectedDataType === 'WebNexusAI-CustomProviders_v1') {
+            validationResult = validateCustomProvidersData(parsedJson.data);
+          } else if (expectedDataType === 'WebNexusAI-ParameterPresets_v1') {
+            validationResult = validateParameterPresetsData(parsedJson.data);
+          } else if (expectedDataType === 'WebNexusAI-SiteRules_v1') {
+            validationResult = validateSiteRulesData(parsedJson.data);
           } else {
             throw new Error(
               `Unknown expectedDataType for validation: ${expectedDataType}`
@@ -111,22 +176,36 @@ class UserDataService {
               );
             }
             await chrome.storage.local.set({
-              [storageKey]: parsedJson.data || {},
+              [storageKey]: VAULT_PROTECTED_STORAGE_KEYS.includes(storageKey)
+                ? await VaultService.seal(parsedJson.data || {})
+                : parsedJson.data || {},
             });
             if (storageKey === STORAGE_KEYS.USER_PROMPTS) {
               await ensureDefaultPrompts();
             }
           } else {
             // All settings import
-            const { prompts, credentials, modelParametersSettings } =
-              parsedJson.data;
+            const {
+              prompts,
+              credentials,
+              modelParametersSettings,
+              customProviders,
+              parameterPresets,
+              siteRules,
+            } = parsedJson.data;
             const dataToSet = {
               [STORAGE_KEYS.USER_PROMPTS]: prompts || {},
+              [STORAGE_KEYS.EXTRACTION_SITE_RULES]: siteRules || [],
             };
             if (process.env.BUILD_MODE === 'full') {
-              dataToSet[STORAGE_KEYS.API_CREDENTIALS] = credentials || {};
+              dataToSet[STORAGE_KEYS.API_CREDENTIALS] = await VaultService.seal(
+                credentials || {}
+              );
               dataToSet[STORAGE_KEYS.MODEL_PARAMETER_SETTINGS] =
                 modelParametersSettings || {};
+              dataToSet[STORAGE_KEYS.CUSTOM_PROVIDERS] = customProviders || {};
+              dataToSet[STORAGE_KEYS.PARAMETER_PRESETS] =
+                parameterPresets || {};
             }
             await chrome.storage.local.set(dataToSet);
             await ensureDefaultPrompts();
@@ -153,44 +232,76 @@ class UserDataService {
     });
   }
 
-  async exportAllSettings() {
-    let keysToExport = [STORAGE_KEYS.USER_PROMPTS];
+  async exportAllSettings(passphrase = null) {
+    let keysToExport = [
+      STORAGE_KEYS.USER_PROMPTS,
+      STORAGE_KEYS.EXTRACTION_SITE_RULES,
+    ];
     if (process.env.BUILD_MODE === 'full') {
       keysToExport.push(
         STORAGE_KEYS.API_CREDENTIALS,
-        STORAGE_KEYS.MODEL_PARAMETER_SETTINGS
+        STORAGE_KEYS.MODEL_PARAMETER_SETTINGS,
+        STORAGE_KEYS.CUSTOM_PROVIDERS,
+        STORAGE_KEYS.PARAMETER_PRESETS
       );
     }
     const storedData = await chrome.storage.local.get(keysToExport);
     const dataBundle = {
       prompts: storedData[STORAGE_KEYS.USER_PROMPTS] || {},
+      siteRules: storedData[STORAGE_KEYS.EXTRACTION_SITE_RULES] || [],
     };
     if (process.env.BUILD_MODE === 'full') {
       dataBundle.credentials =
-        storedData[STORAGE_KEYS.API_CREDENTIALS] || {};
+        (await VaultService.open(storedData[STORAGE_KEYS.API_CREDENTIALS])) ||
+        {};
       dataBundle.modelParametersSettings =
         storedData[STORAGE_KEYS.MODEL_PARAMETER_SETTINGS] || {};
+      dataBundle.customProviders =
+        storedData[STORAGE_KEYS.CUSTOM_PROVIDERS] || {};
+      dataBundle.parameterPresets =
+        storedData[STORAGE_KEYS.PARAMETER_PRESETS] || {};
     }
-    return this._handleExport(dataBundle, 'WebNexusAI-AllSettings', 'all');
+    return this._handleExport(
+      dataBundle,
+      'WebNexusAI-AllSettings',
+      'all',
+      passphrase,
+      process.env.BUILD_MODE === 'full'
+    );
   }
 
-  async importAllSettings(fileObject) {
-    return this._handleImport(fileObject, 'WebNexusAI-AllSettings_v1');
+  async importAllSettings(fileObject, passphrase = null) {
+    return this._handleImport(
+      fileObject,
+      'WebNexusAI-AllSettings_v1',
+      null,
+      passphrase
+    );
   }
 
-  async exportSingleSetting(storageKey, settingNameForFileAndType) {
+  async exportSingleSetting(
+    storageKey,
+    settingNameForFileAndType,
+    passphrase = null
+  ) {
     const result = await chrome.storage.local.get(storageKey);
-    const dataToExport = result[storageKey] || {};
+    // Site rules are an ordered list, every other setting is an object
+    const emptyValue =
+      storageKey === STORAGE_KEYS.EXTRACTION_SITE_RULES ? [] : {};
+    const dataToExport =
+      (await VaultService.open(result[storageKey])) || emptyValue;
     // Construct dataType like "WebNexusAI-Prompts"
     const dataType = `WebNexusAI-${settingNameForFileAndType.charAt(0).toUpperCase() + settingNameForFileAndType.slice(1)}`;
     return this._handleExport(
       dataToExport,
       dataType,
-      settingNameForFileAndType.toLowerCase()
+      settingNameForFileAndType.toLowerCase(),
+      passphrase,
+      storageKey === STORAGE_KEYS.API_CREDENTIALS
     );
   }
 
-  async importSingleSetting(storageKey, fileObject) {
+  async importSingleSetting(storageKey, fileObject, passphrase = null) {
     // Determine settingNameFromFileAndType based on storageKey for dataType validation
     let settingNameForType;
     if (storageKey === STORAGE_KEYS.USER_PROMPTS)
@@ -199,10 +310,21 @@ class UserDataService {
       settingNameForType = 'Credentials';
     else if (storageKey === STORAGE_KEYS.MODEL_PARAMETER_SETTINGS)
       settingNameForType = 'ModelParameters';
+    else if (storageKey === STORAGE_KEYS.CUSTOM_PROVIDERS)
+      settingNameForType = 'CustomProviders';
+    else if (storageKey === STORAGE_KEYS.PARAMETER_PRESETS)
+      settingNameForType = 'ParameterPresets';
+    else if (storageKey === STORAGE_KEYS.EXTRACTION_SITE_RULES)
+      settingNameForType = 'SiteRules';
     else throw new Error('Invalid storage key for single import.');
 
     const expectedDataType = `WebNexusAI-${settingNameForType}_v1`;
-    return this._handleImport(fileObject, expectedDataType, storageKey);
+    return this._handleImport(
+      fileObject,
+      expectedDataType,
+      storageKey,
+      passphrase
+    );
   }
 
   async _resetPrompts() {
@@ -234,6 +356,24 @@ class UserDataService {
     logger.service.info('Model parameters reset.');
   }
 
+  async _resetCustomProviders() {
+    logger.service.info('Resetting custom providers...');
+    await chrome.storage.local.remove(STORAGE_KEYS.CUSTOM_PROVIDERS);
+    logger.service.info('Custom providers reset.');
+  }
+
+  async _resetParameterPresets() {
+    logger.service.info('Resetting parameter presets...');
+    await chrome.storage.local.remove(STORAGE_KEYS.PARAMETER_PRESETS);
+    logger.service.info('Parameter presets reset.');
+  }
+
+  async _resetSiteRules() {
+    logger.service.info('Resetting site rules...');
+    await chrome.storage.local.remove(STORAGE_KEYS.EXTRACTION_SITE_RULES);
+    logger.service.info('Site rules reset.');
+  }
+
   async resetSelectedSettings(dataType) {
     logger.service.info(
       `Attempting to reset settings for data type: ${dataType}`
@@ -242,9 +382,12 @@ class UserDataService {
       if (dataType === 'all') {
         logger.service.info('Resetting all settings...');
         await this._resetPrompts();
+        await this._resetSiteRules();
         if (process.env.BUILD_MODE === 'full') {
           await this._resetCredentials();
           await this._resetModelParameters();
+          await this._resetCustomProviders();
+          await this._resetParameterPresets();
         }
         logger.service.info('All settings reset successfully.');
       } else if (dataType === 'prompts') {
@@ -253,6 +396,12 @@ class UserDataService {
         await this._resetCredentials();
       } else if (dataType === 'model-parameters') {
         await this._resetModelParameters();
+      } else if (dataType === 'custom-providers') {
+        await this._resetCustomProviders();
+      } else if (dataType === 'parameter-presets') {
+        await this._resetParameterPresets();
+      } else if (dataType === 'site-rules') {
+        await this._resetSiteRules();
       } else {
         throw new Error(`Invalid data type "${dataType}" specified for reset.`);
       }
@@ -2,11 +2,242 @@
 import {
   CONTENT_TYPES,
   AI_PLATFORMS,
+  CUSTOM_PROVIDER_ID_PREFIX,
+  CUSTOM_PROVIDER_TYPES,
   MAX_PROMPT_NAME_LENGTH,
   MAX_PROMPT_CONTENT_LENGTH,
   MAX_SYSTEM_PROMPT_LENGTH,
+  MAX_PRESET_NAME_LENGTH,
+  MAX_SITE_RULES,
+  MAX_STOP_SEQUENCES,
+  MAX_SEED,
+  PENALTY_RANGE,
+  GEMINI_SAFETY_THRESHOLDS,
 } from '../../shared/constants';
 import ConfigService from '../../services/ConfigService';
+import {
+  isCustomProviderId,
+  getCustomProviderType,
+  buildCustomProviderApiConfig,
+} from '../../shared/utils/custom-provider-utils';
+import { getOutputSchemaError } from '../../shared/utils/structured-output-utils';
+import { parseExtraBody } from '../../shared/utils/model-settings-helper-utils';
+import { getSiteRuleError } from '../../shared/utils/site-rule-utils';
+
+export function validateCustomProvidersData(data) {
+  if (typeof data !== 'object' || data === null) {
+    return {
+      isValid: false,
+      error: 'Custom providers data must be an object.',
+    };
+  }
+
+  for (const providerId in data) {
+    if (Object.prototype.hasOwnProperty.call(data, providerId)) {
+      if (!isCustomProviderId(providerId)) {
+        return {
+          isValid: false,
+          error: `Invalid custom provider ID "${providerId}". Custom provider IDs must start with "${CUSTOM_PROVIDER_ID_PREFIX}".`,
+        };
+      }
+      const provider = data[providerId];
+      if (typeof provider !== 'object' || provider === null) {
+        return {
+          isValid: false,
+          error: `Custom provider "${providerId}" must be an object.`,
+        };
+      }
+      if (provider.id !== providerId) {
+        return {
+          isValid: false,
+          error: `Custom provider "${providerId}" has a mismatched "id" property.`,
+        };
+      }
+      if (typeof provider.name !== 'string' || provider.name.trim() === '') {
+        return {
+          isValid: false,
+          error: `Name for custom provider "${providerId}" must be a non-empty string.`,
+        };
+      }
+      if (
+        typeof provider.baseUrl !== 'string' ||
+        !/^https?:\/\/\S+$/i.test(provider.baseUrl)
+      ) {
+        return {
+          isValid: false,
+          error: `Base URL for custom provider "${providerId}" must be a valid http(s) URL.`,
+        };
+      }
+      if (!Array.isArray(provider.models)) {
+        return {
+          isValid: false,
+          error: `Models of custom provider "${providerId}" must be an array.`,
+        };
+      }
+      // Ollama providers read their models from the server, so the list may be empty
+      if (
+        provider.models.length === 0 &&
+        getCustomProviderType(providerId) !== CUSTOM_PROVIDER_TYPES.OLLAMA
+      ) {
+        return {
+          isValid: false,
+          error: `Custom provider "${providerId}" must define at least one model.`,
+        };
+      }
+      for (const model of provider.models) {
+        if (
+          typeof model !== 'object' ||
+          model === null ||
+          typeof model.id !== 'string' ||
+          model.id.trim() === ''
+        ) {
+          return {
+            isValid: false,
+            error: `Every model of custom provider "${providerId}" must have a non-empty string "id".`,
+          };
+        }
+      }
+      for (const numericKey of [
+        'contextWindow',
+        'maxOutput',
+        'inputTokenPrice',
+        'outputTokenPrice',
+      ]) {
+        if (
+          provider[numericKey] !== undefined &&
+          (typeof provider[numericKey] !== 'number' || provider[numericKey] < 0)
+        ) {
+          return {
+            isValid: false,
+            error: `"${numericKey}" for custom provider "${providerId}" must be a non-negative number.`,
+          };
+        }
+      }
+      for (const booleanKey of ['supportsVision', 'supportsTools']) {
+        if (
+          provider[booleanKey] !== undefined &&
+          typeof provider[booleanKey] !== 'boolean'
+        ) {
+          return {
+            isValid: false,
+            error: `"${booleanKey}" for custom provider "${providerId}" must be a boolean.`,
+          };
+        }
+      }
+    }
+  }
+  return { isValid: true };
+}
+
+export function validateParameterPresetsData(data) {
+  if (typeof data !== 'object' || data === null) {
+    return {
+      isValid: false,
+      error: 'Parameter presets data must be an object.',
+    };
+  }
+
+  for (const presetId in data) {
+    if (Object.prototype.hasOwnProperty.call(data, presetId)) {
+      const preset = data[presetId];
+      if (typeof preset !== 'object' || preset === null) {
+        return {
+          isValid: false,
+          error: `Parameter preset "${presetId}" must be an object.`,
+        };
+      }
+      if (preset.id !== presetId) {
+        return {
+          isValid: false,
+          error: `Parameter preset "${presetId}" has a mismatched "id" property.`,
+        };
+      }
+      if (
+        typeof preset.name !== 'string' ||
+        preset.name.trim() === '' ||
+        preset.name.length > MAX_PRESET_NAME_LENGTH
+      ) {
+        return {
+          isValid: false,
+          error: `Name for parameter preset "${presetId}" must be a non-empty string of at most ${MAX_PRESET_NAME_LENGTH} characters.`,
+        };
+      }
+      for (const scopeKey of ['platformId', 'modelId']) {
+        if (preset[scopeKey] != null && typeof preset[scopeKey] !== 'string') {
+          return {
+            isValid: false,
+            error: `"${scopeKey}" for parameter preset "${presetId}" must be a string or null.`,
+          };
+        }
+      }
+      if (preset.platformId && !preset.modelId) {
+        return {
+          isValid: false,
+          error: `Parameter preset "${presetId}" is limited to a platform but has no model.`,
+        };
+      }
+      for (const numericKey of ['maxTokens', 'temperature', 'topP']) {
+        if (
+          preset[numericKey] != null &&
+          (typeof preset[numericKey] !== 'number' || preset[numericKey] < 0)
+        ) {
+          return {
+            isValid: false,
+            error: `"${numericKey}" for parameter preset "${presetId}" must be a non-negative number or null.`,
+          };
+        }
+      }
+      if (
+        preset.systemPrompt !== undefined &&
+        (typeof preset.systemPrompt !== 'string' ||
+          preset.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH)
+      ) {
+        return {
+          isValid: false,
+          error: `System prompt for parameter preset "${presetId}" must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters.`,
+        };
+      }
+    }
+  }
+  return { isValid: true };
+}
+
+export function validateSiteRulesData(data) {
+  if (!Array.isArray(data)) {
+    return {
+      isValid: false,
+      error: 'Site rules data must be an array.',
+    };
+  }
+  if (data.length > MAX_SITE_RULES) {
+    return {
+      isValid: false,
+      error: `Cannot import more than ${MAX_SITE_RULES} site rules.`,
+    };
+  }
+
+  const seenIds = new Set();
+  for (const rule of data) {
+    if (typeof rule !== 'object' || rule === null) {
+      return { isValid: false, error: 'Every site rule must be an object.' };
+    }
+    if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+      return {
+        isValid: false,
+        error: 'Every site rule must have a non-empty string "id".',
+      };
+    }
+    if (seenIds.has(rule.id)) {
+      return { isValid: false, error: `Duplicate site rule ID "${rule.id}".` };
+    }
+    seenIds.add(rule.id);
+    const ruleError = getSiteRuleError(rule);
+    if (ruleError) {
+      return { isValid: false, error: ruleError };
+    }
+  }
+  return { isValid: true };
+}
 
 export function validateCredentialsData(data) {
   if (typeof data !== 'object' || data === null) {
@@ -17,7 +248,8 @@ export function validateCredentialsData(data) {
 
   for (const platformId in data) {
     if (Object.prototype.hasOwnProperty.call(data, platformId)) {
-      if (!knownPlatformIds.includes(platformId)) {
+      const isCustomProvider = isCustomProviderId(platformId);
+      if (!isCustomProvider && !knownPlatformIds.includes(platformId)) {
         return {
           isValid: false,
           error: `Invalid platform ID "${platformId}" found in credentials data. Supported platforms are: ${knownPlatformIds.join(', ')}.`,
@@ -30,9 +262,10 @@ export function validateCredentialsData(data) {
           error: `Credentials for platform "${platformId}" must be an object.`,
         };
       }
+      // The API key is optional for custom providers (e.g., local servers).
       if (
         typeof platformCreds.apiKey !== 'string' ||
-        platformCreds.apiKey.trim() === ''
+        (!isCustomProvider && platformCreds.apiKey.trim() === '')
       ) {
         return {
           isValid: false,
@@ -44,7 +277,15 @@ export function validateCredentialsData(data) {
   return { isValid: true };
 }
 
-export async function validateModelParametersSettingsData(data) {
+/**
+ * @param {Object} data - The model parameters settings to validate.
+ * @param {Object|null} [customProviders=null] - Custom providers being imported alongside,
+ *   used to validate their models before they exist in storage.
+ */
+export async function validateModelParametersSettingsData(
+  data,
+  customProviders = null
+) {
   let apiConfig;
   try {
     apiConfig = await ConfigService.getApiConfig();
@@ -54,6 +295,13 @@ export async function validateModelParametersSettingsData(data) {
         error: 'Failed to load or parse API configuration for validation.',
       };
     }
+    if (customProviders) {
+      const aiPlatforms = { ...apiConfig.aiPlatforms };
+      Object.values(customProviders).forEach((provider) => {
+        aiPlatforms[provider.id] = buildCustomProviderApiConfig(provider);
+      });
+      apiConfig = { ...apiConfig, aiPlatforms };
+    }
   } catch (e) {
     return {
       isValid: false,
@@ -72,7 +320,10 @@ export async function validateModelParametersSettingsData(data) {
 
   for (const platformId in data) {
     if (Object.prototype.hasOwnProperty.call(data, platformId)) {
-      if (!knownPlatformIds.includes(platformId)) {
+      if (
+        !knownPlatformIds.includes(platformId) &&
+        !(isCustomProviderId(platformId) && apiConfig.aiPlatforms[platformId])
+      ) {
         return {
           isValid: false,
           error: `Invalid platform ID "${platformId}" found in model parameters data. Supported platforms are: ${knownPlatformIds.join(', ')}.`,
@@ -341,8 +592,105 @@ export async function validateModelParametersSettingsData(data) {
                         };
                       }
                       break;
+                    case 'stopSequences':
+                      if (
+                        !Array.isArray(value) ||
+                        !value.every((item) => typeof item === 'string')
+                      )
+                        return {
+                          isValid: false,
+                          error: `stopSequences for ${platformId}/${modelId}/${mode} must be an array of strings.`,
+                        };
+                      if (value.length > MAX_STOP_SEQUENCES)
+                        return {
+                          isValid: false,
+                          error: `stopSequences for ${platformId}/${modelId}/${mode} can have at most ${MAX_STOP_SEQUENCES} entries.`,
+                        };
+                      if (
+                        value.length > 0 &&
+                        effectiveModelCapabilities.supportsStopSequences !==
+                          true
+                      )
+                        return {
+                          isValid: false,
+                          error: `stopSequences are set for ${platformId}/${modelId}/${mode}, but this model does not support them.`,
+                        };
+                      break;
+                    case 'seed':
+                      if (value === null || value === undefined) break;
+                      if (
+                        !Number.isInteger(value) ||
+                        value < 0 ||
+                        value > MAX_SEED
+                      )
+                        return {
+                          isValid: false,
+                          error: `seed for ${platformId}/${modelId}/${mode} must be an integer between 0 and ${MAX_SEED}. Found: ${value}.`,
+                        };
+                      if (effectiveModelCapabilities.supportsSeed !== true)
+                        return {
+                          isValid: false,
+                          error: `seed is set for ${platformId}/${modelId}/${mode}, but this model does not support it.`,
+                        };
+                      break;
+                    case 'presencePenalty':
+                    case 'frequencyPenalty':
+                      if (typeof value !== 'number')
+                        return {
+                          isValid: false,
+                          error: `"${paramKey}" for ${platformId}/${modelId}/${mode} must be a number.`,
+                        };
+                      if (
+                        value < PENALTY_RANGE.min ||
+                        value > PENALTY_RANGE.max
+                      )
+                        return {
+                          isValid: false,
+                          error: `"${paramKey}" for ${platformId}/${modelId}/${mode} must be between ${PENALTY_RANGE.min} and ${PENALTY_RANGE.max}. Found: ${value}.`,
+                        };
+                      if (
+                        modeSettings.includePenalties === true &&
+                        effectiveModelCapabilities.supportsPenalties !== true
+                      )
+                        return {
+                          isValid: false,
+                          error: `Penalties are set for ${platformId}/${modelId}/${mode}, but this model does not support them.`,
+                        };
+                      break;
+                    case 'safetyThreshold':
+                      if (value === null || value === undefined) break;
+                      if (!GEMINI_SAFETY_THRESHOLDS.includes(value))
+                        return {
+                          isValid: false,
+                          error: `Invalid safetyThreshold value "${value}" for ${platformId}/${modelId}/${mode}. Allowed values are: ${GEMINI_SAFETY_THRESHOLDS.join(', ')}.`,
+                        };
+                      if (
+                        effectiveModelCapabilities.supportsSafetySettings !==
+                        true
+                      )
+                        return {
+                          isValid: false,
+                          error: `safetyThreshold is set for ${platformId}/${modelId}/${mode}, but this model does not support safety settings.`,
+                        };
+                      break;
+                    case 'extraBody': {
+                      if (typeof value !== 'string')
+                        return {
+                          isValid: false,
+                          error: `extraBody for ${platformId}/${modelId}/${mode} must be a string.`,
+                        };
+                      const { error: extraBodyError } = parseExtraBody(value);
+                      if (extraBodyError)
+                        return {
+                          isValid: false,
+                          error: `extraBody for ${platformId}/${modelId}/${mode} is invalid: ${extraBodyError}`,
+                        };
+                      break;
+                    }
                     case 'includeTemperature':
                     case 'includeTopP':
+                    case 'includePenalties':
+                    case 'promptCaching':
                       if (typeof value !== 'boolean')
                         return {
                           isValid: false,
@@ -471,6 +819,15 @@ export function validatePromptsData(data) {
             error: `Content for prompt "${promptId}" in "${contentTypeKey}" exceeds ${MAX_PROMPT_CONTENT_LENGTH} characters.`,
           };
         }
+        if (promptObj.outputSchema !== undefined) {
+          const schemaError = getOutputSchemaError(promptObj.outputSchema);
+          if (schemaError) {
+            return {
+              isValid: false,
+              error: `Output schema for prompt "${promptId}" in "${contentTypeKey}" is invalid: ${schemaError}`,
+            };
+          }
+        }
         if (
           typeof promptObj.createdAt !== 'string' ||
           isNaN(new Date(promptObj.createdAt).getTime())
@@ -518,13 +875,42 @@ export async function validateAllSettingsData(data) {
     return promptsValidation;
   }
 
+  // Custom providers are optional to stay compatible with older exports.
+  if (Object.prototype.hasOwnProperty.call(data, 'customProviders')) {
+    const customProvidersValidation = validateCustomProvidersData(
+      data.customProviders
+    );
+    if (!customProvidersValidation.isValid) {
+      return customProvidersValidation;
+    }
+  }
+
   const credentialsValidation = validateCredentialsData(data.credentials);
   if (!credentialsValidation.isValid) {
     return credentialsValidation;
   }
 
+  // Site rules are optional to stay compatible with older exports.
+  if (Object.prototype.hasOwnProperty.call(data, 'siteRules')) {
+    const siteRulesValidation = validateSiteRulesData(data.siteRules);
+    if (!siteRulesValidation.isValid) {
+      return siteRulesValidation;
+    }
+  }
+
+  // Parameter presets are optional to stay compatible with older exports.
+  if (Object.prototype.hasOwnProperty.call(data, 'parameterPresets')) {
+    const parameterPresetsValidation = validateParameterPresetsData(
+      data.parameterPresets
+    );
+    if (!parameterPresetsValidation.isValid) {
+      return parameterPresetsValidation;
+    }
+  }
+
   const modelParamsValidation = await validateModelParametersSettingsData(
-    data.modelParametersSettings
+    data.modelParametersSettings,
+    data.customProviders || {}
   );
   if (!modelParamsValidation.isValid) {
     return modelParamsValidation;
@@ -0,0 +1,165 @@
+// src/settings/utils/usage-analytics-utils.js
+import { getDayKey } from '../../shared/utils/budget-utils';
+
+/**
+ * Dimensions usage can be grouped by
+ */
+export const USAGE_DIMENSIONS = {
+  PLATFORM: 'platform',
+  MODEL: 'model',
+  CONTENT_TYPE: 'contentType',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+const TIME_DIMENSIONS = [
+  USAGE_DIMENSIONS.DAY,
+  USAGE_DIMENSIONS.WEEK,
+  USAGE_DIMENSIONS.MONTH,
+];
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'chatSessionId',
+  'platformId',
+  'modelId',
+  'contentType',
+  'inputTokens',
+  'outputTokens',
+  'thinkingTokens',
+  'cachedInputTokens',
+  'cost',
+  'isExact',
+];
+
+/**
+ * Keeps the entries recorded within the last number of days.
+ * @param {Array<Object>} entries - Usage ledger entries.
+ * @param {number|null} days - Number of days, or null for all entries.
+ * @param {Date} [now=new Date()] - Current date.
+ * @returns {Array<Object>} The entries within the range.
+ */
+export function filterEntriesByDays(entries, days, now = new Date()) {
+  if (!days) return entries;
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (days - 1));
+  return entries.filter((entry) => new Date(entry.timestamp) >= start);
+}
+
+/**
+ * Gets the group an entry falls into for a dimension. Weeks start on Monday
+ * and are keyed by their first day; the model key includes the platform, as
+ * model IDs are only unique within a platform.
+ * @param {Object} entry - Usage ledger entry.
+ * @param {string} dimension - A USAGE_DIMENSIONS value.
+ * @returns {string} The group key.
+ */
+export function getUsageGroupKey(entry, dimension) {
+  const date = new Date(entry.timestamp);
+  switch (dimension) {
+    case USAGE_DIMENSIONS.PLATFORM:
+      return entry.platformId;
+    case USAGE_DIMENSIONS.MODEL:
+      return `${entry.platformId}/${entry.modelId}`;
+    case USAGE_DIMENSIONS.CONTENT_TYPE:
+      return entry.contentType || 'none';
+    case USAGE_DIMENSIONS.WEEK: {
+      const weekStart = new Date(date);
+      weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+      return getDayKey(weekStart);
+    }
+    case USAGE_DIMENSIONS.MONTH:
+      return getDayKey(date).slice(0, 7);
+    case USAGE_DIMENSIONS.DAY:
+    default:
+      return getDayKey(date);
+  }
+}
+
+const addEntryToTotals = (totals, entry) => ({
+  requests: totals.requests + 1,
+  inputTokens: totals.inputTokens + (entry.inputTokens || 0),
+  outputTokens: totals.outputTokens + (entry.outputTokens || 0),
+  cost: totals.cost + (entry.cost || 0),
+});
+
+const EMPTY_TOTALS = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+/**
+ * Sums requests, tokens and cost over entries.
+ * @param {Array<Object>} entries - Usage ledger entries.
+ * @returns {{requests: number, inputTokens: number, outputTokens: number, cost: number}} The totals.
+ */
+export function summarizeUsage(entries) {
+  return entries.reduce(addEntryToTotals, EMPTY_TOTALS);
+}
+
+/**
+ * Groups entries by a dimension. Time groups are in chronological order,
+ * other groups from most to least expensive.
+ * @param {Array<Object>} entries - Usage ledger entries.
+ * @param {string} dimension - A USAGE_DIMENSIONS value.
+ * @returns {Array<{key: string, requests: number, inputTokens: number, outputTokens: number, cost: number}>} The groups.
+ */
+export function aggregateUsage(entries, dimension) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = getUsageGroupKey(entry, dimension);
+    groups.set(key, addEntryToTotals(groups.get(key) || EMPTY_TOTALS, entry));
+  });
+  const rows = Array.from(groups, ([key, totals]) => ({ key, ...totals }));
+  return TIME_DIMENSIONS.includes(dimension)
+    ? rows.sort((a, b) => a.key.localeCompare(b.key))
+    : rows.sort((a, b) => b.cost - a.cost);
+}
+
+/**
+ * Gets the chat sessions with the highest total cost.
+ * @param {Array<Object>} entries - Usage ledger entries.
+ * @param {number} limit - Maximum number of sessions.
+ * @returns {Array<{chatSessionId: string, requests: number, inputTokens: number, outputTokens: number, cost: number, lastRequestAt: string}>} The sessions, most expensive first.
+ */
+export function getTopSessions(entries, limit) {
+  const sessions = new Map();
+  entries.forEach((entry) => {
+    if (!entry.chatSessionId) return;
+    const session = sessions.get(entry.chatSessionId) || {
+      ...EMPTY_TOTALS,
+      lastRequestAt: entry.timestamp,
+    };
+    sessions.set(entry.chatSessionId, {
+      ...addEntryToTotals(session, entry),
+      lastRequestAt:
+        entry.timestamp > session.lastRequestAt
+          ? entry.timestamp
+          : session.lastRequestAt,
+    });
+  });
+  return Array.from(sessions, ([chatSessionId, totals]) => ({
+    chatSessionId,
+    ...totals,
+  }))
+    .filter((session) => session.cost > 0)
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, limit);
+}
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes entries as CSV, one row per request.
+ * @param {Array<Object>} entries - Usage ledger entries.
+ * @returns {string} The CSV text, with a header row.
+ */
+export function usageEntriesToCsv(entries) {
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map((column) => escapeCsvValue(entry[column])).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
@@ -6,6 +6,9 @@
 export const CONTENT_TYPES = {
   GENERAL: 'general',
   REDDIT: 'reddit',
+  HACKER_NEWS: 'hackernews',
+  GITHUB: 'github',
+  STACK_EXCHANGE: 'stackexchange',
   YOUTUBE: 'youtube',
   PDF: 'pdf',
   SELECTED_TEXT: 'selectedText',
@@ -17,11 +20,24 @@ export const CONTENT_TYPES = {
 export const CONTENT_TYPE_LABELS = {
   [CONTENT_TYPES.GENERAL]: 'Web Content',
   [CONTENT_TYPES.REDDIT]: 'Reddit Post',
+  [CONTENT_TYPES.HACKER_NEWS]: 'Hacker News Thread',
+  [CONTENT_TYPES.GITHUB]: 'GitHub Page',
+  [CONTENT_TYPES.STACK_EXCHANGE]: 'Stack Exchange Question',
   [CONTENT_TYPES.YOUTUBE]: 'YouTube Video',
   [CONTENT_TYPES.PDF]: 'PDF Document',
   [CONTENT_TYPES.SELECTED_TEXT]: 'Selected Text',
 };
 
+/**
+ * Kinds of GitHub pages the GitHub content type covers
+ */
+export const GITHUB_PAGE_KINDS = {
+  ISSUE: 'issue',
+  PULL_REQUEST: 'pull_request',
+  PULL_REQUEST_FILES: 'pull_request_files',
+  BLOB: 'blob',
+};
+
 /**
  * AI platforms supported by the extension
  */
@@ -34,6 +50,19 @@ export const AI_PLATFORMS = {
   MISTRAL: 'mistral',
 };
 
+/**
+ * Prefix for the IDs of user-defined OpenAI-compatible providers
+ */
+export const CUSTOM_PROVIDER_ID_PREFIX = 'custom_';
+
+/**
+ * Wire protocols supported by custom providers
+ */
+export const CUSTOM_PROVIDER_TYPES = {
+  OPENAI_COMPATIBLE: 'openai',
+  OLLAMA: 'ollama',
+};
+
 /**
  * Storage keys used throughout the extension
  */
@@ -52,14 +81,54 @@ export const STORAGE_KEYS = {
     'sidepanel_default_model_id_by_platform',
   /** @description User's preference for enabling "thinking mode" in the Sidepanel, stored as { platformId: { modelId: boolean } }. Synced. */
   SIDEPANEL_THINKING_MODE_PREFERENCE: 'sidepanel_thinking_mode_preference',
+  /** @description Whether the model may call browser tools in Sidepanel chats (boolean). Synced. */
+  SIDEPANEL_TOOLS_ENABLED: 'sidepanel_tools_enabled',
+  /** @description Sidepanel comparison mode, stored as { enabled: boolean, targets: Array<{ platformId, modelId }> }. Synced. */
+  SIDEPANEL_COMPARISON: 'sidepanel_comparison',
   /** @description User's custom keyboard shortcut configuration for toggling the sidepanel. Synced. */
   CUSTOM_SIDEPANEL_TOGGLE_SHORTCUT: 'custom_sidepanel_toggle_shortcut_config',
 
   // --- Core Settings ---
   /** @description User-configured model parameters (temperature, maxTokens, etc.) for each platform/model. Local. */
   MODEL_PARAMETER_SETTINGS: 'model_parameter_settings',
-  /** @description API keys for different AI platforms. Local. */
+  /** @description Named parameter presets, as { presetId: { id, name, platformId, modelId, maxTokens, temperature, topP, systemPrompt } }; presets without platformId apply to every model. Local. */
+  PARAMETER_PRESETS: 'parameter_presets',
+  /** @description API keys for different AI platforms, with their named profiles. Local. */
   API_CREDENTIALS: 'api_credentials',
+  /** @description Spend per credential profile, as { platformId: { profileId: { totalCost, requestCount, since } } }. Local. */
+  CREDENTIAL_PROFILE_SPEND: 'credential_profile_spend',
+  /** @description User-defined OpenAI-compatible providers, keyed by provider ID. Local. */
+  CUSTOM_PROVIDERS: 'custom_providers',
+  /** @description Endpoint overrides and extra request headers of built-in platforms, as { platformId: { baseUrl, headers: [{ name, value }] } }. Local. */
+  PLATFORM_CONNECTION_OVERRIDES: 'platform_connection_overrides',
+  /** @description Models listed by each provider's models endpoint, as { platformId: { fetchedAt, models } }. Local. */
+  DISCOVERED_MODELS: 'discovered_models',
+  /** @description Discovered models the user chose to show, as { platformId: { modelId: boolean } }. Local. */
+  MODEL_VISIBILITY: 'model_visibility',
+  /** @description Platforms whose model list is refreshed automatically, as { platformId: boolean }. Synced. */
+  MODEL_DISCOVERY_SETTINGS: 'model_discovery_settings',
+  /** @description Retry policy for rate-limited or transiently failing API requests. Synced. */
+  API_RETRY_SETTINGS: 'api_retry_settings',
+  /** @description Ordered fallback platform/model pairs per interface source, as { source: [{ platformId, modelId }] }. Synced. */
+  API_FALLBACK_CHAINS: 'api_fallback_chains',
+  /** @description Tools the user chose to always allow without asking, as { toolName: true }. Synced. */
+  TOOL_AUTO_APPROVALS: 'tool_auto_approvals',
+  /** @description Gemini context caches of chat page content, as { cacheKey: { name, expireTime } }. Local. */
+  GEMINI_PROMPT_CACHES: 'gemini_prompt_caches',
+  /** @description Daily and monthly spending caps, globally and per platform, with their warning threshold and enforcement mode. Synced. */
+  BUDGET_SETTINGS: 'budget_settings',
+  /** @description API spend per local day, as { 'YYYY-MM-DD': { total, platforms: { platformId: cost } } }. Local. */
+  SPEND_LEDGER: 'spend_ledger',
+  /** @description Budget alerts already notified, as { alertKey: timestamp }, so each is shown once per period. Local. */
+  BUDGET_ALERTS: 'budget_alerts',
+  /** @description One entry per completed API request { id, timestamp, chatSessionId, platformId, modelId, contentType, inputTokens, outputTokens, thinkingTokens, cachedInputTokens, cost, isExact }, oldest first. Local. */
+  USAGE_LEDGER: 'usage_ledger',
+
+  // --- Vault (encryption at rest) ---
+  /** @description Vault configuration { salt, iterations, verifier, autoLockMinutes }; present only while the vault is enabled. Local. */
+  VAULT_CONFIG: 'vault_config',
+  /** @description Key derived from the vault passphrase and the time of last vault use, while unlocked. Session. */
+  VAULT_SESSION: 'vault_session',
 
   // --- Prompts & WebUI Injection State ---
   /** @description The prompt content to be auto-filled when opening an AI platform's Web UI. Local. */
@@ -74,6 +143,10 @@ export const STORAGE_KEYS = {
   EXTRACTED_CONTENT: 'extracted_content',
   /** @description User's preferred strategy for general web content extraction ('focused' or 'broad'). Synced. */
   GENERAL_CONTENT_EXTRACTION_STRATEGY: 'general_content_extraction_strategy',
+  /** @description Ordered site rules for general content extraction, as [{ id, pattern, strategy, includeSelectors, excludeSelectors, waitForSelectors }]. The first rule matching the page applies. Local. */
+  EXTRACTION_SITE_RULES: 'extraction_site_rules',
+  /** @description Number of Reddit comment levels included in the formatted thread, or 0 for all of them. Synced. */
+  REDDIT_COMMENT_MAX_DEPTH: 'reddit_comment_max_depth',
 
   // --- WebUI Injection Specific State (Content sent to AI platform websites) ---
   /** @description Flag indicating if the content script for Web UI injection has been successfully injected. Local. */
@@ -120,6 +193,112 @@ export const MAX_PROMPT_NAME_LENGTH = 100;
 export const MAX_PROMPT_CONTENT_LENGTH = 100000;
 export const MAX_SYSTEM_PROMPT_LENGTH = 100000;
 
+// Parameter presets
+export const MAX_PARAMETER_PRESETS = 20;
+export const MAX_PRESET_NAME_LENGTH = 50;
+
+// Connection overrides of built-in platforms
+export const MAX_CUSTOM_HEADERS = 10;
+
+// Advanced model parameters
+export const MAX_STOP_SEQUENCES = 4;
+export const MAX_SEED = 2147483647;
+export const PENALTY_RANGE = { min: -2, max: 2, step: 0.1 };
+export const MAX_EXTRA_BODY_LENGTH = 10000;
+// Blocking threshold applied to every Gemini harm category
+export const GEMINI_SAFETY_THRESHOLDS = [
+  'BLOCK_NONE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_LOW_AND_ABOVE',
+  'OFF',
+];
+export const GEMINI_HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+
+// API retry policy
+export const RETRYABLE_HTTP_STATUS_CODES = [429, 500, 502, 503, 529];
+export const MIN_API_RETRY_ATTEMPTS = 1;
+export const MAX_API_RETRY_ATTEMPTS = 6;
+export const DEFAULT_API_RETRY_SETTINGS = {
+  maxAttempts: 4, // Total attempts, including the first request
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+// Maximum number of fallback candidates tried after the selected model
+export const MAX_FALLBACK_CHAIN_LENGTH = 4;
+
+// Age after which a platform's discovered model list is refreshed
+export const DISCOVERED_MODELS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Vault (passphrase encryption of API keys and chat history at rest)
+export const VAULT_PBKDF2_ITERATIONS = 310000;
+export const MIN_VAULT_PASSPHRASE_LENGTH = 8;
+export const DEFAULT_VAULT_AUTO_LOCK_MINUTES = 15;
+export const VAULT_AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 240]; // Minutes of inactivity
+export const VAULT_PROTECTED_STORAGE_KEYS = [
+  STORAGE_KEYS.API_CREDENTIALS,
+  STORAGE_KEYS.PLATFORM_CONNECTION_OVERRIDES,
+  STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
+];
+
+// Spending limits
+export const BUDGET_ENFORCEMENT_MODES = {
+  WARN: 'warn', // Alerts only
+  CONFIRM: 'confirm', // Requests that would exceed a cap need the user's confirmation
+};
+export const BUDGET_PERIODS = {
+  DAILY: 'daily',
+  MONTHLY: 'monthly',
+};
+export const GLOBAL_BUDGET_SCOPE = 'global';
+export const DEFAULT_BUDGET_SETTINGS = {
+  enforcement: BUDGET_ENFORCEMENT_MODES.WARN,
+  warningThresholdPercent: 80,
+  caps: {}, // { global | platformId: { daily: number|null, monthly: number|null } } in USD
+};
+export const SPEND_LEDGER_RETENTION_DAYS = 62; // Covers the current and previous month
+export const MAX_USAGE_LEDGER_ENTRIES = 20000; // Oldest requests are dropped beyond this
+
+// Image attachments (vision input)
+export const MAX_ATTACHED_IMAGES = 4;
+export const MAX_IMAGE_DIMENSION = 1568; // Longest side in pixels; larger images are downscaled
+export const SUPPORTED_IMAGE_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/gif',
+];
+
+// Comparison mode (one message answered by several models in the Sidepanel)
+export const MIN_COMPARISON_TARGETS = 2;
+export const MAX_COMPARISON_TARGETS = 4;
+
+// Browser tools (tool calling in Sidepanel chats)
+export const MAX_TOOL_ROUNDS = 5; // Model responses per message that may call tools
+export const TOOL_APPROVAL_TIMEOUT_MS = 5 * 60 * 1000; // Unanswered approvals count as denied
+export const MAX_TOOL_RESULT_LENGTH = 20000; // Characters sent back to the model per call
+export const MAX_TOOL_RESULT_PREVIEW_LENGTH = 1000; // Characters shown in the chat
+export const TOOL_CALL_STATUS = {
+  PENDING: 'pending', // Waiting for the user's approval
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+  DENIED: 'denied',
+  CANCELLED: 'cancelled',
+};
+export const BROWSER_TOOL_LABELS = {
+  list_open_tabs: 'List open tabs',
+  extract_tab_content: 'Read tab content',
+  find_text_on_page: 'Find text on page',
+  fetch_url: 'Fetch URL',
+};
+
 // Chat Title Limits
 export const MAX_CHAT_TITLE_LENGTH = 150;
 
@@ -160,3 +339,12 @@ export const EXTRACTION_STRATEGIES = {
 };
 
 export const DEFAULT_EXTRACTION_STRATEGY = EXTRACTION_STRATEGIES.BROAD;
+
+// Site rules for general content extraction
+export const MAX_SITE_RULES = 50;
+export const MAX_SITE_RULE_SELECTORS = 20;
+export const SITE_RULE_WAIT_TIMEOUT_MS = 8000; // Stays below the extraction timeout of the background
+
+// Reddit comment trees: 0 keeps every level
+export const DEFAULT_REDDIT_COMMENT_MAX_DEPTH = 0;
+export const MAX_REDDIT_COMMENT_DEPTH_OPTION = 10;
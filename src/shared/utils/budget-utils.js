@@ -0,0 +1,162 @@
+// src/shared/utils/budget-utils.js
+import {
+  DEFAULT_BUDGET_SETTINGS,
+  BUDGET_ENFORCEMENT_MODES,
+  BUDGET_PERIODS,
+  GLOBAL_BUDGET_SCOPE,
+  SPEND_LEDGER_RETENTION_DAYS,
+} from '../constants';
+
+const CHARACTERS_PER_TOKEN = 4; // Rough average, used before a request is sent
+
+/**
+ * Merges stored budget settings with the defaults, dropping invalid caps.
+ * @param {Object|null|undefined} settings - The stored budget settings.
+ * @returns {{enforcement: string, warningThresholdPercent: number, caps: Object}} The normalized settings.
+ */
+export function normalizeBudgetSettings(settings) {
+  const merged = { ...DEFAULT_BUDGET_SETTINGS, ...(settings || {}) };
+  const caps = {};
+  Object.entries(merged.caps || {}).forEach(([scope, scopeCaps]) => {
+    const normalizedCaps = {};
+    Object.values(BUDGET_PERIODS).forEach((period) => {
+      const cap = Number(scopeCaps?.[period]);
+      if (Number.isFinite(cap) && cap > 0) {
+        normalizedCaps[period] = cap;
+      }
+    });
+    if (Object.keys(normalizedCaps).length > 0) {
+      caps[scope] = normalizedCaps;
+    }
+  });
+  const threshold = Math.round(Number(merged.warningThresholdPercent));
+  return {
+    enforcement: Object.values(BUDGET_ENFORCEMENT_MODES).includes(
+      merged.enforcement
+    )
+      ? merged.enforcement
+      : DEFAULT_BUDGET_SETTINGS.enforcement,
+    warningThresholdPercent:
+      threshold >= 1 && threshold <= 100
+        ? threshold
+        : DEFAULT_BUDGET_SETTINGS.warningThresholdPercent,
+    caps,
+  };
+}
+
+/**
+ * Gets the ledger key of a local calendar day.
+ * @param {Date} [date=new Date()] - The date.
+ * @returns {string} The day key, as 'YYYY-MM-DD'.
+ */
+export function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Adds the cost of a request to the spend ledger, dropping days past retention.
+ * @param {Object} ledger - The spend ledger, keyed by day.
+ * @param {string} platformId - Platform that was paid.
+ * @param {number} cost - Cost in USD.
+ * @param {Date} [date=new Date()] - When the request completed.
+ * @returns {Object} The updated ledger.
+ */
+export function addSpendToLedger(ledger, platformId, cost, date = new Date()) {
+  const dayKey = getDayKey(date);
+  const day = ledger?.[dayKey] || { total: 0, platforms: {} };
+  const updatedLedger = {
+    ...(ledger || {}),
+    [dayKey]: {
+      total: day.total + cost,
+      platforms: {
+        ...day.platforms,
+        [platformId]: (day.platforms[platformId] || 0) + cost,
+      },
+    },
+  };
+
+  const oldestKept = new Date(date);
+  oldestKept.setDate(oldestKept.getDate() - SPEND_LEDGER_RETENTION_DAYS);
+  const oldestKeptKey = getDayKey(oldestKept);
+  Object.keys(updatedLedger).forEach((key) => {
+    if (key < oldestKeptKey) {
+      delete updatedLedger[key];
+    }
+  });
+  return updatedLedger;
+}
+
+/**
+ * Sums the spend of a scope over the day or month containing a date.
+ * @param {Object} ledger - The spend ledger, keyed by day.
+ * @param {string} period - A BUDGET_PERIODS value.
+ * @param {string} scope - GLOBAL_BUDGET_SCOPE or a platform ID.
+ * @param {Date} [date=new Date()] - A date within the period.
+ * @returns {number} The spend in USD.
+ */
+export function getPeriodSpend(ledger, period, scope, date = new Date()) {
+  const dayKey = getDayKey(date);
+  const prefix = period === BUDGET_PERIODS.DAILY ? dayKey : dayKey.slice(0, 7);
+  return Object.entries(ledger || {})
+    .filter(([key]) => key.startsWith(prefix))
+    .reduce(
+      (sum, [, day]) =>
+        sum +
+        (scope === GLOBAL_BUDGET_SCOPE
+          ? day.total
+          : day.platforms?.[scope] || 0),
+      0
+    );
+}
+
+/**
+ * Gets the state of every cap that applies to requests on a platform: the
+ * global caps and the platform's own.
+ * @param {Object} settings - Normalized budget settings.
+ * @param {Object} ledger - The spend ledger.
+ * @param {string} platformId - Platform of the request.
+ * @param {Date} [date=new Date()] - Current date.
+ * @returns {Array<{scope: string, period: string, cap: number, spent: number, percent: number}>} The cap states.
+ */
+export function getBudgetStatuses(
+  settings,
+  ledger,
+  platformId,
+  date = new Date()
+) {
+  const statuses = [];
+  [GLOBAL_BUDGET_SCOPE, platformId].forEach((scope) => {
+    const scopeCaps = settings.caps[scope];
+    if (!scopeCaps) return;
+    Object.values(BUDGET_PERIODS).forEach((period) => {
+      const cap = scopeCaps[period];
+      if (!cap) return;
+      const spent = getPeriodSpend(ledger, period, scope, date);
+      statuses.push({
+        scope,
+        period,
+        cap,
+        spent,
+        percent: (spent / cap) * 100,
+      });
+    });
+  });
+  return statuses;
+}
+
+/**
+ * Estimates the input cost of a request before it is sent, from the length
+ * of the text it carries. Output is unknown in advance and not included.
+ * @param {Object} modelConfig - Model configuration with pricing.
+ * @param {number} characterCount - Characters of prompt, history and page content.
+ * @returns {number|null} The estimated cost in USD, or null if the model has no pricing.
+ */
+export function estimateRequestInputCost(modelConfig, characterCount) {
+  const inputTokenPrice = modelConfig?.pricing?.inputTokenPrice;
+  if (typeof inputTokenPrice !== 'number') {
+    return null;
+  }
+  return (characterCount / CHARACTERS_PER_TOKEN / 1000000) * inputTokenPrice;
+}
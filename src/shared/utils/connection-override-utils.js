@@ -0,0 +1,112 @@
+// src/shared/utils/connection-override-utils.js
+import { MAX_CUSTOM_HEADERS } from '../constants.js';
+
+import { normalizeBaseUrl } from './custom-provider-utils.js';
+
+/**
+ * A built-in platform's stored connection override routes its requests
+ * through another host, such as a company gateway speaking the same protocol:
+ * {
+ *   baseUrl,                   // Replaces the scheme and host of the bundled endpoints
+ *   headers: [{ name, value }] // Added to every request, including key checks
+ * }
+ */
+
+// RFC 9110 token characters
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Set by the API services themselves
+const RESERVED_HEADER_NAMES = ['content-type', 'content-length', 'host'];
+
+/**
+ * Normalizes a connection override, dropping header rows without a name.
+ * @param {Object|null} override - Stored or edited connection override.
+ * @returns {Object|null} The normalized override, or null if it changes nothing.
+ */
+export function normalizeConnectionOverride(override) {
+  const baseUrl = normalizeBaseUrl(override?.baseUrl);
+  const headers = (override?.headers || [])
+    .map((header) => ({
+      name: (header.name || '').trim(),
+      value: header.value || '',
+    }))
+    .filter((header) => header.name);
+  if (!baseUrl && headers.length === 0) {
+    return null;
+  }
+  return { baseUrl, headers };
+}
+
+/**
+ * Checks a normalized connection override.
+ * @param {Object|null} override - Normalized connection override.
+ * @returns {string|null} Error message, or null if the override is valid.
+ */
+export function getConnectionOverrideError(override) {
+  if (!override) return null;
+  if (override.baseUrl && !/^https?:\/\/[^\s/]+/i.test(override.baseUrl)) {
+    return 'Base URL must start with http:// or https://.';
+  }
+  if (override.headers.length > MAX_CUSTOM_HEADERS) {
+    return `No more than ${MAX_CUSTOM_HEADERS} custom headers are allowed.`;
+  }
+  const seenNames = new Set();
+  for (const { name, value } of override.headers) {
+    const lowerName = name.toLowerCase();
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      return `"${name}" is not a valid header name.`;
+    }
+    if (RESERVED_HEADER_NAMES.includes(lowerName)) {
+      return `The "${name}" header cannot be overridden.`;
+    }
+    if (seenNames.has(lowerName)) {
+      return `The "${name}" header is listed more than once.`;
+    }
+    if (/[\r\n]/.test(value)) {
+      return `The value of "${name}" cannot contain line breaks.`;
+    }
+    seenNames.add(lowerName);
+  }
+  return null;
+}
+
+/**
+ * Replaces the scheme and host of a URL with a base URL, keeping its path
+ * and query (e.g., 'https://api.openai.com/v1/chat/completions' with
+ * 'https://gateway.example.com/openai' gives
+ * 'https://gateway.example.com/openai/v1/chat/completions').
+ * @param {string} url - Bundled URL.
+ * @param {string} baseUrl - Normalized base URL.
+ * @returns {string} The URL on the base URL's host.
+ */
+export function rebaseUrl(url, baseUrl) {
+  if (!url || !baseUrl) return url;
+  const { pathname, search } = new URL(url);
+  // Bundled templates may hold {placeholders}, which URL percent-encodes
+  return `${baseUrl}${decodeURI(pathname)}${search}`;
+}
+
+/**
+ * Applies a built-in platform's connection override to its API configuration.
+ * The overridden configuration gets `baseUrl` and a `customHeaders` object.
+ * @param {Object} platformApiConfig - Entry of platform-api-config.json's `aiPlatforms`.
+ * @param {Object|null} override - Stored connection override.
+ * @returns {Object} The API configuration honoring the override.
+ */
+export function applyConnectionOverride(platformApiConfig, override) {
+  const normalized = normalizeConnectionOverride(override);
+  if (!normalized || getConnectionOverrideError(normalized)) {
+    return platformApiConfig;
+  }
+  const { baseUrl, headers } = normalized;
+  return {
+    ...platformApiConfig,
+    ...(baseUrl && {
+      baseUrl,
+      endpoint: rebaseUrl(platformApiConfig.endpoint, baseUrl),
+      modelsEndpoint: rebaseUrl(platformApiConfig.modelsEndpoint, baseUrl),
+    }),
+    customHeaders: Object.fromEntries(
+      headers.map(({ name, value }) => [name, value])
+    ),
+  };
+}
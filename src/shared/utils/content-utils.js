@@ -2,6 +2,17 @@
 import { CONTENT_TYPES } from '../constants.js';
 import { logger } from '../logger';
 
+// Issues and pull requests (any tab) by number, and files at a ref
+const GITHUB_CONTENT_PATH_PATTERN =
+  /^\/[^/]+\/[^/]+\/((issues|pull)\/\d+|blob\/.+)/;
+
+// Current, old and bare Reddit domains
+const REDDIT_HOSTNAME_PATTERN = /^((www|old|new|np)\.)?reddit\.com$/;
+
+// Stack Overflow and the other sites of the Stack Exchange network
+const STACK_EXCHANGE_HOSTNAME_PATTERN =
+  /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net|stackapps\.com)$/;
+
 /**
  * Determine content type based on URL and selection state
  * This is the single source of truth for content type detection
@@ -37,11 +48,29 @@ export function determineContentType(url, hasSelection = false) {
       // More precise check for standard YouTube watch pages
       return CONTENT_TYPES.YOUTUBE;
     } else if (
-      parsedUrl.hostname === 'www.reddit.com' &&
+      REDDIT_HOSTNAME_PATTERN.test(parsedUrl.hostname) &&
       parsedUrl.pathname.includes('/comments/')
     ) {
-      // Standard Reddit comment pages
+      // Reddit threads and comment permalinks, including old Reddit
       return CONTENT_TYPES.REDDIT;
+    } else if (
+      parsedUrl.hostname === 'news.ycombinator.com' &&
+      parsedUrl.pathname === '/item'
+    ) {
+      // Hacker News story and comment pages
+      return CONTENT_TYPES.HACKER_NEWS;
+    } else if (
+      parsedUrl.hostname === 'github.com' &&
+      GITHUB_CONTENT_PATH_PATTERN.test(parsedUrl.pathname)
+    ) {
+      // GitHub issues, pull requests and source files
+      return CONTENT_TYPES.GITHUB;
+    } else if (
+      STACK_EXCHANGE_HOSTNAME_PATTERN.test(parsedUrl.hostname) &&
+      /^\/questions\/\d+/.test(parsedUrl.pathname)
+    ) {
+      // Stack Exchange question pages
+      return CONTENT_TYPES.STACK_EXCHANGE;
     } else {
       // Default to general for all other cases
       return CONTENT_TYPES.GENERAL;
@@ -57,8 +86,18 @@ export function determineContentType(url, hasSelection = false) {
       return CONTENT_TYPES.PDF;
     } else if (url.includes('youtube.com/watch')) {
       return CONTENT_TYPES.YOUTUBE;
-    } else if (url.includes('reddit.com/r/') && url.includes('/comments/')) {
+    } else if (/reddit\.com\/(r\/[^/]+\/)?comments\//.test(url)) {
       return CONTENT_TYPES.REDDIT;
+    } else if (url.includes('news.ycombinator.com/item')) {
+      return CONTENT_TYPES.HACKER_NEWS;
+    } else if (/github\.com\/[^/]+\/[^/]+\/(issues|pull|blob)\//.test(url)) {
+      return CONTENT_TYPES.GITHUB;
+    } else if (
+      /(stackoverflow|stackexchange|superuser|serverfault|askubuntu|mathoverflow|stackapps)\.(com|net)\/questions\/\d+/.test(
+        url
+      )
+    ) {
+      return CONTENT_TYPES.STACK_EXCHANGE;
     } else {
       return CONTENT_TYPES.GENERAL;
     }
@@ -0,0 +1,85 @@
+// src/shared/utils/credential-profile-utils.js
+
+/**
+ * A platform's stored credentials may hold several named profiles (e.g., a
+ * work key and a personal key):
+ * {
+ *   apiKey,            // Key of the active profile, read by the API layer
+ *   activeProfileId,
+ *   profiles: [{ id, name, apiKey, validation: { isValid, message, checkedAt } }],
+ * }
+ * Entries saved before profiles existed only have `apiKey`; they are read as
+ * a single "Default" profile.
+ */
+
+export const DEFAULT_CREDENTIAL_PROFILE_ID = 'default';
+export const DEFAULT_CREDENTIAL_PROFILE_NAME = 'Default';
+
+/**
+ * Gets the profiles of a platform's stored credentials.
+ * @param {Object|null} entry - Stored credentials of the platform.
+ * @returns {Array<Object>} The profiles, empty if there are no credentials.
+ */
+export function getCredentialProfiles(entry) {
+  if (!entry) return [];
+  if (Array.isArray(entry.profiles) && entry.profiles.length > 0) {
+    return entry.profiles;
+  }
+  return [
+    {
+      id: DEFAULT_CREDENTIAL_PROFILE_ID,
+      name: DEFAULT_CREDENTIAL_PROFILE_NAME,
+      apiKey: entry.apiKey || '',
+    },
+  ];
+}
+
+/**
+ * Gets the profile whose key is currently used for requests.
+ * @param {Object|null} entry - Stored credentials of the platform.
+ * @returns {Object|null} The active profile, or null if there are no credentials.
+ */
+export function getActiveCredentialProfile(entry) {
+  const profiles = getCredentialProfiles(entry);
+  return (
+    profiles.find((profile) => profile.id === entry?.activeProfileId) ||
+    profiles[0] ||
+    null
+  );
+}
+
+/**
+ * Builds the stored credentials of a platform from its profiles.
+ * @param {Array<Object>} profiles - The profiles.
+ * @param {string} [activeProfileId] - Profile to make active; defaults to the first.
+ * @returns {Object|null} The credentials entry, or null if there are no profiles.
+ */
+export function buildCredentialEntry(profiles, activeProfileId) {
+  if (!profiles.length) return null;
+  const activeProfile =
+    profiles.find((profile) => profile.id === activeProfileId) || profiles[0];
+  return {
+    apiKey: activeProfile.apiKey,
+    activeProfileId: activeProfile.id,
+    profiles,
+  };
+}
+
+/**
+ * Removes API keys from profiles, for interfaces that only list them.
+ * @param {Array<Object>} profiles - The profiles.
+ * @returns {Array<Object>} The profiles without their `apiKey`.
+ */
+export function toPublicCredentialProfiles(profiles) {
+  return profiles.map(({ apiKey: _apiKey, ...profile }) => profile);
+}
+
+/**
+ * Generates a new unique ID for a credential profile.
+ * @returns {string} The generated profile ID.
+ */
+export function generateCredentialProfileId() {
+  return `profile_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .substring(2, 6)}`;
+}
@@ -0,0 +1,166 @@
+// src/shared/utils/crypto-utils.js
+
+/**
+ * WebCrypto helpers for passphrase-based encryption: PBKDF2 (SHA-256) derives
+ * an AES-GCM 256-bit key, and JSON values are encrypted with a fresh random
+ * IV each time. Binary values are carried as base64 strings so they can be
+ * stored in chrome.storage or written to export files.
+ */
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const BASE64_CHUNK_SIZE = 0x8000; // Keeps String.fromCharCode under the argument limit
+
+/**
+ * Encodes bytes as a base64 string.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The base64 string.
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string to bytes.
+ * @param {string} base64 - The base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Generates a random salt for key derivation.
+ * @returns {string} The salt, base64-encoded.
+ */
+export function generateSalt() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {string} salt - Base64-encoded salt.
+ * @param {number} iterations - PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>} An extractable AES-GCM key.
+ */
+export async function deriveKeyFromPassphrase(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: base64ToBytes(salt),
+      iterations,
+      hash: 'SHA-256',
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Exports an AES-GCM key as raw base64, e.g., to hold it for the session.
+ * @param {CryptoKey} key - The key to export.
+ * @returns {Promise<string>} The raw key, base64-encoded.
+ */
+export async function exportKey(key) {
+  return bytesToBase64(
+    new Uint8Array(await crypto.subtle.exportKey('raw', key))
+  );
+}
+
+/**
+ * Imports a raw base64 AES-GCM key produced by `exportKey`.
+ * @param {string} rawKey - The raw key, base64-encoded.
+ * @returns {Promise<CryptoKey>} The key.
+ */
+export async function importKey(rawKey) {
+  return crypto.subtle.importKey(
+    'raw',
+    base64ToBytes(rawKey),
+    { name: 'AES-GCM' },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts a JSON-serializable value.
+ * @param {CryptoKey} key - AES-GCM key.
+ * @param {*} value - The value to encrypt.
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext.
+ */
+export async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return {
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * Decrypts a value produced by `encryptJson`. Rejects if the key is wrong or
+ * the data was tampered with.
+ * @param {CryptoKey} key - AES-GCM key.
+ * @param {{iv: string, data: string}} encrypted - Base64 IV and ciphertext.
+ * @returns {Promise<*>} The decrypted value.
+ */
+export async function decryptJson(key, { iv, data }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Encrypts a value with a passphrase, carrying the salt and iteration count
+ * so it can be decrypted with the passphrase alone (e.g., export files).
+ * @param {string} passphrase - The passphrase.
+ * @param {*} value - The value to encrypt.
+ * @param {number} iterations - PBKDF2 iteration count.
+ * @returns {Promise<{salt: string, iterations: number, iv: string, data: string}>} The encrypted payload.
+ */
+export async function encryptWithPassphrase(passphrase, value, iterations) {
+  const salt = generateSalt();
+  const key = await deriveKeyFromPassphrase(passphrase, salt, iterations);
+  return { salt, iterations, ...(await encryptJson(key, value)) };
+}
+
+/**
+ * Decrypts a payload produced by `encryptWithPassphrase`.
+ * @param {string} passphrase - The passphrase.
+ * @param {{salt: string, iterations: number, iv: string, data: string}} payload - The encrypted payload.
+ * @returns {Promise<*>} The decrypted value.
+ */
+export async function decryptWithPassphrase(passphrase, payload) {
+  const key = await deriveKeyFromPassphrase(
+    passphrase,
+    payload.salt,
+    payload.iterations
+  );
+  return decryptJson(key, payload);
+}
@@ -0,0 +1,131 @@
+// src/shared/utils/custom-provider-utils.js
+import {
+  CUSTOM_PROVIDER_ID_PREFIX,
+  CUSTOM_PROVIDER_TYPES,
+} from '../constants.js';
+
+export const CUSTOM_PROVIDER_ICON = 'images/logo_48.png';
+export const DEFAULT_CUSTOM_CONTEXT_WINDOW = 128000;
+export const DEFAULT_CUSTOM_MAX_OUTPUT = 4096;
+
+/**
+ * Checks whether a platform ID belongs to a user-defined custom provider.
+ * @param {string} platformId - The platform ID to check.
+ * @returns {boolean} True if the ID uses the custom provider prefix.
+ */
+export function isCustomProviderId(platformId) {
+  return (
+    typeof platformId === 'string' &&
+    platformId.startsWith(CUSTOM_PROVIDER_ID_PREFIX)
+  );
+}
+
+/**
+ * Gets the wire protocol of a custom provider from its ID.
+ * The protocol is encoded in the ID so the API factory can pick an implementation
+ * synchronously; IDs without a protocol segment are OpenAI-compatible.
+ * @param {string} platformId - The custom provider ID.
+ * @returns {string} One of CUSTOM_PROVIDER_TYPES.
+ */
+export function getCustomProviderType(platformId) {
+  return platformId.startsWith(
+    `${CUSTOM_PROVIDER_ID_PREFIX}${CUSTOM_PROVIDER_TYPES.OLLAMA}_`
+  )
+    ? CUSTOM_PROVIDER_TYPES.OLLAMA
+    : CUSTOM_PROVIDER_TYPES.OPENAI_COMPATIBLE;
+}
+
+/**
+ * Generates a new unique ID for a custom provider.
+ * @param {string} [providerType=CUSTOM_PROVIDER_TYPES.OPENAI_COMPATIBLE] - The provider's wire protocol.
+ * @returns {string} The generated provider ID (e.g., 'custom_lq3k9x2a', 'custom_ollama_lq3k9x2a').
+ */
+export function generateCustomProviderId(
+  providerType = CUSTOM_PROVIDER_TYPES.OPENAI_COMPATIBLE
+) {
+  const typeSegment =
+    providerType === CUSTOM_PROVIDER_TYPES.OLLAMA
+      ? `${CUSTOM_PROVIDER_TYPES.OLLAMA}_`
+      : '';
+  return `${CUSTOM_PROVIDER_ID_PREFIX}${typeSegment}${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .substring(2, 6)}`;
+}
+
+/**
+ * Normalizes a base URL by trimming whitespace and trailing slashes.
+ * @param {string} baseUrl - The base URL entered by the user.
+ * @returns {string} The normalized base URL.
+ */
+export function normalizeBaseUrl(baseUrl) {
+  return (baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Builds an entry shaped like platform-api-config.json's `aiPlatforms.{id}`
+ * from a stored custom provider definition.
+ * @param {Object} provider - The stored custom provider.
+ * @returns {Object} The API configuration for the provider.
+ */
+export function buildCustomProviderApiConfig(provider) {
+  const baseUrl = normalizeBaseUrl(provider.baseUrl);
+  const providerType = getCustomProviderType(provider.id);
+  const isOllama = providerType === CUSTOM_PROVIDER_TYPES.OLLAMA;
+  const contextWindow = provider.contextWindow || DEFAULT_CUSTOM_CONTEXT_WINDOW;
+  const maxOutput = provider.maxOutput || DEFAULT_CUSTOM_MAX_OUTPUT;
+  const models = (provider.models || []).map((model) => ({
+    id: model.id,
+    displayName: model.displayName || model.id,
+    description: `Served by ${provider.name}`,
+    tokens: {
+      maxOutput,
+      parameterName: isOllama ? 'num_predict' : 'max_tokens',
+      contextWindow,
+    },
+    pricing: {
+      inputTokenPrice: provider.inputTokenPrice || 0,
+      outputTokenPrice: provider.outputTokenPrice || 0,
+    },
+    capabilities: {
+      supportsTemperature: true,
+      supportsTopP: true,
+      supportsSystemPrompt: true,
+      supportsVision: provider.supportsVision === true,
+      supportsTools: provider.supportsTools === true,
+      supportsStopSequences: true,
+      supportsSeed: true,
+      supportsPenalties: true,
+    },
+    thinking: { available: false },
+  }));
+
+  return {
+    endpoint: isOllama ? `${baseUrl}/api/chat` : `${baseUrl}/chat/completions`,
+    baseUrl,
+    isCustomProvider: true,
+    providerType,
+    requiresApiKey: false,
+    temperature: { min: 0, max: 2, default: 0.7 },
+    topP: { min: 0, max: 1, default: 1 },
+    apiStructure: { supportsSystemPrompt: true },
+    defaultModel: models[0]?.id || null,
+    requiresModel: true,
+    models,
+  };
+}
+
+/**
+ * Builds an entry shaped like platform-display-config.json's `aiPlatforms.{id}`
+ * from a stored custom provider definition.
+ * @param {Object} provider - The stored custom provider.
+ * @returns {Object} The display configuration for the provider.
+ */
+export function buildCustomProviderDisplayConfig(provider) {
+  return {
+    name: provider.name,
+    icon: CUSTOM_PROVIDER_ICON,
+    url: normalizeBaseUrl(provider.baseUrl),
+    isCustomProvider: true,
+    providerType: getCustomProviderType(provider.id),
+  };
+}
@@ -0,0 +1,102 @@
+// src/shared/utils/image-utils.js
+import { MAX_IMAGE_DIMENSION } from '../constants.js';
+
+/**
+ * Image attachments are stored as { id, mimeType, data, width, height }, where
+ * `data` is the base64 payload without the data URL prefix. This is the form
+ * every provider accepts, and it is what chat history stores.
+ */
+
+const OUTPUT_MIME_TYPE = 'image/jpeg';
+const OUTPUT_QUALITY = 0.9;
+
+/**
+ * Build a data URL for an image attachment, e.g. for an <img> source.
+ * @param {Object} image - Image attachment
+ * @returns {string} - Data URL
+ */
+export function getImageDataUrl(image) {
+  return `data:${image.mimeType};base64,${image.data}`;
+}
+
+/**
+ * Load a data URL into an HTMLImageElement.
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<HTMLImageElement>} - The loaded image
+ */
+export function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode image'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Re-encode an image as a JPEG attachment, optionally cropped, and downscaled so
+ * its longest side does not exceed MAX_IMAGE_DIMENSION.
+ * @param {string} dataUrl - Source image data URL
+ * @param {Object} [crop] - Region in source pixels: { x, y, width, height }
+ * @returns {Promise<Object>} - Image attachment
+ */
+export async function createImageAttachment(dataUrl, crop = null) {
+  const img = await loadImage(dataUrl);
+  const region = crop || {
+    x: 0,
+    y: 0,
+    width: img.naturalWidth,
+    height: img.naturalHeight,
+  };
+  const scale = Math.min(
+    1,
+    MAX_IMAGE_DIMENSION / Math.max(region.width, region.height)
+  );
+  const width = Math.max(1, Math.round(region.width * scale));
+  const height = Math.max(1, Math.round(region.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha channel; paint transparent areas white instead of black
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(
+    img,
+    region.x,
+    region.y,
+    region.width,
+    region.height,
+    0,
+    0,
+    width,
+    height
+  );
+
+  const outputUrl = canvas.toDataURL(OUTPUT_MIME_TYPE, OUTPUT_QUALITY);
+  return {
+    id: `img_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+    mimeType: OUTPUT_MIME_TYPE,
+    data: outputUrl.substring(outputUrl.indexOf(',') + 1),
+    width,
+    height,
+  };
+}
+
+/**
+ * Read an image File (pasted or dropped) into an image attachment.
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} - Image attachment
+ */
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      createImageAttachment(reader.result).then(resolve, reject);
+    };
+    reader.onerror = () =>
+      reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
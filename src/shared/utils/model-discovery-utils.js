@@ -0,0 +1,81 @@
+// src/shared/utils/model-discovery-utils.js
+
+/**
+ * Gets the discovered models that are not in a platform's bundled model list.
+ * @param {Object} platformConfig - Bundled API configuration of the platform.
+ * @param {Array<Object>} discoveredModels - Models listed by the provider.
+ * @returns {Array<Object>} The discovered models unknown to the bundled config.
+ */
+export function getNewDiscoveredModels(platformConfig, discoveredModels) {
+  const bundledIds = new Set((platformConfig?.models || []).map((m) => m.id));
+  return (discoveredModels || []).filter((model) => !bundledIds.has(model.id));
+}
+
+/**
+ * Builds a model entry shaped like platform-api-config.json's `models[]` for a
+ * model only known from the provider's listing. Token parameter and the
+ * parameters it accepts are taken from the platform's default model, which
+ * shares the same API. Vision, tools, web search and prompt caching are only
+ * enabled when the listing reports them, and pricing is unknown (null), so no
+ * cost is computed for the model.
+ * @param {Object} model - Discovered model { id, displayName, contextWindow?, maxOutput?, supportsVision?, supportsTools? }.
+ * @param {Object} platformConfig - Bundled API configuration of the platform.
+ * @returns {Object} The model configuration.
+ */
+export function buildDiscoveredModelConfig(model, platformConfig) {
+  const models = platformConfig?.models || [];
+  const template =
+    models.find((m) => m.id === platformConfig?.defaultModel) || models[0];
+  return {
+    id: model.id,
+    displayName: model.displayName || model.id,
+    description: 'Discovered from the provider model list. Pricing unknown.',
+    isDiscovered: true,
+    tokens: {
+      ...template?.tokens,
+      contextWindow:
+        model.contextWindow || template?.tokens?.contextWindow || 128000,
+      maxOutput: model.maxOutput || template?.tokens?.maxOutput || 4096,
+    },
+    pricing: null,
+    capabilities: {
+      ...template?.capabilities,
+      supportsVision: model.supportsVision === true,
+      supportsTools: model.supportsTools === true,
+      supportsWebSearch: false,
+      supportsPromptCaching: false,
+    },
+    thinking: { available: false },
+  };
+}
+
+/**
+ * Adds the discovered models the user made visible to a platform's bundled
+ * model list. Bundled models keep their curated configuration.
+ * @param {Object} platformConfig - Bundled API configuration of the platform.
+ * @param {Array<Object>} discoveredModels - Models listed by the provider.
+ * @param {Object<string, boolean>} [visibility={}] - Visibility chosen per model ID; discovered models are hidden by default.
+ * @returns {Object} The platform configuration including visible discovered models.
+ */
+export function mergeDiscoveredModels(
+  platformConfig,
+  discoveredModels,
+  visibility = {}
+) {
+  const visibleModels = getNewDiscoveredModels(
+    platformConfig,
+    discoveredModels
+  ).filter((model) => visibility[model.id] === true);
+  if (visibleModels.length === 0) {
+    return platformConfig;
+  }
+  return {
+    ...platformConfig,
+    models: [
+      ...platformConfig.models,
+      ...visibleModels.map((model) =>
+        buildDiscoveredModelConfig(model, platformConfig)
+      ),
+    ],
+  };
+}
@@ -1,6 +1,13 @@
 // src/settings/utils/modelSettingsHelper.js
 import { logger } from '../../shared/logger';
-import { MAX_SYSTEM_PROMPT_LENGTH } from '../../shared/constants';
+import {
+  MAX_SYSTEM_PROMPT_LENGTH,
+  MAX_STOP_SEQUENCES,
+  MAX_SEED,
+  PENALTY_RANGE,
+  MAX_EXTRA_BODY_LENGTH,
+  GEMINI_SAFETY_THRESHOLDS,
+} from '../../shared/constants';
 
 /**
  * Derives comprehensive model settings including resolved configuration, defaults,
@@ -93,6 +100,15 @@ export function getDerivedModelSettings({
     thinkingBudget: resolvedModelConfig.thinking?.budget?.default ?? null,
     reasoningEffort:
       resolvedModelConfig.thinking?.reasoningEffort?.default ?? null,
+    promptCaching:
+      resolvedModelConfig.capabilities.supportsPromptCaching === true,
+    stopSequences: [],
+    seed: null,
+    includePenalties: false,
+    presencePenalty: 0,
+    frequencyPenalty: 0,
+    safetyThreshold: null,
+    extraBody: '',
   };
 
   if (
@@ -117,6 +133,7 @@ export function getDerivedModelSettings({
   const displaySpecs = {
     contextWindow: resolvedModelConfig.tokens.contextWindow,
     inputPrice: resolvedModelConfig.pricing.inputTokenPrice,
+    cachedInputPrice: resolvedModelConfig.pricing.cachedInputTokenPrice,
     outputPrice: resolvedModelConfig.pricing.outputTokenPrice,
     maxOutputTokens: resolvedModelConfig.tokens.maxOutput,
   };
@@ -169,6 +186,28 @@ export function getDerivedModelSettings({
           default: resolvedModelConfig.thinking.reasoningEffort.default,
         }
       : null,
+    stopSequences:
+      resolvedModelConfig.capabilities.supportsStopSequences === true
+        ? { maxCount: MAX_STOP_SEQUENCES }
+        : null,
+    seed:
+      resolvedModelConfig.capabilities.supportsSeed === true
+        ? { min: 0, max: MAX_SEED }
+        : null,
+    presencePenalty:
+      resolvedModelConfig.capabilities.supportsPenalties === true
+        ? { ...PENALTY_RANGE }
+        : null,
+    frequencyPenalty:
+      resolvedModelConfig.capabilities.supportsPenalties === true
+        ? { ...PENALTY_RANGE }
+        : null,
+    safetyThreshold:
+      resolvedModelConfig.capabilities.supportsSafetySettings === true
+        ? { allowedValues: GEMINI_SAFETY_THRESHOLDS }
+        : null,
+    // Raw JSON merged into the request body, available for every model
+    extraBody: { maxLength: MAX_EXTRA_BODY_LENGTH },
   };
 
   // --- Calculate Effective Visibility for Temp and TopP sections ---
@@ -289,9 +328,135 @@ export function checkAreFormValuesAtDefaults(
       return false;
   }
 
+  // Check promptCaching
+  if (
+    capabilities.supportsPromptCaching === true &&
+    formValues.promptCaching !== configDefaults.promptCaching
+  )
+    return false;
+
+  // Check advanced parameters
+  if (normalizeStopSequences(formValues.stopSequences).length > 0) return false;
+  if (formValues.seed !== null && formValues.seed !== undefined) return false;
+  if (capabilities.supportsPenalties === true) {
+    if ((formValues.includePenalties ?? false) !== false) return false;
+    if ((formValues.presencePenalty ?? 0) !== configDefaults.presencePenalty)
+      return false;
+    if ((formValues.frequencyPenalty ?? 0) !== configDefaults.frequencyPenalty)
+      return false;
+  }
+  if (formValues.safetyThreshold) return false;
+  if ((formValues.extraBody || '').trim() !== '') return false;
+
   return true;
 }
 
+/**
+ * Drops the blank lines of a stop sequences list being edited.
+ * @param {Array<string>|undefined} stopSequences - Stop sequences as edited, one per line.
+ * @returns {Array<string>} The non-empty stop sequences.
+ */
+export function normalizeStopSequences(stopSequences) {
+  return Array.isArray(stopSequences)
+    ? stopSequences.filter(
+        (sequence) => typeof sequence === 'string' && sequence !== ''
+      )
+    : [];
+}
+
+/**
+ * Parses the extra body JSON a user entered for a model.
+ * @param {string} text - The raw JSON text.
+ * @returns {{value: Object|null, error: string|null}} The parsed object, or
+ *   null for empty text, with an error message when the text is not a JSON object.
+ */
+export function parseExtraBody(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { value: null, error: null };
+  }
+  if (text.length > MAX_EXTRA_BODY_LENGTH) {
+    return {
+      value: null,
+      error: `Extra body JSON cannot exceed ${MAX_EXTRA_BODY_LENGTH} characters.`,
+    };
+  }
+  try {
+    const value = JSON.parse(text);
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return { value: null, error: 'Extra body must be a JSON object.' };
+    }
+    return { value, error: null };
+  } catch (error) {
+    return {
+      value: null,
+      error: `Extra body is not valid JSON: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Validates the advanced parameters of a form against the specs of the model.
+ * Parameters the model does not support are not checked, as they are not sent.
+ * @param {object} formValues - The form values to validate.
+ * @param {object} parameterSpecs - The specs derived by getDerivedModelSettings.
+ * @throws {Error} With a user-facing message when a value is invalid.
+ */
+export function validateAdvancedParameters(formValues, parameterSpecs) {
+  if (parameterSpecs.stopSequences) {
+    const stopSequences = normalizeStopSequences(formValues.stopSequences);
+    if (stopSequences.length > parameterSpecs.stopSequences.maxCount) {
+      throw new Error(
+        `At most ${parameterSpecs.stopSequences.maxCount} stop sequences are allowed.`
+      );
+    }
+  }
+  if (
+    parameterSpecs.seed &&
+    formValues.seed !== null &&
+    formValues.seed !== undefined
+  ) {
+    if (
+      !Number.isInteger(formValues.seed) ||
+      formValues.seed < parameterSpecs.seed.min ||
+      formValues.seed > parameterSpecs.seed.max
+    ) {
+      throw new Error(
+        `Seed must be a whole number between ${parameterSpecs.seed.min} and ${parameterSpecs.seed.max}.`
+      );
+    }
+  }
+  if (parameterSpecs.presencePenalty && formValues.includePenalties) {
+    for (const key of ['presencePenalty', 'frequencyPenalty']) {
+      const { min, max } = parameterSpecs[key];
+      if (
+        typeof formValues[key] !== 'number' ||
+        isNaN(formValues[key]) ||
+        formValues[key] < min ||
+        formValues[key] > max
+      ) {
+        throw new Error(
+          `${getParameterDisplayName(key)} must be between ${min} and ${max}.`
+        );
+      }
+    }
+  }
+  if (
+    parameterSpecs.safetyThreshold &&
+    formValues.safetyThreshold &&
+    !parameterSpecs.safetyThreshold.allowedValues.includes(
+      formValues.safetyThreshold
+    )
+  ) {
+    throw new Error(
+      `Safety threshold must be one of: ${parameterSpecs.safetyThreshold.allowedValues.join(', ')}.`
+    );
+  }
+  const { error: extraBodyError } = parseExtraBody(formValues.extraBody);
+  if (extraBodyError) {
+    throw new Error(extraBodyError);
+  }
+}
+
 /**
  * Checks if there are any meaningful changes between current and original form values.
  * Original values are typically what was last saved or initially loaded (config defaults + user overrides).
@@ -313,6 +478,15 @@ export function checkForFormChanges(currentValues, originalValues) {
     const currentValue = currentValues[key];
     const originalValue = originalValues[key];
 
+    if (key === 'stopSequences') {
+      if (
+        normalizeStopSequences(currentValue).join('\n') !==
+        normalizeStopSequences(originalValue).join('\n')
+      )
+        return true;
+      continue;
+    }
+
     // Handle cases where a key might exist in one but not the other,
     // especially for booleans (includeTemperature/TopP) which might default if not present.
     // A robust check considers effective values. For simplicity here, direct comparison.
@@ -364,6 +538,14 @@ export function getParameterDisplayName(paramKey) {
     includeTopP: 'Top P Toggle',
     thinkingBudget: 'Thinking Budget',
     reasoningEffort: 'Reasoning Effort',
+    promptCaching: 'Prompt Caching',
+    stopSequences: 'Stop Sequences',
+    seed: 'Seed',
+    includePenalties: 'Penalties Toggle',
+    presencePenalty: 'Presence Penalty',
+    frequencyPenalty: 'Frequency Penalty',
+    safetyThreshold: 'Safety Threshold',
+    extraBody: 'Extra Body JSON',
   };
   return displayNames[paramKey] || paramKey; // Fallback to key if not found
 }
@@ -0,0 +1,82 @@
+// src/shared/utils/parameter-preset-utils.js
+
+/**
+ * A parameter preset is a named bundle of model parameters and a system
+ * prompt, chosen per chat session in the side panel:
+ * {
+ *   id, name,
+ *   platformId, modelId, // Model the preset is for, or null for every model
+ *   maxTokens, temperature, topP, // null keeps the model's own setting
+ *   systemPrompt,                 // Empty keeps the model's own system prompt
+ * }
+ */
+
+/**
+ * Generates a new unique ID for a parameter preset.
+ * @returns {string} The generated preset ID (e.g., 'preset_lq3k9x2a').
+ */
+export function generatePresetId() {
+  return `preset_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .substring(2, 6)}`;
+}
+
+/**
+ * Checks whether a preset can be used with a model.
+ * @param {Object} preset - The preset.
+ * @param {string} platformId - Platform of the model.
+ * @param {string} modelId - The model.
+ * @returns {boolean} True if the preset is global or made for this model.
+ */
+export function isPresetApplicable(preset, platformId, modelId) {
+  if (!preset) return false;
+  if (!preset.platformId) return true;
+  return preset.platformId === platformId && preset.modelId === modelId;
+}
+
+/**
+ * Gets the presets usable with a model, sorted by name.
+ * @param {Object} presets - Stored presets, keyed by ID.
+ * @param {string} platformId - Platform of the model.
+ * @param {string} modelId - The model.
+ * @returns {Array<Object>} The applicable presets.
+ */
+export function getApplicablePresets(presets, platformId, modelId) {
+  return Object.values(presets || {})
+    .filter((preset) => isPresetApplicable(preset, platformId, modelId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+const clamp = (value, range) =>
+  range ? Math.min(Math.max(value, range.min), range.max) : value;
+
+/**
+ * Overlays a preset on the stored settings of a model, as read by
+ * ModelParameterService. Values are clamped to the model's limits, since
+ * global presets are not written for any model in particular.
+ * @param {Object} settings - Stored settings of the model and mode.
+ * @param {Object} preset - The preset.
+ * @param {Object} limits - Limits of the model.
+ * @param {number} limits.maxTokens - Maximum output tokens.
+ * @param {{min: number, max: number}} [limits.temperature] - Temperature range.
+ * @param {{min: number, max: number}} [limits.topP] - Top P range.
+ * @returns {Object} The settings with the preset applied.
+ */
+export function applyPresetToModelSettings(settings, preset, limits) {
+  const result = { ...settings };
+  if (typeof preset.maxTokens === 'number') {
+    result.maxTokens = Math.min(preset.maxTokens, limits.maxTokens);
+  }
+  if (typeof preset.temperature === 'number') {
+    result.includeTemperature = true;
+    result.temperature = clamp(preset.temperature, limits.temperature);
+  }
+  if (typeof preset.topP === 'number') {
+    result.includeTopP = true;
+    result.topP = clamp(preset.topP, limits.topP);
+  }
+  if (preset.systemPrompt?.trim()) {
+    result.systemPrompt = preset.systemPrompt;
+  }
+  return result;
+}
@@ -1,5 +1,21 @@
 // src/shared/utils/prompt-formatting-utils.js
 
+/**
+ * Splits a prompt with page content into its two sections, content first.
+ * Providers cache prompts by prefix, so placing the (large, unchanging) page
+ * content before the instruction lets the cached prefix cover it.
+ *
+ * @param {string} prompt - The main user prompt or instruction.
+ * @param {string} formattedContent - The extracted page content.
+ * @returns {{contentSection: string, instructionSection: string}} The sections; joined, they form the full prompt.
+ */
+export function createContentFirstPromptSections(prompt, formattedContent) {
+  return {
+    contentSection: `# EXTRACTED CONTENT\n${formattedContent}\n`,
+    instructionSection: `# INSTRUCTION\n${prompt}`,
+  };
+}
+
 /**
  * Creates a structured prompt string by combining a main prompt with formatted page content.
  * If formattedContent is provided and non-empty, it's appended under an "# EXTRACTED CONTENT" heading.
@@ -7,13 +23,24 @@
  *
  * @param {string} prompt - The main user prompt or instruction.
  * @param {string | null | undefined} formattedContent - The extracted page content, if any.
+ * @param {Object} [options]
+ * @param {boolean} [options.contentFirst=false] - Place the content before the instruction (for prompt caching).
  * @returns {string} The structured prompt string.
  */
-export function createStructuredPromptString(prompt, formattedContent) {
+export function createStructuredPromptString(
+  prompt,
+  formattedContent,
+  { contentFirst = false } = {}
+) {
   if (
     typeof formattedContent === 'string' &&
     formattedContent.trim().length > 0
   ) {
+    if (contentFirst) {
+      const { contentSection, instructionSection } =
+        createContentFirstPromptSections(prompt, formattedContent);
+      return `${contentSection}${instructionSection}`;
+    }
     return `# INSTRUCTION\n${prompt}\n# EXTRACTED CONTENT\n${formattedContent}`;
   } else {
     return prompt;
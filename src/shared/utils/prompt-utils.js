@@ -101,6 +101,52 @@ export async function populateInitialPrompts() {
   }
 }
 
+/**
+ * Adds the default prompts from config for content types that have no prompts
+ * in storage, such as content types introduced by an update. Existing prompts
+ * are left untouched.
+ * @returns {Promise<boolean>} True if prompts were added.
+ */
+export async function populateMissingDefaultPrompts() {
+  try {
+    const response = await fetch(chrome.runtime.getURL('prompt-config.json'));
+    if (!response.ok) throw new Error(`Fetch failed: ${response.statusText}`);
+    const config = await response.json();
+
+    const result = await chrome.storage.local.get(STORAGE_KEYS.USER_PROMPTS);
+    const storedPrompts = result[STORAGE_KEYS.USER_PROMPTS] || {};
+    const missingContentTypes = Object.keys(config).filter(
+      (contentType) => !storedPrompts[contentType]
+    );
+    if (missingContentTypes.length === 0) return false;
+
+    const updatedPrompts = robustDeepClone(storedPrompts);
+    for (const contentType of missingContentTypes) {
+      updatedPrompts[contentType] = {};
+      for (const [name, { content }] of Object.entries(config[contentType])) {
+        const newId = `prompt_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+        updatedPrompts[contentType][newId] = _createNewDefaultPrompt(
+          name,
+          content
+        );
+      }
+    }
+
+    const { prompts: validatedPrompts } =
+      _validateAndFixDefaultsOnObject(updatedPrompts);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.USER_PROMPTS]: validatedPrompts,
+    });
+    logger.service.info(
+      `Default prompts added for: ${missingContentTypes.join(', ')}`
+    );
+    return true;
+  } catch (error) {
+    logger.service.error('Error adding missing default prompts:', error);
+    return false;
+  }
+}
+
 /**
  * Ensures that every content type with at least one prompt has a valid default prompt assigned.
  * @returns {Promise<boolean>} True if changes were made to storage.
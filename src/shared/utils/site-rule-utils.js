@@ -0,0 +1,137 @@
+// src/shared/utils/site-rule-utils.js
+import {
+  EXTRACTION_STRATEGIES,
+  MAX_SITE_RULE_SELECTORS,
+} from '../constants.js';
+
+/**
+ * A site rule tunes general content extraction on the pages it matches:
+ * {
+ *   id,
+ *   pattern,          // e.g. 'wiki.example.com', '*.example.com' or 'docs.example.com/guides/*'
+ *   strategy,         // 'focused' or 'broad' forced on the site, or null for the user's default
+ *   includeSelectors, // Only these elements are extracted, if any matches
+ *   excludeSelectors, // Elements removed before extraction
+ *   waitForSelectors, // Elements to wait for before extracting, for pages rendered late
+ * }
+ */
+
+/**
+ * Generates a new unique ID for a site rule.
+ * @returns {string} The generated rule ID (e.g., 'site_rule_lq3k9x2a').
+ */
+export function generateSiteRuleId() {
+  return `site_rule_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .substring(2, 6)}`;
+}
+
+const globToRegExp = (glob) =>
+  glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+/**
+ * Checks whether a page URL matches a site rule pattern. '*' matches any
+ * characters, '*.' in front of a domain also matches the domain itself, and
+ * a path limits the rule to the URLs starting with it.
+ * @param {string} url - The page URL.
+ * @param {string} pattern - The rule pattern, with or without a scheme.
+ * @returns {boolean} True if the pattern matches the URL.
+ */
+export function matchesSitePattern(url, pattern) {
+  const trimmedPattern = (pattern || '').trim().replace(/^[a-z]+:\/\//i, '');
+  if (!trimmedPattern) return false;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const slashIndex = trimmedPattern.indexOf('/');
+  const hostPattern = (
+    slashIndex === -1 ? trimmedPattern : trimmedPattern.slice(0, slashIndex)
+  ).toLowerCase();
+  const pathPattern = slashIndex === -1 ? '' : trimmedPattern.slice(slashIndex);
+
+  const hostname = parsedUrl.hostname.toLowerCase();
+  const hostMatches =
+    new RegExp(`^${globToRegExp(hostPattern)}$`).test(hostname) ||
+    (hostPattern.startsWith('*.') && hostname === hostPattern.slice(2));
+  if (!hostMatches) return false;
+
+  return (
+    !pathPattern ||
+    new RegExp(`^${globToRegExp(pathPattern)}`).test(
+      `${parsedUrl.pathname}${parsedUrl.search}`
+    )
+  );
+}
+
+/**
+ * Finds the rule applying to a page: the first one whose pattern matches.
+ * @param {Array<Object>} rules - Stored site rules, in order.
+ * @param {string} url - The page URL.
+ * @returns {Object|null} The matching rule, or null.
+ */
+export function findSiteRule(rules, url) {
+  if (!Array.isArray(rules)) return null;
+  return rules.find((rule) => matchesSitePattern(url, rule.pattern)) || null;
+}
+
+/**
+ * Checks whether a string is a CSS selector the browser accepts.
+ * @param {string} selector - The selector.
+ * @returns {boolean} True if the selector is valid.
+ */
+export function isValidCssSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates a site rule before it is saved or imported.
+ * @param {Object} rule - The rule.
+ * @returns {string|null} The error message, or null if the rule is valid.
+ */
+export function getSiteRuleError(rule) {
+  const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+  if (!pattern) return 'Every site rule needs a site pattern.';
+  if (/\s/.test(pattern)) {
+    return `The site pattern "${pattern}" cannot contain spaces.`;
+  }
+  if (
+    rule.strategy != null &&
+    !Object.values(EXTRACTION_STRATEGIES).includes(rule.strategy)
+  ) {
+    return `The strategy of the rule for "${pattern}" is not valid.`;
+  }
+  for (const field of [
+    'includeSelectors',
+    'excludeSelectors',
+    'waitForSelectors',
+  ]) {
+    const selectors = rule[field];
+    if (!Array.isArray(selectors)) {
+      return `The selectors of the rule for "${pattern}" must be a list.`;
+    }
+    if (selectors.length > MAX_SITE_RULE_SELECTORS) {
+      return `A rule cannot have more than ${MAX_SITE_RULE_SELECTORS} selectors of each kind.`;
+    }
+    const invalidSelector = selectors.find(
+      (selector) =>
+        typeof selector !== 'string' || !isValidCssSelector(selector)
+    );
+    if (invalidSelector !== undefined) {
+      return `"${invalidSelector}" in the rule for "${pattern}" is not a valid CSS selector.`;
+    }
+  }
+  return null;
+}
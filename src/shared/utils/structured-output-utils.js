@@ -0,0 +1,248 @@
+// src/shared/utils/structured-output-utils.js - JSON Schema prompts and their results
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Checks that a value can be used as a prompt's output schema. Every provider
+ * requires the root of a structured output schema to be an object.
+ * @param {*} schema - Candidate schema.
+ * @returns {string|null} An error message, or null if the schema is usable.
+ */
+export function getOutputSchemaError(schema) {
+  if (!isPlainObject(schema)) {
+    return 'The schema must be a JSON object.';
+  }
+  if (schema.type !== 'object') {
+    return 'The schema root must have "type": "object".';
+  }
+  if (
+    schema.properties !== undefined &&
+    (!isPlainObject(schema.properties) ||
+      Object.keys(schema.properties).length === 0)
+  ) {
+    return '"properties" must be an object with at least one property.';
+  }
+  return null;
+}
+
+/**
+ * Parses the schema text typed in the prompt form.
+ * @param {string} text - Schema source. Empty text means no schema.
+ * @returns {{schema: Object|null, error: string|null}}
+ */
+export function parseOutputSchemaText(text) {
+  if (!text || !text.trim()) {
+    return { schema: null, error: null };
+  }
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (error) {
+    return { schema: null, error: `Invalid JSON: ${error.message}` };
+  }
+  const error = getOutputSchemaError(schema);
+  return error ? { schema: null, error } : { schema, error: null };
+}
+
+/**
+ * Parses a structured response. Models without native structured output may
+ * still wrap the JSON in a markdown code fence, which is stripped.
+ * @param {string} text - Response text.
+ * @returns {{data: *, error: string|null}}
+ */
+export function parseStructuredOutput(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i);
+  try {
+    return { data: JSON.parse(fenced ? fenced[1] : trimmed), error: null };
+  } catch (error) {
+    return {
+      data: null,
+      error: `Response is not valid JSON: ${error.message}`,
+    };
+  }
+}
+
+const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = getJsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validates a value against a JSON Schema. Covers the keywords providers
+ * accept for structured output (type, enum, const, properties, required,
+ * additionalProperties, items, anyOf and the usual bounds); $ref is not
+ * resolved.
+ * @param {*} value - Value to validate.
+ * @param {Object} schema - JSON Schema.
+ * @param {string} [path='$'] - Location of the value, used in messages.
+ * @returns {Array<string>} Validation errors, empty if the value is valid.
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!isPlainObject(schema)) return [];
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(
+        `${path}: expected ${types.join(' or ')}, got ${getJsonType(value)}`
+      );
+      return errors;
+    }
+  }
+  if (
+    Array.isArray(schema.enum) &&
+    !schema.enum.some(
+      (option) => JSON.stringify(option) === JSON.stringify(value)
+    )
+  ) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (
+    schema.const !== undefined &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  ) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+    const options = schema.anyOf || schema.oneOf;
+    if (
+      !options.some(
+        (option) => validateAgainstSchema(value, option, path).length === 0
+      )
+    ) {
+      errors.push(`${path}: does not match any allowed schema`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: less than ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: greater than ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateAgainstSchema(item, schema.items, `${path}[${index}]`)
+        );
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties)
+      ? schema.properties
+      : {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = `${path}.${key}`;
+      if (properties[key]) {
+        errors.push(
+          ...validateAgainstSchema(propertyValue, properties[key], propertyPath)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propertyPath}: property is not allowed`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(
+          ...validateAgainstSchema(
+            propertyValue,
+            schema.additionalProperties,
+            propertyPath
+          )
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Finds the rows to show when a structured result is viewed as a table: the
+ * result itself if it is an array of objects, otherwise its only array of
+ * objects property (e.g. { items: [...] }).
+ * @param {*} data - Parsed result.
+ * @returns {Array<Object>|null} Table rows, or null if the data is not tabular.
+ */
+export function getTableRows(data) {
+  const isObjectArray = (value) =>
+    Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+  if (isObjectArray(data)) return data;
+  if (!isPlainObject(data)) return null;
+  const arrays = Object.values(data).filter(isObjectArray);
+  return arrays.length === 1 ? arrays[0] : null;
+}
+
+/**
+ * Collects the column names of table rows, in order of first appearance.
+ * @param {Array<Object>} rows - Table rows.
+ * @returns {Array<string>} Column names.
+ */
+export function getTableColumns(rows) {
+  const columns = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+  return [...columns];
+}
+
+/**
+ * Formats a table cell: nested values are shown as compact JSON.
+ * @param {*} value - Cell value.
+ * @returns {string} Cell text.
+ */
+export function formatTableCell(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Converts a structured result to CSV. Tabular data becomes one row per item;
+ * anything else becomes a single row.
+ * @param {*} data - Parsed result.
+ * @returns {string} CSV text.
+ */
+export function structuredOutputToCsv(data) {
+  const rows = getTableRows(data) || [
+    isPlainObject(data) ? data : { value: data },
+  ];
+  const columns = getTableColumns(rows);
+  const escape = (text) =>
+    /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  return [
+    columns.map(escape).join(','),
+    ...rows.map((row) =>
+      columns.map((column) => escape(formatTableCell(row[column]))).join(',')
+    ),
+  ].join('\n');
+}
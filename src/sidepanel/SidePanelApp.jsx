@@ -25,6 +25,7 @@ import Header from './components/Header';
 import ChatArea from './components/ChatArea';
 import { UserInput } from './components/UserInput';
 import { useSidePanelChat } from './contexts/SidePanelChatContext';
+import BudgetStatusBanner from './components/BudgetStatusBanner';
 import ChatHistoryListView from './components/ChatHistoryListView.jsx';
 import { ContextView } from './components';
 
@@ -42,6 +43,7 @@ export default function SidePanelApp() {
     switchToView,
     createNewChat,
     contextViewData,
+    resumeStream,
   } = useSidePanelChat();
   const { contentType, currentTab, updateContentContext, hasSelection } =
     useContent();
@@ -214,6 +216,26 @@ export default function SidePanelApp() {
     };
   }, [isReady, tabId]);
 
+  // Pick up a response that kept streaming while the side panel was closed
+  useEffect(() => {
+    const port = portRef.current;
+    if (!port || !currentChatSessionId) return;
+    const handlePortMessage = (message) => {
+      if (
+        message?.action === 'streamSnapshot' &&
+        message.chatSessionId === currentChatSessionId
+      ) {
+        resumeStream(message.snapshot);
+      }
+    };
+    port.onMessage.addListener(handlePortMessage);
+    port.postMessage({
+      action: 'reattachStream',
+      chatSessionId: currentChatSessionId,
+    });
+    return () => port.onMessage.removeListener(handlePortMessage);
+  }, [isReady, tabId, currentChatSessionId, resumeStream]);
+
   const calculateAndSetHeight = useCallback(() => {
     if (rafIdHeightCalc.current) {
       cancelAnimationFrame(rafIdHeightCalc.current);
@@ -338,6 +360,7 @@ export default function SidePanelApp() {
                 ref={userInputRef}
                 className='flex-shrink-0 relative z-10 select-none'
               >
+                <BudgetStatusBanner />
                 <UserInput
                   className=''
                   requestHeightRecalculation={calculateAndSetHeight}
@@ -0,0 +1,81 @@
+// src/sidepanel/components/BudgetStatusBanner.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import { useSidePanelPlatform } from '../../contexts/platform';
+import BudgetService from '../../services/BudgetService';
+import { logger } from '../../shared/logger';
+import { STORAGE_KEYS } from '../../shared/constants';
+
+/**
+ * Shows the spending caps of the selected platform that reached their warning
+ * threshold. Hidden while spending is below every threshold.
+ */
+function BudgetStatusBanner({ className = '' }) {
+  const { selectedPlatformId } = useSidePanelPlatform();
+  const [messages, setMessages] = useState([]);
+  const [isOverCap, setIsOverCap] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    if (!selectedPlatformId) {
+      setMessages([]);
+      return;
+    }
+    try {
+      const { settings, statuses } =
+        await BudgetService.getBudgetStatus(selectedPlatformId);
+      const flagged = statuses.filter(
+        (status) => status.percent >= settings.warningThresholdPercent
+      );
+      setMessages(
+        await Promise.all(
+          flagged.map((status) => BudgetService.describeBudget(status))
+        )
+      );
+      setIsOverCap(flagged.some((status) => status.percent >= 100));
+    } catch (error) {
+      logger.sidepanel.error('Error loading budget status:', error);
+    }
+  }, [selectedPlatformId]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Spend is recorded as requests complete; caps can change from the settings page
+  useEffect(() => {
+    const handleStorageChange = (changes, area) => {
+      if (
+        (area === 'local' && changes[STORAGE_KEYS.SPEND_LEDGER]) ||
+        (area === 'sync' && changes[STORAGE_KEYS.BUDGET_SETTINGS])
+      ) {
+        loadStatus();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, [loadStatus]);
+
+  if (messages.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      role='status'
+      className={`px-4 py-1.5 text-xs border-t border-theme bg-theme-primary ${
+        isOverCap ? 'text-error' : 'text-warning'
+      } ${className}`}
+    >
+      {messages.map((message) => (
+        <p key={message}>{message}</p>
+      ))}
+    </div>
+  );
+}
+
+BudgetStatusBanner.propTypes = {
+  className: PropTypes.string,
+};
+
+export default BudgetStatusBanner;
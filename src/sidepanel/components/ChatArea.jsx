@@ -174,6 +174,12 @@ function ChatArea({
         return 'Ask about this YouTube video or request a summary.';
       case CONTENT_TYPES.REDDIT:
         return 'Ask me anything about this Reddit post or request key takeaways.';
+      case CONTENT_TYPES.HACKER_NEWS:
+        return 'Ask about this Hacker News discussion or request the main viewpoints.';
+      case CONTENT_TYPES.GITHUB:
+        return 'Ask about this issue, pull request or file, or request a code review.';
+      case CONTENT_TYPES.STACK_EXCHANGE:
+        return 'Ask which answer fits your case or request a summary of the solutions.';
       case CONTENT_TYPES.PDF:
         return 'Ask specific questions about this PDF document or request a summary.';
       case CONTENT_TYPES.GENERAL:
@@ -730,13 +736,19 @@ function ChatArea({
                   thinkingContent={message.thinkingContent}
                   role={message.role}
                   isStreaming={message.isStreaming}
+                  retryStatus={message.retryStatus}
+                  toolCalls={message.toolCalls}
+                  citations={message.citations}
+                  outputSchema={message.outputSchema}
                   modelId={message.modelId}
                   platformId={message.platformId}
                   style={dynamicStyle}
                   apiCost={message.apiCost}
                   costBreakdown={message.costBreakdown}
                   contextTypeUsed={message.contextTypeUsed}
+                  images={message.images}
                   pageContextUsed={message.pageContextUsed}
+                  comparison={message.comparison}
                 />
               );
             })}
@@ -0,0 +1,117 @@
+// src/sidepanel/components/ComparisonTargetsEditor.jsx
+import React, { useEffect, useState } from 'react';
+
+import { useSidePanelPlatform } from '../../contexts/platform';
+import { useSidePanelChat } from '../contexts/SidePanelChatContext';
+import { IconButton, PlusIcon, SelectList, XIcon } from '../../components';
+import { logger } from '../../shared/logger';
+import {
+  MIN_COMPARISON_TARGETS,
+  MAX_COMPARISON_TARGETS,
+} from '../../shared/constants';
+
+const getTargetKey = (target) => `${target.platformId}|${target.modelId}`;
+
+/**
+ * Lists the platform/model pairs a message is sent to in comparison mode.
+ */
+function ComparisonTargetsEditor() {
+  const { platforms, getPlatformApiConfig } = useSidePanelPlatform();
+  const { comparisonSettings, setComparisonTargets, isProcessing } =
+    useSidePanelChat();
+  const [options, setOptions] = useState([]);
+  const { targets } = comparisonSettings;
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const platformOptions = await Promise.all(
+          platforms
+            .filter((platform) => platform.hasCredentials)
+            .map(async (platform) => {
+              const config = await getPlatformApiConfig(platform.id);
+              return (config?.models || []).map((model) => ({
+                id: getTargetKey({
+                  platformId: platform.id,
+                  modelId: model.id,
+                }),
+                name: `${platform.name} / ${model.displayName || model.id}`,
+              }));
+            })
+        );
+        setOptions(platformOptions.flat());
+      } catch (error) {
+        logger.sidepanel.error('Error loading models to compare:', error);
+        setOptions([]);
+      }
+    };
+    loadOptions();
+  }, [platforms, getPlatformApiConfig]);
+
+  const toTarget = (key) => {
+    const [platformId, ...modelIdParts] = key.split('|');
+    return { platformId, modelId: modelIdParts.join('|') };
+  };
+
+  const handleChange = (index, key) => {
+    setComparisonTargets(
+      targets.map((target, i) => (i === index ? toTarget(key) : target))
+    );
+  };
+
+  const handleRemove = (index) => {
+    setComparisonTargets(targets.filter((_, i) => i !== index));
+  };
+
+  const handleAdd = () => {
+    const usedKeys = targets.map(getTargetKey);
+    const nextOption =
+      options.find((option) => !usedKeys.includes(option.id)) || options[0];
+    if (nextOption) {
+      setComparisonTargets([...targets, toTarget(nextOption.id)]);
+    }
+  };
+
+  return (
+    <div className='mt-2 flex flex-col gap-1'>
+      <span className='text-xs text-theme-secondary'>
+        Compare answers from {MIN_COMPARISON_TARGETS} to{' '}
+        {MAX_COMPARISON_TARGETS} models:
+      </span>
+      {targets.map((target, index) => (
+        <div key={index} className='flex items-center gap-1'>
+          <SelectList
+            options={options}
+            selectedValue={getTargetKey(target)}
+            onChange={(key) => handleChange(index, key)}
+            placeholder='Select a model'
+            emptyMessage='No models available'
+            disabled={isProcessing}
+          />
+          <IconButton
+            icon={XIcon}
+            onClick={() => handleRemove(index)}
+            disabled={isProcessing || targets.length <= MIN_COMPARISON_TARGETS}
+            className='p-1 rounded-md flex-shrink-0 text-theme-secondary hover:text-primary hover:bg-theme-active'
+            iconClassName='w-3 h-3 select-none'
+            ariaLabel='Remove model from comparison'
+            title='Remove model'
+          />
+        </div>
+      ))}
+      {targets.length < MAX_COMPARISON_TARGETS && (
+        <button
+          type='button'
+          onClick={handleAdd}
+          disabled={isProcessing || options.length === 0}
+          className='self-start flex items-center gap-1 px-1.5 py-1 text-xs rounded-md text-theme-secondary hover:text-primary hover:bg-theme-active disabled:opacity-50'
+        >
+          <PlusIcon className='w-3 h-3' />
+          Add model
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ComparisonTargetsEditor;
@@ -0,0 +1,97 @@
+// src/sidepanel/components/CredentialProfileSelector.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import { CustomSelect } from '../../components';
+import { useSidePanelPlatform } from '../../contexts/platform';
+import { robustSendMessage } from '../../shared/utils/message-utils';
+import { logger } from '../../shared/logger';
+import { STORAGE_KEYS } from '../../shared/constants';
+
+/**
+ * Switches the credential profile (e.g., "Work" or "Personal" API key) used
+ * for the selected platform. Hidden unless the platform has several profiles.
+ */
+function CredentialProfileSelector({ className = '' }) {
+  const { selectedPlatformId } = useSidePanelPlatform();
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+
+  const loadProfiles = useCallback(async () => {
+    if (!selectedPlatformId) {
+      setProfiles([]);
+      setActiveProfileId(null);
+      return;
+    }
+    try {
+      const response = await robustSendMessage({
+        action: 'credentialOperation',
+        operation: 'listProfiles',
+        platformId: selectedPlatformId,
+      });
+      if (response?.success) {
+        setProfiles(response.profiles || []);
+        setActiveProfileId(response.activeProfileId || null);
+      }
+    } catch (error) {
+      logger.sidepanel.error('Error loading credential profiles:', error);
+    }
+  }, [selectedPlatformId]);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  // Profiles can be added or switched from the settings page at any time
+  useEffect(() => {
+    const handleStorageChange = (changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEYS.API_CREDENTIALS]) {
+        loadProfiles();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, [loadProfiles]);
+
+  const handleChange = async (profileId) => {
+    if (profileId === activeProfileId) return;
+    setActiveProfileId(profileId);
+    try {
+      const response = await robustSendMessage({
+        action: 'credentialOperation',
+        operation: 'setActiveProfile',
+        platformId: selectedPlatformId,
+        profileId,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Profile could not be activated');
+      }
+    } catch (error) {
+      logger.sidepanel.error('Error switching credential profile:', error);
+      loadProfiles();
+    }
+  };
+
+  if (profiles.length < 2) {
+    return null;
+  }
+
+  return (
+    <CustomSelect
+      options={profiles.map((profile) => ({
+        id: profile.id,
+        name: profile.name,
+      }))}
+      selectedValue={activeProfileId}
+      onChange={handleChange}
+      className={className}
+      buttonClassName='h-7 px-2 py-0.5 text-xs'
+    />
+  );
+}
+
+CredentialProfileSelector.propTypes = {
+  className: PropTypes.string,
+};
+
+export default CredentialProfileSelector;
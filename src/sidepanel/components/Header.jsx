@@ -17,6 +17,8 @@ import {
   formatCost,
 } from '../../shared/utils/number-format-utils';
 
+import CredentialProfileSelector from './CredentialProfileSelector';
+
 function Header({
   tokenStats,
   contextStatus,
@@ -182,6 +184,9 @@ function Header({
 
       {/* Right Section: Token Information */}
       <div className='flex items-center space-x-4 text-xs text-theme-secondary'>
+        {/* API key profile of the selected platform, when it has several */}
+        <CredentialProfileSelector className='flex-shrink-0' />
+
         {/* Input Tokens */}
         <button
           type='button'
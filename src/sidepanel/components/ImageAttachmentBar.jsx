@@ -0,0 +1,100 @@
+// src/sidepanel/components/ImageAttachmentBar.jsx
+import React, { useRef } from 'react';
+import PropTypes from 'prop-types';
+
+import { IconButton, CameraIcon, ImageIcon, XIcon } from '../../components';
+import { getImageDataUrl } from '../../shared/utils/image-utils';
+import {
+  MAX_ATTACHED_IMAGES,
+  SUPPORTED_IMAGE_MIME_TYPES,
+} from '../../shared/constants';
+
+const actionButtonClasses =
+  'p-1 rounded text-theme-secondary hover:text-primary hover:bg-theme-hover disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Row above the input showing the images attached to the next message, with
+ * buttons to capture the visible tab or pick image files.
+ */
+export function ImageAttachmentBar({
+  images,
+  onRemove,
+  onCaptureScreenshot,
+  onAddFiles,
+  isCapturing = false,
+  disabled = false,
+}) {
+  const fileInputRef = useRef(null);
+  const isFull = images.length >= MAX_ATTACHED_IMAGES;
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) {
+      onAddFiles(files);
+    }
+    e.target.value = ''; // Allow picking the same file again
+  };
+
+  return (
+    <div className='flex items-center gap-2 px-3 py-1.5 border-t border-theme'>
+      <IconButton
+        icon={CameraIcon}
+        iconClassName='w-4 h-4 select-none'
+        className={actionButtonClasses}
+        onClick={onCaptureScreenshot}
+        disabled={disabled || isFull}
+        isLoading={isCapturing}
+        ariaLabel='Attach a screenshot of the page'
+        title='Attach a screenshot of the page'
+      />
+      <IconButton
+        icon={ImageIcon}
+        iconClassName='w-4 h-4 select-none'
+        className={actionButtonClasses}
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled || isFull}
+        ariaLabel='Attach images'
+        title='Attach images (you can also paste or drop them)'
+      />
+      <input
+        ref={fileInputRef}
+        type='file'
+        accept={SUPPORTED_IMAGE_MIME_TYPES.join(',')}
+        multiple
+        className='hidden'
+        onChange={handleFileChange}
+      />
+      <div className='flex items-center gap-1.5 overflow-x-auto'>
+        {images.map((image) => (
+          <div key={image.id} className='relative flex-shrink-0'>
+            <img
+              src={getImageDataUrl(image)}
+              alt='Attached'
+              className='w-10 h-10 object-cover rounded border border-theme'
+            />
+            <button
+              type='button'
+              onClick={() => onRemove(image.id)}
+              className='absolute -top-1 -right-1 flex items-center justify-center w-4 h-4 rounded-full bg-gray-700 text-white hover:bg-red-500'
+              aria-label='Remove image'
+              title='Remove image'
+            >
+              <XIcon className='w-3 h-3' />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+ImageAttachmentBar.propTypes = {
+  images: PropTypes.array.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onCaptureScreenshot: PropTypes.func.isRequired,
+  onAddFiles: PropTypes.func.isRequired,
+  isCapturing: PropTypes.bool,
+  disabled: PropTypes.bool,
+};
+
+export default ImageAttachmentBar;
@@ -0,0 +1,40 @@
+// src/sidepanel/components/ParameterPresetSelector.jsx
+import React from 'react';
+
+import { useSidePanelChat } from '../contexts/SidePanelChatContext';
+import { SelectList } from '../../components';
+
+const NO_PRESET_ID = 'none';
+
+/**
+ * Picks the parameter preset of the current chat, among those usable with
+ * the selected model.
+ */
+function ParameterPresetSelector() {
+  const { parameterPresets, activePresetId, selectPreset, isProcessing } =
+    useSidePanelChat();
+
+  return (
+    <div className='mt-2 flex items-center gap-2'>
+      <span className='text-xs text-theme-secondary flex-shrink-0'>
+        Preset:
+      </span>
+      <SelectList
+        options={[
+          { id: NO_PRESET_ID, name: 'None (model settings)' },
+          ...parameterPresets.map((preset) => ({
+            id: preset.id,
+            name: preset.name,
+          })),
+        ]}
+        selectedValue={activePresetId || NO_PRESET_ID}
+        onChange={(presetId) =>
+          selectPreset(presetId === NO_PRESET_ID ? null : presetId)
+        }
+        disabled={isProcessing}
+      />
+    </div>
+  );
+}
+
+export default ParameterPresetSelector;
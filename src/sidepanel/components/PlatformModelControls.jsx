@@ -10,10 +10,20 @@ import PropTypes from 'prop-types';
 
 import { useSidePanelPlatform } from '../../contexts/platform';
 import { useSidePanelChat } from '../contexts/SidePanelChatContext';
-import { ChevronUpIcon, Toggle, Tooltip, IconButton } from '../../components';
+import {
+  ChevronUpIcon,
+  Toggle,
+  Tooltip,
+  IconButton,
+  WrenchIcon,
+  CompareIcon,
+  GlobeIcon,
+} from '../../components';
 import { logger } from '../../shared/logger';
 
 import SidePanelModelParametersEditor from './SidePanelModelParametersEditor';
+import ComparisonTargetsEditor from './ComparisonTargetsEditor';
+import ParameterPresetSelector from './ParameterPresetSelector';
 import ModelSelector from './ModelSelector';
 import PlatformSelector from './PlatformSelector';
 
@@ -32,8 +42,20 @@ function PlatformModelControls({ onToggleExpand }) {
     getPlatformApiConfig,
     selectedModel,
   } = useSidePanelPlatform();
-  const { modelConfigData, isThinkingModeEnabled, toggleThinkingMode } =
-    useSidePanelChat();
+  const {
+    modelConfigData,
+    isThinkingModeEnabled,
+    toggleThinkingMode,
+    supportsTools,
+    isToolsEnabled,
+    toggleTools,
+    supportsWebSearch,
+    isWebSearchEnabled,
+    setIsWebSearchEnabled,
+    comparisonSettings,
+    updateComparisonSettings,
+    parameterPresets,
+  } = useSidePanelChat();
 
   const [isParametersExpanded, setIsParametersExpanded] = useState(false);
   const [tooltipVisible, setTooltipVisible] = useState(false);
@@ -54,7 +76,13 @@ function PlatformModelControls({ onToggleExpand }) {
     if (typeof onToggleExpand === 'function' && selfRef.current) {
       onToggleExpand(selfRef.current.offsetHeight);
     }
-  }, [isParametersExpanded, onToggleExpand]);
+  }, [
+    isParametersExpanded,
+    comparisonSettings.enabled,
+    comparisonSettings.targets.length,
+    parameterPresets.length,
+    onToggleExpand,
+  ]);
 
   useEffect(() => {
     const fetchFullConfig = async () => {
@@ -92,6 +120,18 @@ function PlatformModelControls({ onToggleExpand }) {
     setIsParametersExpanded((prev) => !prev);
   };
 
+  const toggleComparison = () => {
+    const enabled = !comparisonSettings.enabled;
+    updateComparisonSettings({
+      enabled,
+      // Start from the selected model, so the user only has to add the others
+      ...(enabled &&
+        comparisonSettings.targets.length === 0 && {
+          targets: [{ platformId: selectedPlatformId, modelId: selectedModel }],
+        }),
+    });
+  };
+
   return (
     <DropdownContext.Provider value={{ openDropdown, setOpenDropdown }}>
       <div
@@ -142,6 +182,70 @@ function PlatformModelControls({ onToggleExpand }) {
                     />
                   </div>
                 )}
+
+                {/* Browser Tools Toggle */}
+                {supportsTools && (
+                  <IconButton
+                    icon={WrenchIcon}
+                    onClick={() => toggleTools(!isToolsEnabled)}
+                    disabled={isLoading}
+                    className={`ml-2 p-1 rounded-md flex-shrink-0 hover:bg-theme-active ${
+                      isToolsEnabled
+                        ? 'text-primary'
+                        : 'text-theme-secondary hover:text-primary'
+                    }`}
+                    iconClassName='w-4 h-4 select-none'
+                    ariaLabel='Toggle browser tools'
+                    aria-pressed={isToolsEnabled}
+                    title={
+                      isToolsEnabled
+                        ? 'Browser tools on: the model can read tabs and fetch pages, with your approval.'
+                        : 'Browser tools off.'
+                    }
+                  />
+                )}
+
+                {/* Web Search Toggle, for the next message only */}
+                {(supportsWebSearch || comparisonSettings.enabled) && (
+                  <IconButton
+                    icon={GlobeIcon}
+                    onClick={() => setIsWebSearchEnabled(!isWebSearchEnabled)}
+                    disabled={isLoading}
+                    className={`ml-2 p-1 rounded-md flex-shrink-0 hover:bg-theme-active ${
+                      isWebSearchEnabled
+                        ? 'text-primary'
+                        : 'text-theme-secondary hover:text-primary'
+                    }`}
+                    iconClassName='w-4 h-4 select-none'
+                    ariaLabel='Toggle web search'
+                    aria-pressed={isWebSearchEnabled}
+                    title={
+                      isWebSearchEnabled
+                        ? 'Web search on: the next answer is grounded in web results and cites its sources.'
+                        : 'Search the web for the next message.'
+                    }
+                  />
+                )}
+
+                {/* Comparison Mode Toggle */}
+                <IconButton
+                  icon={CompareIcon}
+                  onClick={toggleComparison}
+                  disabled={isLoading || !selectedPlatformId || !selectedModel}
+                  className={`ml-2 p-1 rounded-md flex-shrink-0 hover:bg-theme-active ${
+                    comparisonSettings.enabled
+                      ? 'text-primary'
+                      : 'text-theme-secondary hover:text-primary'
+                  }`}
+                  iconClassName='w-4 h-4 select-none'
+                  ariaLabel='Toggle comparison mode'
+                  aria-pressed={comparisonSettings.enabled}
+                  title={
+                    comparisonSettings.enabled
+                      ? 'Comparison on: messages are sent to every model below.'
+                      : 'Compare answers from several models.'
+                  }
+                />
               </>
             ) : (
               <div className='flex-grow flex items-center'>
@@ -174,6 +278,14 @@ function PlatformModelControls({ onToggleExpand }) {
           )}
         </div>
 
+        {hasAnyPlatformCredentials && parameterPresets.length > 0 && (
+          <ParameterPresetSelector />
+        )}
+
+        {hasAnyPlatformCredentials && comparisonSettings.enabled && (
+          <ComparisonTargetsEditor />
+        )}
+
         {/* Collapsible Model Parameters Editor */}
         <div
           className={`overflow-hidden transition-all duration-300 ease-in-out ${
@@ -0,0 +1,142 @@
+// src/sidepanel/components/ScreenshotCropper.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+import { Button } from '../../components';
+
+// Selections smaller than this (in displayed pixels) are treated as a click
+const MIN_SELECTION_SIZE = 8;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Full-panel overlay showing a captured screenshot. The user can drag to select
+ * a region to attach, or attach the whole screenshot.
+ */
+export function ScreenshotCropper({ screenshotUrl, onAttach, onCancel }) {
+  const imgRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const [selection, setSelection] = useState(null);
+
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onCancel();
+      }
+    };
+    document.addEventListener('keydown', handleEscapeKey);
+    return () => document.removeEventListener('keydown', handleEscapeKey);
+  }, [onCancel]);
+
+  const getPoint = (event) => {
+    const rect = imgRef.current.getBoundingClientRect();
+    return {
+      x: clamp(event.clientX - rect.left, 0, rect.width),
+      y: clamp(event.clientY - rect.top, 0, rect.height),
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = getPoint(event);
+    dragStartRef.current = point;
+    setSelection({ x: point.x, y: point.y, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (event) => {
+    const start = dragStartRef.current;
+    if (!start) return;
+    const point = getPoint(event);
+    setSelection({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y),
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+    setSelection((prev) =>
+      prev &&
+      prev.width >= MIN_SELECTION_SIZE &&
+      prev.height >= MIN_SELECTION_SIZE
+        ? prev
+        : null
+    );
+  };
+
+  const handleAttach = () => {
+    if (!selection) {
+      onAttach(null);
+      return;
+    }
+    // Convert the selection from displayed pixels to screenshot pixels
+    const img = imgRef.current;
+    const scale = img.naturalWidth / img.clientWidth;
+    onAttach({
+      x: Math.round(selection.x * scale),
+      y: Math.round(selection.y * scale),
+      width: Math.round(selection.width * scale),
+      height: Math.round(selection.height * scale),
+    });
+  };
+
+  return (
+    <div
+      className='fixed inset-0 z-50 flex flex-col bg-black bg-opacity-80 p-3'
+      role='dialog'
+      aria-modal='true'
+      aria-label='Crop screenshot'
+    >
+      <p className='text-xs text-white mb-2 select-none'>
+        Drag to select a region, or attach the whole screenshot.
+      </p>
+      <div className='flex-1 min-h-0 flex items-center justify-center'>
+        <div
+          className='relative overflow-hidden cursor-crosshair touch-none select-none'
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          role='presentation'
+        >
+          <img
+            ref={imgRef}
+            src={screenshotUrl}
+            alt='Screenshot of the current tab'
+            className='block max-w-full max-h-[calc(100vh-6rem)] object-contain'
+            draggable={false}
+          />
+          {selection && (
+            <div
+              className='absolute border-2 border-primary pointer-events-none'
+              style={{
+                left: selection.x,
+                top: selection.y,
+                width: selection.width,
+                height: selection.height,
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
+              }}
+            />
+          )}
+        </div>
+      </div>
+      <div className='flex justify-end gap-2 mt-3'>
+        <Button variant='secondary' size='sm' onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button variant='primary' size='sm' onClick={handleAttach}>
+          {selection ? 'Attach selection' : 'Attach full screenshot'}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+ScreenshotCropper.propTypes = {
+  screenshotUrl: PropTypes.string.isRequired,
+  onAttach: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default ScreenshotCropper;
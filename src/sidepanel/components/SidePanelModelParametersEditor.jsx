@@ -7,6 +7,8 @@ import {
   SliderInput,
   Toggle,
   TextArea,
+  Input,
+  CustomSelect,
   InfoIcon,
   IconButton,
   RefreshIcon,
@@ -69,6 +71,34 @@ const SidePanelModelParametersEditor = ({
     (e) => handleChange('systemPrompt', e.target.value),
     [handleChange]
   );
+  const handleStopSequencesChange = useCallback(
+    (e) => handleChange('stopSequences', e.target.value),
+    [handleChange]
+  );
+  const handleSeedChange = useCallback(
+    (e) => handleChange('seed', e.target.value),
+    [handleChange]
+  );
+  const handleIncludePenaltiesChange = useCallback(
+    (newCheckedState) => handleChange('includePenalties', newCheckedState),
+    [handleChange]
+  );
+  const handlePresencePenaltyChange = useCallback(
+    (newValue) => handleChange('presencePenalty', newValue),
+    [handleChange]
+  );
+  const handleFrequencyPenaltyChange = useCallback(
+    (newValue) => handleChange('frequencyPenalty', newValue),
+    [handleChange]
+  );
+  const handleSafetyThresholdChange = useCallback(
+    (selectedValue) => handleChange('safetyThreshold', selectedValue),
+    [handleChange]
+  );
+  const handleExtraBodyChange = useCallback(
+    (e) => handleChange('extraBody', e.target.value),
+    [handleChange]
+  );
 
   if (!isVisible) {
     return null;
@@ -96,7 +126,8 @@ const SidePanelModelParametersEditor = ({
 
   return (
     <div>
-      <div className='bg-theme-primary border border-theme rounded-md p-3'>
+      {/* Scrolls within the height the collapsible panel animates to */}
+      <div className='bg-theme-primary border border-theme rounded-md p-3 max-h-[490px] overflow-y-auto'>
         <div className='space-y-4 text-xs'>
           {parameterSpecs.maxTokens && (
             <div>
@@ -239,6 +270,149 @@ const SidePanelModelParametersEditor = ({
               />
             </div>
           )}
+
+          {parameterSpecs.stopSequences && (
+            <div>
+              <label
+                htmlFor={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-stopSequences`}
+                className='block mb-2 font-medium text-theme-secondary'
+              >
+                Stop Sequences (one per line)
+              </label>
+              <TextArea
+                id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-stopSequences`}
+                name='stopSequences'
+                placeholder={`Up to ${parameterSpecs.stopSequences.maxCount}...`}
+                value={(formValues.stopSequences ?? []).join('\n')}
+                onChange={handleStopSequencesChange}
+                disabled={isSaving || isResetting}
+                className='bg-theme-secondary text-xs font-mono border border-theme rounded-md w-full p-1.5'
+                style={{ minHeight: '40px', maxHeight: '80px' }}
+                autoResize={true}
+              />
+            </div>
+          )}
+
+          {parameterSpecs.seed && (
+            <div>
+              <label
+                htmlFor={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-seed`}
+                className='block mb-2 font-medium text-theme-secondary'
+              >
+                Seed
+              </label>
+              <Input
+                id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-seed`}
+                type='number'
+                name='seed'
+                min={parameterSpecs.seed.min}
+                max={parameterSpecs.seed.max}
+                step={1}
+                placeholder='Random'
+                value={
+                  formValues.seed === null || formValues.seed === undefined
+                    ? ''
+                    : String(formValues.seed)
+                }
+                onChange={handleSeedChange}
+                disabled={isSaving || isResetting}
+                className='bg-theme-secondary text-xs border border-theme rounded-md !p-1.5'
+              />
+            </div>
+          )}
+
+          {parameterSpecs.presencePenalty &&
+            parameterSpecs.frequencyPenalty && (
+              <div>
+                <div className='flex items-center mb-2'>
+                  <label
+                    htmlFor={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-includePenalties`}
+                    className='font-medium text-theme-secondary mr-2'
+                  >
+                    Penalties
+                  </label>
+                  <Toggle
+                    checked={formValues.includePenalties ?? false}
+                    onChange={handleIncludePenaltiesChange}
+                    disabled={isSaving || isResetting}
+                    id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-includePenalties`}
+                  />
+                </div>
+                {formValues.includePenalties && (
+                  <>
+                    <span className='block mb-1 text-theme-secondary'>
+                      Presence
+                    </span>
+                    <SliderInput
+                      id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-presencePenalty`}
+                      label=''
+                      value={formValues.presencePenalty ?? 0}
+                      onChange={handlePresencePenaltyChange}
+                      min={parameterSpecs.presencePenalty.min}
+                      max={parameterSpecs.presencePenalty.max}
+                      step={parameterSpecs.presencePenalty.step}
+                      disabled={isSaving || isResetting}
+                    />
+                    <span className='block mt-2 mb-1 text-theme-secondary'>
+                      Frequency
+                    </span>
+                    <SliderInput
+                      id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-frequencyPenalty`}
+                      label=''
+                      value={formValues.frequencyPenalty ?? 0}
+                      onChange={handleFrequencyPenaltyChange}
+                      min={parameterSpecs.frequencyPenalty.min}
+                      max={parameterSpecs.frequencyPenalty.max}
+                      step={parameterSpecs.frequencyPenalty.step}
+                      disabled={isSaving || isResetting}
+                    />
+                  </>
+                )}
+              </div>
+            )}
+
+          {parameterSpecs.safetyThreshold && (
+            <div>
+              <span className='block mb-2 font-medium text-theme-secondary'>
+                Safety Threshold
+              </span>
+              <CustomSelect
+                id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-safetyThreshold`}
+                options={[
+                  { id: '', name: 'Provider default' },
+                  ...parameterSpecs.safetyThreshold.allowedValues.map(
+                    (value) => ({ id: value, name: value })
+                  ),
+                ]}
+                selectedValue={formValues.safetyThreshold ?? ''}
+                onChange={handleSafetyThresholdChange}
+                disabled={isSaving || isResetting}
+              />
+            </div>
+          )}
+
+          {parameterSpecs.extraBody && (
+            <div>
+              <label
+                htmlFor={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-extraBody`}
+                className='block mb-2 font-medium text-theme-secondary'
+              >
+                Extra Body JSON
+              </label>
+              <TextArea
+                id={`sp-param-${platform?.id || 'uid1'}-${selectedModelId || 'uid2'}-${currentEditingMode}-extraBody`}
+                name='extraBody'
+                placeholder='{ "logprobs": true }'
+                value={formValues.extraBody ?? ''}
+                onChange={handleExtraBodyChange}
+                maxLength={parameterSpecs.extraBody.maxLength}
+                disabled={isSaving || isResetting}
+                className='bg-theme-secondary text-xs font-mono border border-theme rounded-md w-full p-1.5'
+                style={{ minHeight: '40px', maxHeight: '80px' }}
+                autoResize={true}
+              />
+            </div>
+          )}
         </div>
 
         {/* New container for buttons at the bottom */}
@@ -20,6 +20,10 @@ function TokenCounter({ tokenStats, contextStatus, className = '' }) {
     promptTokensInLastApiCall = 0,
     historyTokensSentInLastApiCall = 0,
     systemTokensInLastApiCall = 0,
+    thinkingTokensInLastApiCall = null,
+    cachedInputTokensInLastApiCall = null,
+    isInputExactInLastApiCall = false,
+    isOutputExact = false,
   } = tokenStats || {};
 
   const [hoveredElement, setHoveredElement] = useState(null);
@@ -38,9 +42,23 @@ function TokenCounter({ tokenStats, contextStatus, className = '' }) {
     maxContextWindow: 0,
   };
 
+  // Exact counts are reported by the provider; others are estimated and marked with '~'
+  const cachedInputNote =
+    cachedInputTokensInLastApiCall > 0
+      ? ` ${formatTokenCount(cachedInputTokensInLastApiCall)} read from cache.`
+      : '';
+  const thinkingNote =
+    thinkingTokensInLastApiCall > 0
+      ? ` Last response used ${formatTokenCount(thinkingTokensInLastApiCall)} thinking tokens.`
+      : '';
+
   const tooltipContent = {
-    inputTokens: `Est. Input: ${formatTokenCount(promptTokensInLastApiCall)} (Prompt) + ${formatTokenCount(historyTokensSentInLastApiCall)} (History) + ${formatTokenCount(systemTokensInLastApiCall)} (System) = ${formatTokenCount(inputTokensInLastApiCall)} total.`,
-    outputTokens: `Est. total output tokens generated in this chat session.`, // No direct token number here, but if it had one, format it.
+    inputTokens: isInputExactInLastApiCall
+      ? `Input: ${formatTokenCount(inputTokensInLastApiCall)} tokens in the last request, reported by the provider.${cachedInputNote}`
+      : `Est. Input: ${formatTokenCount(promptTokensInLastApiCall)} (Prompt) + ${formatTokenCount(historyTokensSentInLastApiCall)} (History) + ${formatTokenCount(systemTokensInLastApiCall)} (System) = ${formatTokenCount(inputTokensInLastApiCall)} total.`,
+    outputTokens: isOutputExact
+      ? `Total output tokens generated in this chat session, reported by the provider.${thinkingNote}`
+      : `Est. total output tokens generated in this chat session.${thinkingNote}`,
     cost: `Est. total accumulated cost for this chat session.`, // No token number here.
     contextWindow: `Est. ${formatTokenCount(contextData.tokensRemaining)} tokens remaining (${formatTokenCount(contextData.totalTokens)} / ${formatTokenCount(contextData.maxContextWindow)} used).`,
   };
@@ -61,7 +79,10 @@ function TokenCounter({ tokenStats, contextStatus, className = '' }) {
           aria-describedby='counter-input-tokens-tooltip'
         >
           <InputTokenIcon className='w-3 h-3 mr-1 select-none' />
-          <span>{formatTokenCount(inputTokensInLastApiCall)}</span>
+          <span>
+            {isInputExactInLastApiCall ? '' : '~'}
+            {formatTokenCount(inputTokensInLastApiCall)}
+          </span>
           <Tooltip
             show={hoveredElement === 'inputTokens'}
             message={tooltipContent.inputTokens}
@@ -84,7 +105,10 @@ function TokenCounter({ tokenStats, contextStatus, className = '' }) {
           aria-describedby='counter-output-tokens-tooltip'
         >
           <OutputTokenIcon className='w-3 h-3 mr-1 select-none' />
-          <span>{formatTokenCount(outputTokens)}</span>
+          <span>
+            {isOutputExact ? '' : '~'}
+            {formatTokenCount(outputTokens)}
+          </span>
           <Tooltip
             show={hoveredElement === 'outputTokens'}
             message={tooltipContent.outputTokens}
@@ -1,5 +1,11 @@
 // src/sidepanel/components/UserInput.jsx
-import React, { useMemo, useState, useRef, useCallback } from 'react';
+import React, {
+  useMemo,
+  useState,
+  useRef,
+  useCallback,
+  useEffect,
+} from 'react';
 import PropTypes from 'prop-types';
 
 import { useSidePanelPlatform } from '../../contexts/platform';
@@ -11,9 +17,24 @@ import {
   getSidepanelFollowUpPlaceholder,
 } from '../../shared/utils/placeholder-utils';
 import { isInjectablePage } from '../../shared/utils/content-utils';
-import { CONTENT_TYPE_LABELS } from '../../shared/constants';
+import {
+  createImageAttachment,
+  readImageFile,
+} from '../../shared/utils/image-utils';
+import {
+  CONTENT_TYPE_LABELS,
+  SUPPORTED_IMAGE_MIME_TYPES,
+} from '../../shared/constants';
+import { logger } from '../../shared/logger';
 
 import PlatformModelControls from './PlatformModelControls';
+import { ImageAttachmentBar } from './ImageAttachmentBar';
+import { ScreenshotCropper } from './ScreenshotCropper';
+
+const getImageFiles = (fileList) =>
+  Array.from(fileList || []).filter((file) =>
+    SUPPORTED_IMAGE_MIME_TYPES.includes(file.type)
+  );
 
 export function UserInput({ className = '', requestHeightRecalculation }) {
   const { contentType, currentTab, isLoading: contentLoading } = useContent();
@@ -35,8 +56,15 @@ export function UserInput({ className = '', requestHeightRecalculation }) {
     isRefreshing,
     messages,
     isContentExtractionEnabled,
+    attachedImages,
+    supportsVision,
+    addImageAttachments,
+    removeImageAttachment,
   } = useSidePanelChat();
-  const { success: showSuccessNotification } = useNotification();
+  const { success: showSuccessNotification, error: showErrorNotification } =
+    useNotification();
+  const [screenshotUrl, setScreenshotUrl] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
 
   const selfRef = useRef(null);
 
@@ -56,14 +84,97 @@ export function UserInput({ className = '', requestHeightRecalculation }) {
     setInputValue(value);
   };
 
-  const handleSend = (value) => {
-    sendMessage(value);
+  const handleSend = (value, options) => {
+    sendMessage(value, options);
   };
 
   const handleCancel = () => {
     cancelStream();
   };
 
+  const canAttachImages = supportsVision && !isProcessing && !isRefreshing;
+  const showAttachmentBar = supportsVision || attachedImages.length > 0;
+  const hasAttachments = attachedImages.length > 0;
+
+  // The attachment bar changes the input's height; the chat area must follow
+  useEffect(() => {
+    if (typeof requestHeightRecalculation === 'function') {
+      requestHeightRecalculation();
+    }
+  }, [showAttachmentBar, hasAttachments, requestHeightRecalculation]);
+
+  const handleAddFiles = useCallback(
+    async (files) => {
+      const imageFiles = getImageFiles(files);
+      if (imageFiles.length === 0) {
+        showErrorNotification(
+          'Only PNG, JPEG, WebP and GIF images can be attached.'
+        );
+        return;
+      }
+      try {
+        const images = await Promise.all(imageFiles.map(readImageFile));
+        addImageAttachments(images);
+      } catch (error) {
+        logger.sidepanel.error('Error reading image files:', error);
+        showErrorNotification(`Could not attach image: ${error.message}`);
+      }
+    },
+    [addImageAttachments, showErrorNotification]
+  );
+
+  const handlePaste = (e) => {
+    if (!canAttachImages) return;
+    const imageFiles = getImageFiles(e.clipboardData?.files);
+    if (imageFiles.length > 0) {
+      e.preventDefault(); // Keep the image's file name out of the text area
+      handleAddFiles(imageFiles);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (canAttachImages && e.dataTransfer?.types?.includes('Files')) {
+      e.preventDefault();
+    }
+  };
+
+  const handleDrop = (e) => {
+    if (!canAttachImages || !e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    handleAddFiles(e.dataTransfer.files);
+  };
+
+  const handleCaptureScreenshot = async () => {
+    setIsCapturing(true);
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(
+        currentTab?.windowId,
+        { format: 'png' }
+      );
+      setScreenshotUrl(dataUrl);
+    } catch (error) {
+      logger.sidepanel.error('Error capturing visible tab:', error);
+      showErrorNotification(
+        'Could not capture this page. Browser pages and the Web Store cannot be captured.'
+      );
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  const handleScreenshotAttach = async (crop) => {
+    const source = screenshotUrl;
+    setScreenshotUrl(null);
+    try {
+      addImageAttachments([await createImageAttachment(source, crop)]);
+    } catch (error) {
+      logger.sidepanel.error('Error cropping screenshot:', error);
+      showErrorNotification(`Could not attach screenshot: ${error.message}`);
+    }
+  };
+
+  const handleScreenshotCancel = useCallback(() => setScreenshotUrl(null), []);
+
   const handleDefaultPromptUpdate = useCallback(
     (promptName, contentTypeLabel) => {
       if (showSuccessNotification) {
@@ -135,10 +246,28 @@ export function UserInput({ className = '', requestHeightRecalculation }) {
   ]);
 
   return (
-    <div ref={selfRef} className={`flex flex-col ${className}`}>
+    <div
+      ref={selfRef}
+      className={`flex flex-col ${className}`}
+      onPaste={handlePaste}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
       {/* Platform and Model Controls Section */}
       <PlatformModelControls onToggleExpand={handlePlatformControlsToggle} />
 
+      {/* Image attachments, only offered for models that accept images */}
+      {showAttachmentBar && (
+        <ImageAttachmentBar
+          images={attachedImages}
+          onRemove={removeImageAttachment}
+          onCaptureScreenshot={handleCaptureScreenshot}
+          onAddFiles={handleAddFiles}
+          isCapturing={isCapturing}
+          disabled={!canAttachImages}
+        />
+      )}
+
       {/* Unified Input (TextArea and buttons) Section */}
       <UnifiedInput
         id='sidepanel-unified-input'
@@ -159,6 +288,14 @@ export function UserInput({ className = '', requestHeightRecalculation }) {
         className=''
         onDefaultPromptSetCallback={handleDefaultPromptUpdate}
       />
+
+      {screenshotUrl && (
+        <ScreenshotCropper
+          screenshotUrl={screenshotUrl}
+          onAttach={handleScreenshotAttach}
+          onCancel={handleScreenshotCancel}
+        />
+      )}
     </div>
   );
 }
@@ -25,8 +25,15 @@ import {
   formatPrice,
   formatTokenCount,
 } from '../../../shared/utils/number-format-utils.js';
+import {
+  parseStructuredOutput,
+  validateAgainstSchema,
+} from '../../../shared/utils/structured-output-utils.js';
 
 import ThinkingBlock from './ThinkingBlock';
+import ToolCallBlock from './ToolCallBlock';
+import CitationList from './CitationList';
+import StructuredOutputBlock from './StructuredOutputBlock';
 import SimpleCodeBlock from './SimpleCodeBlock';
 import CodeBlock from './CodeBlock.jsx';
 import { useCopyToClipboard } from './hooks/useCopyToClipboard';
@@ -37,6 +44,37 @@ import {
   HAS_MATH_PLACEHOLDER_REGEX,
 } from './utils/markdown-utils.js';
 
+/**
+ * Shows the countdown until the next attempt while a failed request waits to be retried.
+ */
+const RetryStatusIndicator = ({ retryAt, attempt, maxAttempts }) => {
+  const computeSecondsLeft = () =>
+    Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+  const [secondsLeft, setSecondsLeft] = useState(computeSecondsLeft);
+
+  useEffect(() => {
+    setSecondsLeft(computeSecondsLeft());
+    const intervalId = setInterval(() => {
+      setSecondsLeft(computeSecondsLeft());
+    }, 250);
+    return () => clearInterval(intervalId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [retryAt]);
+
+  return (
+    <span className='mr-3 text-warning' role='status'>
+      {secondsLeft > 0 ? `Retrying in ${secondsLeft}s` : 'Retrying'} (attempt{' '}
+      {attempt}/{maxAttempts})
+    </span>
+  );
+};
+
+RetryStatusIndicator.propTypes = {
+  retryAt: PropTypes.number.isRequired,
+  attempt: PropTypes.number.isRequired,
+  maxAttempts: PropTypes.number.isRequired,
+};
+
 // Common button styling classes
 const actionButtonClasses =
   'p-1 rounded-md text-gray-500 dark:text-gray-400 hover:text-primary dark:hover:text-primary hover:bg-gray-200 dark:hover:bg-gray-700 focus:outline-none focus:ring-1 focus:ring-primary';
@@ -49,12 +87,17 @@ export const AssistantMessageBubble = memo(
         content,
         thinkingContent = null,
         isStreaming = false,
+        retryStatus = null,
+        toolCalls = null,
+        citations = null,
+        outputSchema = null,
         modelId = null,
         platformId = null,
         className = '',
         style = {},
         apiCost,
         costBreakdown,
+        showRerun = true,
       },
       ref
     ) => {
@@ -139,6 +182,17 @@ export const AssistantMessageBubble = memo(
         }
       };
 
+      // Answers to a JSON Schema prompt are parsed and checked once complete
+      const structuredOutput = useMemo(() => {
+        if (!outputSchema || isStreaming || !content?.trim()) return null;
+        const { data, error } = parseStructuredOutput(content);
+        if (error) return { error };
+        return {
+          data,
+          validationErrors: validateAgainstSchema(data, outputSchema),
+        };
+      }, [outputSchema, isStreaming, content]);
+
       // --- Memoized Preprocessing Step ---
       const { preprocessedContent, mathMap } = useMemo(() => {
         const map = new Map();
@@ -410,19 +464,50 @@ export const AssistantMessageBubble = memo(
             />
           )}
 
-          {/* Prose container for Markdown styling */}
-          <div
-            className={`prose prose-sm dark:prose-invert max-w-none text-gray-900 dark:text-gray-100 break-words overflow-visible`}
-          >
-            {/* Changed from children prop to nesting */}
-            <ReactMarkdown
-              remarkPlugins={[remarkGfm]}
-              rehypePlugins={[]}
-              components={markdownComponents}
-            >
-              {preprocessedContent}
-            </ReactMarkdown>
-          </div>
+          {/* Tool calls made while producing this answer */}
+          {toolCalls?.map((toolCall) => (
+            <ToolCallBlock key={toolCall.id} toolCall={toolCall} />
+          ))}
+
+          {outputSchema && isStreaming ? (
+            // Partial JSON is shown as-is until the answer can be parsed
+            content && (
+              <pre className='mb-4 p-3 rounded-md bg-theme-surface border border-theme text-xs font-mono text-theme-primary whitespace-pre-wrap break-words max-h-96 overflow-auto'>
+                {content}
+              </pre>
+            )
+          ) : structuredOutput && !structuredOutput.error ? (
+            <StructuredOutputBlock
+              data={structuredOutput.data}
+              validationErrors={structuredOutput.validationErrors}
+            />
+          ) : (
+            <>
+              {structuredOutput?.error && (
+                <p className='mb-2 text-xs text-warning'>
+                  {structuredOutput.error}
+                </p>
+              )}
+              {/* Prose container for Markdown styling */}
+              <div
+                className={`prose prose-sm dark:prose-invert max-w-none text-gray-900 dark:text-gray-100 break-words overflow-visible`}
+              >
+                {/* Changed from children prop to nesting */}
+                <ReactMarkdown
+                  remarkPlugins={[remarkGfm]}
+                  rehypePlugins={[]}
+                  components={markdownComponents}
+                >
+                  {preprocessedContent}
+                </ReactMarkdown>
+              </div>
+            </>
+          )}
+
+          {/* Web pages the answer cites */}
+          {!isStreaming && citations?.length > 0 && (
+            <CitationList citations={citations} />
+          )}
 
           {/* Footer section */}
           <div className='flex justify-between items-center pb-4'>
@@ -485,6 +570,42 @@ export const AssistantMessageBubble = memo(
                               tokens @{' '}
                               {formatPrice(costBreakdown.outputTokenPrice)}/M
                             </p>
+                            {costBreakdown.cachedInputTokens > 0 && (
+                              <p>
+                                Cached input:{' '}
+                                {formatTokenCount(
+                                  costBreakdown.cachedInputTokens
+                                )}{' '}
+                                tokens
+                                {typeof costBreakdown.cachedInputTokenPrice ===
+                                  'number' &&
+                                  ` @ ${formatPrice(costBreakdown.cachedInputTokenPrice)}/M`}
+                              </p>
+                            )}
+                            {costBreakdown.cacheWriteInputTokens > 0 && (
+                              <p>
+                                Written to cache:{' '}
+                                {formatTokenCount(
+                                  costBreakdown.cacheWriteInputTokens
+                                )}{' '}
+                                tokens
+                                {typeof costBreakdown.cacheWriteTokenPrice ===
+                                  'number' &&
+                                  ` @ ${formatPrice(costBreakdown.cacheWriteTokenPrice)}/M`}
+                              </p>
+                            )}
+                            {costBreakdown.thinkingTokens > 0 && (
+                              <p>
+                                Thinking:{' '}
+                                {formatTokenCount(costBreakdown.thinkingTokens)}{' '}
+                                of the output tokens
+                              </p>
+                            )}
+                            <p className='mt-1 text-theme-secondary'>
+                              {costBreakdown.isExact
+                                ? 'Token counts reported by the provider.'
+                                : 'Token counts are estimates.'}
+                            </p>
                           </div>
                         ) : (
                           `Est. cost for this response: ${formatCost(apiCost)}`
@@ -497,6 +618,13 @@ export const AssistantMessageBubble = memo(
                   </>
                 )}
               {/* End API Cost Badge */}
+              {isStreaming && retryStatus && (
+                <RetryStatusIndicator
+                  retryAt={retryStatus.retryAt}
+                  attempt={retryStatus.attempt}
+                  maxAttempts={retryStatus.maxAttempts}
+                />
+              )}
               {/* Conditionally render the streaming indicator */}
               {isStreaming && (
                 <div
@@ -523,15 +651,17 @@ export const AssistantMessageBubble = memo(
                 <>
                   {' '}
                   {/* Use fragment to group buttons */}
-                  <IconButton
-                    icon={RerunIcon}
-                    iconClassName='w-4 h-4 select-none'
-                    onClick={handleRerunAssistant}
-                    className={actionButtonClasses}
-                    aria-label='Rerun generation'
-                    title='Rerun generation'
-                    disabled={isProcessing || isCanceling}
-                  />
+                  {showRerun && (
+                    <IconButton
+                      icon={RerunIcon}
+                      iconClassName='w-4 h-4 select-none'
+                      onClick={handleRerunAssistant}
+                      className={actionButtonClasses}
+                      aria-label='Rerun generation'
+                      title='Rerun generation'
+                      disabled={isProcessing || isCanceling}
+                    />
+                  )}
                   {/* Copy IconButton using renamed variables */}
                   <IconButton
                     onClick={handleAssistantCopy}
@@ -557,12 +687,26 @@ AssistantMessageBubble.propTypes = {
   content: PropTypes.string,
   thinkingContent: PropTypes.string,
   isStreaming: PropTypes.bool,
+  retryStatus: PropTypes.shape({
+    attempt: PropTypes.number,
+    maxAttempts: PropTypes.number,
+    retryAt: PropTypes.number,
+  }),
+  toolCalls: PropTypes.array,
+  citations: PropTypes.arrayOf(
+    PropTypes.shape({
+      url: PropTypes.string.isRequired,
+      title: PropTypes.string,
+    })
+  ),
+  outputSchema: PropTypes.object,
   modelId: PropTypes.string,
   platformId: PropTypes.string,
   className: PropTypes.string,
   style: PropTypes.object,
   apiCost: PropTypes.number,
   costBreakdown: PropTypes.object,
+  showRerun: PropTypes.bool,
 };
 
 AssistantMessageBubble.displayName = 'AssistantMessageBubble';
@@ -0,0 +1,64 @@
+// src/sidepanel/components/messaging/CitationList.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Numbered list of the web pages an answer cites, from a provider web search.
+ */
+const CitationList = ({ citations }) => {
+  // Only web links are rendered as links
+  const sources = citations.filter((citation) =>
+    /^https?:\/\//i.test(citation.url)
+  );
+  if (sources.length === 0) return null;
+
+  return (
+    <div className='mt-3 pt-2 border-t border-theme'>
+      <span className='block mb-1 text-xs font-medium text-theme-secondary'>
+        Sources
+      </span>
+      <ol className='flex flex-col gap-0.5 text-xs'>
+        {sources.map((citation, index) => (
+          <li key={citation.url} className='flex gap-1.5 min-w-0'>
+            <span className='flex-shrink-0 text-theme-secondary'>
+              [{index + 1}]
+            </span>
+            <a
+              href={citation.url}
+              target='_blank'
+              rel='noopener noreferrer'
+              title={citation.url}
+              className='truncate text-primary hover:underline'
+            >
+              {citation.title || getHostname(citation.url)}
+            </a>
+            {citation.title && (
+              <span className='flex-shrink-0 text-theme-secondary'>
+                {getHostname(citation.url)}
+              </span>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+CitationList.propTypes = {
+  citations: PropTypes.arrayOf(
+    PropTypes.shape({
+      url: PropTypes.string.isRequired,
+      title: PropTypes.string,
+    })
+  ).isRequired,
+};
+
+export default CitationList;
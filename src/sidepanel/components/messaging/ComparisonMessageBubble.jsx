@@ -0,0 +1,199 @@
+// src/sidepanel/components/messaging/ComparisonMessageBubble.jsx
+import React, { memo, forwardRef, useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+import { logger } from '../../../shared/logger';
+import ConfigService from '../../../services/ConfigService';
+import { Button, CheckIcon } from '../../../components';
+import { useSidePanelChat } from '../../contexts/SidePanelChatContext';
+import {
+  formatCost,
+  formatTokenCount,
+} from '../../../shared/utils/number-format-utils.js';
+
+import { AssistantMessageBubble } from './AssistantMessageBubble';
+
+/**
+ * Assistant message holding the answers of several models to the same user
+ * message, one tab per model, until the user picks the answer the
+ * conversation continues with.
+ */
+export const ComparisonMessageBubble = memo(
+  forwardRef(
+    (
+      { id, comparison, outputSchema = null, className = '', style = {} },
+      ref
+    ) => {
+      const { selectComparisonResponse, isProcessing } = useSidePanelChat();
+      const { responses, selectedResponseId } = comparison;
+      const [activeResponseId, setActiveResponseId] = useState(
+        selectedResponseId || responses[0]?.id
+      );
+      const [modelNames, setModelNames] = useState({});
+
+      useEffect(() => {
+        let isMounted = true;
+        const fetchModelNames = async () => {
+          const names = {};
+          await Promise.all(
+            responses.map(async (response) => {
+              try {
+                const platformApiConfig =
+                  await ConfigService.getPlatformApiConfig(response.platformId);
+                names[response.id] =
+                  platformApiConfig?.models?.find(
+                    (m) => m.id === response.modelId
+                  )?.displayName || response.modelId;
+              } catch (error) {
+                logger.sidepanel.error(
+                  `Error fetching details for compared model ${response.platformId}/${response.modelId}:`,
+                  error
+                );
+                names[response.id] = response.modelId;
+              }
+            })
+          );
+          if (isMounted) setModelNames(names);
+        };
+
+        fetchModelNames();
+        return () => {
+          isMounted = false;
+        };
+        // Models are fixed once the comparison is sent
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+      }, [id]);
+
+      const activeResponse =
+        responses.find((response) => response.id === activeResponseId) ||
+        responses[0];
+      const isComplete = responses.every((response) => !response.isStreaming);
+      const inputTokens = activeResponse.costBreakdown?.inputTokens;
+      const outputTokens =
+        activeResponse.costBreakdown?.outputTokens ??
+        activeResponse.outputTokens;
+
+      return (
+        <div ref={ref} id={id} style={style} className={`w-full ${className}`}>
+          <div
+            role='tablist'
+            aria-label='Compared answers'
+            className='flex gap-1 px-5 @md:px-6 @lg:px-7 @xl:px-8 pt-4 overflow-x-auto border-b border-theme'
+          >
+            {responses.map((response) => {
+              const isActive = response.id === activeResponse.id;
+              return (
+                <button
+                  key={response.id}
+                  type='button'
+                  role='tab'
+                  aria-selected={isActive}
+                  onClick={() => setActiveResponseId(response.id)}
+                  className={`flex items-center gap-1.5 px-2 py-1 text-xs whitespace-nowrap border-b-2 -mb-px ${
+                    isActive
+                      ? 'border-primary text-theme-primary'
+                      : 'border-transparent text-theme-secondary hover:text-primary'
+                  }`}
+                >
+                  {response.id === selectedResponseId && (
+                    <CheckIcon className='w-3 h-3 text-primary' />
+                  )}
+                  <span>{modelNames[response.id] || response.modelId}</span>
+                  {response.isStreaming ? (
+                    <span
+                      className='w-1.5 h-1.5 rounded-full bg-gray-500 dark:bg-gray-400 animate-pulse'
+                      aria-label='Generating'
+                    />
+                  ) : response.isError ? (
+                    <span className='text-error'>Failed</span>
+                  ) : (
+                    typeof response.apiCost === 'number' && (
+                      <span className='text-theme-secondary'>
+                        {formatCost(response.apiCost)}
+                      </span>
+                    )
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          {activeResponse.isError ? (
+            <p className='px-5 @md:px-6 @lg:px-7 @xl:px-8 py-4 text-sm text-error break-words'>
+              {activeResponse.content}
+            </p>
+          ) : (
+            <AssistantMessageBubble
+              id={activeResponse.id}
+              content={activeResponse.content}
+              thinkingContent={activeResponse.thinkingContent}
+              citations={activeResponse.citations}
+              isStreaming={activeResponse.isStreaming}
+              outputSchema={outputSchema}
+              modelId={activeResponse.modelId}
+              platformId={activeResponse.platformId}
+              apiCost={activeResponse.apiCost}
+              costBreakdown={activeResponse.costBreakdown}
+              showRerun={false}
+            />
+          )}
+
+          {isComplete && !activeResponse.isError && (
+            <div className='flex items-center justify-between gap-2 px-5 @md:px-6 @lg:px-7 @xl:px-8 pb-4 text-xs text-theme-secondary'>
+              <span>
+                {typeof inputTokens === 'number' &&
+                  `${formatTokenCount(inputTokens)} input, `}
+                {formatTokenCount(outputTokens || 0)} output tokens
+              </span>
+              {selectedResponseId ? (
+                activeResponse.id === selectedResponseId && (
+                  <span className='flex items-center gap-1 text-primary'>
+                    <CheckIcon className='w-3 h-3' />
+                    Continued with this answer
+                  </span>
+                )
+              ) : (
+                <Button
+                  size='sm'
+                  onClick={() =>
+                    selectComparisonResponse(id, activeResponse.id)
+                  }
+                  disabled={isProcessing}
+                >
+                  Continue with this answer
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+      );
+    }
+  )
+);
+
+ComparisonMessageBubble.propTypes = {
+  id: PropTypes.string.isRequired,
+  comparison: PropTypes.shape({
+    responses: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        platformId: PropTypes.string.isRequired,
+        modelId: PropTypes.string.isRequired,
+        content: PropTypes.string,
+        thinkingContent: PropTypes.string,
+        isStreaming: PropTypes.bool,
+        isError: PropTypes.bool,
+        citations: PropTypes.array,
+        apiCost: PropTypes.number,
+        costBreakdown: PropTypes.object,
+        outputTokens: PropTypes.number,
+      })
+    ).isRequired,
+    selectedResponseId: PropTypes.string,
+  }).isRequired,
+  outputSchema: PropTypes.object,
+  className: PropTypes.string,
+  style: PropTypes.object,
+};
+
+ComparisonMessageBubble.displayName = 'ComparisonMessageBubble';
@@ -9,6 +9,7 @@ import { MESSAGE_ROLES } from '../../../shared/constants';
 import { SystemMessageBubble } from './SystemMessageBubble';
 import { UserMessageBubble } from './UserMessageBubble';
 import { AssistantMessageBubble } from './AssistantMessageBubble';
+import { ComparisonMessageBubble } from './ComparisonMessageBubble';
 
 // Define the core functional component using forwardRef
 const MessageBubbleComponent = forwardRef(
@@ -24,19 +25,33 @@ const MessageBubbleComponent = forwardRef(
       case MESSAGE_ROLES.SYSTEM:
         return <SystemMessageBubble ref={ref} role={role} {...props} />;
       case MESSAGE_ROLES.USER: {
-        const { contextTypeUsed, pageContextUsed, ...userProps } = props;
+        const { contextTypeUsed, pageContextUsed, images, ...userProps } =
+          props;
         return (
           <UserMessageBubble
             ref={ref}
             role={role}
             contextTypeUsed={contextTypeUsed}
             pageContextUsed={pageContextUsed}
+            images={images}
             {...userProps}
           />
         );
       }
       case MESSAGE_ROLES.ASSISTANT: {
-        const { costBreakdown, ...assistantProps } = props;
+        const { costBreakdown, comparison, ...assistantProps } = props;
+        if (comparison) {
+          return (
+            <ComparisonMessageBubble
+              ref={ref}
+              id={assistantProps.id}
+              comparison={comparison}
+              outputSchema={assistantProps.outputSchema}
+              className={assistantProps.className}
+              style={assistantProps.style}
+            />
+          );
+        }
         return (
           <AssistantMessageBubble
             ref={ref}
@@ -60,6 +75,8 @@ MessageBubbleComponent.propTypes = {
   costBreakdown: PropTypes.object,
   contextTypeUsed: PropTypes.string,
   pageContextUsed: PropTypes.string,
+  images: PropTypes.array,
+  comparison: PropTypes.object,
 };
 
 MessageBubbleComponent.displayName = 'MessageBubble';
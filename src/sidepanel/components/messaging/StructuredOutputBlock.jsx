@@ -0,0 +1,229 @@
+// src/sidepanel/components/messaging/StructuredOutputBlock.jsx
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { ChevronUpIcon } from '../../../components/icons/ChevronUpIcon';
+import {
+  getTableRows,
+  getTableColumns,
+  formatTableCell,
+  structuredOutputToCsv,
+} from '../../../shared/utils/structured-output-utils';
+
+import { useCopyToClipboard } from './hooks/useCopyToClipboard';
+
+// Nodes deeper than this start collapsed
+const DEFAULT_EXPANDED_DEPTH = 2;
+
+const VIEWS = { TREE: 'tree', TABLE: 'table' };
+
+const toggleButtonClasses = (isActive) =>
+  `px-2 py-0.5 rounded ${isActive ? 'bg-theme-hover text-theme-primary' : 'text-theme-secondary hover:text-primary'}`;
+
+const valueClasses = (value) => {
+  if (value === null) return 'text-theme-secondary italic';
+  if (typeof value === 'string') return 'text-green-700 dark:text-green-400';
+  if (typeof value === 'number') return 'text-blue-700 dark:text-blue-400';
+  return 'text-amber-700 dark:text-amber-400';
+};
+
+/**
+ * One key/value of the JSON tree. Objects and arrays can be collapsed.
+ */
+const JsonTreeNode = ({ name, value, depth }) => {
+  const isContainer = typeof value === 'object' && value !== null;
+  const [isExpanded, setIsExpanded] = useState(depth < DEFAULT_EXPANDED_DEPTH);
+  const label = name !== null && (
+    <span className='text-theme-secondary'>{name}: </span>
+  );
+
+  if (!isContainer) {
+    return (
+      <div className='pl-4 break-words'>
+        {label}
+        <span className={valueClasses(value)}>{JSON.stringify(value)}</span>
+      </div>
+    );
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : Object.entries(value);
+  const summary = Array.isArray(value)
+    ? `[${entries.length}]`
+    : `{${entries.length}}`;
+
+  return (
+    <div className={depth > 0 ? 'pl-4' : ''}>
+      <button
+        type='button'
+        onClick={() => setIsExpanded(!isExpanded)}
+        className='inline-flex items-center gap-1 hover:text-primary'
+        aria-expanded={isExpanded}
+      >
+        <ChevronUpIcon
+          className={`w-3 h-3 transform transition-transform duration-200 ${
+            isExpanded ? 'rotate-180' : 'rotate-90'
+          }`}
+        />
+        {label}
+        <span className='text-theme-secondary'>{summary}</span>
+      </button>
+      {isExpanded &&
+        entries.map(([key, item]) => (
+          <JsonTreeNode key={key} name={key} value={item} depth={depth + 1} />
+        ))}
+    </div>
+  );
+};
+
+JsonTreeNode.propTypes = {
+  name: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  value: PropTypes.any,
+  depth: PropTypes.number.isRequired,
+};
+
+/**
+ * Table view of tabular results: one row per item, one column per key.
+ */
+const JsonTable = ({ rows }) => {
+  const columns = useMemo(() => getTableColumns(rows), [rows]);
+  return (
+    <div className='overflow-x-auto'>
+      <table className='min-w-full border-collapse'>
+        <thead>
+          <tr>
+            {columns.map((column) => (
+              <th
+                key={column}
+                className='px-2 py-1 text-left font-semibold border-b border-theme whitespace-nowrap'
+              >
+                {column}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index} className='border-b border-theme last:border-b-0'>
+              {columns.map((column) => (
+                <td key={column} className='px-2 py-1 align-top break-words'>
+                  {formatTableCell(row[column])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+JsonTable.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+/**
+ * A copy button whose icon confirms the copy.
+ */
+const CopyButton = ({ text, label }) => {
+  const { handleCopy, IconComponent, iconClassName, disabled } =
+    useCopyToClipboard(text);
+  return (
+    <button
+      type='button'
+      onClick={handleCopy}
+      disabled={disabled}
+      className='inline-flex items-center gap-1 px-2 py-0.5 rounded text-theme-secondary hover:text-primary hover:bg-theme-hover'
+      title={`Copy as ${label}`}
+    >
+      <IconComponent className={`w-3.5 h-3.5 ${iconClassName}`} />
+      {label}
+    </button>
+  );
+};
+
+CopyButton.propTypes = {
+  text: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+};
+
+/**
+ * A structured (JSON Schema) answer shown as a collapsible tree, or as a table
+ * when the data is a list of records, with its schema validation result.
+ */
+const StructuredOutputBlock = ({ data, validationErrors }) => {
+  const tableRows = useMemo(() => getTableRows(data), [data]);
+  const [view, setView] = useState(tableRows ? VIEWS.TABLE : VIEWS.TREE);
+  const [showErrors, setShowErrors] = useState(false);
+  const jsonText = useMemo(() => JSON.stringify(data, null, 2), [data]);
+  const csvText = useMemo(() => structuredOutputToCsv(data), [data]);
+  const isValid = validationErrors.length === 0;
+
+  return (
+    <div className='mb-4 border border-theme rounded-md bg-theme-surface text-xs'>
+      <div className='flex items-center gap-2 px-3 py-2 border-b border-theme'>
+        {isValid ? (
+          <span className='text-green-600 dark:text-green-400'>
+            Matches schema
+          </span>
+        ) : (
+          <button
+            type='button'
+            onClick={() => setShowErrors(!showErrors)}
+            className='text-warning hover:underline'
+            aria-expanded={showErrors}
+          >
+            {validationErrors.length} schema issue
+            {validationErrors.length > 1 ? 's' : ''}
+          </button>
+        )}
+        {tableRows && (
+          <div className='flex items-center gap-1 ml-2'>
+            <button
+              type='button'
+              onClick={() => setView(VIEWS.TREE)}
+              className={toggleButtonClasses(view === VIEWS.TREE)}
+            >
+              Tree
+            </button>
+            <button
+              type='button'
+              onClick={() => setView(VIEWS.TABLE)}
+              className={toggleButtonClasses(view === VIEWS.TABLE)}
+            >
+              Table
+            </button>
+          </div>
+        )}
+        <div className='flex items-center gap-1 ml-auto'>
+          <CopyButton text={jsonText} label='JSON' />
+          <CopyButton text={csvText} label='CSV' />
+        </div>
+      </div>
+
+      {showErrors && !isValid && (
+        <ul className='px-3 py-2 space-y-0.5 border-b border-theme text-warning font-mono'>
+          {validationErrors.map((validationError) => (
+            <li key={validationError}>{validationError}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className='px-3 py-2 max-h-96 overflow-auto font-mono text-theme-primary'>
+        {view === VIEWS.TABLE && tableRows ? (
+          <JsonTable rows={tableRows} />
+        ) : (
+          <JsonTreeNode name={null} value={data} depth={0} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+StructuredOutputBlock.propTypes = {
+  data: PropTypes.any,
+  validationErrors: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default StructuredOutputBlock;
@@ -0,0 +1,149 @@
+// src/sidepanel/components/messaging/ToolCallBlock.jsx
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { Button, WrenchIcon } from '../../../components';
+import { ChevronUpIcon } from '../../../components/icons/ChevronUpIcon';
+import { logger } from '../../../shared/logger';
+import { robustSendMessage } from '../../../shared/utils/message-utils';
+import {
+  BROWSER_TOOL_LABELS,
+  TOOL_CALL_STATUS,
+} from '../../../shared/constants';
+
+const STATUS_LABELS = {
+  [TOOL_CALL_STATUS.PENDING]: 'Waiting for approval',
+  [TOOL_CALL_STATUS.RUNNING]: 'Running…',
+  [TOOL_CALL_STATUS.DONE]: 'Done',
+  [TOOL_CALL_STATUS.ERROR]: 'Failed',
+  [TOOL_CALL_STATUS.DENIED]: 'Denied',
+  [TOOL_CALL_STATUS.CANCELLED]: 'Cancelled',
+};
+
+const STATUS_CLASSES = {
+  [TOOL_CALL_STATUS.PENDING]: 'text-warning',
+  [TOOL_CALL_STATUS.ERROR]: 'text-red-500',
+  [TOOL_CALL_STATUS.DENIED]: 'text-theme-secondary',
+  [TOOL_CALL_STATUS.CANCELLED]: 'text-theme-secondary',
+};
+
+/**
+ * A tool call made by the model: its arguments, status and result preview.
+ * While the call awaits approval, the user can allow it once, always allow
+ * the tool, or deny it.
+ */
+const ToolCallBlock = ({ toolCall }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isResponding, setIsResponding] = useState(false);
+  const { id, name, status, streamId, result } = toolCall;
+  const args = toolCall.arguments || {};
+  const hasArgs = Object.keys(args).length > 0;
+  const isPending = status === TOOL_CALL_STATUS.PENDING;
+
+  const respond = async (approved, alwaysAllow = false) => {
+    setIsResponding(true);
+    try {
+      await robustSendMessage({
+        action: 'respondToolApproval',
+        streamId,
+        toolCallId: id,
+        toolName: name,
+        approved,
+        alwaysAllow,
+      });
+    } catch (error) {
+      logger.sidepanel.error('Error sending tool approval:', error);
+    } finally {
+      setIsResponding(false);
+    }
+  };
+
+  return (
+    <div className='mb-3 border border-theme rounded-md bg-theme-surface text-xs'>
+      <button
+        type='button'
+        onClick={() => setIsExpanded(!isExpanded)}
+        className='flex items-center w-full gap-2 px-3 py-2 text-left rounded-t-md hover:bg-theme-hover'
+        aria-expanded={isExpanded}
+      >
+        <WrenchIcon className='w-3.5 h-3.5 flex-shrink-0 text-theme-secondary' />
+        <span className='font-medium text-theme-primary'>
+          {BROWSER_TOOL_LABELS[name] || name}
+        </span>
+        {hasArgs && (
+          <span className='truncate font-mono text-theme-secondary'>
+            {Object.values(args).map(String).join(', ')}
+          </span>
+        )}
+        <span
+          className={`ml-auto flex-shrink-0 ${STATUS_CLASSES[status] || 'text-theme-secondary'}`}
+        >
+          {STATUS_LABELS[status] || status}
+        </span>
+        <ChevronUpIcon
+          className={`w-3.5 h-3.5 flex-shrink-0 text-theme-secondary transform transition-transform duration-200 ${
+            isExpanded ? 'rotate-0' : 'rotate-180'
+          }`}
+        />
+      </button>
+
+      {isExpanded && (
+        <div className='px-3 pb-2 space-y-2'>
+          {hasArgs && (
+            <pre className='p-2 rounded bg-theme-hover overflow-x-auto whitespace-pre-wrap break-all'>
+              {JSON.stringify(args, null, 2)}
+            </pre>
+          )}
+          {result && (
+            <pre className='p-2 rounded bg-theme-hover max-h-48 overflow-y-auto whitespace-pre-wrap break-words'>
+              {result}
+            </pre>
+          )}
+        </div>
+      )}
+
+      {isPending && (
+        <div className='flex items-center justify-end gap-2 px-3 pb-2'>
+          <Button
+            variant='secondary'
+            size='sm'
+            onClick={() => respond(false)}
+            disabled={isResponding}
+          >
+            Deny
+          </Button>
+          <Button
+            variant='secondary'
+            size='sm'
+            onClick={() => respond(true, true)}
+            disabled={isResponding}
+            title='Run this tool without asking in future chats'
+          >
+            Always allow
+          </Button>
+          <Button
+            variant='primary'
+            size='sm'
+            onClick={() => respond(true)}
+            disabled={isResponding}
+          >
+            Allow
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ToolCallBlock.propTypes = {
+  toolCall: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    arguments: PropTypes.object,
+    status: PropTypes.oneOf(Object.values(TOOL_CALL_STATUS)).isRequired,
+    streamId: PropTypes.string,
+    result: PropTypes.string,
+  }).isRequired,
+};
+
+export default ToolCallBlock;
@@ -11,6 +11,7 @@ import {
 } from '../../../components';
 import { useSidePanelChat } from '../../contexts/SidePanelChatContext';
 import { CONTENT_TYPE_LABELS } from '../../../shared/constants';
+import { getImageDataUrl } from '../../../shared/utils/image-utils';
 
 import { useCopyToClipboard } from './hooks/useCopyToClipboard';
 
@@ -26,6 +27,7 @@ export const UserMessageBubble = memo(
         content,
         pageContextUsed,
         contextTypeUsed,
+        images,
         className = '',
         style = {},
       },
@@ -123,6 +125,20 @@ export const UserMessageBubble = memo(
                       transition-all duration-150 ease-in-out
                   `}
             >
+              {/* Attached images, kept when the message is edited or rerun */}
+              {images?.length > 0 && (
+                <div className='flex flex-wrap justify-end gap-2 mb-2'>
+                  {images.map((image) => (
+                    <img
+                      key={image.id}
+                      src={getImageDataUrl(image)}
+                      alt='Attached'
+                      className='max-h-32 max-w-full rounded border border-theme object-contain'
+                    />
+                  ))}
+                </div>
+              )}
+
               {/* Display Mode */}
               {!isEditing && (
                 <>
@@ -226,6 +242,7 @@ UserMessageBubble.propTypes = {
   content: PropTypes.string,
   pageContextUsed: PropTypes.string,
   contextTypeUsed: PropTypes.string,
+  images: PropTypes.array,
   className: PropTypes.string,
   style: PropTypes.object,
   role: PropTypes.string,
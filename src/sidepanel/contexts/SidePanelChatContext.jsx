@@ -18,15 +18,23 @@ import { useTokenTracking } from '../hooks/useTokenTracking';
 import { useChatStreaming } from '../hooks/useChatStreaming';
 import { useMessageActions } from '../hooks/useMessageActions';
 import { useChatSessionManagement } from '../hooks/useChatSessionManagement';
+import { useComparison } from '../hooks/useComparison';
+import { useParameterPresets } from '../hooks/useParameterPresets';
 import ChatHistoryService from '../services/ChatHistoryService';
 import TokenManagementService from '../services/TokenManagementService';
 import { useNotification } from '../../components';
 import { useContentProcessing } from '../../hooks/useContentProcessing';
-import { MESSAGE_ROLES, CONTENT_TYPES } from '../../shared/constants';
+import {
+  MESSAGE_ROLES,
+  CONTENT_TYPES,
+  MAX_ATTACHED_IMAGES,
+  MIN_COMPARISON_TARGETS,
+} from '../../shared/constants';
 import { INTERFACE_SOURCES, STORAGE_KEYS } from '../../shared/constants';
 import { isInjectablePage } from '../../shared/utils/content-utils';
 import { robustSendMessage } from '../../shared/utils/message-utils';
 import SidePanelStateManager from '../../services/SidePanelStateManager';
+import VaultService from '../../services/VaultService';
 
 const SidePanelChatContext = createContext(null);
 
@@ -49,6 +57,7 @@ export function SidePanelChatProvider({ children }) {
 
   const { contentType, currentTab } = useContent();
   const [inputValue, setInputValue] = useState('');
+  const [attachedImages, setAttachedImages] = useState([]);
   const [streamingMessageId, setStreamingMessageId] = useState(null);
   const [scrollToMessageId, setScrollToMessageId] = useState(null);
   const [contextMessageOriginId, setContextMessageOriginId] = useState(null);
@@ -65,6 +74,8 @@ export function SidePanelChatProvider({ children }) {
   );
   const [isSwitchingSession, setIsSwitchingSession] = useState(false);
   const [isThinkingModeEnabled, setIsThinkingModeEnabled] = useState(false);
+  const [isToolsEnabled, setIsToolsEnabled] = useState(false);
+  const [isWebSearchEnabled, setIsWebSearchEnabled] = useState(false);
 
   const previousExtractionStateRef = useRef(null);
   const previousContentTypeRef = useRef(contentType);
@@ -73,7 +84,7 @@ export function SidePanelChatProvider({ children }) {
   const [contextViewData, setContextViewData] = useState(null);
   const {
     processContentViaApi,
-    isProcessing,
+    isProcessing: isRequestInFlight,
     error: processingError,
     reset: resetContentProcessing,
   } = useContentProcessing(INTERFACE_SOURCES.SIDEPANEL);
@@ -97,6 +108,13 @@ export function SidePanelChatProvider({ children }) {
     setScrollToMessageId,
   });
 
+  const { parameterPresets, activePresetId, selectPreset } =
+    useParameterPresets({
+      chatSessionId: currentChatSessionId,
+      selectedPlatformId,
+      selectedModel,
+    });
+
   const { success: showSuccessNotification, error: showErrorNotification } =
     useNotification();
 
@@ -139,25 +157,66 @@ export function SidePanelChatProvider({ children }) {
       modelId,
       promptContent,
       conversationHistory,
+      images,
+      outputSchema,
       streaming,
       isContentExtractionEnabled: localIsContentExtractionEnabled,
       isThinkingModeEnabled: localIsThinkingModeEnabled,
+      isToolsEnabled: localIsToolsEnabled = false,
+      isWebSearchEnabled: localIsWebSearchEnabled = false,
+      presetId = null,
       options,
       assistantMessageIdOnError,
       messagesOnError,
       rerunStatsRef: localRerunStatsRef,
     }) => {
       try {
-        const result = await processContentViaApi({
+        // The background writes the response into this turn as it streams in
+        if (options.chatSessionId) {
+          try {
+            await ChatHistoryService.saveStreamingTurn(options.chatSessionId, [
+              ...messagesOnError,
+              {
+                id: assistantMessageIdOnError,
+                role: MESSAGE_ROLES.ASSISTANT,
+                content: '',
+                platformId,
+                modelId,
+                timestamp: new Date().toISOString(),
+                ...(outputSchema && { outputSchema }),
+              },
+            ]);
+          } catch (error) {
+            logger.sidepanel.warn('Could not save the streaming turn:', error);
+          }
+        }
+
+        const requestOptions = {
           platformId,
           modelId,
           promptContent,
           conversationHistory,
+          images,
+          outputSchema,
           streaming,
           isContentExtractionEnabled: localIsContentExtractionEnabled,
           isThinkingModeEnabled: localIsThinkingModeEnabled,
-          options,
-        });
+          isToolsEnabled: localIsToolsEnabled,
+          isWebSearchEnabled: localIsWebSearchEnabled,
+          presetId,
+          options: { ...options, streamMessageId: assistantMessageIdOnError },
+        };
+        let result = await processContentViaApi(requestOptions);
+
+        if (result?.budgetExceeded) {
+          if (!window.confirm(`${result.error}\n\nSend it anyway?`)) {
+            throw new Error(result.error);
+          }
+          result = await processContentViaApi({
+            ...requestOptions,
+            budgetOverride: true,
+          });
+        }
 
         if (result && result.contentSuccessfullyIncluded) {
           setIsContentExtractionEnabled(false);
@@ -263,7 +322,34 @@ export function SidePanelChatProvider({ children }) {
     ]
   );
 
-  const { cancelStream } = useChatStreaming({
+  const {
+    comparisonSettings,
+    updateComparisonSettings,
+    setComparisonTargets,
+    isComparing,
+    sendComparison,
+    cancelComparison,
+    selectComparisonResponse,
+  } = useComparison({
+    currentTab,
+    contentType,
+    chatSessionId: currentChatSessionId,
+    messages,
+    setMessages,
+    tokenStats,
+    modelConfigData,
+    setIsContentExtractionEnabled,
+    showErrorNotification,
+    ChatHistoryService,
+    TokenManagementService,
+    robustSendMessage,
+  });
+
+  // A reattached stream has no request in flight in this side panel
+  const isProcessing =
+    isRequestInFlight || streamingMessageId !== null || isComparing;
+
+  const { cancelStream: cancelChatStream, resumeStream } = useChatStreaming({
     chatSessionId: currentChatSessionId,
     setMessages,
     messages,
@@ -285,6 +371,11 @@ export function SidePanelChatProvider({ children }) {
     isThinkingModeEnabled,
   });
 
+  const cancelStream = useCallback(
+    () => (isComparing ? cancelComparison() : cancelChatStream()),
+    [isComparing, cancelComparison, cancelChatStream]
+  );
+
   const { rerunMessage, editAndRerunMessage, rerunAssistantMessage } =
     useMessageActions({
       tabId,
@@ -307,6 +398,8 @@ export function SidePanelChatProvider({ children }) {
       _initiateApiCall,
       isContentExtractionEnabled,
       isThinkingModeEnabled,
+      isToolsEnabled,
+      presetId: activePresetId,
     });
 
   useEffect(() => {
@@ -405,19 +498,47 @@ export function SidePanelChatProvider({ children }) {
     loadPreference();
   }, [selectedPlatformId, selectedModel, tabId, modelConfigData]);
 
+  useEffect(() => {
+    const loadToolsPreference = async () => {
+      try {
+        const result = await chrome.storage.sync.get(
+          STORAGE_KEYS.SIDEPANEL_TOOLS_ENABLED
+        );
+        setIsToolsEnabled(
+          result[STORAGE_KEYS.SIDEPANEL_TOOLS_ENABLED] === true
+        );
+      } catch (err) {
+        logger.sidepanel.error('Error loading tools preference:', err);
+      }
+    };
+
+    loadToolsPreference();
+  }, []);
+
   useEffect(() => {
     if (!chrome.storage?.onChanged) return;
 
     const handleStorageChange = async (changes, areaName) => {
+      // While streaming, the background writes the partial response to storage
       if (
         areaName !== 'local' ||
         !changes[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] ||
-        !currentChatSessionId
+        !currentChatSessionId ||
+        streamingMessageId ||
+        isComparing
       ) {
         return;
       }
 
-      const newValue = changes[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS].newValue;
+      let newValue;
+      try {
+        newValue = await VaultService.open(
+          changes[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS].newValue
+        );
+      } catch (err) {
+        logger.sidepanel.warn('Could not read updated chat sessions:', err);
+        return;
+      }
       const currentSessionNewData = newValue
         ? newValue[currentChatSessionId]
         : null;
@@ -442,7 +563,13 @@ export function SidePanelChatProvider({ children }) {
     return () => {
       chrome.storage.onChanged.removeListener(handleStorageChange);
     };
-  }, [currentChatSessionId, messages, setMessages]);
+  }, [
+    currentChatSessionId,
+    messages,
+    setMessages,
+    streamingMessageId,
+    isComparing,
+  ]);
 
   // Effect to automatically manage the content extraction toggle based on content type
   useEffect(() => {
@@ -480,7 +607,36 @@ export function SidePanelChatProvider({ children }) {
     previousContentTypeRef.current = contentType;
   }, [contentType, isContentExtractionEnabled]);
 
-  const sendMessage = async (text = inputValue) => {
+  const supportsVision =
+    stableModelConfigData?.capabilities?.supportsVision === true;
+  const supportsTools =
+    stableModelConfigData?.capabilities?.supportsTools === true;
+  const supportsWebSearch =
+    stableModelConfigData?.capabilities?.supportsWebSearch === true;
+
+  const addImageAttachments = useCallback(
+    (images) => {
+      setAttachedImages((prev) => {
+        const available = MAX_ATTACHED_IMAGES - prev.length;
+        if (images.length > available) {
+          showErrorNotification(
+            `You can attach up to ${MAX_ATTACHED_IMAGES} images per message.`
+          );
+        }
+        return [...prev, ...images.slice(0, Math.max(available, 0))];
+      });
+    },
+    [showErrorNotification]
+  );
+
+  const removeImageAttachment = useCallback((imageId) => {
+    setAttachedImages((prev) => prev.filter((image) => image.id !== imageId));
+  }, []);
+
+  const sendMessage = async (
+    text = inputValue,
+    { outputSchema = null } = {}
+  ) => {
     const currentPlatformId = selectedPlatformId;
     const currentModelId = selectedModel;
     const currentHasCreds = hasAnyPlatformCredentials;
@@ -504,7 +660,37 @@ export function SidePanelChatProvider({ children }) {
       return;
     }
     if (!text.trim() || isProcessing || !tabId) return;
+    if (
+      messages.some(
+        (msg) => msg.comparison && !msg.comparison.selectedResponseId
+      )
+    ) {
+      showErrorNotification(
+        'Pick one of the compared answers to continue the conversation.'
+      );
+      return;
+    }
+    const isComparisonTurn = comparisonSettings.enabled;
+    if (
+      isComparisonTurn &&
+      comparisonSettings.targets.length < MIN_COMPARISON_TARGETS
+    ) {
+      showErrorNotification(
+        `Select at least ${MIN_COMPARISON_TARGETS} models to compare.`
+      );
+      return;
+    }
+    if (attachedImages.length > 0 && !supportsVision) {
+      showErrorNotification(
+        'The selected model does not accept images. Remove the attachments or select a vision model.'
+      );
+      return;
+    }
 
+    const images = attachedImages;
+    // Compared models search when they can, whatever the selected model
+    const localIsWebSearchEnabled =
+      isWebSearchEnabled && (supportsWebSearch || isComparisonTurn);
     const inputTokens = TokenManagementService.estimateTokens(text.trim());
     const userMessageId = `msg_${Date.now()}`;
     const userMessage = {
@@ -514,36 +700,9 @@ export function SidePanelChatProvider({ children }) {
       timestamp: new Date().toISOString(),
       inputTokens,
       outputTokens: 0,
-    };
-    const assistantMessageId = `msg_${Date.now() + 1}`;
-    const assistantMessage = {
-      id: assistantMessageId,
-      role: MESSAGE_ROLES.ASSISTANT,
-      content: '',
-      thinkingContent: '',
-      platformId: currentPlatformId,
-      modelId: currentModelId,
-      timestamp: new Date().toISOString(),
-      isStreaming: true,
-      inputTokens: 0,
-      outputTokens: 0,
-      apiCost: null,
-    };
-
-    const messagesBeforeApiCall = [...messages, userMessage];
-    const messagesWithPlaceholder = [
-      ...messagesBeforeApiCall,
-      assistantMessage,
-    ];
-
-    setMessages(messagesWithPlaceholder);
-    setInputValue('');
-    setStreamingMessageId(assistantMessageId);
-    batchedStreamingContentRef.current = '';
-
-    rerunStatsRef.current = {
-      preTruncationCost: tokenStats.accumulatedCost || 0,
-      preTruncationOutput: tokenStats.outputTokens || 0,
+      ...(images.length > 0 && { images }),
+      ...(outputSchema && { outputSchema }),
+      ...(localIsWebSearchEnabled && { webSearchUsed: true }),
     };
 
     const localIsContentExtractionEnabled = isContentExtractionEnabled;
@@ -572,17 +731,76 @@ export function SidePanelChatProvider({ children }) {
         if (msg.role === MESSAGE_ROLES.USER && msg.pageContextUsed) {
           historyItem.pageContextUsed = msg.pageContextUsed;
         }
+        if (msg.role === MESSAGE_ROLES.USER && msg.images?.length > 0) {
+          historyItem.images = msg.images;
+        }
         return historyItem;
       });
 
+    const messagesBeforeApiCall = [...messages, userMessage];
+
+    if (isComparisonTurn) {
+      setInputValue('');
+      setAttachedImages([]);
+      setIsWebSearchEnabled(false);
+      await sendComparison({
+        messagesBeforeApiCall,
+        userMessage,
+        conversationHistory,
+        isContentExtractionEnabled: effectiveContentExtractionEnabled,
+        isWebSearchEnabled: localIsWebSearchEnabled,
+        presetId: activePresetId,
+      });
+      return;
+    }
+
+    const assistantMessageId = `msg_${Date.now() + 1}`;
+    const assistantMessage = {
+      id: assistantMessageId,
+      role: MESSAGE_ROLES.ASSISTANT,
+      content: '',
+      thinkingContent: '',
+      platformId: currentPlatformId,
+      modelId: currentModelId,
+      timestamp: new Date().toISOString(),
+      isStreaming: true,
+      inputTokens: 0,
+      outputTokens: 0,
+      apiCost: null,
+      ...(outputSchema && { outputSchema }),
+    };
+
+    const messagesWithPlaceholder = [
+      ...messagesBeforeApiCall,
+      assistantMessage,
+    ];
+
+    setMessages(messagesWithPlaceholder);
+    setInputValue('');
+    setAttachedImages([]);
+    // Web search applies to one message at a time
+    setIsWebSearchEnabled(false);
+    setStreamingMessageId(assistantMessageId);
+    batchedStreamingContentRef.current = '';
+
+    rerunStatsRef.current = {
+      preTruncationCost: tokenStats.accumulatedCost || 0,
+      preTruncationOutput: tokenStats.outputTokens || 0,
+    };
+
     const apiCallSetupResult = await _initiateApiCall({
       platformId: currentPlatformId,
       modelId: currentModelId,
       promptContent: text.trim(),
       conversationHistory,
+      images,
+      outputSchema,
       streaming: true,
       isContentExtractionEnabled: effectiveContentExtractionEnabled,
       isThinkingModeEnabled: localIsThinkingModeEnabled,
+      isToolsEnabled,
+      isWebSearchEnabled: localIsWebSearchEnabled,
+      presetId: activePresetId,
       options: {
         tabId,
         chatSessionId: currentChatSessionId,
@@ -807,6 +1025,17 @@ export function SidePanelChatProvider({ children }) {
     [selectedPlatformId, selectedModel]
   );
 
+  const toggleTools = useCallback(async (newState) => {
+    setIsToolsEnabled(newState);
+    try {
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.SIDEPANEL_TOOLS_ENABLED]: newState,
+      });
+    } catch (err) {
+      logger.sidepanel.error('Error saving tools preference:', err);
+    }
+  }, []);
+
   const switchToContextView = useCallback(
     ({ data, messageId }) => {
       setContextViewData(data);
@@ -876,6 +1105,10 @@ export function SidePanelChatProvider({ children }) {
         currentView,
         contextViewData,
         inputValue,
+        attachedImages,
+        supportsVision,
+        supportsTools,
+        supportsWebSearch,
         contextStatus: stableContextStatus,
         isContentExtractionEnabled,
         modelConfigData: stableModelConfigData,
@@ -887,10 +1120,25 @@ export function SidePanelChatProvider({ children }) {
         tokenStats: stableTokenStats,
         isThinkingModeEnabled,
         toggleThinkingMode,
+        isToolsEnabled,
+        toggleTools,
+        isWebSearchEnabled,
+        setIsWebSearchEnabled,
+        parameterPresets,
+        activePresetId,
+        selectPreset,
+        comparisonSettings,
+        updateComparisonSettings,
+        setComparisonTargets,
+        selectComparisonResponse,
+        isComparing,
         setInputValue,
+        addImageAttachments,
+        removeImageAttachment,
         setIsContentExtractionEnabled,
         sendMessage,
         cancelStream,
+        resumeStream,
         clearChat,
         resetCurrentTabData,
         rerunMessage,
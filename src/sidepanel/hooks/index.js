@@ -4,3 +4,5 @@ export * from './useMessageActions';
 export * from './useSidePanelModelParameters';
 export * from './useTokenTracking';
 export * from './useChatSessionManagement';
+export * from './useComparison';
+export * from './useParameterPresets';
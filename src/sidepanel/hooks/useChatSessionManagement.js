@@ -277,6 +277,27 @@ export function useChatSessionManagement({
     [tabId, setMessages, setScrollToMessageId]
   );
 
+  // Sessions can be opened from other pages (e.g., usage analytics in settings)
+  useEffect(() => {
+    if (!tabId) return;
+    const handleMessage = (message) => {
+      if (
+        message.action === 'chatSessionSelected' &&
+        message.tabId === tabId &&
+        message.chatSessionId
+      ) {
+        selectChatSession(message.chatSessionId).catch((error) => {
+          logger.sidepanel.error(
+            `ChatSessionManagement: Error opening session ${message.chatSessionId}:`,
+            error
+          );
+        });
+      }
+    };
+    chrome.runtime.onMessage.addListener(handleMessage);
+    return () => chrome.runtime.onMessage.removeListener(handleMessage);
+  }, [tabId, selectChatSession]);
+
   const switchToView = useCallback(
     async (viewName) => {
       if (!tabId || !['chat', 'history', 'context'].includes(viewName)) return;
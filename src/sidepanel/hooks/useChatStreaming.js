@@ -2,7 +2,15 @@
 import { useEffect, useCallback, useRef } from 'react';
 
 import { logger } from '../../shared/logger';
-import { MESSAGE_ROLES, STORAGE_KEYS } from '../../shared/constants';
+import ConfigService from '../../services/ConfigService';
+import BudgetService from '../../services/BudgetService';
+import CredentialManager from '../../services/CredentialManager';
+import UsageLedgerService from '../../services/UsageLedgerService';
+import {
+  MESSAGE_ROLES,
+  STORAGE_KEYS,
+  TOOL_CALL_STATUS,
+} from '../../shared/constants';
 
 /**
  * Custom hook to manage chat streaming logic, including receiving chunks,
@@ -29,11 +37,12 @@ import { MESSAGE_ROLES, STORAGE_KEYS } from '../../shared/constants';
  * @param {object} args.TokenManagementService - Service for token management.
  * @param {function} args.robustSendMessage - Utility for sending messages to background.
  * @param {boolean} [args.isThinkingModeEnabled=false] - Whether thinking mode is active.
- * @returns {object} - Object containing the cancelStream function.
+ * @returns {object} - Object containing the cancelStream and resumeStream functions.
  */
 export function useChatStreaming({
   chatSessionId,
   setMessages,
+  messages,
   modelConfigData,
   selectedModel,
   rerunStatsRef,
@@ -52,6 +61,10 @@ export function useChatStreaming({
 }) {
   const batchedThinkingContentRef = useRef('');
   const cancellationResolverRef = useRef(null);
+  const streamingMessageIdRef = useRef(streamingMessageId);
+  streamingMessageIdRef.current = streamingMessageId;
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
   const performThinkingStreamingStateUpdate = useCallback(() => {
     rafIdRef.current = null;
     const messageId = streamingMessageId;
@@ -66,6 +79,7 @@ export function useChatStreaming({
               ...msg,
               thinkingContent: accumulatedThinkingContent,
               isStreaming: true,
+              retryStatus: null,
             }
           : msg
       )
@@ -86,6 +100,7 @@ export function useChatStreaming({
               ...msg,
               content: accumulatedContent,
               isStreaming: true,
+              retryStatus: null,
             }
           : msg
       )
@@ -99,117 +114,147 @@ export function useChatStreaming({
       finalThinkingContentInput,
       model,
       isError = false,
-      isCancelled = false
+      isCancelled = false,
+      usage = null,
+      fallbackPlatformId = null,
+      credentialProfileId = null,
+      citations = null
     ) => {
       const savedStats = rerunStatsRef.current;
+
+      // A fallback answer is priced with the configuration of the model that produced it
+      let pricingModelConfig = modelConfigData;
+      if (fallbackPlatformId) {
+        try {
+          const platformApiConfig =
+            await ConfigService.getPlatformApiConfig(fallbackPlatformId);
+          pricingModelConfig =
+            platformApiConfig?.models?.find((m) => m.id === model) || null;
+        } catch (error) {
+          logger.sidepanel.error(
+            `Error loading config of fallback model ${fallbackPlatformId}/${model}:`,
+            error
+          );
+          pricingModelConfig = null;
+        }
+      }
       const retrievedPreTruncationCost = savedStats?.preTruncationCost || 0;
       const retrievedPreTruncationOutput = savedStats?.preTruncationOutput || 0;
 
       try {
-        // Use functional update for setMessages
-        setMessages((prevMessages) => {
-          // Find the assistant message and the preceding user message
-          const assistantMessageIndex = prevMessages.findIndex(
-            (msg) => msg.id === messageId
-          );
-          let systemPromptForThisTurn = null;
-          if (assistantMessageIndex > 0) {
-            const userMessageForThisTurn =
-              prevMessages[assistantMessageIndex - 1];
-            if (
-              userMessageForThisTurn &&
-              userMessageForThisTurn.role === MESSAGE_ROLES.USER
-            ) {
-              systemPromptForThisTurn =
-                userMessageForThisTurn.systemPromptUsedForThisTurn || null;
-            }
+        // The turn is priced from the rendered messages rather than inside
+        // the state update, which React may run more than once
+        const messagesSnapshot = messagesRef.current;
+        const assistantMessageIndex = messagesSnapshot.findIndex(
+          (msg) => msg.id === messageId
+        );
+        let systemPromptForThisTurn = null;
+        let contextTypeForThisTurn = null;
+        if (assistantMessageIndex > 0) {
+          const userMessageForThisTurn =
+            messagesSnapshot[assistantMessageIndex - 1];
+          if (
+            userMessageForThisTurn &&
+            userMessageForThisTurn.role === MESSAGE_ROLES.USER
+          ) {
+            systemPromptForThisTurn =
+              userMessageForThisTurn.systemPromptUsedForThisTurn || null;
+            contextTypeForThisTurn =
+              userMessageForThisTurn.contextTypeUsed || null;
           }
+        }
 
-          let finalOutputTokensForMessage = 0;
-          let finalContent = finalContentInput || '';
-          let finalThinkingContent = finalThinkingContentInput || '';
-
-          if (isCancelled) {
-            const regularTokens =
-              TokenManagementService.estimateTokens(finalContent);
-            const thinkingTokens =
-              TokenManagementService.estimateTokens(finalThinkingContent);
-            finalOutputTokensForMessage = regularTokens + thinkingTokens;
-            finalContent += '\n\n_Stream cancelled by user._';
-          } else if (isError) {
-            finalOutputTokensForMessage = 0;
-            finalThinkingContent = ''; // Clear thinking content on error
-          } else {
-            const regularTokens =
-              TokenManagementService.estimateTokens(finalContent);
-            const thinkingTokens =
-              TokenManagementService.estimateTokens(finalThinkingContent);
-            finalOutputTokensForMessage = regularTokens + thinkingTokens;
-          }
+        let finalOutputTokensForMessage = 0;
+        // Usage reported by the provider; unreliable for cancelled or failed streams
+        const reportedUsage = !isCancelled && !isError ? usage : null;
+        let finalContent = finalContentInput || '';
+        let finalThinkingContent = finalThinkingContentInput || '';
+
+        if (isCancelled) {
+          const regularTokens =
+            TokenManagementService.estimateTokens(finalContent);
+          const thinkingTokens =
+            TokenManagementService.estimateTokens(finalThinkingContent);
+          finalOutputTokensForMessage = regularTokens + thinkingTokens;
+          finalContent += '\n\n_Stream cancelled by user._';
+        } else if (isError) {
+          finalOutputTokensForMessage = 0;
+          finalThinkingContent = ''; // Clear thinking content on error
+        } else {
+          const regularTokens =
+            TokenManagementService.estimateTokens(finalContent);
+          const thinkingTokens =
+            TokenManagementService.estimateTokens(finalThinkingContent);
+          // Prefer the count reported by the provider over the estimate
+          finalOutputTokensForMessage = TokenManagementService.resolveUsage(
+            reportedUsage,
+            0,
+            regularTokens + thinkingTokens
+          ).outputTokens;
+        }
 
-          let updatedMessagesArray = prevMessages.map((msg) => {
+        const completedFields = {
+          content: finalContent,
+          thinkingContent: finalThinkingContent,
+          isStreaming: false,
+          retryStatus: null,
+          modelId: model || selectedModel, // Use model from chunkData if available
+          timestamp: new Date().toISOString(),
+          outputTokens: finalOutputTokensForMessage,
+          usage: reportedUsage || null,
+          credentialProfileId,
+          ...(!isError && citations?.length > 0 && { citations }),
+          ...(isError && { role: MESSAGE_ROLES.SYSTEM }), // Change role on error
+        };
+
+        // --- API Cost Calculation ---
+        const assistantMessage = messagesSnapshot[assistantMessageIndex];
+        const platformIdForThisTurn =
+          fallbackPlatformId || assistantMessage?.platformId;
+        let costInfo = null;
+        if (chatSessionId && !isError && assistantMessage) {
+          costInfo = TokenManagementService.calculateResponseCost(
+            [
+              ...messagesSnapshot.slice(0, assistantMessageIndex),
+              { ...assistantMessage, ...completedFields },
+            ],
+            reportedUsage,
+            finalOutputTokensForMessage,
+            pricingModelConfig,
+            isThinkingModeEnabled
+          );
+        }
+
+        setMessages((prevMessages) => {
+          const updatedMessagesArray = prevMessages.map((msg) => {
             if (msg.id === messageId) {
               return {
                 ...msg,
-                content: finalContent,
-                thinkingContent: finalThinkingContent,
-                isStreaming: false,
-                modelId: model || selectedModel, // Use model from chunkData if available
-                platformId: msg.platformId,
-                timestamp: new Date().toISOString(),
-                outputTokens: finalOutputTokensForMessage,
-                role: isError ? MESSAGE_ROLES.SYSTEM : msg.role, // Change role on error
-                // apiCost will be calculated and added below
+                ...completedFields,
+                platformId: fallbackPlatformId || msg.platformId,
+                // Calls still awaiting approval or running will never complete
+                ...(msg.toolCalls && {
+                  toolCalls: msg.toolCalls.map((call) =>
+                    call.status === TOOL_CALL_STATUS.PENDING ||
+                    call.status === TOOL_CALL_STATUS.RUNNING
+                      ? { ...call, status: TOOL_CALL_STATUS.CANCELLED }
+                      : call
+                  ),
+                }),
+                ...(costInfo && {
+                  apiCost: costInfo.apiCost,
+                  costBreakdown: costInfo.costBreakdown,
+                }),
               };
             }
             return msg; // Return other messages unchanged (this preserves pageContextUsed on user messages)
           });
 
-          // --- API Cost Calculation and History Saving ---
+          // --- History Saving ---
           if (chatSessionId) {
-            // Use chatSessionId here
-            const finalUpdatedMessagesForStateAndHistory =
-              updatedMessagesArray.map((msg) => {
-                if (msg.id === messageId && !isError) {
-                  // Only try to add cost if not an error
-                  let tempApiCost = null;
-                  let costBreakdown = null;
-
-                  if (modelConfigData && modelConfigData.pricing) {
-                    const tempTurnStats =
-                      TokenManagementService.calculateTokenStatisticsFromMessages(
-                        updatedMessagesArray.slice(
-                          0,
-                          updatedMessagesArray.findIndex(
-                            (m) => m.id === messageId
-                          ) + 1
-                        ),
-                        null
-                      );
-
-                    const costInfo = TokenManagementService.calculateCost(
-                      tempTurnStats.inputTokensInLastApiCall,
-                      finalOutputTokensForMessage,
-                      modelConfigData,
-                      isThinkingModeEnabled
-                    );
-
-                    tempApiCost = costInfo.totalCost;
-                    costBreakdown = {
-                      inputTokens: tempTurnStats.inputTokensInLastApiCall,
-                      outputTokens: finalOutputTokensForMessage,
-                      inputTokenPrice: costInfo.inputTokenPrice,
-                      outputTokenPrice: costInfo.outputTokenPrice,
-                    };
-                  }
-                  return { ...msg, apiCost: tempApiCost, costBreakdown };
-                }
-                return msg;
-              });
-
             ChatHistoryService.saveHistory(
-              chatSessionId, // Use chatSessionId here
-              finalUpdatedMessagesForStateAndHistory,
+              chatSessionId,
+              updatedMessagesArray,
               modelConfigData, // Use modelConfigData from the hook's closure
               {
                 initialAccumulatedCost: retrievedPreTruncationCost,
@@ -233,14 +278,39 @@ export function useChatStreaming({
                 );
               }
             });
-
-            return finalUpdatedMessagesForStateAndHistory; // Return the array with cost (if calculated)
           }
-          return updatedMessagesArray; // Fallback if no tabId
+          return updatedMessagesArray;
         });
 
         batchedStreamingContentRef.current = '';
         batchedThinkingContentRef.current = '';
+
+        if (costInfo) {
+          // Attribute the cost to the credential profile that paid for it
+          await CredentialManager.recordProfileSpend(
+            platformIdForThisTurn,
+            credentialProfileId,
+            costInfo.apiCost
+          );
+          await BudgetService.recordSpend(
+            platformIdForThisTurn,
+            costInfo.apiCost
+          );
+          await UsageLedgerService.recordRequest({
+            chatSessionId,
+            platformId: platformIdForThisTurn,
+            modelId: completedFields.modelId,
+            contentType: contextTypeForThisTurn,
+            inputTokens: costInfo.costBreakdown?.inputTokens,
+            outputTokens:
+              costInfo.costBreakdown?.outputTokens ??
+              finalOutputTokensForMessage,
+            thinkingTokens: costInfo.costBreakdown?.thinkingTokens,
+            cachedInputTokens: costInfo.costBreakdown?.cachedInputTokens,
+            cost: costInfo.apiCost,
+            isExact: costInfo.costBreakdown?.isExact,
+          });
+        }
       } catch (error) {
         logger.sidepanel.error('Error handling stream completion:', error);
         // Ensure state is cleaned up even on error
@@ -288,6 +358,10 @@ export function useChatStreaming({
   useEffect(() => {
     const handleStreamChunk = async (message) => {
       if (message.action === 'streamChunk' && streamingMessageId) {
+        // Chunks of comparison answers stream into other messages
+        if (message.messageId && message.messageId !== streamingMessageId) {
+          return;
+        }
         const { chunkData } = message;
 
         if (!chunkData) {
@@ -330,7 +404,10 @@ export function useChatStreaming({
               finalThinkingContent,
               chunkData.model,
               false,
-              true
+              true,
+              null,
+              null,
+              chunkData.credentialProfileId || null
             );
           } else if (chunkData.error) {
             const errorMessage = chunkData.error;
@@ -353,13 +430,68 @@ export function useChatStreaming({
               finalThinkingContent,
               chunkData.model,
               false,
-              false
+              false,
+              chunkData.usage || null,
+              chunkData.isFallback ? chunkData.platformId : null,
+              chunkData.credentialProfileId || null,
+              chunkData.citations || null
             );
           }
           setStreamingMessageId(null);
           setIsCanceling(false);
           batchedStreamingContentRef.current = '';
           batchedThinkingContentRef.current = '';
+        } else if (chunkData.fallback) {
+          const { fallback } = chunkData;
+          logger.sidepanel.warn(
+            `Falling back to ${fallback.platformId}/${fallback.model}: ${fallback.reason}`
+          );
+          setMessages((prevMessages) =>
+            prevMessages.map((msg) =>
+              msg.id === streamingMessageId
+                ? {
+                    ...msg,
+                    platformId: fallback.platformId,
+                    modelId: fallback.model,
+                    retryStatus: null,
+                  }
+                : msg
+            )
+          );
+        } else if (chunkData.retry) {
+          const { retry } = chunkData;
+          setMessages((prevMessages) =>
+            prevMessages.map((msg) =>
+              msg.id === streamingMessageId
+                ? {
+                    ...msg,
+                    retryStatus: {
+                      attempt: retry.attempt,
+                      maxAttempts: retry.maxAttempts,
+                      retryAt: Date.now() + retry.delayMs,
+                    },
+                  }
+                : msg
+            )
+          );
+        } else if (chunkData.toolCall) {
+          const { toolCall } = chunkData;
+          setMessages((prevMessages) =>
+            prevMessages.map((msg) => {
+              if (msg.id !== streamingMessageId) return msg;
+              const toolCalls = msg.toolCalls || [];
+              const exists = toolCalls.some((call) => call.id === toolCall.id);
+              return {
+                ...msg,
+                retryStatus: null,
+                toolCalls: exists
+                  ? toolCalls.map((call) =>
+                      call.id === toolCall.id ? { ...call, ...toolCall } : call
+                    )
+                  : [...toolCalls, toolCall],
+              };
+            })
+          );
         } else if (chunkData.thinkingChunk) {
           batchedThinkingContentRef.current += chunkData.thinkingChunk;
           if (rafIdRef.current === null) {
@@ -403,6 +535,7 @@ export function useChatStreaming({
     rafIdRef,
     performStreamingStateUpdate,
     performThinkingStreamingStateUpdate,
+    setMessages,
   ]);
 
   const cancelStream = useCallback(async () => {
@@ -481,5 +614,56 @@ export function useChatStreaming({
     };
   }, [isProcessing, isCanceling, cancelStream]);
 
-  return { cancelStream };
+  /**
+   * Continues rendering a response that kept streaming in the background while
+   * the side panel was closed or reloading.
+   * @param {object|null} snapshot - The response so far, as buffered by the background.
+   */
+  const resumeStream = useCallback(
+    (snapshot) => {
+      if (!snapshot || snapshot.messageId === streamingMessageIdRef.current) {
+        return;
+      }
+      logger.sidepanel.info(`Reattaching to stream ${snapshot.streamId}.`);
+      batchedStreamingContentRef.current = snapshot.content;
+      batchedThinkingContentRef.current = snapshot.thinkingContent;
+      // A rerun's session totals before truncation complete the turn's stats
+      rerunStatsRef.current =
+        snapshot.preTruncationCost !== undefined
+          ? {
+              preTruncationCost: snapshot.preTruncationCost,
+              preTruncationOutput: snapshot.preTruncationOutput || 0,
+            }
+          : null;
+      setMessages((prevMessages) =>
+        prevMessages.map((msg) => {
+          if (msg.id !== snapshot.messageId) return msg;
+          const resumedMessage = {
+            ...msg,
+            content: snapshot.content,
+            thinkingContent: snapshot.thinkingContent,
+            ...(snapshot.toolCalls.length > 0 && {
+              toolCalls: snapshot.toolCalls,
+            }),
+            platformId: snapshot.platformId,
+            modelId: snapshot.model,
+            isStreaming: true,
+          };
+          // The stored marker of a streaming message stays out of the panel's saves
+          delete resumedMessage.streamId;
+          return resumedMessage;
+        })
+      );
+      setStreamingMessageId(snapshot.messageId);
+    },
+    [
+      batchedStreamingContentRef,
+      batchedThinkingContentRef,
+      rerunStatsRef,
+      setMessages,
+      setStreamingMessageId,
+    ]
+  );
+
+  return { cancelStream, resumeStream };
 }
@@ -0,0 +1,672 @@
+// src/sidepanel/hooks/useComparison.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+import { logger } from '../../shared/logger';
+import ConfigService from '../../services/ConfigService';
+import BudgetService from '../../services/BudgetService';
+import CredentialManager from '../../services/CredentialManager';
+import UsageLedgerService from '../../services/UsageLedgerService';
+import {
+  MESSAGE_ROLES,
+  STORAGE_KEYS,
+  INTERFACE_SOURCES,
+} from '../../shared/constants';
+
+const DEFAULT_COMPARISON_SETTINGS = { enabled: false, targets: [] };
+const CANCELLED_NOTE = '\n\n_Stream cancelled by user._';
+// The final chunk of an answer can arrive after the request has resolved
+const FINAL_CHUNK_TIMEOUT_MS = 5000;
+
+const updateComparisonResponses = (messages, messageId, updateResponse) =>
+  messages.map((msg) =>
+    msg.id === messageId && msg.comparison
+      ? {
+          ...msg,
+          comparison: {
+            ...msg.comparison,
+            responses: msg.comparison.responses.map(updateResponse),
+          },
+        }
+      : msg
+  );
+
+/**
+ * Gets the displayed state of a buffered comparison answer.
+ * @param {object} buffered - The answer as received so far.
+ * @returns {object} Content, thinking content and status of the answer.
+ */
+const describeBufferedResponse = (buffered) => {
+  const { finalChunk } = buffered;
+  if (!finalChunk) {
+    return {
+      content: buffered.content,
+      thinkingContent: buffered.thinkingContent,
+      isStreaming: true,
+    };
+  }
+  if (finalChunk.cancelled) {
+    return {
+      content: (finalChunk.fullContent || buffered.content) + CANCELLED_NOTE,
+      thinkingContent: buffered.thinkingContent,
+      isStreaming: false,
+    };
+  }
+  if (finalChunk.error) {
+    return {
+      content: finalChunk.error,
+      thinkingContent: '',
+      isStreaming: false,
+      isError: true,
+    };
+  }
+  return {
+    content: finalChunk.fullContent || buffered.content,
+    thinkingContent: buffered.thinkingContent,
+    isStreaming: false,
+    ...(finalChunk.citations?.length > 0 && {
+      citations: finalChunk.citations,
+    }),
+  };
+};
+
+/**
+ * Custom hook for comparison mode, where one user message is sent to several
+ * platform/model pairs in parallel. The answers stream into a single assistant
+ * message, and the conversation continues with the one the user picks.
+ *
+ * @param {object} args - Dependencies passed from the parent context.
+ * @param {object} args.currentTab - The tab the side panel is attached to.
+ * @param {string} args.contentType - Content type of the current page.
+ * @param {string} args.chatSessionId - The current chat session ID.
+ * @param {Array} args.messages - Current messages array (read-only).
+ * @param {function} args.setMessages - State setter for the messages array.
+ * @param {object} args.tokenStats - Current token statistics (read-only).
+ * @param {object} args.modelConfigData - Configuration for the selected model.
+ * @param {function} args.setIsContentExtractionEnabled - State setter for the extraction toggle.
+ * @param {function} args.showErrorNotification - Shows an error notification.
+ * @param {object} args.ChatHistoryService - Service for chat history management.
+ * @param {object} args.TokenManagementService - Service for token management.
+ * @param {function} args.robustSendMessage - Utility for sending messages to background.
+ * @returns {object} Comparison settings, state and actions.
+ */
+export function useComparison({
+  currentTab,
+  contentType,
+  chatSessionId,
+  messages,
+  setMessages,
+  tokenStats,
+  modelConfigData,
+  setIsContentExtractionEnabled,
+  showErrorNotification,
+  ChatHistoryService,
+  TokenManagementService,
+  robustSendMessage,
+}) {
+  const [comparisonSettings, setComparisonSettings] = useState(
+    DEFAULT_COMPARISON_SETTINGS
+  );
+  const [comparingMessageId, setComparingMessageId] = useState(null);
+  // Message ID and buffered answers, keyed by response ID, of the running comparison
+  const activeComparisonRef = useRef(null);
+  const rafIdRef = useRef(null);
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await chrome.storage.sync.get(
+          STORAGE_KEYS.SIDEPANEL_COMPARISON
+        );
+        setComparisonSettings({
+          ...DEFAULT_COMPARISON_SETTINGS,
+          ...(result[STORAGE_KEYS.SIDEPANEL_COMPARISON] || {}),
+        });
+      } catch (err) {
+        logger.sidepanel.error('Error loading comparison settings:', err);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const updateComparisonSettings = useCallback(
+    async (updates) => {
+      const newSettings = { ...comparisonSettings, ...updates };
+      setComparisonSettings(newSettings);
+      try {
+        await chrome.storage.sync.set({
+          [STORAGE_KEYS.SIDEPANEL_COMPARISON]: newSettings,
+        });
+      } catch (err) {
+        logger.sidepanel.error('Error saving comparison settings:', err);
+      }
+    },
+    [comparisonSettings]
+  );
+
+  const setComparisonTargets = useCallback(
+    (targets) => updateComparisonSettings({ targets }),
+    [updateComparisonSettings]
+  );
+
+  const flushResponses = useCallback(() => {
+    rafIdRef.current = null;
+    const comparison = activeComparisonRef.current;
+    if (!comparison) return;
+
+    setMessages((prevMessages) =>
+      updateComparisonResponses(
+        prevMessages,
+        comparison.messageId,
+        (response) => {
+          const buffered = comparison.responses.get(response.id);
+          return buffered
+            ? { ...response, ...describeBufferedResponse(buffered) }
+            : response;
+        }
+      )
+    );
+  }, [setMessages]);
+
+  useEffect(() => {
+    const scheduleFlush = () => {
+      if (rafIdRef.current === null) {
+        rafIdRef.current = requestAnimationFrame(flushResponses);
+      }
+    };
+
+    const handleStreamChunk = (message) => {
+      const comparison = activeComparisonRef.current;
+      if (message.action !== 'streamChunk' || !comparison) return;
+      const buffered = comparison.responses.get(message.messageId);
+      const { chunkData } = message;
+      if (!buffered || buffered.finalChunk || !chunkData) return;
+
+      if (chunkData.done || chunkData.error) {
+        buffered.finalChunk = chunkData;
+        buffered.resolveFinished();
+        scheduleFlush();
+      } else if (chunkData.thinkingChunk) {
+        buffered.thinkingContent += chunkData.thinkingChunk;
+        scheduleFlush();
+      } else if (chunkData.chunk) {
+        buffered.content +=
+          typeof chunkData.chunk === 'string'
+            ? chunkData.chunk
+            : JSON.stringify(chunkData.chunk);
+        scheduleFlush();
+      }
+    };
+
+    chrome.runtime.onMessage.addListener(handleStreamChunk);
+    return () => {
+      chrome.runtime.onMessage.removeListener(handleStreamChunk);
+      if (rafIdRef.current !== null) {
+        cancelAnimationFrame(rafIdRef.current);
+        rafIdRef.current = null;
+      }
+    };
+  }, [flushResponses]);
+
+  /**
+   * Prices the completed answers, records their spend and saves the turn.
+   * @param {string} messageId - ID of the comparison message.
+   * @param {string} userMessageId - ID of the user message it answers.
+   * @param {object} result - Response of the background to the comparison request.
+   * @param {object} initialStats - Token statistics before this turn.
+   */
+  const completeComparison = useCallback(
+    async (messageId, userMessageId, result, initialStats) => {
+      const comparison = activeComparisonRef.current;
+      const resultsById = new Map(
+        (result?.results || []).map((r) => [r.messageId, r])
+      );
+
+      // Answers whose request started a stream end with a final chunk
+      await Promise.all(
+        Array.from(comparison.responses, ([responseId, buffered]) =>
+          resultsById.get(responseId)?.streamId
+            ? Promise.race([
+                buffered.finished,
+                new Promise((resolve) =>
+                  setTimeout(resolve, FINAL_CHUNK_TIMEOUT_MS)
+                ),
+              ])
+            : null
+        )
+      );
+      if (rafIdRef.current !== null) {
+        cancelAnimationFrame(rafIdRef.current);
+        rafIdRef.current = null;
+      }
+
+      const modelConfigs = new Map(
+        await Promise.all(
+          comparison.targets.map(async (target) => {
+            try {
+              const platformApiConfig =
+                await ConfigService.getPlatformApiConfig(target.platformId);
+              return [
+                target.id,
+                platformApiConfig?.models?.find(
+                  (m) => m.id === target.modelId
+                ) || null,
+              ];
+            } catch (error) {
+              logger.sidepanel.error(
+                `Error loading config of compared model ${target.platformId}/${target.modelId}:`,
+                error
+              );
+              return [target.id, null];
+            }
+          })
+        )
+      );
+
+      // The turn is priced from the rendered messages rather than inside the
+      // state update, which React may run more than once
+      const withTurnContext = (msg) => {
+        if (msg.id !== userMessageId || !result?.success) return msg;
+        return {
+          ...msg,
+          ...(result.contentSuccessfullyIncluded &&
+            result.extractedPageContent && {
+              pageContextUsed: result.extractedPageContent,
+              contextTypeUsed: contentType,
+            }),
+          systemPromptUsedForThisTurn: result.systemPromptUsed,
+        };
+      };
+      const messagesWithContext = messagesRef.current.map(withTurnContext);
+      const messageIndex = messagesWithContext.findIndex(
+        (msg) => msg.id === messageId
+      );
+      if (messageIndex === -1) {
+        logger.sidepanel.warn(
+          `Comparison message ${messageId} not found; its answers are not saved.`
+        );
+        return;
+      }
+      const messagesForPricing = messagesWithContext.slice(0, messageIndex + 1);
+      const contextTypeForThisTurn =
+        messagesWithContext[messageIndex - 1]?.contextTypeUsed || null;
+
+      const responses = messagesWithContext[
+        messageIndex
+      ].comparison.responses.map((response) => {
+        const buffered = comparison.responses.get(response.id);
+        const target = comparison.targets.find((t) => t.id === response.id);
+        if (!buffered.finalChunk) {
+          return {
+            ...response,
+            content:
+              resultsById.get(response.id)?.error ||
+              result?.error ||
+              'No answer was received.',
+            thinkingContent: '',
+            isStreaming: false,
+            isError: true,
+          };
+        }
+        const state = describeBufferedResponse(buffered);
+        if (state.isError) return { ...response, ...state };
+
+        const { finalChunk } = buffered;
+        const reportedUsage = finalChunk.cancelled
+          ? null
+          : finalChunk.usage || null;
+        const estimatedOutputTokens =
+          TokenManagementService.estimateTokens(buffered.content) +
+          TokenManagementService.estimateTokens(buffered.thinkingContent);
+        const outputTokens = TokenManagementService.resolveUsage(
+          reportedUsage,
+          0,
+          estimatedOutputTokens
+        ).outputTokens;
+        const { apiCost, costBreakdown } =
+          TokenManagementService.calculateResponseCost(
+            messagesForPricing,
+            reportedUsage,
+            outputTokens,
+            modelConfigs.get(response.id),
+            target.isThinkingModeEnabled
+          );
+        return {
+          ...response,
+          ...state,
+          outputTokens,
+          usage: reportedUsage,
+          apiCost,
+          costBreakdown,
+          credentialProfileId: finalChunk.credentialProfileId || null,
+        };
+      });
+
+      const answered = responses.filter((response) => !response.isError);
+      const costs = answered
+        .map((response) => response.apiCost)
+        .filter((cost) => typeof cost === 'number');
+      // With no answer to pick, the turn ends like a failed request
+      const completedMessage =
+        answered.length === 0
+          ? {
+              id: messageId,
+              role: MESSAGE_ROLES.SYSTEM,
+              content: responses
+                .map(
+                  (response) =>
+                    `Error (${response.platformId}/${response.modelId}): ${response.content}`
+                )
+                .join('\n\n'),
+              timestamp: new Date().toISOString(),
+              isStreaming: false,
+            }
+          : {
+              ...messagesWithContext[messageIndex],
+              isStreaming: false,
+              timestamp: new Date().toISOString(),
+              // The turn costs every compared answer
+              apiCost:
+                costs.length > 0
+                  ? costs.reduce((sum, cost) => sum + cost, 0)
+                  : null,
+              outputTokens: answered.reduce(
+                (sum, response) => sum + response.outputTokens,
+                0
+              ),
+              comparison: {
+                ...messagesWithContext[messageIndex].comparison,
+                responses,
+              },
+            };
+
+      setMessages((prevMessages) => {
+        const updatedMessages = prevMessages.map((msg) =>
+          msg.id === messageId ? completedMessage : withTurnContext(msg)
+        );
+
+        if (chatSessionId) {
+          ChatHistoryService.saveHistory(
+            chatSessionId,
+            updatedMessages,
+            modelConfigData,
+            initialStats,
+            false,
+            result?.systemPromptUsed || null
+          ).catch((err) => {
+            logger.sidepanel.error('Error saving compared answers:', err);
+            showErrorNotification(
+              'An error occurred while saving chat history.'
+            );
+          });
+        }
+        return updatedMessages;
+      });
+
+      // One answer at a time: each ledger is a read-modify-write of one
+      // storage key, so concurrent writes would keep only the last answer
+      for (const response of answered) {
+        await CredentialManager.recordProfileSpend(
+          response.platformId,
+          response.credentialProfileId,
+          response.apiCost
+        );
+        await BudgetService.recordSpend(response.platformId, response.apiCost);
+        await UsageLedgerService.recordRequest({
+          chatSessionId,
+          platformId: response.platformId,
+          modelId: response.modelId,
+          contentType: contextTypeForThisTurn,
+          inputTokens: response.costBreakdown?.inputTokens,
+          outputTokens:
+            response.costBreakdown?.outputTokens ?? response.outputTokens,
+          thinkingTokens: response.costBreakdown?.thinkingTokens,
+          cachedInputTokens: response.costBreakdown?.cachedInputTokens,
+          cost: response.apiCost,
+          isExact: response.costBreakdown?.isExact,
+        });
+      }
+    },
+    [
+      chatSessionId,
+      contentType,
+      modelConfigData,
+      setMessages,
+      showErrorNotification,
+      ChatHistoryService,
+      TokenManagementService,
+    ]
+  );
+
+  /**
+   * Sends a user message to every comparison target. The user message must
+   * already be in the messages passed in.
+   * @param {object} args - Turn details.
+   * @param {Array} args.messagesBeforeApiCall - Messages up to and including the user message.
+   * @param {object} args.userMessage - The user message.
+   * @param {Array} args.conversationHistory - History sent with the request.
+   * @param {boolean} args.isContentExtractionEnabled - Whether to include the page content.
+   * @param {boolean} args.isWebSearchEnabled - Whether models that can search the web should.
+   * @param {string|null} args.presetId - Parameter preset of the chat, applied to the models it fits.
+   */
+  const sendComparison = useCallback(
+    async ({
+      messagesBeforeApiCall,
+      userMessage,
+      conversationHistory,
+      isContentExtractionEnabled,
+      isWebSearchEnabled,
+      presetId,
+    }) => {
+      const messageId = `msg_${Date.now() + 1}`;
+      let thinkingPrefs = {};
+      try {
+        const result = await chrome.storage.sync.get(
+          STORAGE_KEYS.SIDEPANEL_THINKING_MODE_PREFERENCE
+        );
+        thinkingPrefs =
+          result[STORAGE_KEYS.SIDEPANEL_THINKING_MODE_PREFERENCE] || {};
+      } catch (err) {
+        logger.sidepanel.error('Error loading thinking mode preference:', err);
+      }
+      const targets = comparisonSettings.targets.map((target, index) => ({
+        ...target,
+        id: `${messageId}_${index}`,
+        isThinkingModeEnabled:
+          thinkingPrefs[target.platformId]?.[target.modelId] === true,
+      }));
+
+      activeComparisonRef.current = {
+        messageId,
+        targets,
+        responses: new Map(
+          targets.map((target) => {
+            const buffered = { content: '', thinkingContent: '' };
+            buffered.finished = new Promise((resolve) => {
+              buffered.resolveFinished = resolve;
+            });
+            return [target.id, buffered];
+          })
+        ),
+      };
+      const initialStats = {
+        initialAccumulatedCost: tokenStats.accumulatedCost || 0,
+        initialOutputTokens: tokenStats.outputTokens || 0,
+      };
+
+      setMessages([
+        ...messagesBeforeApiCall,
+        {
+          id: messageId,
+          role: MESSAGE_ROLES.ASSISTANT,
+          content: '',
+          thinkingContent: '',
+          timestamp: new Date().toISOString(),
+          isStreaming: true,
+          inputTokens: 0,
+          outputTokens: 0,
+          apiCost: null,
+          comparison: {
+            responses: targets.map((target) => ({
+              id: target.id,
+              platformId: target.platformId,
+              modelId: target.modelId,
+              content: '',
+              thinkingContent: '',
+              isStreaming: true,
+              apiCost: null,
+              costBreakdown: null,
+              outputTokens: 0,
+              usage: null,
+            })),
+            selectedResponseId: null,
+          },
+        },
+      ]);
+      setComparingMessageId(messageId);
+
+      let result;
+      try {
+        result = await robustSendMessage({
+          action: 'processComparisonViaApi',
+          tabId: currentTab?.id,
+          url: currentTab?.url,
+          contentType,
+          source: INTERFACE_SOURCES.SIDEPANEL,
+          customPrompt: userMessage.content,
+          conversationHistory,
+          images: userMessage.images || [],
+          outputSchema: userMessage.outputSchema || null,
+          isContentExtractionEnabled,
+          isWebSearchEnabled,
+          presetId,
+          targets: targets.map((target) => ({
+            platformId: target.platformId,
+            modelId: target.modelId,
+            isThinkingModeEnabled: target.isThinkingModeEnabled,
+            messageId: target.id,
+          })),
+        });
+      } catch (error) {
+        logger.sidepanel.error('Error sending comparison:', error);
+        result = { success: false, error: error.message };
+      }
+
+      try {
+        if (result?.success && result.contentSuccessfullyIncluded) {
+          setIsContentExtractionEnabled(false);
+        }
+        await completeComparison(
+          messageId,
+          userMessage.id,
+          result,
+          initialStats
+        );
+      } finally {
+        activeComparisonRef.current = null;
+        setComparingMessageId(null);
+      }
+    },
+    [
+      comparisonSettings.targets,
+      currentTab,
+      contentType,
+      tokenStats,
+      setMessages,
+      setIsContentExtractionEnabled,
+      completeComparison,
+      robustSendMessage,
+    ]
+  );
+
+  const cancelComparison = useCallback(async () => {
+    const comparison = activeComparisonRef.current;
+    if (!comparison) return;
+    await Promise.all(
+      Array.from(comparison.responses, ([responseId, buffered]) =>
+        buffered.finalChunk
+          ? null
+          : robustSendMessage({
+              action: 'cancelStream',
+              messageId: responseId,
+            }).catch((error) =>
+              logger.sidepanel.warn(
+                `Could not cancel compared answer ${responseId}:`,
+                error
+              )
+            )
+      )
+    );
+  }, [robustSendMessage]);
+
+  useEffect(() => {
+    if (!comparingMessageId) return;
+    const handleGlobalKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        cancelComparison();
+      }
+    };
+    document.addEventListener('keydown', handleGlobalKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleGlobalKeyDown);
+    };
+  }, [comparingMessageId, cancelComparison]);
+
+  /**
+   * Continues the conversation with one of the compared answers. The answer
+   * becomes the content of the message; the others stay viewable.
+   * @param {string} messageId - ID of the comparison message.
+   * @param {string} responseId - ID of the chosen answer.
+   */
+  const selectComparisonResponse = useCallback(
+    (messageId, responseId) => {
+      setMessages((prevMessages) => {
+        let updates = null;
+        const updatedMessages = prevMessages.map((msg) => {
+          if (msg.id !== messageId || !msg.comparison) return msg;
+          const response = msg.comparison.responses.find(
+            (r) => r.id === responseId
+          );
+          if (!response || response.isError) return msg;
+          updates = {
+            content: response.content,
+            thinkingContent: response.thinkingContent,
+            platformId: response.platformId,
+            modelId: response.modelId,
+            credentialProfileId: response.credentialProfileId || null,
+            comparison: { ...msg.comparison, selectedResponseId: responseId },
+          };
+          return { ...msg, ...updates };
+        });
+
+        // Token statistics already account for every compared answer
+        if (updates && chatSessionId) {
+          ChatHistoryService.updateMessage(
+            chatSessionId,
+            messageId,
+            updates
+          ).catch((err) => {
+            logger.sidepanel.error('Error saving chosen answer:', err);
+            showErrorNotification(
+              'An error occurred while saving chat history.'
+            );
+          });
+        }
+        return updatedMessages;
+      });
+    },
+    [chatSessionId, setMessages, showErrorNotification, ChatHistoryService]
+  );
+
+  return {
+    comparisonSettings,
+    updateComparisonSettings,
+    setComparisonTargets,
+    isComparing: comparingMessageId !== null,
+    sendComparison,
+    cancelComparison,
+    selectComparisonResponse,
+  };
+}
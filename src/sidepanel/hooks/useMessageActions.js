@@ -49,6 +49,8 @@ const _initiateRerunSequence = async ({
   rerunStatsRef,
   isContentExtractionEnabled,
   isThinkingModeEnabled,
+  isToolsEnabled,
+  presetId,
   processContentViaApi,
   resetContentProcessing,
   modelConfigData,
@@ -67,6 +69,9 @@ const _initiateRerunSequence = async ({
     inputTokens: 0,
     outputTokens: 0,
     apiCost: null, // Initialize apiCost to null
+    ...(currentUserMessageForApi?.outputSchema && {
+      outputSchema: currentUserMessageForApi.outputSchema,
+    }),
   };
 
   // Add placeholder *after* potential edit in editAndRerunMessage
@@ -105,9 +110,15 @@ const _initiateRerunSequence = async ({
     modelId: selectedModel,
     promptContent: finalPromptContent,
     conversationHistory,
+    images: currentUserMessageForApi?.images || [],
+    outputSchema: currentUserMessageForApi?.outputSchema || null,
     streaming: true,
     isContentExtractionEnabled: effectiveExtractionEnabledForRerun,
     isThinkingModeEnabled: isThinkingModeEnabled,
+    isToolsEnabled,
+    presetId,
+    // A rerun searches the web again if the original message did
+    isWebSearchEnabled: currentUserMessageForApi?.webSearchUsed === true,
     options: {
       tabId,
       chatSessionId,
@@ -199,6 +210,8 @@ export function useMessageActions({
   _initiateApiCall,
   isContentExtractionEnabled,
   isThinkingModeEnabled,
+  isToolsEnabled,
+  presetId,
 }) {
   const { currentTab } = useContent();
   const rerunMessage = useCallback(
@@ -239,6 +252,7 @@ export function useMessageActions({
           role: msg.role,
           content: msg.content,
           timestamp: msg.timestamp,
+          ...(msg.images?.length > 0 && { images: msg.images }),
         }));
       const assistantPlaceholderId = `msg_${Date.now() + 1}`;
 
@@ -260,6 +274,8 @@ export function useMessageActions({
         rerunStatsRef,
         isContentExtractionEnabled,
         isThinkingModeEnabled,
+        isToolsEnabled,
+        presetId,
         processContentViaApi,
         resetContentProcessing,
         modelConfigData,
@@ -286,6 +302,8 @@ export function useMessageActions({
       processContentViaApi,
       isContentExtractionEnabled,
       isThinkingModeEnabled,
+      isToolsEnabled,
+      presetId,
       currentTab,
     ]
   );
@@ -340,6 +358,7 @@ export function useMessageActions({
           role: msg.role,
           content: msg.content,
           timestamp: msg.timestamp,
+          ...(msg.images?.length > 0 && { images: msg.images }),
         }));
       const assistantPlaceholderId = `msg_${Date.now() + 1}`;
 
@@ -361,6 +380,8 @@ export function useMessageActions({
         rerunStatsRef,
         isContentExtractionEnabled,
         isThinkingModeEnabled,
+        isToolsEnabled,
+        presetId,
         processContentViaApi,
         resetContentProcessing,
         modelConfigData,
@@ -388,6 +409,8 @@ export function useMessageActions({
       processContentViaApi,
       isContentExtractionEnabled,
       isThinkingModeEnabled,
+      isToolsEnabled,
+      presetId,
       currentTab,
     ]
   );
@@ -438,6 +461,7 @@ export function useMessageActions({
           role: msg.role,
           content: msg.content,
           timestamp: msg.timestamp,
+          ...(msg.images?.length > 0 && { images: msg.images }),
         }));
       const assistantPlaceholderId = `msg_${Date.now() + 1}`;
 
@@ -459,6 +483,8 @@ export function useMessageActions({
         rerunStatsRef,
         isContentExtractionEnabled,
         isThinkingModeEnabled,
+        isToolsEnabled,
+        presetId,
         processContentViaApi,
         resetContentProcessing,
         modelConfigData,
@@ -485,6 +511,8 @@ export function useMessageActions({
       processContentViaApi,
       isContentExtractionEnabled,
       isThinkingModeEnabled,
+      isToolsEnabled,
+      presetId,
       currentTab,
     ]
   );
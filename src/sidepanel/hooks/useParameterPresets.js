@@ -0,0 +1,92 @@
+// src/sidepanel/hooks/useParameterPresets.js
+import { useState, useEffect, useMemo, useCallback } from 'react';
+
+import { logger } from '../../shared/logger';
+import { STORAGE_KEYS } from '../../shared/constants';
+import { getApplicablePresets } from '../../shared/utils/parameter-preset-utils';
+import ChatHistoryService from '../services/ChatHistoryService';
+
+/**
+ * Tracks the parameter presets usable with the selected model and the one
+ * chosen for the current chat session, which is remembered in the session's
+ * metadata.
+ * @param {object} args - Hook dependencies.
+ * @param {string} args.chatSessionId - The current chat session.
+ * @param {string} args.selectedPlatformId - The selected platform.
+ * @param {string} args.selectedModel - The selected model.
+ * @returns {object} - The applicable presets, the active preset ID (null if none applies) and a setter.
+ */
+export function useParameterPresets({
+  chatSessionId,
+  selectedPlatformId,
+  selectedModel,
+}) {
+  const [presets, setPresets] = useState({});
+  const [sessionPresetId, setSessionPresetId] = useState(null);
+
+  useEffect(() => {
+    const loadPresets = async () => {
+      try {
+        const result = await chrome.storage.local.get(
+          STORAGE_KEYS.PARAMETER_PRESETS
+        );
+        setPresets(result[STORAGE_KEYS.PARAMETER_PRESETS] || {});
+      } catch (error) {
+        logger.sidepanel.error('Error loading parameter presets:', error);
+      }
+    };
+    loadPresets();
+
+    // Presets edited in the settings page apply right away
+    const handleStorageChange = (changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEYS.PARAMETER_PRESETS]) {
+        setPresets(changes[STORAGE_KEYS.PARAMETER_PRESETS].newValue || {});
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, []);
+
+  useEffect(() => {
+    let isMounted = true;
+    const loadSessionPreset = async () => {
+      const metadata = chatSessionId
+        ? await ChatHistoryService.getSessionMetadata(chatSessionId)
+        : null;
+      if (isMounted) setSessionPresetId(metadata?.presetId || null);
+    };
+    loadSessionPreset();
+    return () => {
+      isMounted = false;
+    };
+  }, [chatSessionId]);
+
+  const parameterPresets = useMemo(
+    () => getApplicablePresets(presets, selectedPlatformId, selectedModel),
+    [presets, selectedPlatformId, selectedModel]
+  );
+
+  // A preset made for another model stays chosen, but only applies to its own model
+  const activePresetId = parameterPresets.some(
+    (preset) => preset.id === sessionPresetId
+  )
+    ? sessionPresetId
+    : null;
+
+  const selectPreset = useCallback(
+    async (presetId) => {
+      setSessionPresetId(presetId || null);
+      if (!chatSessionId) return;
+      try {
+        await ChatHistoryService.updateSessionMetadata(chatSessionId, {
+          presetId: presetId || null,
+        });
+      } catch (error) {
+        logger.sidepanel.error('Error saving the chat preset:', error);
+      }
+    },
+    [chatSessionId]
+  );
+
+  return { parameterPresets, activePresetId, selectPreset };
+}
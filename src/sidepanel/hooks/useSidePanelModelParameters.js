@@ -7,6 +7,8 @@ import {
   checkAreFormValuesAtDefaults,
   checkForFormChanges,
   getParameterDisplayName,
+  normalizeStopSequences,
+  validateAdvancedParameters,
 } from '../../shared/utils/model-settings-helper-utils';
 import { STORAGE_KEYS, MAX_SYSTEM_PROMPT_LENGTH } from '../../shared/constants';
 import { useNotification } from '../../components';
@@ -157,6 +159,24 @@ export function useSidePanelModelParameters({
         reasoningEffort:
           userStoredSettingsForModelMode.reasoningEffort ??
           configDefaults.reasoningEffort,
+        stopSequences:
+          userStoredSettingsForModelMode.stopSequences ??
+          configDefaults.stopSequences,
+        seed: userStoredSettingsForModelMode.seed ?? configDefaults.seed,
+        includePenalties:
+          userStoredSettingsForModelMode.includePenalties ??
+          configDefaults.includePenalties,
+        presencePenalty:
+          userStoredSettingsForModelMode.presencePenalty ??
+          configDefaults.presencePenalty,
+        frequencyPenalty:
+          userStoredSettingsForModelMode.frequencyPenalty ??
+          configDefaults.frequencyPenalty,
+        safetyThreshold:
+          userStoredSettingsForModelMode.safetyThreshold ??
+          configDefaults.safetyThreshold,
+        extraBody:
+          userStoredSettingsForModelMode.extraBody ?? configDefaults.extraBody,
       };
 
       Object.keys(initialFormValues).forEach((key) => {
@@ -246,7 +266,11 @@ export function useSidePanelModelParameters({
         const updatedValues = { ...prevValues };
         const paramSpec = stableDerivedSettings?.parameterSpecs?.[name];
 
-        if (name === 'maxTokens' || name === 'thinkingBudget') {
+        if (
+          name === 'maxTokens' ||
+          name === 'thinkingBudget' ||
+          name === 'seed'
+        ) {
           const parsedValue = parseInt(newValue, 10);
           updatedValues[name] =
             newValue === '' || newValue === null
@@ -254,7 +278,12 @@ export function useSidePanelModelParameters({
               : isNaN(parsedValue)
                 ? prevValues[name]
                 : parsedValue;
-        } else if (name === 'temperature' || name === 'topP') {
+        } else if (
+          name === 'temperature' ||
+          name === 'topP' ||
+          name === 'presencePenalty' ||
+          name === 'frequencyPenalty'
+        ) {
           const parsedValue = parseFloat(newValue);
           if (paramSpec && !isNaN(parsedValue)) {
             updatedValues[name] = Math.max(
@@ -272,6 +301,12 @@ export function useSidePanelModelParameters({
             newValue === '' || newValue === null || !allowed.includes(newValue)
               ? null
               : newValue;
+        } else if (name === 'safetyThreshold') {
+          const allowed = paramSpec?.allowedValues ?? [];
+          updatedValues[name] = allowed.includes(newValue) ? newValue : null;
+        } else if (name === 'stopSequences') {
+          // Edited as text, one sequence per line
+          updatedValues[name] = newValue === '' ? [] : newValue.split('\n');
         } else if (name === 'includeTemperature' || name === 'includeTopP') {
           updatedValues[name] = newValue;
         } else {
@@ -397,7 +432,12 @@ export function useSidePanelModelParameters({
             );
         }
 
-        const settingsToSave = { ...stableFormValues };
+        validateAdvancedParameters(stableFormValues, parameterSpecs);
+
+        const settingsToSave = {
+          ...stableFormValues,
+          stopSequences: normalizeStopSequences(stableFormValues.stopSequences),
+        };
         delete settingsToSave.contextWindow;
 
         const changedParamsList = [];
@@ -415,6 +455,14 @@ export function useSidePanelModelParameters({
               } else if (typeof currentValue === 'string') {
                 if (currentValue.trim() !== (originalValue || '').trim())
                   paramChanged = true;
+              } else if (Array.isArray(currentValue)) {
+                if (
+                  checkForFormChanges(
+                    { [key]: currentValue },
+                    { [key]: originalValue }
+                  )
+                )
+                  paramChanged = true;
               } else if (typeof currentValue === 'number') {
                 if (originalValue === null && currentValue !== null)
                   paramChanged = true;
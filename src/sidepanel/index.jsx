@@ -4,7 +4,7 @@ import { createRoot } from 'react-dom/client';
 import { UIProvider } from '../contexts/UIContext';
 import { SidePanelPlatformProvider } from '../contexts/platform';
 import { ContentProvider } from '../contexts/ContentContext';
-import { NotificationProvider } from '../components';
+import { NotificationProvider, VaultGate } from '../components';
 
 import { SidePanelChatProvider } from './contexts/SidePanelChatContext';
 import SidePanelApp from './SidePanelApp';
@@ -29,13 +29,15 @@ document.addEventListener('DOMContentLoaded', () => {
         <NotificationProvider>
           {' '}
           {/* Added NotificationProvider wrapper */}
-          <ContentProvider>
-            <SidePanelPlatformProvider tabId={tabId}>
-              <SidePanelChatProvider tabId={tabId}>
-                <SidePanelApp tabId={tabId} />
-              </SidePanelChatProvider>
-            </SidePanelPlatformProvider>
-          </ContentProvider>
+          <VaultGate className='h-screen'>
+            <ContentProvider>
+              <SidePanelPlatformProvider tabId={tabId}>
+                <SidePanelChatProvider tabId={tabId}>
+                  <SidePanelApp tabId={tabId} />
+                </SidePanelChatProvider>
+              </SidePanelPlatformProvider>
+            </ContentProvider>
+          </VaultGate>
         </NotificationProvider>{' '}
         {/* Closing NotificationProvider wrapper */}
       </UIProvider>
@@ -2,6 +2,7 @@
 
 import { logger } from '../../shared/logger';
 import { STORAGE_KEYS, MAX_CHAT_TITLE_LENGTH } from '../../shared/constants';
+import VaultService from '../../services/VaultService';
 
 import TokenManagementService from './TokenManagementService';
 
@@ -27,7 +28,9 @@ class ChatHistoryService {
       const result = await chrome.storage.local.get([
         STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
       ]);
-      const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+        {};
 
       // Return messages for this session or empty array
       return allSessions[chatSessionId]?.messages || [];
@@ -40,6 +43,37 @@ class ChatHistoryService {
     }
   }
 
+  /**
+   * Transform messages for storage to reduce footprint
+   * @param {Array} messages - Chat messages as held in the UI
+   * @returns {Array} Messages without transient fields
+   */
+  static _toStorableMessages(messages) {
+    return messages.map((msg) => {
+      const {
+        // eslint-disable-next-line no-unused-vars
+        isStreaming,
+        // eslint-disable-next-line no-unused-vars
+        inputTokens,
+        // eslint-disable-next-line no-unused-vars
+        outputTokens,
+        thinkingContent,
+        // eslint-disable-next-line no-unused-vars
+        systemPromptUsedForThisTurn,
+        ...restOfMsg
+      } = msg;
+
+      const storableMsg = { ...restOfMsg };
+
+      // Omit thinkingContent if it's an empty string
+      if (thinkingContent && thinkingContent.trim() !== '') {
+        storableMsg.thinkingContent = thinkingContent;
+      }
+
+      return storableMsg;
+    });
+  }
+
   /**
    * Save chat history for a specific chat session
    * @param {string} chatSessionId - The chat session ID
@@ -73,35 +107,14 @@ class ChatHistoryService {
       const result = await chrome.storage.local.get([
         STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
       ]);
-      const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+        {};
 
       // The message limit has been removed to allow for unlimited history.
       const limitedMessages = messages;
 
-      // Transform messages for storage to reduce footprint
-      const storableMessages = limitedMessages.map((msg) => {
-        const {
-          // eslint-disable-next-line no-unused-vars
-          isStreaming,
-          // eslint-disable-next-line no-unused-vars
-          inputTokens,
-          // eslint-disable-next-line no-unused-vars
-          outputTokens,
-          thinkingContent,
-          // eslint-disable-next-line no-unused-vars
-          systemPromptUsedForThisTurn,
-          ...restOfMsg
-        } = msg;
-
-        const storableMsg = { ...restOfMsg };
-
-        // Omit thinkingContent if it's an empty string
-        if (thinkingContent && thinkingContent.trim() !== '') {
-          storableMsg.thinkingContent = thinkingContent;
-        }
-
-        return storableMsg;
-      });
+      const storableMessages = this._toStorableMessages(limitedMessages);
 
       const currentSession = allSessions[chatSessionId];
 
@@ -172,7 +185,8 @@ class ChatHistoryService {
 
       // Save updated sessions
       await chrome.storage.local.set({
-        [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: allSessions,
+        [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]:
+          await VaultService.seal(allSessions),
       });
 
       // Calculate and save token statistics using TokenManagementService, passing options
@@ -223,11 +237,13 @@ class ChatHistoryService {
     const result = await chrome.storage.local.get([
       STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
     ]);
-    const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+    const allSessions =
+      (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+      {};
     allSessions[chatSessionId] = newSession;
 
     await chrome.storage.local.set({
-      [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: allSessions,
+      [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: await VaultService.seal(allSessions),
     });
     logger.sidepanel.info(
       `ChatHistoryService: Created new PROVISIONAL chat session: ${chatSessionId}`
@@ -240,7 +256,9 @@ class ChatHistoryService {
       const result = await chrome.storage.local.get([
         STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
       ]);
-      const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+        {};
       const metadataArray = Object.values(allSessions)
         .filter(
           (session) =>
@@ -272,12 +290,15 @@ class ChatHistoryService {
       const result = await chrome.storage.local.get([
         STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
       ]);
-      const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+        {};
 
       if (allSessions[chatSessionId]) {
         delete allSessions[chatSessionId];
         await chrome.storage.local.set({
-          [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: allSessions,
+          [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]:
+            await VaultService.seal(allSessions),
         });
         await TokenManagementService.clearTokenStatistics(chatSessionId); // Use the refactored service
         logger.sidepanel.info(
@@ -332,7 +353,10 @@ class ChatHistoryService {
         STORAGE_KEYS.GLOBAL_CHAT_TOKEN_STATS,
       ]);
 
-      const allSessions = storageData[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(
+          storageData[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]
+        )) || {};
       const allTokenStats =
         storageData[STORAGE_KEYS.GLOBAL_CHAT_TOKEN_STATS] || {};
 
@@ -355,7 +379,8 @@ class ChatHistoryService {
 
       if (sessionsChanged) {
         if (Object.keys(allSessions).length > 0) {
-          dataToUpdate[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] = allSessions;
+          dataToUpdate[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] =
+            await VaultService.seal(allSessions);
         } else {
           keysToRemove.push(STORAGE_KEYS.GLOBAL_CHAT_SESSIONS);
         }
@@ -389,6 +414,66 @@ class ChatHistoryService {
     }
   }
 
+  /**
+   * Store the messages of a turn whose response is about to stream in, so the
+   * background can write the response into history as it arrives. Unlike
+   * saveHistory, token statistics and provisional sessions are left as they
+   * are; the completed turn is saved with saveHistory.
+   * @param {string} chatSessionId - The chat session ID
+   * @param {Array} messages - Messages including the empty assistant message
+   * @returns {Promise<boolean>} True if the session exists
+   */
+  static async saveStreamingTurn(chatSessionId, messages) {
+    const result = await chrome.storage.local.get([
+      STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
+    ]);
+    const allSessions =
+      (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+      {};
+    if (!allSessions[chatSessionId]) {
+      return false;
+    }
+    allSessions[chatSessionId].messages = this._toStorableMessages(messages);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: await VaultService.seal(allSessions),
+    });
+    return true;
+  }
+
+  /**
+   * Update fields of one stored message, e.g., the partial content of a
+   * streaming response. Fields set to undefined are removed.
+   * @param {string} chatSessionId - The chat session ID
+   * @param {string} messageId - The message ID
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<boolean>} True if the message was found
+   */
+  static async updateMessage(chatSessionId, messageId, updates) {
+    const result = await chrome.storage.local.get([
+      STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
+    ]);
+    const allSessions =
+      (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+      {};
+    const message = allSessions[chatSessionId]?.messages?.find(
+      (msg) => msg.id === messageId
+    );
+    if (!message) {
+      return false;
+    }
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete message[key];
+      } else {
+        message[key] = value;
+      }
+    });
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: await VaultService.seal(allSessions),
+    });
+    return true;
+  }
+
   static async updateSessionMetadata(chatSessionId, metadataUpdate) {
     if (
       !chatSessionId ||
@@ -406,7 +491,9 @@ class ChatHistoryService {
       const result = await chrome.storage.local.get([
         STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
       ]);
-      const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+        {};
 
       if (allSessions[chatSessionId] && allSessions[chatSessionId].metadata) {
         // Merge new metadata and update last activity timestamp
@@ -417,7 +504,8 @@ class ChatHistoryService {
         };
 
         await chrome.storage.local.set({
-          [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]: allSessions,
+          [STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]:
+            await VaultService.seal(allSessions),
         });
         logger.sidepanel.info(
           `ChatHistoryService: Updated metadata for session ${chatSessionId}.`,
@@ -497,7 +585,9 @@ class ChatHistoryService {
       const result = await chrome.storage.local.get([
         STORAGE_KEYS.GLOBAL_CHAT_SESSIONS,
       ]);
-      const allSessions = result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(result[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS])) ||
+        {};
       return allSessions[chatSessionId]?.metadata || null;
     } catch (error) {
       logger.sidepanel.error(
@@ -524,7 +614,10 @@ class ChatHistoryService {
         STORAGE_KEYS.GLOBAL_CHAT_TOKEN_STATS,
       ]);
 
-      const allSessions = storageData[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] || {};
+      const allSessions =
+        (await VaultService.open(
+          storageData[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS]
+        )) || {};
       const allTokenStats =
         storageData[STORAGE_KEYS.GLOBAL_CHAT_TOKEN_STATS] || {};
 
@@ -569,7 +662,8 @@ class ChatHistoryService {
 
         if (sessionsChanged) {
           if (Object.keys(allSessions).length > 0) {
-            dataToUpdate[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] = allSessions;
+            dataToUpdate[STORAGE_KEYS.GLOBAL_CHAT_SESSIONS] =
+              await VaultService.seal(allSessions);
           } else {
             keysToRemove.push(STORAGE_KEYS.GLOBAL_CHAT_SESSIONS);
           }
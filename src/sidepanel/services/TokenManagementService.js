@@ -8,7 +8,8 @@ import { createStructuredPromptString } from '../../shared/utils/prompt-formatti
 
 /**
  * Service for token estimation, cost calculation, storage, and context window monitoring
- * Central authority for all token-related operations
+ * Central authority for all token-related operations. Token counts reported by the
+ * provider (stored as `usage` on assistant messages) take precedence over estimates.
  */
 class TokenManagementService {
   /**
@@ -92,6 +93,8 @@ class TokenManagementService {
    */
   static calculateTokenStatisticsFromMessages(messages, systemPromptText = '') {
     let outputTokens = 0;
+    let assistantMessageCount = 0;
+    let exactOutputMessageCount = 0;
     let promptTokensInLastApiCall = 0;
 
     let historyTokensSentInLastApiCall = 0;
@@ -163,15 +166,10 @@ class TokenManagementService {
           }
         }
       } else if (msg.role === 'assistant') {
-        let msgTotalOutputTokens = 0;
-        // Check if pre-calculated tokens exist and are valid
-        if (typeof msg.outputTokens === 'number' && msg.outputTokens >= 0) {
-          msgTotalOutputTokens = msg.outputTokens;
-        } else {
-          // Estimate if pre-calculated tokens are missing or invalid
-          const contentTokens = this.estimateTokens(msg.content || '');
-          const thinkingTokens = this.estimateTokens(msg.thinkingContent || ''); // Estimate thinking tokens
-          msgTotalOutputTokens = contentTokens + thinkingTokens; // Sum both
+        const msgTotalOutputTokens = this._getAssistantOutputTokens(msg);
+        assistantMessageCount++;
+        if (typeof msg.usage?.outputTokens === 'number') {
+          exactOutputMessageCount++;
         }
 
         // Calculate cumulative output tokens by summing output from all assistant messages.
@@ -188,27 +186,33 @@ class TokenManagementService {
     } // End of for loop replacing forEach
 
     // Calculate total input tokens for the last API call by summing system, history sent, and last prompt tokens.
-    const inputTokensInLastApiCall =
+    let inputTokensInLastApiCall =
       (systemTokensInLastApiCall || 0) +
       (historyTokensSentInLastApiCall || 0) +
       (promptTokensInLastApiCall || 0);
 
     // Calculate output tokens for the last assistant message
     let outputTokensInLastApiCall = 0;
+    let isInputExactInLastApiCall = false;
+    let isOutputExactInLastApiCall = false;
+    let thinkingTokensInLastApiCall = null;
+    let cachedInputTokensInLastApiCall = null;
     if (lastAssistantMsgIndex !== -1) {
       const lastAssistantMsg = messages[lastAssistantMsgIndex];
-      // Explicitly check if outputTokens is a number (even if 0)
-      if (typeof lastAssistantMsg.outputTokens === 'number') {
-        outputTokensInLastApiCall = lastAssistantMsg.outputTokens;
-      } else {
-        // Fallback to estimating both content and thinking content
-        const contentTokens = this.estimateTokens(
-          lastAssistantMsg.content || ''
-        );
-        const thinkingTokens = this.estimateTokens(
-          lastAssistantMsg.thinkingContent || ''
-        );
-        outputTokensInLastApiCall = contentTokens + thinkingTokens;
+      const lastUsage = lastAssistantMsg.usage;
+      outputTokensInLastApiCall =
+        this._getAssistantOutputTokens(lastAssistantMsg);
+      isOutputExactInLastApiCall = typeof lastUsage?.outputTokens === 'number';
+
+      // The reported input count only describes the last call if no newer prompt follows it
+      if (
+        lastAssistantMsgIndex > lastUserMsgIndex &&
+        typeof lastUsage?.inputTokens === 'number'
+      ) {
+        inputTokensInLastApiCall = lastUsage.inputTokens;
+        isInputExactInLastApiCall = true;
+        thinkingTokensInLastApiCall = lastUsage.thinkingTokens ?? null;
+        cachedInputTokensInLastApiCall = lastUsage.cachedInputTokens ?? null;
       }
     }
 
@@ -219,6 +223,54 @@ class TokenManagementService {
       systemTokensInLastApiCall,
       inputTokensInLastApiCall,
       outputTokensInLastApiCall,
+      thinkingTokensInLastApiCall,
+      cachedInputTokensInLastApiCall,
+      isInputExactInLastApiCall,
+      isOutputExactInLastApiCall,
+      isOutputExact:
+        assistantMessageCount > 0 &&
+        exactOutputMessageCount === assistantMessageCount,
+    };
+  }
+
+  /**
+   * Get the output tokens of an assistant message: the provider-reported count when
+   * available, then the count computed at completion, then an estimate.
+   * @private
+   * @param {Object} msg - Assistant message
+   * @returns {number} - Output tokens, including thinking tokens
+   */
+  static _getAssistantOutputTokens(msg) {
+    if (typeof msg.usage?.outputTokens === 'number') {
+      return msg.usage.outputTokens;
+    }
+    if (typeof msg.outputTokens === 'number' && msg.outputTokens >= 0) {
+      return msg.outputTokens;
+    }
+    const contentTokens = this.estimateTokens(msg.content || '');
+    const thinkingTokens = this.estimateTokens(msg.thinkingContent || '');
+    return contentTokens + thinkingTokens;
+  }
+
+  /**
+   * Combine token counts reported by the provider with estimates, preferring the
+   * reported counts and falling back to the estimates field by field.
+   * @param {Object|null} usage - Normalized usage reported by the provider
+   * @param {number} estimatedInputTokens - Estimated input tokens
+   * @param {number} estimatedOutputTokens - Estimated output tokens
+   * @returns {Object} - { inputTokens, outputTokens, thinkingTokens, cachedInputTokens, cacheWriteInputTokens, isInputExact, isOutputExact }
+   */
+  static resolveUsage(usage, estimatedInputTokens, estimatedOutputTokens) {
+    const isInputExact = typeof usage?.inputTokens === 'number';
+    const isOutputExact = typeof usage?.outputTokens === 'number';
+    return {
+      inputTokens: isInputExact ? usage.inputTokens : estimatedInputTokens,
+      outputTokens: isOutputExact ? usage.outputTokens : estimatedOutputTokens,
+      thinkingTokens: usage?.thinkingTokens ?? null,
+      cachedInputTokens: usage?.cachedInputTokens ?? null,
+      cacheWriteInputTokens: usage?.cacheWriteInputTokens ?? null,
+      isInputExact,
+      isOutputExact,
     };
   }
 
@@ -338,13 +390,15 @@ class TokenManagementService {
           // Update lastApiCallCostValue if this is the most recent assistant message with a cost
           lastApiCallCostValue = msg.apiCost;
         }
-        if (
-          msg.role === MESSAGE_ROLES.ASSISTANT &&
-          typeof msg.outputTokens === 'number' &&
-          msg.outputTokens >= 0
-        ) {
-          if (Object.keys(options).length === 0) {
-            cumulativeOutputTokens += msg.outputTokens;
+        if (msg.role === MESSAGE_ROLES.ASSISTANT) {
+          const reportedOutputTokens =
+            msg.usage?.outputTokens ?? msg.outputTokens;
+          if (
+            typeof reportedOutputTokens === 'number' &&
+            reportedOutputTokens >= 0 &&
+            Object.keys(options).length === 0
+          ) {
+            cumulativeOutputTokens += reportedOutputTokens;
           }
         }
       });
@@ -360,7 +414,8 @@ class TokenManagementService {
           newAccumulatedCost = initialAccumulatedCost + lastMessage.apiCost;
           // For output tokens in reruns, it's initial + new message's output
           cumulativeOutputTokens =
-            initialOutputTokens + (lastMessage.outputTokens || 0);
+            initialOutputTokens +
+            (lastMessage.usage?.outputTokens ?? lastMessage.outputTokens ?? 0);
         } else {
           // If the last message wasn't an assistant message with a cost (e.g. error placeholder),
           // then accumulated cost doesn't change from initial for this "turn".
@@ -379,6 +434,13 @@ class TokenManagementService {
         systemTokensInLastApiCall: baseStats.systemTokensInLastApiCall || 0,
         inputTokensInLastApiCall: baseStats.inputTokensInLastApiCall || 0,
         outputTokensInLastApiCall: baseStats.outputTokensInLastApiCall || 0, // Output for the very last assistant response
+        thinkingTokensInLastApiCall: baseStats.thinkingTokensInLastApiCall,
+        cachedInputTokensInLastApiCall:
+          baseStats.cachedInputTokensInLastApiCall,
+        // Whether the counts above were reported by the provider rather than estimated
+        isInputExactInLastApiCall: baseStats.isInputExactInLastApiCall,
+        isOutputExactInLastApiCall: baseStats.isOutputExactInLastApiCall,
+        isOutputExact: baseStats.isOutputExact,
         lastApiCallCost: lastApiCallCostValue, // Cost of the very last assistant response
         isCalculated: true,
       };
@@ -433,13 +495,17 @@ class TokenManagementService {
    * @param {number} outputTokens - Number of output tokens
    * @param {Object} modelConfig - Model configuration with pricing
    * @param {boolean} [isThinkingModeEnabled=false] - Whether thinking mode is active
+   * @param {Object} [cacheUsage] - Part of inputTokens read from or written to the prompt cache
+   * @param {number} [cacheUsage.cachedInputTokens=0] - Input tokens read from the cache
+   * @param {number} [cacheUsage.cacheWriteInputTokens=0] - Input tokens written to the cache
    * @returns {Object} - Pricing information
    */
   static calculateCost(
     inputTokens,
     outputTokens,
     modelConfig,
-    isThinkingModeEnabled = false
+    isThinkingModeEnabled = false,
+    { cachedInputTokens = 0, cacheWriteInputTokens = 0 } = {}
   ) {
     if (!modelConfig) return { totalCost: 0 };
 
@@ -466,8 +532,23 @@ class TokenManagementService {
       }
     }
 
+    // Cache reads and writes are billed at their own rates when the model has them
+    const cachedInputPrice =
+      modelConfig?.pricing?.cachedInputTokenPrice ?? effectiveInputPrice;
+    const cacheWritePrice =
+      modelConfig?.pricing?.cacheWriteTokenPrice ?? effectiveInputPrice;
+    const cachedTokens = Math.min(cachedInputTokens || 0, inputTokens);
+    const cacheWriteTokens = Math.min(
+      cacheWriteInputTokens || 0,
+      inputTokens - cachedTokens
+    );
+    const uncachedTokens = inputTokens - cachedTokens - cacheWriteTokens;
+
     // Convert from price per million tokens
-    const inputCost = (inputTokens / 1000000) * effectiveInputPrice;
+    const inputCost =
+      (uncachedTokens / 1000000) * effectiveInputPrice +
+      (cachedTokens / 1000000) * cachedInputPrice +
+      (cacheWriteTokens / 1000000) * cacheWritePrice;
     const outputCost = (outputTokens / 1000000) * effectiveOutputPrice;
     const totalCost = inputCost + outputCost;
 
@@ -477,6 +558,61 @@ class TokenManagementService {
       totalCost,
       inputTokenPrice: effectiveInputPrice,
       outputTokenPrice: effectiveOutputPrice,
+      cachedInputTokenPrice: cachedInputPrice,
+      cacheWriteTokenPrice: cacheWritePrice,
+    };
+  }
+
+  /**
+   * Calculate the cost of a completed assistant response, preferring the usage
+   * reported by the provider over estimates
+   * @param {Array} messages - Chat messages up to and including the response
+   * @param {Object|null} usage - Normalized usage reported by the provider
+   * @param {number} estimatedOutputTokens - Output tokens estimated from the response
+   * @param {Object} modelConfig - Configuration of the model that answered
+   * @param {boolean} [isThinkingModeEnabled=false] - Whether thinking mode is active
+   * @returns {{apiCost: number|null, costBreakdown: Object|null}} Cost and its breakdown; null if the model has no pricing
+   */
+  static calculateResponseCost(
+    messages,
+    usage,
+    estimatedOutputTokens,
+    modelConfig,
+    isThinkingModeEnabled = false
+  ) {
+    if (!modelConfig?.pricing) {
+      return { apiCost: null, costBreakdown: null };
+    }
+    const turnStats = this.calculateTokenStatisticsFromMessages(messages, null);
+    const resolvedUsage = this.resolveUsage(
+      usage,
+      turnStats.inputTokensInLastApiCall,
+      estimatedOutputTokens
+    );
+    const costInfo = this.calculateCost(
+      resolvedUsage.inputTokens,
+      resolvedUsage.outputTokens,
+      modelConfig,
+      isThinkingModeEnabled,
+      {
+        cachedInputTokens: resolvedUsage.cachedInputTokens,
+        cacheWriteInputTokens: resolvedUsage.cacheWriteInputTokens,
+      }
+    );
+    return {
+      apiCost: costInfo.totalCost,
+      costBreakdown: {
+        inputTokens: resolvedUsage.inputTokens,
+        outputTokens: resolvedUsage.outputTokens,
+        thinkingTokens: resolvedUsage.thinkingTokens,
+        cachedInputTokens: resolvedUsage.cachedInputTokens,
+        cacheWriteInputTokens: resolvedUsage.cacheWriteInputTokens,
+        isExact: resolvedUsage.isInputExact && resolvedUsage.isOutputExact,
+        inputTokenPrice: costInfo.inputTokenPrice,
+        outputTokenPrice: costInfo.outputTokenPrice,
+        cachedInputTokenPrice: costInfo.cachedInputTokenPrice,
+        cacheWriteTokenPrice: costInfo.cacheWriteTokenPrice,
+      },
     };
   }
 
@@ -555,6 +691,11 @@ class TokenManagementService {
       systemTokensInLastApiCall: 0,
       inputTokensInLastApiCall: 0,
       outputTokensInLastApiCall: 0,
+      thinkingTokensInLastApiCall: null,
+      cachedInputTokensInLastApiCall: null,
+      isInputExactInLastApiCall: false,
+      isOutputExactInLastApiCall: false,
+      isOutputExact: false,
       lastApiCallCost: 0,
       isCalculated: false,
     };